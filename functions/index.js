@@ -20,9 +20,15 @@ try {
 }
 
 // Import and export Brand Operations
-const { addBrand, updateBrand, deleteBrand, getBrands } = require('./src/operations/brandOperations');
+const { addBrand, updateBrand, acceptSuggestedPalette, listBrandVersions, restoreBrandVersion, importBrandFromWebsite, exportBrand, importBrand, deleteBrand, getBrands } = require('./src/operations/brandOperations');
 exports.addBrand = addBrand;
 exports.updateBrand = updateBrand;
+exports.acceptSuggestedPalette = acceptSuggestedPalette;
+exports.listBrandVersions = listBrandVersions;
+exports.restoreBrandVersion = restoreBrandVersion;
+exports.importBrandFromWebsite = importBrandFromWebsite;
+exports.exportBrand = exportBrand;
+exports.importBrand = importBrand;
 exports.deleteBrand = deleteBrand;
 exports.getBrands = getBrands;
 
@@ -35,9 +41,10 @@ exports.getDownloadedThumbnails = getDownloadedThumbnails;
 exports.getDownloadedAssets = getDownloadedAssets;
 
 // Import and export Rebrand Tool Operations (Image Generation & Blueprinting)
-const { generateRebrand, generateSmartBlueprint } = require('./src/tools/rebrand');
+const { generateRebrand, generateSmartBlueprint, generateRebrandBatch } = require('./src/tools/rebrand');
 exports.generateRebrand = generateRebrand;
 exports.generateSmartBlueprint = generateSmartBlueprint;
+exports.generateRebrandBatch = generateRebrandBatch;
 
 // Import and export Change Text Tool
 const { extractTexts, generateChangeText } = require('./src/tools/changeText');
@@ -48,6 +55,30 @@ exports.generateChangeText = generateChangeText;
 const { generateReplaceImage } = require('./src/tools/replaceImage');
 exports.generateReplaceImage = generateReplaceImage;
 
+// Import and export Erase Object Tool
+const { generateEraseObject } = require('./src/tools/eraseObject');
+exports.generateEraseObject = generateEraseObject;
+
+// Import and export Remove Background Tool
+const { generateRemoveBackground } = require('./src/tools/removeBackground');
+exports.generateRemoveBackground = generateRemoveBackground;
+
+// Import and export Product Scene Tool
+const { generateProductScene } = require('./src/tools/productScene');
+exports.generateProductScene = generateProductScene;
+
+// Import and export QR Code Tool
+const { generateQrCode } = require('./src/tools/qrCode');
+exports.generateQrCode = generateQrCode;
+
+// Import and export Resize Set Tool
+const { generateResizeSet } = require('./src/tools/resizeSet');
+exports.generateResizeSet = generateResizeSet;
+
+// Import and export Upscale Tool
+const { generateUpscale } = require('./src/tools/upscale');
+exports.generateUpscale = generateUpscale;
+
 // Import and export Curation Operations (Home Page)
 const { refreshHomeTemplates } = require('./src/operations/curationOperations');
 exports.refreshHomeTemplates = refreshHomeTemplates;
@@ -61,11 +92,12 @@ const { generateVirtualModel } = require('./src/tools/virtualModel');
 exports.generateVirtualModel = generateVirtualModel;
 
 // Import and export User Operations
-const { getDownloadedImages, getCreatedImages, userInfo, cleanupOnAccountDeletion } = require('./src/operations/userOperations');
+const { getDownloadedImages, getCreatedImages, userInfo, cleanupOnAccountDeletion, expireStaleReservations } = require('./src/operations/userOperations');
 exports.getDownloadedImages = getDownloadedImages;
 exports.getCreatedImages = getCreatedImages;
 exports.userInfo = userInfo;
 exports.cleanupOnAccountDeletion = cleanupOnAccountDeletion;
+exports.expireStaleReservations = expireStaleReservations;
 
 // Import and export Apple Device Trial Verification
 const { verifyAppleDeviceTrial, resetAppleDeviceTrialDev } = require('./src/operations/deviceTrial');
@@ -85,3 +117,26 @@ exports.restoreTrialCredits = restoreTrialCredits;
 const { revenueCatWebhook } = require('./src/operations/subscriptionWebhook');
 exports.revenueCatWebhook = revenueCatWebhook;
 
+// Import and export Job Operations (async generation)
+const { processJob, expireStaleJobs, getJob, listJobs } = require('./src/operations/jobOperations');
+exports.processJob = processJob;
+exports.expireStaleJobs = expireStaleJobs;
+exports.getJob = getJob;
+exports.listJobs = listJobs;
+
+// Import and export Image History (version tree of edited images)
+const { getImageHistory } = require('./src/operations/generatedImageOperations');
+exports.getImageHistory = getImageHistory;
+
+// Import and export Batch Operations (progress and bundled results of batched jobs)
+const { getBatch } = require('./src/operations/batchOperations');
+exports.getBatch = getBatch;
+
+// Import and export Workspace Operations (shared brands, images and credits for teams)
+const { createWorkspace, getWorkspaces, inviteToWorkspace, respondToWorkspaceInvitation, updateWorkspaceMember, fundWorkspace } = require('./src/operations/workspaceOperations');
+exports.createWorkspace = createWorkspace;
+exports.getWorkspaces = getWorkspaces;
+exports.inviteToWorkspace = inviteToWorkspace;
+exports.respondToWorkspaceInvitation = respondToWorkspaceInvitation;
+exports.updateWorkspaceMember = updateWorkspaceMember;
+exports.fundWorkspace = fundWorkspace;
@@ -0,0 +1,76 @@
+/*
+  Local check of the SSRF blocklist used by the website import (isPrivateAddress in
+  src/common/websiteImport.js): every address below must be classified as listed, including
+  IPv4 hosts reached through IPv6 (IPv4-mapped in dotted or hex form, NAT64).
+
+  Usage (from functions dir):
+    node scripts/checkAddressBlocklist.js
+*/
+'use strict';
+
+const { isPrivateAddress } = require('../src/common/websiteImport');
+
+const PRIVATE = [
+  '10.0.0.1',
+  '127.0.0.1',
+  '0.0.0.0',
+  '100.64.0.1',
+  '100.127.255.255',
+  '169.254.169.254',
+  '172.16.0.1',
+  '192.168.1.1',
+  '198.18.0.1',
+  '198.19.255.255',
+  '224.0.0.1',
+  '239.255.255.250',
+  '240.0.0.1',
+  '255.255.255.255',
+  '::',
+  '::1',
+  '::127.0.0.1',
+  '::ffff:127.0.0.1',
+  '::ffff:7f00:1',
+  '::FFFF:A9FE:A9FE',
+  '0:0:0:0:0:ffff:c0a8:0101',
+  '64:ff9b::127.0.0.1',
+  '64:ff9b::7f00:1',
+  '64:ff9b::a9fe:a9fe',
+  '64:ff9b:1::808:808',
+  'fc00::1',
+  'fd12:3456::1',
+  'fe80::1%eth0',
+  'febf::1',
+  'ff02::1',
+];
+
+const PUBLIC = [
+  '8.8.8.8',
+  '100.63.255.255',
+  '100.128.0.1',
+  '172.32.0.1',
+  '198.20.0.1',
+  '223.255.255.255',
+  '::ffff:8.8.8.8',
+  '::ffff:808:808',
+  '64:ff9b::808:808',
+  '2001:4860:4860::8888',
+  '2606:4700::1111',
+];
+
+let failures = 0;
+for (const [addresses, expected] of [
+  [PRIVATE, true],
+  [PUBLIC, false],
+]) {
+  for (const address of addresses) {
+    const ok = isPrivateAddress(address) === expected;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${address} ${expected ? 'blocked' : 'allowed'}`);
+    if (!ok) failures += 1;
+  }
+}
+
+if (failures) {
+  console.error(`${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('All address blocklist checks passed');
@@ -0,0 +1,141 @@
+/*
+  Local check of the region editing pipeline (src/common/regionEditing.js) without a model:
+  a solid edit is composited into a black image through a box and through a painted mask.
+  - Pixels well inside the region must come out as the edit at full opacity
+  - Pixels outside the region must be byte-identical to the original
+  - An erase (the edit is the bare background) must remove the object from the region, and
+    regionChangeShare must tell it apart from an edit that hands the input back
+  - A text erase (generateChangeText overlay mode) must leave no old glyph pixels in the text
+    boxes before the new text is drawn
+
+  Usage (from functions dir):
+    node scripts/checkRegionEditing.js
+*/
+'use strict';
+
+const sharp = require('sharp');
+const { DEFAULT_FEATHER, prepareRegion, compositeRegion, regionChangeShare } = require('../src/common/regionEditing');
+const { layoutBoxToPixels, textEraseMask, renderTextOverlay } = require('../src/common/textOverlay');
+
+const WIDTH = 320;
+const HEIGHT = 240;
+const BOX = { left: 80, top: 60, width: 120, height: 90 };
+const EDIT_COLOR = [255, 0, 0];
+
+let failures = 0;
+
+function check(name, ok, details) {
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}${ok ? '' : ` ${JSON.stringify(details)}`}`);
+  if (!ok) failures += 1;
+}
+
+async function solid(width, height, [r, g, b]) {
+  return sharp({ create: { width, height, channels: 3, background: { r, g, b } } }).png().toBuffer();
+}
+
+async function rgbPixels(buffer) {
+  const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  return (x, y) => [...data.subarray((y * info.width + x) * 3, (y * info.width + x) * 3 + 3)];
+}
+
+// Every pixel at least `inset` inside the box must equal `color`; every pixel outside must equal `outside`
+async function checkComposite(name, region, result) {
+  const pixel = await rgbPixels(result);
+  const inset = DEFAULT_FEATHER + 1;
+  const wrongInside = [];
+  const wrongOutside = [];
+  for (let y = 0; y < HEIGHT; y += 1) {
+    for (let x = 0; x < WIDTH; x += 1) {
+      const inBox = x >= BOX.left && x < BOX.left + BOX.width && y >= BOX.top && y < BOX.top + BOX.height;
+      const deepInside =
+        x >= BOX.left + inset && x < BOX.left + BOX.width - inset && y >= BOX.top + inset && y < BOX.top + BOX.height - inset;
+      const [r, g, b] = pixel(x, y);
+      if (deepInside && (r !== EDIT_COLOR[0] || g !== EDIT_COLOR[1] || b !== EDIT_COLOR[2])) wrongInside.push({ x, y, rgb: [r, g, b] });
+      if (!inBox && (r || g || b)) wrongOutside.push({ x, y, rgb: [r, g, b] });
+    }
+  }
+  check(`${name}: edit at full opacity inside the region`, !wrongInside.length, wrongInside.slice(0, 3));
+  check(`${name}: original kept outside the region`, !wrongOutside.length, wrongOutside.slice(0, 3));
+}
+
+async function main() {
+  const image = await solid(WIDTH, HEIGHT, [0, 0, 0]);
+
+  const boxRegion = await prepareRegion({ imageBuffer: image, box: BOX });
+  const boxEdit = await solid(boxRegion.crop.width, boxRegion.crop.height, EDIT_COLOR);
+  await checkComposite('box', boxRegion, await compositeRegion(boxRegion, boxEdit));
+
+  const mask = await sharp(
+    Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}"><rect width="100%" height="100%" fill="#000"/>` +
+        `<rect x="${BOX.left}" y="${BOX.top}" width="${BOX.width}" height="${BOX.height}" fill="#fff"/></svg>`
+    )
+  )
+    .png()
+    .toBuffer();
+  const maskRegion = await prepareRegion({ imageBuffer: image, maskBuffer: mask });
+  const maskEdit = await solid(maskRegion.crop.width, maskRegion.crop.height, EDIT_COLOR);
+  await checkComposite('mask', maskRegion, await compositeRegion(maskRegion, maskEdit));
+
+  // Erase: a white disc on grey, "erased" by a grey edit
+  const grey = [128, 128, 128];
+  const cx = BOX.left + BOX.width / 2;
+  const cy = BOX.top + BOX.height / 2;
+  const withObject = await sharp(await solid(WIDTH, HEIGHT, grey))
+    .composite([
+      {
+        input: Buffer.from(
+          `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}"><circle cx="${cx}" cy="${cy}" r="30" fill="#fff"/></svg>`
+        ),
+      },
+    ])
+    .png()
+    .toBuffer();
+  const eraseRegion = await prepareRegion({ imageBuffer: withObject, box: BOX });
+  const erased = await compositeRegion(eraseRegion, await solid(eraseRegion.crop.width, eraseRegion.crop.height, grey));
+  const pixel = await rgbPixels(erased);
+  check('erase: object pixels replaced by the background', pixel(cx, cy).every((v, i) => v === grey[i]), pixel(cx, cy));
+  const erasedShare = await regionChangeShare(eraseRegion, erased);
+  check('erase: regionChangeShare sees the erased object', erasedShare > 0.1, { erasedShare });
+  const unchanged = await compositeRegion(eraseRegion, eraseRegion.regionBuffer);
+  const unchangedShare = await regionChangeShare(eraseRegion, unchanged);
+  check('erase: regionChangeShare is 0 when the input comes back', unchangedShare === 0, { unchangedShare });
+
+  // Text erase: white texts on a blue design, erased by a plain blue edit
+  const blue = [29, 53, 87];
+  const texts = [
+    { text: 'ESKİ BAŞLIK', box: { top_left: { x: 0.1, y: 0.1 }, bottom_right: { x: 0.9, y: 0.25 } }, color: '#ffffff', weight: 'bold' },
+    { text: 'eski açıklama', box: { top_left: { x: 0.2, y: 0.6 }, bottom_right: { x: 0.8, y: 0.7 } }, color: '#ffffff' },
+  ];
+  const design = (await renderTextOverlay(await solid(WIDTH, HEIGHT, blue), texts)).buffer;
+  const textRegion = await prepareRegion({ imageBuffer: design, maskBuffer: await textEraseMask(texts, WIDTH, HEIGHT) });
+  const textErased = await compositeRegion(textRegion, await solid(textRegion.crop.width, textRegion.crop.height, blue));
+  const textPixel = await rgbPixels(textErased);
+  const designPixel = await rgbPixels(design);
+  texts.forEach(({ text, box }) => {
+    const px = layoutBoxToPixels(box, WIDTH, HEIGHT);
+    let glyphsBefore = 0;
+    let glyphsAfter = 0;
+    for (let y = px.top; y < px.top + px.height; y += 1) {
+      for (let x = px.left; x < px.left + px.width; x += 1) {
+        if (designPixel(x, y).some((v, i) => v !== blue[i])) glyphsBefore += 1;
+        if (textPixel(x, y).some((v, i) => v !== blue[i])) glyphsAfter += 1;
+      }
+    }
+    check(`text erase: "${text}" drawn before the erase`, glyphsBefore > 0, { glyphsBefore });
+    check(`text erase: no "${text}" glyph pixels left in its box`, glyphsAfter === 0, { glyphsAfter });
+  });
+  const textShare = await regionChangeShare(textRegion, textErased);
+  check('text erase: regionChangeShare sees the erased texts', textShare > 0.02, { textShare });
+
+  if (failures) {
+    console.error(`${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('All region editing checks passed');
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
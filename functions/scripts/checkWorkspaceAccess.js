@@ -0,0 +1,48 @@
+/*
+  Check that workspace-scoped brand reads are refused for users outside the workspace:
+  GET getBrands?workspace_id=<id> with a non-member's ID token must answer 403 or 404 with a
+  JSON error body, and must answer at all (not hang until the function times out).
+
+  Usage (from functions dir, against the emulator or a deployed project):
+    BASE_URL=http://127.0.0.1:5002/<project>/europe-west1 \
+    ID_TOKEN=<ID token of a user who is not a member> \
+    WORKSPACE_ID=<workspace id> \
+    node scripts/checkWorkspaceAccess.js
+
+  Notes:
+  - Exits 1 when a check fails.
+*/
+'use strict';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+async function main() {
+  const { BASE_URL, ID_TOKEN, WORKSPACE_ID } = process.env;
+  if (!BASE_URL || !ID_TOKEN || !WORKSPACE_ID) {
+    console.error('BASE_URL, ID_TOKEN and WORKSPACE_ID must be set');
+    process.exit(1);
+  }
+
+  const url = `${BASE_URL.replace(/\/$/, '')}/getBrands?workspace_id=${encodeURIComponent(WORKSPACE_ID)}`;
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Authorization: `Bearer ${ID_TOKEN}` },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (e) {
+    console.error(`FAIL getBrands: no response (${e?.name === 'TimeoutError' ? `timed out after ${REQUEST_TIMEOUT_MS}ms` : e?.message || e})`);
+    process.exit(1);
+  }
+
+  const body = await response.json().catch(() => null);
+  const ok = (response.status === 403 || response.status === 404) && body?.error?.code;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} getBrands for a non-member: ${response.status} ${JSON.stringify(body?.error || body)}`);
+  if (!ok) process.exit(1);
+  console.log('All workspace access checks passed');
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
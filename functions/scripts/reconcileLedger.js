@@ -0,0 +1,93 @@
+/*
+  Rebuild every user's credit balance from users/{uid}/ledger and report drift
+  against the counters on users/{uid}.
+
+  Usage (from functions dir):
+    node scripts/reconcileLedger.js
+    DRY_RUN=1 node scripts/reconcileLedger.js     # report only, do not write ledgerAudit
+    BACKFILL=1 node scripts/reconcileLedger.js    # seed opening_balance entries for users without a ledger
+    UID=<uid> node scripts/reconcileLedger.js     # single user
+
+  Notes:
+  - Requires Firebase Admin credentials. Locally, set GOOGLE_APPLICATION_CREDENTIALS to your service account JSON.
+  - Safe to re-run. BACKFILL only writes for users whose ledger is still empty.
+*/
+'use strict';
+
+try {
+  require('dotenv').config({ path: '.env.local' });
+  require('dotenv').config();
+} catch (_) {}
+
+const admin = require('firebase-admin');
+
+function init() {
+  try {
+    if (!admin.apps.length) {
+      admin.initializeApp();
+    }
+  } catch (e) {
+    // ignore hot-reload reinit
+  }
+}
+
+async function reconcileUser(uid, { dryRun, backfill }) {
+  const { rebuildBalanceFromLedger, recordOpeningBalance } = require('../src/operations/ledgerOperations');
+  if (backfill && !dryRun) {
+    const seeded = await recordOpeningBalance(uid);
+    if (seeded) console.log(`Seeded opening balance for ${uid}`);
+  }
+  const report = await rebuildBalanceFromLedger(uid, { flag: !dryRun });
+  if (report.hasDrift) {
+    console.log(`DRIFT ${uid}:`, JSON.stringify({ ledger: report.ledger, counters: report.counters, drift: report.drift }));
+  }
+  return report.hasDrift;
+}
+
+async function main() {
+  init();
+  const db = admin.firestore();
+  const dryRun = Boolean(process.env.DRY_RUN);
+  const backfill = Boolean(process.env.BACKFILL);
+  const singleUid = process.env.UID;
+
+  console.log(`[reconcileLedger] Starting. DRY_RUN=${dryRun} BACKFILL=${backfill}`);
+
+  if (singleUid) {
+    await reconcileUser(singleUid, { dryRun, backfill });
+    return;
+  }
+
+  const pageSize = 200;
+  let lastDoc = null;
+  let total = 0;
+  let drifted = 0;
+
+  while (true) {
+    let q = db.collection('users').orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+    if (lastDoc) q = q.startAfter(lastDoc.id);
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    for (const doc of snap.docs) {
+      try {
+        if (await reconcileUser(doc.id, { dryRun, backfill })) drifted += 1;
+      } catch (e) {
+        console.error(`Failed to reconcile ${doc.id}:`, e && e.message);
+      }
+    }
+
+    total += snap.size;
+    lastDoc = snap.docs[snap.docs.length - 1];
+    console.log(`[reconcileLedger] Processed ${total} users, ${drifted} with drift`);
+
+    if (snap.size < pageSize) break; // done
+  }
+
+  console.log(`[reconcileLedger] Completed. Users: ${total}, with drift: ${drifted}`);
+}
+
+main().catch((e) => {
+  console.error('[reconcileLedger] Failed:', e && e.stack || e);
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+const path = require('path');
+const JSZip = require('jszip');
+const sharp = require('sharp');
+const { validationError } = require('./errors');
+const { validateBrandInfo, BRAND_INFO_FIELDS } = require('./brandKit');
+const { LOGO_VARIANTS } = require('./brandLogos');
+
+const ARCHIVE_FORMAT = 'brand-kit';
+const ARCHIVE_VERSION = 1;
+const MAX_ARCHIVE_BYTES = 20 * 1024 * 1024;
+// Caps on the unpacked archive; a small zip can inflate to gigabytes
+const MAX_MANIFEST_BYTES = 256 * 1024;
+const MAX_LOGO_BYTES = 5 * 1024 * 1024;
+const MAX_UNPACKED_BYTES = 30 * 1024 * 1024;
+
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/svg+xml': 'svg', 'image/gif': 'gif' };
+const MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp', svg: 'image/svg+xml', gif: 'image/gif' };
+
+/**
+ * Zip a brand into a portable kit: brand.json plus logos/<variant>.<ext>.
+ * logos: [{ variant, buffer, mimeType }]
+ * Returns: zip Buffer
+ */
+async function buildBrandArchive({ brand, logos = [] }) {
+  // Storage paths, URLs and timestamps are account-specific and stay behind
+  const brandInfo = {};
+  for (const key of BRAND_INFO_FIELDS) {
+    if (brand[key] !== undefined) brandInfo[key] = brand[key];
+  }
+
+  const zip = new JSZip();
+  const manifestLogos = {};
+  for (const { variant, buffer, mimeType } of logos) {
+    const file = `logos/${variant}.${EXTENSIONS[mimeType] || 'png'}`;
+    zip.file(file, buffer);
+    manifestLogos[variant] = { file, mimeType: mimeType || 'image/png' };
+  }
+  zip.file(
+    'brand.json',
+    JSON.stringify(
+      {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        brandInfo,
+        logos: manifestLogos,
+      },
+      null,
+      2,
+    ),
+  );
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+function sizeLimitError(field, maxBytes) {
+  const limit = maxBytes >= 1024 * 1024 ? `${maxBytes / 1024 / 1024} MB` : `${maxBytes / 1024} KB`;
+  return validationError({ [field]: `must be at most ${limit} unpacked` });
+}
+
+// Size the entry claims in the zip directory
+function unpackedSize(file) {
+  return Number(file._data?.uncompressedSize) || 0;
+}
+
+// Unpack one entry, refusing it before inflating when its declared size is over maxBytes and
+// stopping mid-stream when the data runs past maxBytes anyway (the directory can lie)
+async function unpackEntry(file, maxBytes, field) {
+  if (unpackedSize(file) > maxBytes) throw sizeLimitError(field, maxBytes);
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = file.internalStream('nodebuffer');
+    stream
+      .on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          stream.pause();
+          reject(sizeLimitError(field, maxBytes));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+/**
+ * Read and validate a brand kit made by buildBrandArchive.
+ * brandInfo goes through the same rules as addBrand; every logo must be a readable image.
+ * Returns: { brandInfo, logos: [{ variant, buffer, filename, mimeType }] }
+ */
+async function readBrandArchive(buffer) {
+  if (!buffer || !buffer.length) throw validationError({ archive: 'required' });
+  if (buffer.length > MAX_ARCHIVE_BYTES) throw validationError({ archive: `must be at most ${MAX_ARCHIVE_BYTES / 1024 / 1024} MB` });
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (e) {
+    throw validationError({ archive: 'not a zip file' });
+  }
+
+  let totalUnpacked = 0;
+  zip.forEach((name, file) => {
+    totalUnpacked += unpackedSize(file);
+  });
+  if (totalUnpacked > MAX_UNPACKED_BYTES) throw sizeLimitError('archive', MAX_UNPACKED_BYTES);
+
+  const manifestFile = zip.file('brand.json');
+  if (!manifestFile) throw validationError({ archive: 'brand.json is missing' });
+  const manifestData = await unpackEntry(manifestFile, MAX_MANIFEST_BYTES, 'brand.json');
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestData.toString('utf8'));
+  } catch (e) {
+    throw validationError({ 'brand.json': 'invalid JSON' });
+  }
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) throw validationError({ 'brand.json': 'not a brand kit' });
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw validationError({ 'brand.json': `version ${manifest.version} is newer than this server supports` });
+  }
+
+  const brandInfo = validateBrandInfo(manifest.brandInfo);
+
+  const logos = [];
+  for (const [variant, entry] of Object.entries(manifest.logos || {})) {
+    if (!LOGO_VARIANTS.includes(variant)) throw validationError({ [`logos.${variant}`]: `unknown variant, use one of ${LOGO_VARIANTS.join('|')}` });
+    const file = entry && typeof entry.file === 'string' ? zip.file(entry.file) : null;
+    if (!file) throw validationError({ [`logos.${variant}`]: 'file is missing from the archive' });
+    const data = await unpackEntry(file, MAX_LOGO_BYTES, `logos.${variant}`);
+
+    // Trust the bytes, not the manifest, for the type
+    let format;
+    try {
+      ({ format } = await sharp(data).metadata());
+    } catch (e) {
+      throw validationError({ [`logos.${variant}`]: 'not a readable image' });
+    }
+    const mimeType = MIME_TYPES[format];
+    if (!mimeType) throw validationError({ [`logos.${variant}`]: `unsupported image format ${format}` });
+    logos.push({ variant, buffer: data, filename: `${variant}.${EXTENSIONS[mimeType]}`, mimeType });
+  }
+
+  return { brandInfo, logos };
+}
+
+// Download file name for an exported brand
+function archiveFilename(brandName) {
+  const slug = path
+    .basename(String(brandName || 'brand'))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'brand'}-brand-kit.zip`;
+}
+
+module.exports = {
+  buildBrandArchive,
+  readBrandArchive,
+  archiveFilename,
+};
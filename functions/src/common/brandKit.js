@@ -0,0 +1,152 @@
+const { validationError } = require('./errors');
+
+// Social networks a brand can list a handle for
+const SOCIAL_NETWORKS = ['instagram', 'facebook', 'x', 'tiktok', 'linkedin', 'youtube', 'pinterest', 'threads'];
+
+const MAX_FORBIDDEN_WORDS = 50;
+const MAX_PALETTE_COLORS = 20;
+
+// Free-text brand fields and their maximum length
+const TEXT_FIELDS = {
+  brandName: 100,
+  website: 300,
+  phone: 50,
+  address: 300,
+  description: 2000,
+  tagline: 150,
+  toneOfVoice: 1000,
+  primaryFont: 100,
+  secondaryFont: 100,
+};
+
+// Every field validateBrandInfo accepts
+const BRAND_INFO_FIELDS = [...Object.keys(TEXT_FIELDS), 'socialHandles', 'forbiddenWords', 'colorPalette'];
+
+function readText(value, key, errors) {
+  if (value === null) return null;
+  if (typeof value !== 'string') {
+    errors[key] = 'must be a string';
+    return undefined;
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > TEXT_FIELDS[key]) {
+    errors[key] = `must be at most ${TEXT_FIELDS[key]} characters`;
+    return undefined;
+  }
+  return trimmed || null;
+}
+
+function readSocialHandles(value, errors) {
+  if (value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.socialHandles = 'must be an object keyed by network';
+    return undefined;
+  }
+  const handles = {};
+  for (const [network, handle] of Object.entries(value)) {
+    if (!SOCIAL_NETWORKS.includes(network)) {
+      errors[`socialHandles.${network}`] = `unknown network, use one of ${SOCIAL_NETWORKS.join('|')}`;
+      continue;
+    }
+    if (handle === null || handle === '') continue;
+    if (typeof handle !== 'string' || handle.trim().length > 100) {
+      errors[`socialHandles.${network}`] = 'must be a string of at most 100 characters';
+      continue;
+    }
+    handles[network] = handle.trim();
+  }
+  return handles;
+}
+
+function readForbiddenWords(value, errors) {
+  if (value === null) return [];
+  if (!Array.isArray(value) || value.some((w) => typeof w !== 'string')) {
+    errors.forbiddenWords = 'must be an array of strings';
+    return undefined;
+  }
+  const seen = new Set();
+  const words = [];
+  for (const word of value) {
+    const trimmed = word.trim();
+    if (!trimmed || seen.has(trimmed.toLowerCase())) continue;
+    if (trimmed.length > 50) {
+      errors.forbiddenWords = 'each word must be at most 50 characters';
+      return undefined;
+    }
+    seen.add(trimmed.toLowerCase());
+    words.push(trimmed);
+  }
+  if (words.length > MAX_FORBIDDEN_WORDS) {
+    errors.forbiddenWords = `at most ${MAX_FORBIDDEN_WORDS} words`;
+    return undefined;
+  }
+  return words;
+}
+
+function readColorPalette(value, errors) {
+  if (value === null) return [];
+  if (!Array.isArray(value) || value.some((c) => typeof c !== 'string')) {
+    errors.colorPalette = 'must be an array of strings';
+    return undefined;
+  }
+  if (value.length > MAX_PALETTE_COLORS) {
+    errors.colorPalette = `at most ${MAX_PALETTE_COLORS} colors`;
+    return undefined;
+  }
+  return value.map((c) => c.trim()).filter(Boolean);
+}
+
+/**
+ * Validate and normalise client brandInfo for addBrand/updateBrand.
+ * Only fields present on the input are returned, so the result can be merged into an
+ * existing brand; with partial=false brandName is required and missing fields get defaults.
+ * Throws a validation error listing every invalid field.
+ */
+function validateBrandInfo(brandInfo, { partial = false } = {}) {
+  if (!brandInfo || typeof brandInfo !== 'object' || Array.isArray(brandInfo)) {
+    throw validationError({ brandInfo: 'required' });
+  }
+
+  const errors = {};
+  const value = {};
+  const has = (key) => typeof brandInfo[key] !== 'undefined';
+
+  for (const key of Object.keys(TEXT_FIELDS)) {
+    if (!has(key)) continue;
+    const text = readText(brandInfo[key], key, errors);
+    if (text !== undefined) value[key] = text;
+  }
+  if (has('socialHandles')) {
+    const handles = readSocialHandles(brandInfo.socialHandles, errors);
+    if (handles !== undefined) value.socialHandles = handles;
+  }
+  if (has('forbiddenWords')) {
+    const words = readForbiddenWords(brandInfo.forbiddenWords, errors);
+    if (words !== undefined) value.forbiddenWords = words;
+  }
+  if (has('colorPalette')) {
+    const palette = readColorPalette(brandInfo.colorPalette, errors);
+    if (palette !== undefined) value.colorPalette = palette;
+  }
+
+  if ((!partial || has('brandName')) && !value.brandName && !errors.brandName) {
+    errors.brandName = 'required';
+  }
+  if (Object.keys(errors).length) {
+    const fieldErrors = {};
+    for (const [key, message] of Object.entries(errors)) fieldErrors[`brandInfo.${key}`] = message;
+    throw validationError(fieldErrors);
+  }
+
+  if (partial) return value;
+  const defaults = { socialHandles: {}, forbiddenWords: [], colorPalette: [] };
+  for (const key of Object.keys(TEXT_FIELDS)) defaults[key] = null;
+  return { ...defaults, ...value };
+}
+
+module.exports = {
+  SOCIAL_NETWORKS,
+  TEXT_FIELDS,
+  BRAND_INFO_FIELDS,
+  validateBrandInfo,
+};
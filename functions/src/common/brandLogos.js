@@ -0,0 +1,115 @@
+const sharp = require('sharp');
+
+// Named logo assets a brand can hold. `primary` is the logo uploaded as `logo` and mirrors brand.logoUrl.
+const LOGO_VARIANTS = ['primary', 'light', 'dark', 'icon', 'wordmark'];
+// Variants that can stand in for the full logo when picking by contrast; the icon is only used when named
+const CONTRAST_CANDIDATES = ['primary', 'light', 'dark', 'wordmark'];
+
+// Where a blueprint addition (logo, website, QR code, ...) can be placed
+const ADDITION_LOCATIONS = ['bottom-left', 'bottom-mid', 'bottom-right', 'top-left', 'top-mid', 'top-right'];
+
+// Multipart field name -> logo variant ('logo' stays the primary logo for older clients)
+function logoVariantForField(fieldname) {
+  if (fieldname === 'logo') return 'primary';
+  const match = /^logo[_:](\w+)$/.exec(String(fieldname || ''));
+  return match && LOGO_VARIANTS.includes(match[1]) ? match[1] : null;
+}
+
+// Relative luminance (0 = black, 1 = white) of RGBA pixels, weighted by opacity
+function meanLuminance(data, channels) {
+  let sum = 0;
+  let weight = 0;
+  for (let i = 0; i < data.length; i += channels) {
+    const a = channels === 4 ? data[i + 3] / 255 : 1;
+    if (a === 0) continue;
+    sum += a * (0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]) / 255;
+    weight += a;
+  }
+  return weight ? sum / weight : null;
+}
+
+// Luminance of a logo's visible pixels, stored with each logo at upload time
+async function measureLogoLuminance(buffer) {
+  const { data, info } = await sharp(buffer)
+    .resize(64, 64, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const lum = meanLuminance(data, info.channels);
+  return lum === null ? null : Math.round(lum * 1000) / 1000;
+}
+
+// Area of the image a blueprint location refers to; the whole image when unknown
+function regionForLocation(location, width, height) {
+  const [row, col] = String(location || '').split('-');
+  const third = (n) => Math.max(1, Math.floor(n / 3));
+  const colIndex = { left: 0, mid: 1, right: 2 }[col];
+  const rowIndex = { top: 0, bottom: 2 }[row];
+  if (colIndex === undefined || rowIndex === undefined) return { left: 0, top: 0, width, height };
+  return {
+    left: colIndex * third(width),
+    top: rowIndex * third(height),
+    width: colIndex === 2 ? width - 2 * third(width) : third(width),
+    height: rowIndex === 2 ? height - 2 * third(height) : third(height),
+  };
+}
+
+async function measureRegionLuminance(imageBuffer, location) {
+  const { width, height } = await sharp(imageBuffer).metadata();
+  if (!width || !height) return null;
+  const { data, info } = await sharp(imageBuffer)
+    .extract(regionForLocation(location, width, height))
+    .resize(64, 64, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return meanLuminance(data, info.channels);
+}
+
+// A brand's logo assets as { variant: { url, storagePath, luminance } }, including legacy single-logo brands
+function brandLogos(brand = {}) {
+  const logos = { ...(brand.logos || {}) };
+  if (!logos.primary && brand.logoUrl) logos.primary = { url: brand.logoUrl, storagePath: null, luminance: null };
+  return logos;
+}
+
+/**
+ * Choose the logo to place in a rebrand.
+ * A variant named in the blueprint (`logo_variant`) wins; otherwise the candidate whose
+ * luminance differs most from the area at `location` of the image, falling back to primary.
+ * Returns: { variant, url, storagePath, contrast } or null when the brand has no logo.
+ */
+async function pickBrandLogo({ brand, blueprint = {}, imageBuffer, location = null }) {
+  const logos = brandLogos(brand);
+  const named = blueprint.logo_variant;
+  if (named && logos[named]) return { variant: named, ...logos[named], contrast: null };
+
+  const candidates = CONTRAST_CANDIDATES.filter((v) => logos[v] && typeof logos[v].luminance === 'number');
+  if (candidates.length > 1 && imageBuffer) {
+    try {
+      const background = await measureRegionLuminance(imageBuffer, location);
+      if (background !== null) {
+        let best = null;
+        for (const variant of candidates) {
+          const contrast = Math.abs(logos[variant].luminance - background);
+          if (!best || contrast > best.contrast) best = { variant, ...logos[variant], contrast };
+        }
+        return best;
+      }
+    } catch (e) {
+      console.warn('Failed to measure logo contrast:', e?.message || e);
+    }
+  }
+
+  const fallback = ['primary', ...CONTRAST_CANDIDATES, 'icon'].find((v) => logos[v]);
+  return fallback ? { variant: fallback, ...logos[fallback], contrast: null } : null;
+}
+
+module.exports = {
+  LOGO_VARIANTS,
+  ADDITION_LOCATIONS,
+  logoVariantForField,
+  measureLogoLuminance,
+  brandLogos,
+  pickBrandLogo,
+};
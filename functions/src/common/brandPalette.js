@@ -0,0 +1,113 @@
+const sharp = require('sharp');
+
+const DEFAULT_PALETTE_SIZE = 6;
+// Pixels more transparent than this are background, not logo
+const MIN_ALPHA = 128;
+// Colors closer than this (RGB distance) are reported once
+const MIN_COLOR_DISTANCE = 24;
+// Colors covering less of the logo than this are dropped
+const MIN_COLOR_SHARE = 0.03;
+
+function toHex([r, g, b]) {
+  return `#${[r, g, b].map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+}
+
+function channelRange(pixels, c) {
+  let min = 255;
+  let max = 0;
+  for (const p of pixels) {
+    if (p[c] < min) min = p[c];
+    if (p[c] > max) max = p[c];
+  }
+  return max - min;
+}
+
+function averageColor(pixels) {
+  const sum = [0, 0, 0];
+  for (const p of pixels) {
+    sum[0] += p[0];
+    sum[1] += p[1];
+    sum[2] += p[2];
+  }
+  return sum.map((v) => v / pixels.length);
+}
+
+// Index nearest the median where the channel value changes, so one color never spans two boxes
+function splitIndex(box, c) {
+  const mid = Math.floor(box.length / 2);
+  for (let d = 0; d < box.length; d += 1) {
+    for (const k of [mid + d, mid - d]) {
+      if (k > 0 && k < box.length && box[k - 1][c] !== box[k][c]) return k;
+    }
+  }
+  return mid;
+}
+
+// Median cut: keep splitting the box with the widest channel at its median
+function medianCut(pixels, size) {
+  const boxes = [pixels];
+  while (boxes.length < size) {
+    let target = -1;
+    let targetChannel = 0;
+    let widest = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      for (let c = 0; c < 3; c += 1) {
+        const range = channelRange(box, c);
+        if (range > widest) {
+          widest = range;
+          target = i;
+          targetChannel = c;
+        }
+      }
+    });
+    if (target < 0) break;
+    const box = boxes[target].sort((a, b) => a[targetChannel] - b[targetChannel]);
+    const mid = splitIndex(box, targetChannel);
+    boxes.splice(target, 1, box.slice(0, mid), box.slice(mid));
+  }
+  return boxes;
+}
+
+/**
+ * Dominant colors of a logo, most common first, as uppercase #RRGGBB strings.
+ * Transparent pixels are ignored; returns [] when the image has no visible pixels.
+ */
+async function extractPalette(buffer, { size = DEFAULT_PALETTE_SIZE } = {}) {
+  const { data, info } = await sharp(buffer)
+    // Nearest-neighbour keeps anti-aliased edges from inventing in-between colors
+    .resize(128, 128, { fit: 'inside', withoutEnlargement: true, kernel: 'nearest' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = [];
+  for (let i = 0; i < data.length; i += info.channels) {
+    if (data[i + 3] < MIN_ALPHA) continue;
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  if (!pixels.length) return [];
+
+  const merged = [];
+  for (const box of medianCut(pixels, size)) {
+    if (!box.length) continue;
+    const color = averageColor(box);
+    const close = merged.find(({ color: c }) => Math.hypot(c[0] - color[0], c[1] - color[1], c[2] - color[2]) < MIN_COLOR_DISTANCE);
+    if (close) {
+      const count = close.count + box.length;
+      close.color = close.color.map((v, i) => (v * close.count + color[i] * box.length) / count);
+      close.count = count;
+    } else {
+      merged.push({ color, count: box.length });
+    }
+  }
+  const hexes = merged
+    .filter(({ count }) => count / pixels.length >= MIN_COLOR_SHARE)
+    .sort((a, b) => b.count - a.count)
+    .map(({ color }) => toHex(color));
+  return [...new Set(hexes)];
+}
+
+module.exports = {
+  extractPalette,
+};
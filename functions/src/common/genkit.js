@@ -30,7 +30,10 @@ async function initGenkit() {
   // Sanity log to surface missing API key during cold starts/emulator runs
   console.log('GOOGLE_API_KEY set?', !!process.env.GOOGLE_API_KEY);
 
-  if (!process.env.GOOGLE_API_KEY) {
+  // The fake image provider (IMAGE_PROVIDER=fake) never calls Gemini, so the emulator can run without a key
+  const offline = String(process.env.IMAGE_PROVIDER || '').trim().toLowerCase() === 'fake';
+
+  if (!process.env.GOOGLE_API_KEY && !offline) {
     // Throw early so endpoints can return a good error
     throw new Error('Missing GOOGLE_API_KEY secret for Genkit');
   }
@@ -40,7 +43,7 @@ async function initGenkit() {
 
   // Initialize a Genkit instance with Google AI plugin. It will pick up GOOGLE_API_KEY automatically.
   const ai = genkit({
-    plugins: [googleAI()],
+    plugins: [googleAI(process.env.GOOGLE_API_KEY ? undefined : { apiKey: false })],
   });
 
   genkitInstance = { ai, flow, z, googleAI };
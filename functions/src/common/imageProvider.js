@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const { GOOGLE_API_KEY } = require('./genkit');
+const {
+  AppError,
+  ErrorCodes,
+  providerTimeout,
+  normalizeUnknownError,
+} = require('./errors');
+
+// Aspect ratios the image models accept; tools snap their inputs to one of these
+const ALLOWED_ASPECT_RATIOS = [
+  '1:1',
+  '16:9',
+  '9:16',
+  '3:2',
+  '2:3',
+  '4:3',
+  '3:4',
+  '5:4',
+  '4:5',
+  '21:9',
+];
+
+const DEFAULT_IMAGE_MODEL = 'gemini-3-pro-image-preview';
+const DEFAULT_JSON_MODEL = 'gemini-2.5-flash';
+// Only these models accept imageConfig.imageSize; others reject the field
+const SIZED_IMAGE_MODELS = ['gemini-3-pro-image-preview'];
+const SIZE_TO_PIXELS = { '1K': 1024, '2K': 2048, '4K': 4096 };
+const DEFAULT_TIMEOUT_MS = 240000;
+
+// Closest allowed aspect ratio label for the given dimensions
+function closestAspectRatio(width, height) {
+  if (!(width > 0) || !(height > 0)) return null;
+  const ratio = width / height;
+  let best = null;
+  let bestDiff = Infinity;
+  for (const label of ALLOWED_ASPECT_RATIOS) {
+    const [rw, rh] = label.split(':').map(Number);
+    const diff = Math.abs(ratio - rw / rh);
+    if (diff < bestDiff) {
+      best = label;
+      bestDiff = diff;
+    }
+  }
+  return best;
+}
+
+// Parts are provider-neutral: { text } or { mimeType, data } with base64 data
+function imagePart(data, mimeType = 'image/png') {
+  return { mimeType, data };
+}
+
+function textPart(text) {
+  return { text };
+}
+
+// Strip markdown fences and surrounding chatter, then parse the first JSON object
+function parseJsonText(text) {
+  let toParse = String(text || '').trim();
+  if (toParse.startsWith('```')) {
+    toParse = toParse.replace(/^```(?:json)?\n?/, '');
+  }
+  if (toParse.endsWith('```')) {
+    toParse = toParse.replace(/\n?```$/, '');
+  }
+  const firstBrace = toParse.indexOf('{');
+  const lastBrace = toParse.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+    toParse = toParse.substring(firstBrace, lastBrace + 1);
+  }
+  return JSON.parse(toParse);
+}
+
+function withTimeout(promise, ms, operation) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(providerTimeout('google', operation)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function toProviderError(err, operation) {
+  if (err instanceof AppError) return err;
+  // @google/genai ApiError carries the HTTP status; tag it so normalizeUnknownError reports the provider
+  err.provider = err.provider || 'google';
+  err.operation = err.operation || operation;
+  return normalizeUnknownError(err);
+}
+
+// ---------------------------------------------------------------------------
+// Google (Gemini) provider
+// ---------------------------------------------------------------------------
+
+let genaiClient = null;
+
+function getGenaiClient() {
+  if (genaiClient) return genaiClient;
+  const apiKey = process.env.GOOGLE_API_KEY || GOOGLE_API_KEY.value();
+  if (!apiKey) {
+    throw new Error('Missing GOOGLE_API_KEY secret for Gemini');
+  }
+  // Use @google/genai directly; Genkit's media protocol does not support imageConfig on
+  // gemini-3-pro-image-preview.
+  const { GoogleGenAI } = require('@google/genai');
+  genaiClient = new GoogleGenAI({ apiKey });
+  return genaiClient;
+}
+
+function toGenaiParts(parts) {
+  return parts.map((p) => (p.text !== undefined ? { text: p.text } : { inlineData: { mimeType: p.mimeType, data: p.data } }));
+}
+
+async function googleGenerateContent({ model, parts, config, timeoutMs, operation }) {
+  try {
+    return await withTimeout(
+      getGenaiClient().models.generateContent({
+        model,
+        contents: [{ parts: toGenaiParts(parts) }],
+        config,
+      }),
+      timeoutMs,
+      operation,
+    );
+  } catch (err) {
+    throw toProviderError(err, operation);
+  }
+}
+
+async function googleGenerateImageOnce({ parts, aspectRatio, size, model, timeoutMs }) {
+  const imageConfig = {};
+  if (aspectRatio) imageConfig.aspectRatio = aspectRatio;
+  if (size && SIZED_IMAGE_MODELS.includes(model)) imageConfig.imageSize = size;
+
+  const response = await googleGenerateContent({
+    model,
+    parts,
+    config: {
+      responseModalities: ['TEXT', 'IMAGE'],
+      ...(Object.keys(imageConfig).length ? { imageConfig } : {}),
+    },
+    timeoutMs,
+    operation: 'generateImage',
+  });
+
+  let image = null;
+  const texts = [];
+  const candidateParts = response?.candidates?.[0]?.content?.parts || [];
+  for (const part of candidateParts) {
+    // Thinking models may return text parts (thoughts) alongside the image
+    if (part.inlineData?.data) image = part.inlineData;
+    if (part.text) texts.push(part.text);
+  }
+
+  if (!image) {
+    console.error('generateImage: missing image in response', JSON.stringify(response?.candidates?.[0] || response || null));
+    throw new AppError({
+      code: ErrorCodes.PIPELINE_STEP_FAILED,
+      message: 'Model did not return image media.',
+      httpStatus: 502,
+      retryable: true,
+      details: { provider: 'google', model, finishReason: response?.candidates?.[0]?.finishReason || null },
+    });
+  }
+
+  return {
+    buffer: Buffer.from(image.data, 'base64'),
+    mimeType: image.mimeType || 'image/png',
+    modelVersion: response.modelVersion || model,
+    text: texts.join('\n') || null,
+  };
+}
+
+const googleProvider = {
+  name: 'google',
+
+  async generateImage({ parts, aspectRatio, size, model, fallbackModel, timeoutMs }) {
+    try {
+      return await googleGenerateImageOnce({ parts, aspectRatio, size, model, timeoutMs });
+    } catch (err) {
+      if (!fallbackModel) throw err;
+      console.warn(`generateImage: ${model} failed, retrying with ${fallbackModel}:`, err?.message || err);
+      return googleGenerateImageOnce({ parts, aspectRatio, size, model: fallbackModel, timeoutMs });
+    }
+  },
+
+  async generateText({ parts, model, temperature, timeoutMs }) {
+    const response = await googleGenerateContent({
+      model,
+      parts,
+      config: {
+        responseModalities: ['TEXT'],
+        ...(temperature !== undefined ? { temperature } : {}),
+      },
+      timeoutMs,
+      operation: 'generateJson',
+    });
+    return { text: response?.text || '', modelVersion: response?.modelVersion || model };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Fake provider: deterministic, offline output for the emulator (IMAGE_PROVIDER=fake)
+// ---------------------------------------------------------------------------
+
+function hashParts(parts, extra = '') {
+  const hash = crypto.createHash('sha256');
+  hash.update(extra);
+  for (const p of parts) {
+    hash.update(p.text !== undefined ? `t:${p.text}` : `i:${p.mimeType}:${p.data}`);
+  }
+  return hash.digest();
+}
+
+function fakeDimensions(aspectRatio, size) {
+  const longSide = SIZE_TO_PIXELS[size] || SIZE_TO_PIXELS['1K'];
+  const [rw, rh] = String(aspectRatio || '1:1').split(':').map(Number);
+  if (!(rw > 0) || !(rh > 0)) return { width: longSide, height: longSide };
+  return rw >= rh
+    ? { width: longSide, height: Math.max(1, Math.round((longSide * rh) / rw)) }
+    : { width: Math.max(1, Math.round((longSide * rw) / rh)), height: longSide };
+}
+
+// Plausible value for a zod schema, so fake JSON passes the caller's own validation
+function sampleFromSchema(schema) {
+  const def = schema?._def;
+  switch (def?.typeName) {
+    case 'ZodObject': {
+      const shape = typeof def.shape === 'function' ? def.shape() : def.shape;
+      const out = {};
+      for (const [key, value] of Object.entries(shape || {})) out[key] = sampleFromSchema(value);
+      return out;
+    }
+    case 'ZodArray':
+      return [sampleFromSchema(def.type)];
+    case 'ZodString':
+      return 'Sample text';
+    case 'ZodNumber':
+      return 0.5;
+    case 'ZodBoolean':
+      return false;
+    case 'ZodEnum':
+      return def.values[0];
+    case 'ZodLiteral':
+      return def.value;
+    case 'ZodUnion':
+      return sampleFromSchema(def.options[0]);
+    case 'ZodDefault':
+      return def.defaultValue();
+    case 'ZodOptional':
+    case 'ZodNullable':
+      return sampleFromSchema(def.innerType);
+    case 'ZodEffects':
+      return sampleFromSchema(def.schema);
+    case 'ZodRecord':
+      return {};
+    default:
+      return null;
+  }
+}
+
+const fakeProvider = {
+  name: 'fake',
+
+  async generateImage({ parts, aspectRatio, size, model, variant }) {
+    const sharp = require('sharp');
+    const digest = hashParts(parts, `${aspectRatio || ''}|${size || ''}|${variant || 0}`);
+    const { width, height } = fakeDimensions(aspectRatio, size);
+    const background = { r: digest[0], g: digest[1], b: digest[2] };
+    const inset = await sharp({
+      create: {
+        width: Math.max(1, Math.round(width / 2)),
+        height: Math.max(1, Math.round(height / 2)),
+        channels: 3,
+        background: { r: digest[3], g: digest[4], b: digest[5] },
+      },
+    }).png().toBuffer();
+    const buffer = await sharp({ create: { width, height, channels: 3, background } })
+      .composite([{ input: inset, left: Math.round(width / 4), top: Math.round(height / 4) }])
+      .png()
+      .toBuffer();
+    return { buffer, mimeType: 'image/png', modelVersion: `fake:${model}`, text: null };
+  },
+
+  async generateText({ model, schema, fakeResponse }) {
+    const value = fakeResponse !== undefined ? fakeResponse : sampleFromSchema(schema);
+    return { text: JSON.stringify(value ?? {}), modelVersion: `fake:${model}` };
+  },
+};
+
+const PROVIDERS = { google: googleProvider, fake: fakeProvider };
+
+// Provider picked by IMAGE_PROVIDER (default: google). Read per call so the emulator can switch without a redeploy.
+function getProvider() {
+  const name = String(process.env.IMAGE_PROVIDER || 'google').trim().toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown IMAGE_PROVIDER: ${name}`);
+  }
+  return provider;
+}
+
+function isFakeProvider() {
+  return getProvider() === fakeProvider;
+}
+
+/**
+ * Generate one image from ordered prompt parts.
+ * parts: [{ text } | { mimeType, data }] — order is sent to the model as given
+ * size: '1K' | '2K' | '4K', ignored by models that do not support it
+ * fallbackModel: retried once when the primary model fails
+ * variant: index within a multi-variant request. Real models already differ per call;
+ *          the fake provider mixes it into its hash so candidates are distinguishable.
+ * Returns: { buffer, mimeType, modelVersion, text }
+ */
+async function generateImage({
+  parts,
+  aspectRatio = null,
+  size = null,
+  model = DEFAULT_IMAGE_MODEL,
+  fallbackModel = null,
+  variant = 0,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) {
+  return getProvider().generateImage({ parts, aspectRatio, size, model, fallbackModel, variant, timeoutMs });
+}
+
+/**
+ * Ask a text model for JSON and parse it. When `schema` (zod) is given the result
+ * is validated against it. `fallback` is returned instead of throwing when the
+ * model output is not JSON. `fakeResponse` overrides the fake provider's
+ * schema-derived sample.
+ */
+async function generateJson({
+  parts,
+  schema = null,
+  model = DEFAULT_JSON_MODEL,
+  temperature,
+  fallback,
+  fakeResponse,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) {
+  const { text } = await getProvider().generateText({ parts, schema, model, temperature, fakeResponse, timeoutMs });
+
+  let json;
+  try {
+    json = parseJsonText(text);
+  } catch (e) {
+    if (fallback !== undefined) return fallback;
+    console.error('generateJson: model returned non-JSON output:', text);
+    throw new AppError({
+      code: ErrorCodes.PIPELINE_STEP_FAILED,
+      message: 'INVALID_AI_RESPONSE',
+      httpStatus: 502,
+      retryable: true,
+      details: { model, responseText: String(text || '').slice(0, 2000) },
+    });
+  }
+
+  if (!schema) return json;
+  const result = schema.safeParse(json);
+  if (!result.success) {
+    throw new AppError({
+      code: ErrorCodes.PIPELINE_STEP_FAILED,
+      message: 'INVALID_AI_RESPONSE',
+      httpStatus: 502,
+      retryable: true,
+      details: { model, issues: result.error.issues },
+    });
+  }
+  return result.data;
+}
+
+module.exports = {
+  ALLOWED_ASPECT_RATIOS,
+  DEFAULT_IMAGE_MODEL,
+  DEFAULT_JSON_MODEL,
+  closestAspectRatio,
+  imagePart,
+  textPart,
+  parseJsonText,
+  isFakeProvider,
+  generateImage,
+  generateJson,
+};
@@ -0,0 +1,84 @@
+const { validationError } = require('./errors');
+
+// Languages one multi-language request may ask for
+const MAX_TARGET_LANGUAGES = 5;
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Canonical BCP-47 tag ("tr-tr" -> "tr-TR"), or null when the tag is malformed
+function canonicalLanguage(tag) {
+  if (typeof tag !== 'string' || !tag.trim()) return null;
+  try {
+    return Intl.getCanonicalLocales(tag.trim())[0] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// English name used in prompts: "de-AT" -> "Austrian German (de-AT)"
+function languageLabel(tag) {
+  let name = null;
+  try {
+    name = displayNames.of(tag);
+  } catch (e) {
+    name = null;
+  }
+  return name && name !== tag ? `${name} (${tag})` : tag;
+}
+
+function readList(value) {
+  if (Array.isArray(value)) return value;
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed;
+    } catch (e) {
+      // fall through to comma separated
+    }
+  }
+  return text.split(',');
+}
+
+/**
+ * Read the target language options of a request (JSON body or multipart fields).
+ * `targetLanguage` is a single BCP-47 tag; `targetLanguages` (array, JSON array or comma
+ * separated) asks for one result per language. Sending both is rejected.
+ * Returns: { languages: string[], multi: boolean } — languages is [] when neither is set.
+ */
+function parseTargetLanguages(source = {}) {
+  const single = source.targetLanguage;
+  const list = source.targetLanguages;
+  const hasSingle = single !== undefined && single !== null && single !== '';
+  const hasList = list !== undefined && list !== null && list !== '';
+  if (hasSingle && hasList) {
+    throw validationError({ targetLanguages: 'send either targetLanguage or targetLanguages, not both' });
+  }
+
+  if (hasSingle) {
+    const tag = canonicalLanguage(single);
+    if (!tag) throw validationError({ targetLanguage: 'must be a BCP-47 language tag such as "de" or "tr-TR"' });
+    return { languages: [tag], multi: false };
+  }
+  if (!hasList) return { languages: [], multi: false };
+
+  const tags = [];
+  for (const raw of readList(list)) {
+    if (typeof raw === 'string' && !raw.trim()) continue;
+    const tag = canonicalLanguage(raw);
+    if (!tag) throw validationError({ targetLanguages: `"${raw}" is not a BCP-47 language tag` });
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  if (!tags.length) throw validationError({ targetLanguages: 'must list at least one language' });
+  if (tags.length > MAX_TARGET_LANGUAGES) {
+    throw validationError({ targetLanguages: `at most ${MAX_TARGET_LANGUAGES} languages per request` });
+  }
+  return { languages: tags, multi: true };
+}
+
+module.exports = {
+  MAX_TARGET_LANGUAGES,
+  canonicalLanguage,
+  languageLabel,
+  parseTargetLanguages,
+};
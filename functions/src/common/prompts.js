@@ -1,17 +1,66 @@
 // Centralized prompt builders for tools
 
+const { languageLabel } = require('./languages');
+
 const REPLACE_IMAGE_PROMPT_VERSION = 'replace-image-v1';
 
-function getExtractTextsPrompt() {
-  return [
+// How translated template texts are written so they still fit the design
+const TRANSLATION_RULES = [
+  '- Keep each translation close to the original character length (within about 20%) so it fits the same space; prefer a shorter wording over a literal one that overflows.',
+  '- Keep brand names, product names, phone numbers, URLs, prices and social handles unchanged.',
+  '- Keep the original capitalization style (ALL CAPS stays ALL CAPS) and punctuation such as "!" or "%".',
+];
+
+// Per-text layout fields shared by text extraction and text layout detection
+const TEXT_LAYOUT_FIELDS = [
+  '- box: its bounding box in normalized coordinates (0...1 of the image width and height), tight around the letters, covering every line of the text.',
+  '- font_size: the font size (about the height of one line of text) as a share of the image height.',
+  '- color: the main fill color as #rrggbb.',
+  '- weight: one of light, regular, medium, bold, black.',
+  '- align: left, center or right, how the lines are aligned to each other (center for a single line placed centrally).',
+  '- role: headline (titles and large display text), body (descriptions and other copy), cta (button or call-to-action text) or contact (phone, address, website, email, social handles).',
+];
+const TEXT_LAYOUT_EXAMPLE =
+  '{"text": "...", "box": {"top_left": {"x": 0.1, "y": 0.1}, "bottom_right": {"x": 0.5, "y": 0.2}}, "font_size": 0.06, "color": "#ffffff", "weight": "bold", "align": "center", "role": "headline"}';
+
+function getExtractTextsPrompt({ targetLanguages = [] } = {}) {
+  const lines = [
     'Task: Extract ALL visible texts exactly as shown in the image (preserve order).',
     'Do NOT rewrite or suggest alternatives. Only extract what is visibly present.',
-    'Output ONLY the following JSON object:',
-    '{"original_texts": ["..."]}',
+    'Give one entry per text block (a headline spanning two lines is one text, with a line break), and for each:',
+    ...TEXT_LAYOUT_FIELDS,
+  ];
+  if (!targetLanguages.length) {
+    lines.push('Output ONLY the following JSON object:', `{"texts": [${TEXT_LAYOUT_EXAMPLE}]}`);
+    return lines.join('\n');
+  }
+  lines.push(
+    `Then translate every extracted text into: ${targetLanguages.map(languageLabel).join(', ')}.`,
+    ...TRANSLATION_RULES,
+    'Output ONLY the following JSON object, with one array per language tag holding one translation per extracted text, in the same order:',
+    `{"texts": [${TEXT_LAYOUT_EXAMPLE}], "translations": {${targetLanguages.map((tag) => `"${tag}": ["..."]`).join(', ')}}}`
+  );
+  return lines.join('\n');
+}
+
+// Layout of known texts, for rendering their replacements in place (overlay mode of generateChangeText)
+function getTextLayoutPrompt({ texts = [] }) {
+  return [
+    'Task: Locate each of the following texts in the image and describe how it is set.',
+    ...texts.map((text, i) => `${i + 1}. ${JSON.stringify(text)}`),
+    'For each text give:',
+    ...TEXT_LAYOUT_FIELDS,
+    'Output ONLY the following JSON object, one entry per text above, in the same order, with the text copied exactly:',
+    `{"texts": [${TEXT_LAYOUT_EXAMPLE}]}`,
   ].join('\n');
 }
 
-function buildChangeTextPrompt({ textOps = {}, aspectRatio = null }) {
+// Rendering hint for text in a specific language; models tend to drop diacritics (ş, ğ, ß, ü)
+function languageRenderingRule(targetLanguage) {
+  return `The texts are in ${languageLabel(targetLanguage)}: render them exactly as written, with every accent and special letter.`;
+}
+
+function buildChangeTextPrompt({ textOps = {}, aspectRatio = null, targetLanguage = null }) {
   const parts = [];
   parts.push(
     'Update the design by applying the following text changes. Remove any field where the new value is null. Preserve layout and composition.'
@@ -27,17 +76,36 @@ function buildChangeTextPrompt({ textOps = {}, aspectRatio = null }) {
       }
     }
   }
+  if (targetLanguage) parts.push(languageRenderingRule(targetLanguage));
   if (aspectRatio) parts.push(`Target aspect ratio: ${aspectRatio}.`);
   return parts.join('\n');
 }
 
-function buildAddObjectPrompt({ objectLocation, originalAspectRatio, targetAspectRatio }) {
+// Overlay mode erases the old texts only; the new ones are drawn server-side afterwards
+function buildRemoveTextsPrompt({ texts = [], regionHint }) {
+  const parts = [];
+  parts.push('You are an expert image retoucher.');
+  parts.push(`Task: Remove the following texts from ${regionHint}: ${texts.map((t) => JSON.stringify(t)).join(', ')}.`);
+  parts.push('Rules (follow strictly):');
+  parts.push('1) Fill where the letters were with the background behind them: continue colors, gradients, patterns and textures.');
+  parts.push('2) Do not write any new text, letters or symbols anywhere.');
+  parts.push('3) Keep every other element, including other texts, logos and people, exactly as it is.');
+  parts.push('4) The output must match image #1 canvas exactly.');
+  return parts.join('\n');
+}
+
+function buildAddObjectPrompt({ objectLocation, originalAspectRatio, targetAspectRatio, regionHint = null }) {
   const parts = [];
   if (!targetAspectRatio || !originalAspectRatio || targetAspectRatio === originalAspectRatio) {
     parts.push('Output size: exactly match Image 1 (same width and height).');
   }
   parts.push('Add the object from Image 2 into Image 1.');
-  parts.push(`Target location: ${objectLocation}.`);
+  if (regionHint) {
+    parts.push(`Target location: ${objectLocation ? `${objectLocation}, inside ${regionHint}` : regionHint}.`);
+    parts.push('Keep the object fully inside that area; pixels outside it are discarded.');
+  } else {
+    parts.push(`Target location: ${objectLocation}.`);
+  }
   parts.push('Edit only the target region; preserve everything else.');
   parts.push('Match lighting, color balance, and shadows.');
 
@@ -48,13 +116,17 @@ function buildAddObjectPrompt({ objectLocation, originalAspectRatio, targetAspec
   return parts.join('\n');
 }
 
-function buildReplaceImagePrompt({ description, originalAspectRatio, targetAspectRatio }) {
+function buildReplaceImagePrompt({ description, originalAspectRatio, targetAspectRatio, regionHint = null }) {
   const parts = [];
   parts.push('You are an expert image editor.');
   parts.push(
     'Task: In image #1 (the template crop), replace the described object/subject using image #2 (the replacement source).'
   );
-  if (!targetAspectRatio || !originalAspectRatio || targetAspectRatio === originalAspectRatio) {
+  if (regionHint) {
+    parts.push(
+      `Target region: ${regionHint}. The output must match image #1 canvas exactly; only the target region is kept, everything outside it is discarded.`
+    );
+  } else if (!targetAspectRatio || !originalAspectRatio || targetAspectRatio === originalAspectRatio) {
     parts.push(
       'Target region: the ENTIRE bounds of image #1. The output must match image #1 canvas exactly (no padding, borders, blank areas, or resizing the canvas).'
     );
@@ -91,7 +163,23 @@ function buildRebrandBlueprintPrompt({ llmResult, brand, userId = null, template
   // ... (this function is not the one I want to edit, I want buildRebrandPrompt)
 }
 
-function buildRebrandPrompt({ brand, blueprint, originalAspectRatio, targetAspectRatio }) {
+// Typography and wording rules from the brand kit that apply to any text rendered in the image
+function brandTypographyRules(brand = {}) {
+  const rules = [];
+  if (brand.primaryFont && brand.secondaryFont) {
+    rules.push(
+      `Typography: set headlines in ${brand.primaryFont} and body text in ${brand.secondaryFont} (or the closest matching typefaces).`
+    );
+  } else if (brand.primaryFont || brand.secondaryFont) {
+    rules.push(`Typography: set all text in ${brand.primaryFont || brand.secondaryFont} (or the closest matching typeface).`);
+  }
+  if (Array.isArray(brand.forbiddenWords) && brand.forbiddenWords.length) {
+    rules.push(`Never render any of these words: ${brand.forbiddenWords.map((w) => `"${w}"`).join(', ')}.`);
+  }
+  return rules;
+}
+
+function buildRebrandPrompt({ brand, blueprint, originalAspectRatio, targetAspectRatio, qrLocation = null }) {
   const parts = [];
   parts.push('Update the design per the following blueprint suggestions.');
 
@@ -145,9 +233,20 @@ function buildRebrandPrompt({ brand, blueprint, originalAspectRatio, targetAspec
         if (brand?.address) parts.push(`Add the address "${brand.address}" at ${location}.`);
         continue;
       }
+      if (lowerType === 'tagline') {
+        if (brand?.tagline) parts.push(`Add the tagline "${brand.tagline}" at ${location}.`);
+        continue;
+      }
     }
   }
 
+  parts.push(...brandTypographyRules(brand || {}));
+  if (blueprint.language) parts.push(languageRenderingRule(blueprint.language));
+  // The QR code is composited afterwards; the model only has to leave room for it
+  if (qrLocation) {
+    parts.push(`Keep the ${qrLocation} area free of text and logos; a QR code is placed there afterwards. Do not draw a QR code yourself.`);
+  }
+
 
 
   // If we have both aspect ratios and they differ, add outpainting instructions
@@ -160,7 +259,7 @@ function buildRebrandPrompt({ brand, blueprint, originalAspectRatio, targetAspec
   return parts.join('\n');
 }
 
-function buildSmartBlueprintPrompt({ brand = {}, updateFields = {} }) {
+function buildSmartBlueprintPrompt({ brand = {}, updateFields = {}, targetLanguage = null }) {
   // Build field values table with nulls for disabled/missing fields
   const fieldValues = {};
   for (const [key, enabled] of Object.entries(updateFields)) {
@@ -171,12 +270,20 @@ function buildSmartBlueprintPrompt({ brand = {}, updateFields = {} }) {
     }
   }
   const fieldValuesJson = JSON.stringify(fieldValues, null, 2);
+  const socialHandles = Object.entries(brand.socialHandles || {})
+    .map(([network, handle]) => `${network}: ${handle}`)
+    .join(', ');
+  const forbiddenWords = (brand.forbiddenWords || []).map((w) => `"${w}"`).join(', ');
 
   const promptText = [
     'We will update the texts in the provided image so they align with the branding of:',
     '',
     `- **Brand Name:** ${brand.brandName || 'N/A'}`,
     `- **Description:** ${brand.description || 'N/A'}`,
+    `- **Tagline:** ${brand.tagline || 'N/A'}`,
+    `- **Tone of voice:** ${brand.toneOfVoice || 'N/A'}`,
+    `- **Social handles:** ${socialHandles || 'N/A'}`,
+    `- **Forbidden words:** ${forbiddenWords || 'N/A'}`,
     '',
     'Use the table below to determine which types of text should appear in the updated output:',
     '',
@@ -190,13 +297,19 @@ function buildSmartBlueprintPrompt({ brand = {}, updateFields = {} }) {
     '- **Fields that have a valid value,** must appear **at least once** in either **“updated_texts”** or **“additions.”**',
     '    - If you can replace original text with a context-appropriate and similarly sized version, do so in **“updated_texts.”**',
     '    - If no suitable replacement exists, add the content to “additions” with a strict object per entry containing: **type**, and **location**.',
-    '      - **type** must be one of: "phone" | "website" | "brand_name" | "brand_address" | "brand_logo".',
+    '      - **type** must be one of: "phone" | "website" | "brand_name" | "brand_address" | "brand_logo" | "tagline".',
     '      - **location** must be one of exactly: "bottom-right", "bottom-left", "bottom-mid", "top-left", "top-mid", "top-right". Do not use synonyms like "left-bottom" or "center-bottom".',
     '',
     '**Task:**',
     '',
     '1. Extract **all text that appears in the image** exactly as shown.',
-    '2. Rewrite and improve each extracted text so it matches the above brand’s brand voice, while trying to keep the character length similar to the original.',
+    '2. Rewrite and improve each extracted text so it matches the above brand’s tone of voice, while trying to keep the character length similar to the original. Never use a forbidden word; where a handle or tagline fits, use the brand’s own.',
+    ...(targetLanguage
+      ? [
+        `    - Write every updated text in **${languageLabel(targetLanguage)}**, translating texts that are in another language. "original_texts" stay exactly as shown.`,
+        ...TRANSLATION_RULES.map((rule) => `    ${rule}`),
+      ]
+      : []),
     '3. Identify whether the image contains **any logo that could be replaced** with the new brand logo.',
     '4. Return the final result strictly in the following JSON structure:',
     '',
@@ -224,6 +337,82 @@ function buildSmartBlueprintPrompt({ brand = {}, updateFields = {} }) {
   return promptText;
 }
 
+// The model draws a matte rather than the cutout itself, so the original pixels are kept untouched
+function buildRemoveBackgroundPrompt({ subject = null } = {}) {
+  const parts = [];
+  parts.push('Task: Produce a segmentation matte for the main subject of this image.');
+  parts.push(subject ? `Subject: ${subject}.` : 'Subject: the main product or object in the foreground.');
+  parts.push('- Paint every pixel of the subject pure white (#FFFFFF) and everything else pure black (#000000).');
+  parts.push('- Include parts that belong to the subject (handles, straps, legs, labels); exclude its shadow and reflections.');
+  parts.push('- Follow the subject outline exactly; use grey only for semi-transparent parts and soft edges such as hair or glass.');
+  parts.push('- Output size: exactly match the input image (same width, height and framing). No text, no borders.');
+  return parts.join('\n');
+}
+
+function buildProductScenePrompt({ scene = null, hasSceneImage = false, originalAspectRatio, targetAspectRatio }) {
+  const parts = [];
+  parts.push('You are an expert product photographer.');
+  if (hasSceneImage) {
+    parts.push(`Task: Place the product from image #1 into the scene of image #2${scene ? `, adjusted as follows: ${scene}` : ''}.`);
+  } else {
+    parts.push(`Task: Create a lifestyle photo of the product from image #1 in this scene: ${scene}.`);
+  }
+  parts.push('Rules (follow strictly):');
+  parts.push('1) Keep the product exactly as in image #1: shape, proportions, colors, materials, label text and logos. Do not redraw or restyle it.');
+  parts.push('2) Match the scene lighting on the product: light direction, color temperature and softness. Add contact shadows and reflections where it touches a surface.');
+  parts.push('3) Scale the product realistically for the scene and keep it in focus as the hero of the shot.');
+  parts.push('4) Photorealistic result. No added text, logos or watermarks.');
+  if (!hasSceneImage) {
+    if (targetAspectRatio) parts.push(`Output aspect ratio: ${targetAspectRatio}.`);
+  } else if (originalAspectRatio && targetAspectRatio && originalAspectRatio !== targetAspectRatio) {
+    parts.push(`Change aspect ratio to ${targetAspectRatio}, use outpainting and generative fill, seamless background extension, no distortion, preserve subject details.`);
+  } else {
+    parts.push('Output size: exactly match image #2 (same width and height).');
+  }
+  return parts.join('\n');
+}
+
+// One finished design re-laid out for another format; placements name where it will be shown
+function buildResizePrompt({ originalAspectRatio, targetAspectRatio, placements = [], notes = [] }) {
+  const parts = [];
+  parts.push('You are an expert layout designer.');
+  parts.push(
+    `Task: Adapt this finished design from ${originalAspectRatio || 'its current format'} to ${targetAspectRatio}` +
+      (placements.length ? ` for ${placements.join(', ')}.` : '.')
+  );
+  parts.push('Rules (follow strictly):');
+  parts.push('1) Re-lay out the design for the new format instead of cropping or squeezing it. Extend the background with seamless outpainting where needed.');
+  parts.push('2) Keep every text element and the logo fully visible, unclipped and legible at the new size. Do not change any wording, spelling or brand colors.');
+  parts.push('3) Keep the main subject undistorted and keep a safe margin of about 5% between text or logo and the edges.');
+  parts.push('4) Do not add new text, logos or elements.');
+  for (const note of notes) parts.push(`- ${note}`);
+  return parts.join('\n');
+}
+
+function buildEraseObjectPrompt({ description = null, regionHint }) {
+  const parts = [];
+  parts.push('You are an expert image retoucher.');
+  parts.push(
+    `Task: Remove ${description || 'the object'} in ${regionHint} and fill the area as if it had never been there.`
+  );
+  parts.push('Rules (follow strictly):');
+  parts.push('1) Continue the surrounding background, patterns, gradients and textures through the area. Do not put a new object there.');
+  parts.push('2) Remove the whole object, including its shadow, outline and any text or logo that belongs to it.');
+  parts.push('3) Match lighting, color, perspective, grain and noise of the surroundings so the fill is invisible.');
+  parts.push('4) The output must match image #1 canvas exactly; only the target area is kept, everything outside it is discarded.');
+  return parts.join('\n');
+}
+
+// Upscaling must not redraw the design: same layout, text and colors, only finer detail
+function buildUpscalePrompt() {
+  const parts = [];
+  parts.push('Task: Upscale this image to a higher resolution for print.');
+  parts.push('- Keep the composition, framing, colors, text and every element exactly as they are. Do not add, remove or move anything.');
+  parts.push('- Restore fine detail: crisp edges, clean lettering, natural textures. Remove compression artifacts and noise.');
+  parts.push('- Do not stylize, recolor or retouch faces and products beyond sharpening.');
+  return parts.join('\n');
+}
+
 function buildVirtualModelPrompt({ mode, targetHand }) {
   const parts = [];
   parts.push(
@@ -254,9 +443,16 @@ module.exports = {
   REPLACE_IMAGE_PROMPT_VERSION,
   getExtractTextsPrompt, 
   buildChangeTextPrompt, 
+  getTextLayoutPrompt,
+  buildRemoveTextsPrompt,
   buildAddObjectPrompt, 
   buildReplaceImagePrompt, 
   buildRebrandPrompt, 
   buildSmartBlueprintPrompt, 
+  buildRemoveBackgroundPrompt,
+  buildEraseObjectPrompt,
+  buildResizePrompt,
+  buildProductScenePrompt,
+  buildUpscalePrompt,
   buildVirtualModelPrompt, 
 };
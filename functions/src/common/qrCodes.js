@@ -0,0 +1,163 @@
+const sharp = require('sharp');
+const QRCode = require('qrcode');
+const jsQR = require('jsqr');
+const { AppError, ErrorCodes, validationError } = require('./errors');
+const { ADDITION_LOCATIONS } = require('./brandLogos');
+
+const MAX_QR_URL_LENGTH = 500;
+// Light modules around the code; the QR spec asks for at least 4
+const QUIET_ZONE_MODULES = 4;
+// Below this a phone camera starts to miss modules on print and screens
+const MIN_MODULE_PX = 4;
+// Code width as a share of the image's shorter side, and the allowed range for callers
+const DEFAULT_QR_SIZE = 0.2;
+const MIN_QR_SIZE = 0.1;
+const MAX_QR_SIZE = 0.4;
+// Gap between the code and the image edge, as a share of the shorter side
+const EDGE_MARGIN = 0.03;
+// Scanners need strong dark-on-light contrast; brand colors are only used above this ratio
+const MIN_QR_CONTRAST = 7;
+
+// Trimmed http(s) URL for a QR code; bare domains such as brand.website get https://
+function normalizeQrUrl(value, field = 'url') {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  if (text.length > MAX_QR_URL_LENGTH) throw validationError({ [field]: `must be at most ${MAX_QR_URL_LENGTH} characters` });
+  const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`;
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch (e) {
+    throw validationError({ [field]: 'not a valid URL' });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw validationError({ [field]: 'must be an http or https URL' });
+  return url.toString();
+}
+
+/**
+ * Read the QR options of a request: { url?, location?, size? } (object or JSON string).
+ * url falls back to `fallbackUrl` (the brand website); location defaults to bottom-right.
+ * Returns: { url, location, size } or null when nothing was sent.
+ */
+function parseQrOptions(value, { fallbackUrl = null } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  let options = value;
+  if (typeof value === 'string') {
+    try {
+      options = JSON.parse(value);
+    } catch (e) {
+      throw validationError({ qrCode: 'invalid JSON' });
+    }
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) throw validationError({ qrCode: 'must be an object' });
+
+  const url = normalizeQrUrl(options.url, 'qrCode.url') || normalizeQrUrl(fallbackUrl, 'qrCode.url');
+  if (!url) throw validationError({ 'qrCode.url': 'required when the brand has no website' });
+  const location = options.location || 'bottom-right';
+  if (!ADDITION_LOCATIONS.includes(location)) {
+    throw validationError({ 'qrCode.location': `must be one of ${ADDITION_LOCATIONS.join('|')}` });
+  }
+  const size = options.size === undefined || options.size === null || options.size === '' ? DEFAULT_QR_SIZE : Number(options.size);
+  if (!Number.isFinite(size) || size < MIN_QR_SIZE || size > MAX_QR_SIZE) {
+    throw validationError({ 'qrCode.size': `must be between ${MIN_QR_SIZE} and ${MAX_QR_SIZE} of the shorter image side` });
+  }
+  return { url, location, size };
+}
+
+function parseHexColor(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, (c) => c + c) : match[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+// WCAG relative luminance of a #rrggbb color
+function relativeLuminance(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+  const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+/**
+ * Module colors for a brand: the darkest palette color on the lightest one, each only when it
+ * keeps the contrast a scanner needs; plain black and white otherwise.
+ * Returns: { dark, light } as #rrggbb
+ */
+function qrColors(brand = {}) {
+  const palette = (Array.isArray(brand.colorPalette) ? brand.colorPalette : []).map(parseHexColor).filter(Boolean);
+  const byLuminance = [...palette].sort((a, b) => relativeLuminance(a) - relativeLuminance(b));
+  const darkest = byLuminance[0];
+  const lightest = byLuminance[byLuminance.length - 1];
+
+  const dark = darkest && contrastRatio(darkest, '#ffffff') >= MIN_QR_CONTRAST ? darkest : '#000000';
+  const light = lightest && contrastRatio(dark, lightest) >= MIN_QR_CONTRAST ? lightest : '#ffffff';
+  return { dark, light };
+}
+
+// Top-left corner of a `size` square at a blueprint location, `margin` away from the edges
+function qrPosition(location, size, width, height, margin) {
+  const [row, col] = location.split('-');
+  const left = col === 'left' ? margin : col === 'right' ? width - size - margin : Math.round((width - size) / 2);
+  const top = row === 'top' ? margin : height - size - margin;
+  return { left, top };
+}
+
+/**
+ * Render `url` as a QR code and composite it onto the image at `location`, then decode the
+ * result from the composited pixels so a code that does not scan never leaves the server.
+ * Returns: { buffer (PNG), mimeType, width, height, box: { left, top, width, height } }
+ */
+async function placeQrCode(imageBuffer, { url, location = 'bottom-right', size = DEFAULT_QR_SIZE, dark = '#000000', light = '#ffffff' }) {
+  const base = await sharp(imageBuffer).rotate().png().toBuffer();
+  const { width, height } = await sharp(base).metadata();
+  const shortSide = Math.min(width, height);
+
+  // Snap to whole pixels per module so every module is drawn the same size
+  const totalModules = QRCode.create(url, { errorCorrectionLevel: 'M' }).modules.size + 2 * QUIET_ZONE_MODULES;
+  const modulePx = Math.max(MIN_MODULE_PX, Math.floor((shortSide * size) / totalModules));
+  const qrSize = modulePx * totalModules;
+  const margin = Math.round(shortSide * EDGE_MARGIN);
+  if (qrSize + 2 * margin > shortSide) {
+    throw validationError({ qrCode: `image is too small for a scannable QR code of ${url.length} characters` });
+  }
+
+  const qr = await QRCode.toBuffer(url, {
+    errorCorrectionLevel: 'M',
+    margin: QUIET_ZONE_MODULES,
+    width: qrSize,
+    color: { dark: `${dark}ff`, light: `${light}ff` },
+  });
+  const { left, top } = qrPosition(location, qrSize, width, height, margin);
+  const buffer = await sharp(base).composite([{ input: qr, left, top }]).png().toBuffer();
+
+  const box = { left, top, width: qrSize, height: qrSize };
+  const { data, info } = await sharp(buffer).extract(box).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const decoded = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height);
+  if (!decoded || decoded.data !== url) {
+    throw new AppError({
+      code: ErrorCodes.PIPELINE_STEP_FAILED,
+      message: 'QR code did not decode after compositing',
+      httpStatus: 422,
+      retryable: false,
+      details: { location, decoded: decoded ? decoded.data : null },
+    });
+  }
+
+  return { buffer, mimeType: 'image/png', width, height, box };
+}
+
+module.exports = {
+  DEFAULT_QR_SIZE,
+  normalizeQrUrl,
+  parseHexColor,
+  parseQrOptions,
+  qrColors,
+  placeQrCode,
+};
@@ -0,0 +1,214 @@
+const sharp = require('sharp');
+const { validationError } = require('./errors');
+
+// Context kept around the edited region so the model sees its surroundings
+const REGION_CONTEXT_RATIO = 0.15;
+const MIN_REGION_CONTEXT = 16;
+// Width of the soft edge, in original-image pixels, blended inside the region
+const DEFAULT_FEATHER = 8;
+
+/**
+ * Parse a client bounding box { left, top, width, height } in original-image pixels.
+ * Accepts an object or its JSON string; returns null when nothing was sent.
+ */
+function parseRegionBox(value) {
+  if (value === undefined || value === null || value === '') return null;
+  let box = value;
+  if (typeof value === 'string') {
+    try {
+      box = JSON.parse(value);
+    } catch (_) {
+      throw validationError({ region: 'invalid JSON' });
+    }
+  }
+  const keys = ['left', 'top', 'width', 'height'];
+  const parsed = {};
+  for (const key of keys) {
+    const n = Number(box && box[key]);
+    if (!Number.isFinite(n) || n < 0) throw validationError({ region: `${key} must be a non-negative number` });
+    parsed[key] = Math.round(n);
+  }
+  if (parsed.width < 1 || parsed.height < 1) throw validationError({ region: 'width and height must be positive' });
+  return parsed;
+}
+
+// Binary mask (0/255, one byte per pixel) at the original size: the mask's alpha when it
+// carries transparency, else its luminance
+async function maskToBinary(maskBuffer, width, height) {
+  const img = sharp(maskBuffer).resize(width, height, { fit: 'fill' });
+  const meta = await sharp(maskBuffer).metadata();
+  let useAlpha = false;
+  if (meta.hasAlpha) {
+    const { channels } = await sharp(maskBuffer).stats();
+    useAlpha = channels[channels.length - 1].min < 255;
+  }
+  const channel = useAlpha ? img.extractChannel('alpha') : img.greyscale();
+  const { data } = await channel.raw().toBuffer({ resolveWithObject: true });
+  const out = Buffer.alloc(width * height);
+  for (let i = 0; i < out.length; i += 1) out[i] = data[i] >= 128 ? 255 : 0;
+  return out;
+}
+
+function boundsOfMask(mask, width, height) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (!mask[y * width + x]) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  if (maxX < 0) return null;
+  return { left: minX, top: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Cut the region to edit out of the full-resolution image.
+ * The region is either `box` or the painted area of `maskBuffer` (white or opaque = edit).
+ * Returns a handle for compositeRegion plus the crop to send to the model:
+ * { base, width, height, box, crop, mask, feather, regionBuffer, regionMimeType, hint }
+ */
+async function prepareRegion({ imageBuffer, box = null, maskBuffer = null, feather = DEFAULT_FEATHER }) {
+  // Bake EXIF orientation in so client coordinates match the pixels we edit
+  const base = await sharp(imageBuffer).rotate().png().toBuffer();
+  const { width, height } = await sharp(base).metadata();
+
+  let fullMask = null;
+  let target = box;
+  if (maskBuffer) {
+    fullMask = await maskToBinary(maskBuffer, width, height);
+    target = boundsOfMask(fullMask, width, height);
+    if (!target) throw validationError({ mask: 'mask is empty' });
+  }
+  if (!target) throw validationError({ region: 'required', mask: 'required' });
+
+  const left = Math.min(target.left, width - 1);
+  const top = Math.min(target.top, height - 1);
+  const clamped = {
+    left,
+    top,
+    width: Math.max(1, Math.min(target.width, width - left)),
+    height: Math.max(1, Math.min(target.height, height - top)),
+  };
+
+  const pad = Math.max(MIN_REGION_CONTEXT, Math.round(Math.max(clamped.width, clamped.height) * REGION_CONTEXT_RATIO));
+  const cropLeft = Math.max(0, clamped.left - pad);
+  const cropTop = Math.max(0, clamped.top - pad);
+  const crop = {
+    left: cropLeft,
+    top: cropTop,
+    width: Math.min(width, clamped.left + clamped.width + pad) - cropLeft,
+    height: Math.min(height, clamped.top + clamped.height + pad) - cropTop,
+  };
+
+  // Edit mask limited to the crop: the painted mask, or the box as a solid rectangle
+  const mask = Buffer.alloc(crop.width * crop.height);
+  for (let y = 0; y < crop.height; y += 1) {
+    for (let x = 0; x < crop.width; x += 1) {
+      const fx = crop.left + x;
+      const fy = crop.top + y;
+      const inside = fullMask
+        ? fullMask[fy * width + fx] > 0
+        : fx >= clamped.left && fx < clamped.left + clamped.width && fy >= clamped.top && fy < clamped.top + clamped.height;
+      if (inside) mask[y * crop.width + x] = 255;
+    }
+  }
+
+  const regionBuffer = await sharp(base).extract(crop).png().toBuffer();
+  const pct = (v, total) => Math.round((v / total) * 100);
+  const hint =
+    `the area from ${pct(clamped.left - crop.left, crop.width)}% to ${pct(clamped.left - crop.left + clamped.width, crop.width)}% ` +
+    `of the width and ${pct(clamped.top - crop.top, crop.height)}% to ${pct(clamped.top - crop.top + clamped.height, crop.height)}% ` +
+    'of the height of image #1';
+
+  return {
+    base,
+    width,
+    height,
+    box: clamped,
+    crop,
+    mask,
+    feather: Math.max(0, Number(feather) || 0),
+    regionBuffer,
+    regionMimeType: 'image/png',
+    hint,
+  };
+}
+
+/**
+ * Blend an edited crop back into the original. The edit is resized to the crop, masked
+ * with a feathered copy of the region that never reaches outside it, and composited at
+ * the crop offset, so every pixel outside the region is left byte-identical.
+ * Returns a PNG buffer at the original size.
+ */
+async function compositeRegion(region, editedBuffer) {
+  const { crop, mask, feather } = region;
+  const edited = await sharp(editedBuffer)
+    .resize(crop.width, crop.height, { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+
+  let alpha = mask;
+  if (feather > 0) {
+    // blur() hands back three channels for one-channel raw input; keep one so bytes line up with the mask
+    const blurred = await sharp(mask, { raw: { width: crop.width, height: crop.height, channels: 1 } })
+      .blur(Math.max(0.3, feather / 2))
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+    alpha = Buffer.alloc(mask.length);
+    for (let i = 0; i < mask.length; i += 1) alpha[i] = Math.min(mask[i], blurred[i]);
+  }
+
+  const overlay = await sharp(edited, { raw: { width: crop.width, height: crop.height, channels: 3 } })
+    .joinChannel(alpha, { raw: { width: crop.width, height: crop.height, channels: 1 } })
+    .png()
+    .toBuffer();
+
+  return sharp(region.base)
+    .composite([{ input: overlay, left: crop.left, top: crop.top }])
+    .png()
+    .toBuffer();
+}
+
+// Per-channel difference below this is compression noise, not an edit
+const CHANGE_THRESHOLD = 24;
+
+/**
+ * Share (0..1) of the region's masked pixels that differ visibly between the original and a
+ * compositeRegion result, to tell a real edit from a model that handed the input back.
+ */
+async function regionChangeShare(region, compositedBuffer) {
+  const { crop, mask } = region;
+  const [before, after] = await Promise.all(
+    [region.base, compositedBuffer].map((buffer) => sharp(buffer).extract(crop).removeAlpha().raw().toBuffer())
+  );
+  let masked = 0;
+  let changed = 0;
+  for (let i = 0; i < mask.length; i += 1) {
+    if (!mask[i]) continue;
+    masked += 1;
+    const p = i * 3;
+    const diff = Math.max(
+      Math.abs(before[p] - after[p]),
+      Math.abs(before[p + 1] - after[p + 1]),
+      Math.abs(before[p + 2] - after[p + 2])
+    );
+    if (diff > CHANGE_THRESHOLD) changed += 1;
+  }
+  return masked ? changed / masked : 0;
+}
+
+module.exports = {
+  DEFAULT_FEATHER,
+  parseRegionBox,
+  prepareRegion,
+  compositeRegion,
+  regionChangeShare,
+};
@@ -25,7 +25,105 @@ const ENTITLEMENT_TO_TIER = {
   'max': 'max',
 };
 
+// Credits charged per call, keyed by tool -> model -> output resolution.
+// Image models are priced by the imageSize we request ('1K' when none is set).
+const CREDIT_PRICES = {
+  rebrand: {
+    'gemini-3-pro-image-preview': { '1K': 1, '2K': 2, '4K': 4 },
+  },
+  changeText: {
+    'gemini-3-pro-image-preview': { '1K': 1, '2K': 2, '4K': 4 },
+    'gemini-2.5-flash-image': { '1K': 1 },
+  },
+  replaceImage: {
+    'gemini-3-pro-image-preview': { '1K': 1, '2K': 2, '4K': 4 },
+  },
+  addObject: {
+    'gemini-3-pro-image-preview': { '1K': 1, '2K': 2, '4K': 4 },
+  },
+  virtualModel: {
+    'gemini-3-pro-image-preview': { '1K': 1, '2K': 2, '4K': 4 },
+    'gemini-2.5-flash-image': { '1K': 1 },
+  },
+  eraseObject: {
+    'gemini-3-pro-image-preview': { '1K': 1, '2K': 2, '4K': 4 },
+  },
+  productScene: {
+    'gemini-3-pro-image-preview': { '1K': 1, '2K': 2, '4K': 4 },
+  },
+  // Per distinct aspect ratio in the set
+  resizeSet: {
+    'gemini-3-pro-image-preview': { '1K': 1, '2K': 2, '4K': 4 },
+  },
+  removeBackground: {
+    'gemini-3-pro-image-preview': { '1K': 1, '2K': 1, '4K': 2 },
+    'gemini-2.5-flash-image': { '1K': 1 },
+  },
+  upscale: {
+    'gemini-3-pro-image-preview': { '2K': 2, '4K': 4 },
+    // Lanczos resampling when the image model is unavailable
+    resample: { original: 1 },
+  },
+  // Rendered and composited server-side, no model call
+  qrCode: {
+    qrcode: { original: 1 },
+  },
+  extractTexts: {
+    'gemini-2.5-flash': { text: 1 },
+  },
+  smartBlueprint: {
+    'gemini-2.5-flash': { text: 1 },
+  },
+  freepikDownload: {
+    freepik: { original: 1 },
+  },
+};
+
+// What each tool runs when the caller does not say otherwise, and which balance it draws from
+const CREDIT_PRICE_DEFAULTS = {
+  rebrand: { usageType: 'generate', model: 'gemini-3-pro-image-preview', resolution: '2K' },
+  changeText: { usageType: 'generate', model: 'gemini-3-pro-image-preview', resolution: '1K' },
+  replaceImage: { usageType: 'generate', model: 'gemini-3-pro-image-preview', resolution: '2K' },
+  addObject: { usageType: 'generate', model: 'gemini-3-pro-image-preview', resolution: '2K' },
+  virtualModel: { usageType: 'generate', model: 'gemini-3-pro-image-preview', resolution: '1K' },
+  eraseObject: { usageType: 'generate', model: 'gemini-3-pro-image-preview', resolution: '2K' },
+  productScene: { usageType: 'generate', model: 'gemini-3-pro-image-preview', resolution: '2K' },
+  resizeSet: { usageType: 'generate', model: 'gemini-3-pro-image-preview', resolution: '2K' },
+  removeBackground: { usageType: 'generate', model: 'gemini-3-pro-image-preview', resolution: '1K' },
+  upscale: { usageType: 'generate', model: 'gemini-3-pro-image-preview', resolution: '4K' },
+  qrCode: { usageType: 'generate', model: 'qrcode', resolution: 'original' },
+  extractTexts: { usageType: 'generate', model: 'gemini-2.5-flash', resolution: 'text' },
+  smartBlueprint: { usageType: 'generate', model: 'gemini-2.5-flash', resolution: 'text' },
+  freepikDownload: { usageType: 'download', model: 'freepik', resolution: 'original' },
+};
+
+// Resolve the credit cost of one call. Unknown models or resolutions fall back to the
+// tool's default so a new model never goes out free; unknown tools are a programming error.
+function computeCreditCost({ tool, model, resolution } = {}) {
+  const toolPrices = CREDIT_PRICES[tool];
+  const defaults = CREDIT_PRICE_DEFAULTS[tool];
+  if (!toolPrices || !defaults) {
+    throw new Error(`No credit price configured for tool: ${tool}`);
+  }
+  const modelPrices = toolPrices[model] || toolPrices[defaults.model];
+  const price = modelPrices[resolution] ?? modelPrices[defaults.resolution] ?? Math.max(...Object.values(modelPrices));
+  return Math.max(1, Math.ceil(Number(price) || 1));
+}
+
+// Client-facing price list: the default cost of each tool plus the full table
+function getPriceList() {
+  const tools = {};
+  for (const [tool, defaults] of Object.entries(CREDIT_PRICE_DEFAULTS)) {
+    tools[tool] = { ...defaults, credits: computeCreditCost({ tool }) };
+  }
+  return { tools, table: CREDIT_PRICES };
+}
+
 module.exports = {
   SUBSCRIPTION_TIERS,
   ENTITLEMENT_TO_TIER,
+  CREDIT_PRICES,
+  CREDIT_PRICE_DEFAULTS,
+  computeCreditCost,
+  getPriceList,
 };
@@ -0,0 +1,196 @@
+const sharp = require('sharp');
+const { parseHexColor } = require('./qrCodes');
+const { DEFAULT_FEATHER } = require('./regionEditing');
+
+// Text is measured at this size and scaled, so one render per line covers every final size
+const MEASURE_FONT_PX = 100;
+// Baseline-to-baseline distance of multi-line texts, in em
+const LINE_HEIGHT = 1.2;
+// Share of the box width the rendered text may use; ink and advance widths differ slightly
+const BOX_FILL = 0.98;
+// Padding around each old text that is erased, as a share of its box height
+const ERASE_PADDING = 0.2;
+const MIN_FONT_PX = 6;
+const FONT_WEIGHTS = { light: 300, regular: 400, medium: 500, bold: 700, black: 900 };
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Family librsvg falls back to, and the name reported when a brand font is not installed
+const FALLBACK_FONT = 'sans-serif';
+// No font is called this, so it always renders as the fallback
+const MISSING_FONT_PROBE = 'nb-no-such-font';
+const fontInstalled = new Map();
+
+function cleanFontName(name) {
+  return String(name || '').replace(/["'<>&;]/g, '').trim();
+}
+
+function fontFamily(name) {
+  return name ? `'${name}', ${FALLBACK_FONT}` : FALLBACK_FONT;
+}
+
+/**
+ * Pixel rectangle of a normalized layout box { top_left: { x, y }, bottom_right: { x, y } },
+ * clamped to the image. Returns null when the box is empty.
+ */
+function layoutBoxToPixels(box, width, height) {
+  const clamp = (v) => Math.min(1, Math.max(0, Number(v) || 0));
+  const left = Math.floor(clamp(box?.top_left?.x) * width);
+  const top = Math.floor(clamp(box?.top_left?.y) * height);
+  const right = Math.ceil(clamp(box?.bottom_right?.x) * width);
+  const bottom = Math.ceil(clamp(box?.bottom_right?.y) * height);
+  if (right <= left || bottom <= top) return null;
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+// Brand color closest (RGB distance) to the detected one, so light text stays light on dark designs
+function nearestPaletteColor(color, palette) {
+  const rgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  const [r, g, b] = rgb(color);
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of palette) {
+    const [cr, cg, cb] = rgb(candidate);
+    const distance = (cr - r) ** 2 + (cg - g) ** 2 + (cb - b) ** 2;
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best || color;
+}
+
+function measureSvg(text, family, weight) {
+  const width = MEASURE_FONT_PX * (text.length + 2);
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${MEASURE_FONT_PX * 2}">` +
+      `<text x="${MEASURE_FONT_PX / 2}" y="${MEASURE_FONT_PX * 1.5}" font-family="${escapeXml(family)}" ` +
+      `font-weight="${weight}" font-size="${MEASURE_FONT_PX}" fill="#000">${escapeXml(text)}</text></svg>`
+  );
+}
+
+// Ink bounds of one line at MEASURE_FONT_PX, relative to its baseline: { width, ascent, descent }
+async function measureLine(text, family, weight) {
+  if (!text.trim()) return { width: 0, ascent: 0, descent: 0 };
+  const { info } = await sharp(measureSvg(text, family, weight)).trim().toBuffer({ resolveWithObject: true });
+  const inkTop = -info.trimOffsetTop;
+  return { width: info.width, ascent: MEASURE_FONT_PX * 1.5 - inkTop, descent: inkTop + info.height - MEASURE_FONT_PX * 1.5 };
+}
+
+// fontconfig silently substitutes a family it does not have, so a font only counts as installed
+// when a sample renders differently from a family that cannot exist
+async function isFontInstalled(name) {
+  if (!fontInstalled.has(name)) {
+    const sample = 'Hamburgefonstiv 0123';
+    const [asNamed, asMissing] = await Promise.all(
+      [fontFamily(name), fontFamily(MISSING_FONT_PROBE)].map((family) =>
+        sharp(measureSvg(sample, family, FONT_WEIGHTS.regular)).raw().toBuffer()
+      )
+    );
+    fontInstalled.set(name, !asNamed.equals(asMissing));
+  }
+  return fontInstalled.get(name);
+}
+
+// Font a text is actually set in: the requested brand font when the server has it, else the fallback
+async function resolveFont(requested) {
+  const name = cleanFontName(requested);
+  const used = name && (await isFontInstalled(name)) ? name : FALLBACK_FONT;
+  return { requested: name || null, used };
+}
+
+/**
+ * Mask of the areas the old texts are erased from: each item's box, padded, in white on black.
+ * Returns a PNG buffer at width x height, ready for prepareRegion's maskBuffer.
+ */
+async function textEraseMask(items, width, height) {
+  const rects = items
+    .map(({ box }) => layoutBoxToPixels(box, width, height))
+    .filter(Boolean)
+    .map((px) => {
+      // compositeRegion feathers inwards; two feather widths in, the erase is fully opaque
+      const pad = Math.ceil(px.height * ERASE_PADDING) + 2 * DEFAULT_FEATHER;
+      return `<rect x="${px.left - pad}" y="${px.top - pad}" width="${px.width + 2 * pad}" height="${px.height + 2 * pad}" fill="#fff"/>`;
+    });
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="100%" height="100%" fill="#000"/>${rects.join('')}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * Draw texts onto the image as SVG. Every string is rendered exactly as given (no model
+ * involved), fitted into its layout box: the detected font size, shrunk until the widest line
+ * fits, centered vertically and aligned horizontally as detected.
+ * items: [{ text, box, font_size?, color?, weight?, align?, role? }] as extractTexts returns them;
+ * font_size is a share of the image height, box a normalized { top_left, bottom_right }, text
+ * may hold line breaks. Headlines (by role, else the largest text) ask for the brand's
+ * primaryFont, the rest for secondaryFont. The brand kit holds font names only, so a font is
+ * used only when it is installed on the server; otherwise the text is set (and measured) in the
+ * default sans-serif, and `fonts` says so. With useBrandColors each color snaps to the nearest
+ * brand palette color.
+ * Returns: { buffer (PNG), mimeType, width, height, fonts: [{ text, requested, used }] }
+ */
+async function renderTextOverlay(imageBuffer, items, { brand = {}, useBrandColors = false } = {}) {
+  const base = await sharp(imageBuffer).rotate().png().toBuffer();
+  const { width, height } = await sharp(base).metadata();
+  const palette = (Array.isArray(brand.colorPalette) ? brand.colorPalette : []).map(parseHexColor).filter(Boolean);
+  const largest = Math.max(0, ...items.map((item) => Number(item.font_size) || 0));
+  const secondary = brand.secondaryFont || brand.primaryFont;
+
+  const texts = [];
+  const fonts = [];
+  for (const item of items) {
+    const px = layoutBoxToPixels(item.box, width, height);
+    const lines = String(item.text ?? '').split(/\r?\n/);
+    if (!px || !lines.some((line) => line.trim())) continue;
+
+    const headline = item.role ? item.role === 'headline' : largest > 0 && Number(item.font_size) === largest;
+    const font = await resolveFont(headline ? brand.primaryFont || secondary : secondary);
+    fonts.push({ text: item.text, ...font });
+    const family = fontFamily(font.used === FALLBACK_FONT ? null : font.used);
+    const weight = FONT_WEIGHTS[item.weight] || FONT_WEIGHTS.regular;
+    const metrics = await Promise.all(lines.map((line) => measureLine(line, family, weight)));
+    const widest = Math.max(...metrics.map((m) => m.width));
+    const { ascent } = await measureLine('H', family, weight);
+    const { descent } = await measureLine('g', family, weight);
+
+    // Sizes in px; the block is ascent + (lines - 1) line heights + descent tall
+    const blockEm = (ascent + descent) / MEASURE_FONT_PX + (lines.length - 1) * LINE_HEIGHT;
+    const detected = Number(item.font_size) > 0 ? Number(item.font_size) * height : Infinity;
+    const fitWidth = widest > 0 ? (px.width * BOX_FILL * MEASURE_FONT_PX) / widest : Infinity;
+    const fitHeight = px.height / blockEm;
+    const fontSize = Math.max(MIN_FONT_PX, Math.min(detected, fitWidth, fitHeight));
+
+    const scale = fontSize / MEASURE_FONT_PX;
+    const firstBaseline = px.top + (px.height - blockEm * fontSize) / 2 + ascent * scale;
+    const anchor = item.align === 'left' ? 'start' : item.align === 'right' ? 'end' : 'middle';
+    const x = item.align === 'left' ? px.left : item.align === 'right' ? px.left + px.width : px.left + px.width / 2;
+    const detectedColor = parseHexColor(item.color) || '#000000';
+    const color = useBrandColors && palette.length ? nearestPaletteColor(detectedColor, palette) : detectedColor;
+
+    const spans = lines
+      .map((line, i) => `<tspan x="${x.toFixed(1)}" y="${(firstBaseline + i * LINE_HEIGHT * fontSize).toFixed(1)}">${escapeXml(line)}</tspan>`)
+      .join('');
+    texts.push(
+      `<text font-family="${escapeXml(family)}" font-weight="${weight}" font-size="${fontSize.toFixed(1)}" ` +
+        `fill="${color}" text-anchor="${anchor}" xml:space="preserve">${spans}</text>`
+    );
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${texts.join('')}</svg>`;
+  const buffer = await sharp(base).composite([{ input: Buffer.from(svg), left: 0, top: 0 }]).png().toBuffer();
+  return { buffer, mimeType: 'image/png', width, height, fonts };
+}
+
+module.exports = {
+  FONT_WEIGHTS,
+  layoutBoxToPixels,
+  textEraseMask,
+  renderTextOverlay,
+};
@@ -0,0 +1,449 @@
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns').promises;
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const { validationError, providerTimeout, providerUnavailable, providerRejected } = require('./errors');
+const { SOCIAL_NETWORKS, TEXT_FIELDS } = require('./brandKit');
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_HTML_BYTES = 2 * 1024 * 1024;
+const MAX_LOGO_CANDIDATES = 10;
+
+// ---------------------------------------------------------------------------
+// Fetchers: { name, fetchPage(url) -> { url, status, contentType, html } }
+// ---------------------------------------------------------------------------
+
+// Eight 16-bit groups of an IPv6 address, with a dotted IPv4 tail folded in; null when invalid
+function ipv6Groups(address) {
+  const plain = address.split('%')[0].toLowerCase();
+  if (!net.isIPv6(plain)) return null;
+  let text = plain;
+  const tail = text.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const [a, b, c, d] = tail[1].split('.').map(Number);
+    text = `${text.slice(0, -tail[1].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, rest] = text.split('::');
+  const parse = (part) => (part ? part.split(':').map((group) => parseInt(group, 16)) : []);
+  const before = parse(head);
+  const after = rest === undefined ? [] : parse(rest);
+  return [...before, ...Array(8 - before.length - after.length).fill(0), ...after];
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return (
+      a === 10 ||
+      a === 127 ||
+      a === 0 ||
+      (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)) || // benchmarking
+      a >= 224 // multicast and reserved
+    );
+  }
+  const groups = ipv6Groups(address);
+  if (!groups) return true;
+  const embeddedIPv4 = () => [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+  const prefixIs = (...expected) => expected.every((group, i) => groups[i] === group);
+  // IPv4-mapped (::ffff:0:0/96, in any notation) and NAT64 (64:ff9b::/96) reach the embedded IPv4 host
+  if (prefixIs(0, 0, 0, 0, 0, 0xffff) || prefixIs(0x64, 0xff9b, 0, 0, 0, 0)) return isPrivateAddress(embeddedIPv4());
+  return (
+    prefixIs(0, 0, 0, 0, 0, 0) || // ::, ::1 and the deprecated IPv4-compatible ::/96
+    prefixIs(0x64, 0xff9b, 1) || // local-use NAT64
+    (groups[0] & 0xfe00) === 0xfc00 || // unique local
+    (groups[0] & 0xffc0) === 0xfe80 || // link-local
+    (groups[0] & 0xff00) === 0xff00 // multicast
+  );
+}
+
+// Refuse hosts that resolve into our own network; the page URL comes from the client.
+// Returns the checked addresses, which the request must connect to (see pinnedAgent).
+async function assertPublicHost(hostname) {
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true });
+  } catch (e) {
+    throw validationError({ url: 'host not found' });
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw validationError({ url: 'host is not publicly reachable' });
+  }
+  return addresses;
+}
+
+// Connections only go to the addresses assertPublicHost checked, so a DNS answer that
+// changes between the check and the connect (rebinding) cannot reach a private address
+function pinnedAgent(addresses) {
+  const lookup = (hostname, options, callback) => {
+    const family = options?.family || 0;
+    const matching = addresses.filter((entry) => !family || entry.family === family);
+    if (!matching.length) {
+      callback(Object.assign(new Error(`No checked address for ${hostname}`), { code: 'ENOTFOUND' }));
+      return;
+    }
+    if (options?.all) callback(null, matching);
+    else callback(null, matching[0].address, matching[0].family);
+  };
+  return new Agent({ connect: { lookup } });
+}
+
+async function readLimited(response) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > MAX_HTML_BYTES) {
+      await reader.cancel();
+      break;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+const httpFetcher = {
+  name: 'http',
+
+  async fetchPage(url) {
+    // Redirects are followed by hand so every hop is checked
+    let current = url;
+    for (let hop = 0; hop < 5; hop += 1) {
+      const target = new URL(current);
+      const dispatcher = pinnedAgent(await assertPublicHost(target.hostname));
+      try {
+        let response;
+        try {
+          response = await fetch(target, {
+            dispatcher,
+            redirect: 'manual',
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; BrandImport/1.0)', Accept: 'text/html,application/xhtml+xml' },
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+          });
+        } catch (e) {
+          if (e?.name === 'TimeoutError' || e?.name === 'AbortError') throw providerTimeout('website', 'fetchPage');
+          throw providerUnavailable('website', 'fetchPage');
+        }
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+          await response.body?.cancel();
+          current = new URL(location, target).toString();
+          continue;
+        }
+        return {
+          url: target.toString(),
+          status: response.status,
+          contentType: response.headers.get('content-type') || '',
+          html: await readLimited(response),
+        };
+      } finally {
+        dispatcher.destroy().catch(() => {});
+      }
+    }
+    throw providerRejected('website', 'fetchPage', 400, 'Too many redirects');
+  },
+};
+
+// Local HTML fixtures for the emulator and tests (WEBSITE_FETCHER=fixtures):
+// https://acme.example/ is read from $WEBSITE_FIXTURES_DIR/acme.example.html
+const fixtureFetcher = {
+  name: 'fixtures',
+
+  async fetchPage(url) {
+    const dir = process.env.WEBSITE_FIXTURES_DIR;
+    if (!dir) {
+      throw new Error('WEBSITE_FIXTURES_DIR must be set when WEBSITE_FETCHER=fixtures');
+    }
+    const file = path.join(dir, `${new URL(url).hostname}.html`);
+    if (!fs.existsSync(file)) {
+      return { url, status: 404, contentType: 'text/html', html: '' };
+    }
+    return { url, status: 200, contentType: 'text/html', html: fs.readFileSync(file, 'utf8') };
+  },
+};
+
+const FETCHERS = { http: httpFetcher, fixtures: fixtureFetcher };
+
+// Fetcher picked by WEBSITE_FETCHER (default: http), read per call like IMAGE_PROVIDER
+function getFetcher() {
+  const name = String(process.env.WEBSITE_FETCHER || 'http').trim().toLowerCase();
+  const fetcher = FETCHERS[name];
+  if (!fetcher) {
+    throw new Error(`Unknown WEBSITE_FETCHER: ${name}`);
+  }
+  return fetcher;
+}
+
+// ---------------------------------------------------------------------------
+// HTML extraction. Pages are scanned with patterns rather than a DOM: we only need
+// head metadata, microdata and JSON-LD, and the result is a draft the user reviews.
+// ---------------------------------------------------------------------------
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function cleanText(text) {
+  return decodeEntities(String(text || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const re = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let m;
+  while ((m = re.exec(source))) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+// Opening tags of one element type as attribute maps
+function findTags(html, tag) {
+  const tags = [];
+  const re = new RegExp(`<${tag}\\b([^>]*)>`, 'gi');
+  let m;
+  while ((m = re.exec(html))) tags.push(parseAttributes(m[1]));
+  return tags;
+}
+
+function metaContent(metas, ...keys) {
+  for (const key of keys) {
+    const meta = metas.find((m) => (m.name || m.property || '').toLowerCase() === key);
+    if (meta && meta.content && meta.content.trim()) return meta.content.trim();
+  }
+  return null;
+}
+
+// Text (or content attribute) of the first element carrying itemprop=<prop>
+function itemprop(html, prop) {
+  const re = new RegExp(`<(\\w+)\\b([^>]*\\bitemprop\\s*=\\s*["']?${prop}["']?[^>]*)>`, 'i');
+  const m = re.exec(html);
+  if (!m) return null;
+  const attrs = parseAttributes(m[2]);
+  if (attrs.content) return attrs.content.trim() || null;
+  const rest = html.slice(m.index + m[0].length);
+  const close = new RegExp(`</${m[1]}\\s*>`, 'i').exec(rest);
+  return cleanText(close ? rest.slice(0, close.index) : '') || null;
+}
+
+// JSON-LD nodes, flattened through arrays and @graph
+function jsonLdNodes(html) {
+  const nodes = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== 'object') return;
+    nodes.push(value);
+    if (value['@graph']) visit(value['@graph']);
+  };
+  const re = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    try {
+      visit(JSON.parse(m[1].trim()));
+    } catch (_) {
+      // Broken JSON-LD is common; skip it
+    }
+  }
+  return nodes;
+}
+
+const ORGANIZATION_TYPES = ['organization', 'localbusiness', 'corporation', 'store', 'restaurant', 'brand'];
+
+function isOrganization(node) {
+  const types = [].concat(node['@type'] || []).map((t) => String(t).toLowerCase());
+  return types.some((t) => ORGANIZATION_TYPES.includes(t));
+}
+
+function formatAddress(address) {
+  if (!address) return null;
+  if (typeof address === 'string') return cleanText(address) || null;
+  const country = address.addressCountry && typeof address.addressCountry === 'object' ? address.addressCountry.name : address.addressCountry;
+  const parts = [address.streetAddress, [address.postalCode, address.addressLocality].filter(Boolean).join(' '), address.addressRegion, country];
+  return parts.map((p) => cleanText(p)).filter(Boolean).join(', ') || null;
+}
+
+function microdataAddress(html) {
+  const parts = ['streetAddress', 'postalCode', 'addressLocality', 'addressRegion', 'addressCountry'].reduce((acc, prop) => {
+    acc[prop] = itemprop(html, prop);
+    return acc;
+  }, {});
+  return Object.values(parts).some(Boolean) ? formatAddress(parts) : null;
+}
+
+const SOCIAL_HOSTS = {
+  'instagram.com': 'instagram',
+  'facebook.com': 'facebook',
+  'x.com': 'x',
+  'twitter.com': 'x',
+  'tiktok.com': 'tiktok',
+  'linkedin.com': 'linkedin',
+  'youtube.com': 'youtube',
+  'pinterest.com': 'pinterest',
+  'threads.net': 'threads',
+};
+
+function socialHandleFor(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (_) {
+    return null;
+  }
+  const network = SOCIAL_HOSTS[url.hostname.replace(/^(www|m)\./, '')];
+  if (!network || !SOCIAL_NETWORKS.includes(network)) return null;
+  const segments = url.pathname.split('/').filter(Boolean);
+  if (!segments.length || ['share', 'sharer', 'intent', 'sharer.php'].includes(segments[0])) return null;
+  // LinkedIn and YouTube handles keep their section (company/acme, @acme)
+  const handle = ['linkedin', 'youtube'].includes(network) ? segments.slice(0, 2).join('/') : segments[0];
+  return { network, handle: handle.startsWith('@') || network === 'linkedin' || network === 'youtube' ? handle : `@${handle}` };
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function largestIconSize(sizes) {
+  return String(sizes || '')
+    .split(/\s+/)
+    .map((s) => parseInt(s.split('x')[0], 10))
+    .filter(Number.isFinite)
+    .reduce((max, n) => Math.max(max, n), 0);
+}
+
+function clip(value, key) {
+  if (!value) return null;
+  return value.length > TEXT_FIELDS[key] ? value.slice(0, TEXT_FIELDS[key]).trim() : value;
+}
+
+/**
+ * Extract a draft brand from a page's HTML. Pure; baseUrl resolves relative links.
+ * Returns: { draft: brandInfo for addBrand, logoCandidates: [{ url, source, size }], themeColor }
+ */
+function extractBrandDraft(html, baseUrl) {
+  const metas = findTags(html, 'meta');
+  const links = findTags(html, 'link');
+  const anchors = findTags(html, 'a');
+  const organization = jsonLdNodes(html).find(isOrganization) || {};
+  const titleMatch = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  const title = titleMatch ? cleanText(titleMatch[1]) : null;
+
+  const brandName =
+    (typeof organization.name === 'string' && cleanText(organization.name)) ||
+    metaContent(metas, 'og:site_name', 'application-name') ||
+    // "Acme | Home": sites usually lead their title with the brand
+    (title ? title.split(/\s+[|\-–—·]\s+/)[0] : null);
+
+  const description = metaContent(metas, 'description', 'og:description') || (typeof organization.description === 'string' ? cleanText(organization.description) : null);
+
+  const themeColor = metaContent(metas, 'theme-color', 'msapplication-tilecolor');
+  const validColor = themeColor && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(themeColor) ? themeColor.toUpperCase() : null;
+
+  const telLink = anchors.find((a) => /^tel:/i.test(a.href || ''));
+  const phone =
+    (typeof organization.telephone === 'string' && cleanText(organization.telephone)) ||
+    itemprop(html, 'telephone') ||
+    (telLink ? decodeURIComponent(telLink.href.replace(/^tel:/i, '')).trim() : null);
+
+  const address = formatAddress(organization.address) || microdataAddress(html);
+
+  // Logo candidates, best first: declared logos, then large icons, then share images
+  const candidates = [];
+  const addCandidate = (href, source, size = 0) => {
+    const url = resolveUrl(href, baseUrl);
+    if (url && !candidates.some((c) => c.url === url)) candidates.push({ url, source, size });
+  };
+  const orgLogo = organization.logo && typeof organization.logo === 'object' ? organization.logo.url : organization.logo;
+  if (typeof orgLogo === 'string') addCandidate(orgLogo, 'json-ld');
+  const logoImg = findTags(html, 'img').find((img) => /logo/i.test(`${img.class || ''} ${img.id || ''} ${img.alt || ''} ${img.src || ''}`));
+  if (logoImg) addCandidate(logoImg.src, 'img');
+  links
+    .filter((l) => /(^|\s)(icon|apple-touch-icon|apple-touch-icon-precomposed|mask-icon)(\s|$)/i.test(l.rel || ''))
+    .map((l) => ({ href: l.href, rel: l.rel.toLowerCase(), size: largestIconSize(l.sizes) || (/apple-touch-icon/.test(l.rel) ? 180 : 0) }))
+    .sort((a, b) => b.size - a.size)
+    .forEach((l) => addCandidate(l.href, l.rel.includes('apple') ? 'apple-touch-icon' : 'icon', l.size));
+  addCandidate(metaContent(metas, 'og:image', 'twitter:image'), 'og:image');
+  addCandidate('/favicon.ico', 'favicon');
+
+  const socialHandles = {};
+  const sameAs = [].concat(organization.sameAs || []).filter((s) => typeof s === 'string');
+  for (const href of [...sameAs, ...anchors.map((a) => a.href).filter(Boolean)]) {
+    const social = socialHandleFor(resolveUrl(href, baseUrl) || '');
+    if (social && !socialHandles[social.network]) socialHandles[social.network] = social.handle.slice(0, 100);
+  }
+
+  const website = new URL(baseUrl).origin;
+
+  return {
+    draft: {
+      brandName: clip(brandName, 'brandName'),
+      website: clip(website, 'website'),
+      phone: clip(phone, 'phone'),
+      address: clip(address, 'address'),
+      description: clip(description, 'description'),
+      colorPalette: validColor ? [validColor] : [],
+      socialHandles,
+    },
+    logoCandidates: candidates.slice(0, MAX_LOGO_CANDIDATES),
+    themeColor: validColor,
+  };
+}
+
+function normalizeUrl(value) {
+  const raw = String(value || '').trim();
+  if (!raw) throw validationError({ url: 'required' });
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch (_) {
+    throw validationError({ url: 'invalid URL' });
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw validationError({ url: 'must be http or https' });
+  return url.toString();
+}
+
+/**
+ * Fetch a website and extract a draft brand from it. Nothing is saved; the client shows the
+ * draft and creates the brand through addBrand.
+ * fetcher: { fetchPage(url) } — defaults to the one picked by WEBSITE_FETCHER.
+ * Returns: { sourceUrl, draft, logoCandidates, themeColor }
+ */
+async function importBrandFromUrl(value, { fetcher = getFetcher() } = {}) {
+  const url = normalizeUrl(value);
+  const page = await fetcher.fetchPage(url);
+  if (page.status < 200 || page.status >= 300) {
+    throw providerRejected('website', 'fetchPage', 400, `Website returned HTTP ${page.status}`, { status: page.status });
+  }
+  if (page.contentType && !/html/i.test(page.contentType)) {
+    throw validationError({ url: 'does not point to an HTML page' });
+  }
+  return { sourceUrl: page.url, ...extractBrandDraft(page.html || '', page.url) };
+}
+
+module.exports = {
+  FETCHERS,
+  isPrivateAddress,
+  getFetcher,
+  extractBrandDraft,
+  importBrandFromUrl,
+};
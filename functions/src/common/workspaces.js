@@ -0,0 +1,36 @@
+// Workspace roles, lowest to highest. Viewers read, editors create and spend pool credits,
+// owners also manage members, invitations and the credit pool.
+const WORKSPACE_ROLES = Object.freeze({
+  VIEWER: 'viewer',
+  EDITOR: 'editor',
+  OWNER: 'owner',
+});
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Role of uid in a workspace document, or null when not a member
+function memberRole(workspaceData, uid) {
+  const member = workspaceData && workspaceData.members && workspaceData.members[uid];
+  return member && ROLE_RANK[member.role] ? member.role : null;
+}
+
+function hasRole(workspaceData, uid, minRole) {
+  const role = memberRole(workspaceData, uid);
+  return !!role && ROLE_RANK[role] >= ROLE_RANK[minRole];
+}
+
+// Read workspace_id from a query, JSON body or multipart fields; null for personal scope
+function readWorkspaceId(...sources) {
+  for (const source of sources) {
+    const value = source && source.workspace_id;
+    if (typeof value === 'string' && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  memberRole,
+  hasRole,
+  readWorkspaceId,
+};
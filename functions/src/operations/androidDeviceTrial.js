@@ -2,6 +2,7 @@ const admin = require('firebase-admin');
 const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const { onCall, HttpsError } = require('firebase-functions/v2/https');
 const logger = require('firebase-functions/logger');
+const { LEDGER_REASONS, appendLedgerEntries } = require('./ledgerOperations');
 const crypto = require('crypto');
 
 // Initialize if needed
@@ -129,6 +130,11 @@ exports.verifyAndroidDeviceTrial = onCall({
            });
       }
 
+      appendLedgerEntries(tx, uid, [
+          { usageType: 'generate', bucket: 'free', delta: grant.generate, reason: LEDGER_REASONS.GRANT, source: 'verifyAndroidDeviceTrial' },
+          { usageType: 'download', bucket: 'free', delta: grant.download, reason: LEDGER_REASONS.GRANT, source: 'verifyAndroidDeviceTrial' },
+      ]);
+
       return { success: true, granted: grant };
     });
 
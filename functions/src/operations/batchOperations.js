@@ -0,0 +1,285 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const cors = require('cors')({ origin: true });
+const admin = require('firebase-admin');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { randomUUID } = require('crypto');
+const JSZip = require('jszip');
+const { verifyAuth } = require('../common/utils');
+const {
+  AppError,
+  ErrorCodes,
+  unauthenticated,
+  validationError,
+  sendError,
+  normalizeUnknownError,
+  logError,
+} = require('../common/errors');
+
+try {
+  if (!admin.apps.length) {
+    admin.initializeApp();
+  }
+} catch (e) {
+  // ignore re-init in emulator hot-reload
+}
+
+const db = getFirestore();
+
+const MAX_BATCH_ITEMS = 20;
+
+const BATCH_STATUS = Object.freeze({
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  PARTIAL: 'partial',
+  FAILED: 'failed',
+});
+
+const ITEM_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+});
+
+function getBucket() {
+  const appOptions = admin.app().options || {};
+  const configuredBucket = appOptions.storageBucket;
+  const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+  const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
+  return bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
+}
+
+function toIso(ts) {
+  return ts && typeof ts.toDate === 'function' ? ts.toDate().toISOString() : null;
+}
+
+// Only what the client needs to show and download an item; the full output stays on the job
+function summarizeResult(result) {
+  if (!result) return null;
+  const variants = Array.isArray(result.variants) && result.variants.length ? result.variants : [result];
+  return {
+    imageId: result.id || null,
+    downloadUrl: result.downloadUrl || null,
+    images: variants.map((v) => ({ id: v.id || null, storagePath: v.storagePath || null, downloadUrl: v.downloadUrl || null })),
+  };
+}
+
+/**
+ * Create the batch record that tracks a group of jobs.
+ * items: [{ sourceImageId, storagePath }] — one job is created per item by the caller.
+ * Returns: batchId
+ */
+async function createBatch({ uid, tool, requestId = null, items, params = {} }) {
+  const batchRef = db.collection('batches').doc();
+  const itemMap = {};
+  items.forEach((item, index) => {
+    itemMap[index] = {
+      index,
+      sourceImageId: item.sourceImageId || null,
+      storagePath: item.storagePath || null,
+      jobId: null,
+      status: ITEM_STATUS.QUEUED,
+      result: null,
+      error: null,
+    };
+  });
+  await batchRef.set({
+    uid,
+    tool,
+    requestId,
+    params: JSON.parse(JSON.stringify(params)),
+    status: BATCH_STATUS.RUNNING,
+    total: items.length,
+    succeeded: 0,
+    failed: 0,
+    items: itemMap,
+    bundle: null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+    finishedAt: null,
+  });
+  return batchRef.id;
+}
+
+async function attachBatchJob(batchId, index, jobId) {
+  await db.collection('batches').doc(batchId).update({
+    [`items.${index}.jobId`]: jobId,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Record the outcome of one batch item. The last item to finish bundles the results.
+ * outcome: { status: 'succeeded' | 'failed', result?, error? }
+ */
+async function recordBatchItem(batchId, index, outcome) {
+  const batchRef = db.collection('batches').doc(batchId);
+  const succeeded = outcome.status === ITEM_STATUS.SUCCEEDED;
+
+  const finished = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(batchRef);
+    if (!snap.exists) return false;
+    const data = snap.data();
+    const item = (data.items || {})[index];
+    // Redelivered job events must not count an item twice
+    if (!item || item.status !== ITEM_STATUS.QUEUED) return false;
+
+    const doneCount = (data.succeeded || 0) + (data.failed || 0) + 1;
+    tx.update(batchRef, {
+      [`items.${index}.status`]: succeeded ? ITEM_STATUS.SUCCEEDED : ITEM_STATUS.FAILED,
+      [`items.${index}.result`]: succeeded ? summarizeResult(outcome.result) : null,
+      [`items.${index}.error`]: succeeded ? null : JSON.parse(JSON.stringify(outcome.error || null)),
+      [succeeded ? 'succeeded' : 'failed']: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return doneCount >= data.total;
+  });
+
+  if (finished) await bundleBatch(batchId);
+}
+
+// Zip every image the batch produced and close the batch out
+async function bundleBatch(batchId) {
+  const batchRef = db.collection('batches').doc(batchId);
+  const snap = await batchRef.get();
+  const data = snap.data();
+  const items = Object.values(data.items || {}).sort((a, b) => a.index - b.index);
+  const status =
+    data.succeeded === data.total ? BATCH_STATUS.SUCCEEDED : data.succeeded > 0 ? BATCH_STATUS.PARTIAL : BATCH_STATUS.FAILED;
+
+  let bundle = null;
+  let bundleError = null;
+  if (data.succeeded > 0) {
+    try {
+      const bucket = getBucket();
+      const zip = new JSZip();
+      let fileCount = 0;
+      for (const item of items) {
+        const images = (item.result && item.result.images) || [];
+        for (const [i, image] of images.entries()) {
+          if (!image.storagePath) continue;
+          const [buf] = await bucket.file(image.storagePath).download();
+          const ext = image.storagePath.split('.').pop() || 'png';
+          const suffix = images.length > 1 ? `-${i + 1}` : '';
+          zip.file(`${data.tool}-${String(item.index + 1).padStart(2, '0')}${suffix}.${ext}`, buf);
+          fileCount += 1;
+        }
+      }
+      const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
+      const storagePath = `batches/${data.uid}/${batchId}/${data.tool}-batch.zip`;
+      await bucket.file(storagePath).save(zipBuffer, { resumable: false, contentType: 'application/zip' });
+      bundle = { storagePath, fileCount, size: zipBuffer.length };
+    } catch (e) {
+      console.error('Failed to bundle batch:', e?.message || e);
+      bundleError = e?.message || String(e);
+    }
+  }
+
+  await batchRef.update({
+    status,
+    bundle,
+    bundleError,
+    finishedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+}
+
+async function serializeBatch(id, data) {
+  let bundleUrl = null;
+  if (data.bundle && data.bundle.storagePath) {
+    try {
+      const [signedUrl] = await getBucket()
+        .file(data.bundle.storagePath)
+        .getSignedUrl({ action: 'read', expires: Date.now() + 1000 * 60 * 60 });
+      bundleUrl = signedUrl;
+    } catch (e) {
+      console.warn('Failed to sign batch bundle URL:', e?.message || e);
+    }
+  }
+  return {
+    batchId: id,
+    tool: data.tool,
+    status: data.status,
+    total: data.total,
+    succeeded: data.succeeded || 0,
+    failed: data.failed || 0,
+    items: Object.values(data.items || {})
+      .sort((a, b) => a.index - b.index)
+      .map(({ index, sourceImageId, jobId, status, result, error }) => ({ index, sourceImageId, jobId, status, result, error })),
+    bundleUrl,
+    bundleFileCount: data.bundle ? data.bundle.fileCount : 0,
+    createdAt: toIso(data.createdAt),
+    finishedAt: toIso(data.finishedAt),
+  };
+}
+
+/**
+ * Progress and results of a batch owned by the caller.
+ * GET /getBatch?batchId=<id>
+ * Returns: { batchId, tool, status: 'running' | 'succeeded' | 'partial' | 'failed', total, succeeded, failed,
+ *   items: [{ index, sourceImageId, jobId, status, result, error }], bundleUrl, bundleFileCount, createdAt, finishedAt }
+ * bundleUrl is a zip of every generated image, signed for one hour, once the batch has finished.
+ */
+const getBatch = onRequest(
+  {
+    region: 'europe-west1',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      return res.status(204).send('');
+    }
+
+    return cors(req, res, async () => {
+      if (req.method !== 'GET') {
+        const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method not allowed. Use GET.', httpStatus: 405, retryable: false });
+        logError({ requestId, endpoint: 'getBatch', err });
+        return sendError(res, err, requestId);
+      }
+
+      let uid;
+      try {
+        uid = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'getBatch', err });
+        return sendError(res, err, requestId);
+      }
+
+      const batchId = (req.query.batchId || '').toString().trim();
+      if (!batchId) {
+        const err = validationError({ batchId: 'required' });
+        logError({ requestId, uid, endpoint: 'getBatch', err });
+        return sendError(res, err, requestId);
+      }
+
+      try {
+        const snap = await db.collection('batches').doc(batchId).get();
+        // Report other users' batches as missing rather than forbidden
+        if (!snap.exists || snap.data().uid !== uid) {
+          const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Batch not found', httpStatus: 404, retryable: false });
+          logError({ requestId, uid, endpoint: 'getBatch', err });
+          return sendError(res, err, requestId);
+        }
+        return res.status(200).json(await serializeBatch(snap.id, snap.data()));
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid, endpoint: 'getBatch', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  BATCH_STATUS,
+  ITEM_STATUS,
+  createBatch,
+  attachBatchJob,
+  recordBatchItem,
+  getBatch,
+};
@@ -8,7 +8,14 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { createMultipartParser, verifyAuth } = require('../common/utils');
-const { AppError, ErrorCodes, unauthenticated, validationError, storageError, sendError, normalizeUnknownError, logError } = require('../common/errors');
+const { AppError, ErrorCodes, unauthenticated, validationError, storageError, invalidState, sendError, normalizeUnknownError, logError } = require('../common/errors');
+const { validateBrandInfo, BRAND_INFO_FIELDS } = require('../common/brandKit');
+const { extractPalette } = require('../common/brandPalette');
+const { importBrandFromUrl } = require('../common/websiteImport');
+const { buildBrandArchive, readBrandArchive, archiveFilename } = require('../common/brandArchive');
+const { WORKSPACE_ROLES, readWorkspaceId } = require('../common/workspaces');
+const { resolveWorkspace } = require('./workspaceOperations');
+const { LOGO_VARIANTS, logoVariantForField, measureLogoLuminance, brandLogos } = require('../common/brandLogos');
 
 try {
   if (!admin.apps.length) {
@@ -21,6 +28,206 @@ try {
 const db = getFirestore();
 const bucket = admin.storage().bucket();
 
+// Brands belong to a user (users/{uid}/brands) or a workspace (workspaces/{id}/brands); every
+// brand endpoint takes an optional workspace_id. Viewers may read, editors and owners write.
+// ownerKey names the owner in Storage paths: `{uid}` or `workspaces/{workspaceId}`.
+async function brandScope(uid, workspaceId, minRole = WORKSPACE_ROLES.EDITOR) {
+  if (!workspaceId) {
+    return { brandsCol: db.collection('users').doc(uid).collection('brands'), ownerKey: uid, workspaceId: null };
+  }
+  const workspace = await resolveWorkspace(uid, workspaceId, minRole);
+  return { brandsCol: workspace.ref.collection('brands'), ownerKey: `workspaces/${workspace.id}`, workspaceId: workspace.id };
+}
+
+function logoFolder(ownerKey, brandId) {
+  return `images/brand_logos/${ownerKey}/${brandId}/`;
+}
+
+function discardLogoFiles(logoFiles) {
+  for (const f of Object.values(logoFiles)) fs.unlink(f.filepath, () => {});
+}
+
+// Upload one logo asset. The primary logo keeps the original path at the root of the brand's
+// folder; other variants live in a subfolder named after the variant. `unique` prefixes the file
+// name so a replacement never overwrites a file an older brand version still points at.
+// Returns: { storagePath, url, mimeType, luminance }
+async function uploadLogo(ownerKey, brandId, variant, logoFile, { unique = false } = {}) {
+  const downloadToken = randomUUID();
+  const folder = logoFolder(ownerKey, brandId);
+  const filename = unique ? `${downloadToken.slice(0, 8)}_${logoFile.filename}` : logoFile.filename;
+  const destination = variant === 'primary' ? `${folder}${filename}` : `${folder}${variant}/${filename}`;
+  const [file] = await bucket.upload(logoFile.filepath, {
+    destination,
+    metadata: {
+      contentType: logoFile.mimeType,
+      metadata: {
+        firebaseStorageDownloadTokens: downloadToken,
+      },
+    },
+  });
+
+  // Try to get signed URL (valid for 1 year), fall back to the token URL
+  let url;
+  try {
+    [url] = await file.getSignedUrl({
+      action: 'read',
+      expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 365),
+    });
+  } catch (signErr) {
+    console.warn('getSignedUrl failed, falling back to token URL:', signErr.message);
+    const bName = bucket.name || `${process.env.GCLOUD_PROJECT || 'brandize-101db'}.appspot.com`;
+    url = `https://firebasestorage.googleapis.com/v0/b/${bName}/o/${encodeURIComponent(destination)}?alt=media&token=${downloadToken}`;
+  }
+
+  // Used by rebrand to pick the variant with the best contrast; optional
+  let luminance = null;
+  try {
+    luminance = await measureLogoLuminance(await fs.promises.readFile(logoFile.filepath));
+  } catch (e) {
+    console.warn('Failed to measure logo luminance:', e?.message || e);
+  }
+
+  return { storagePath: destination, url, mimeType: logoFile.mimeType, luminance };
+}
+
+// Dominant colors of the uploaded primary logo (else the first variant sent); null when there is
+// no logo or it can't be read, so a failed extraction never blocks the upload
+async function suggestPalette(logoFiles) {
+  const logoFile = logoFiles.primary || Object.values(logoFiles)[0];
+  if (!logoFile) return null;
+  try {
+    return await extractPalette(await fs.promises.readFile(logoFile.filepath));
+  } catch (e) {
+    console.warn('Failed to extract logo palette:', e?.message || e);
+    return null;
+  }
+}
+
+// Upload every logo file in the request.
+// Returns: { logos: { [variant]: { storagePath, url, mimeType, luminance } }, suggestedPalette }
+async function uploadLogos(ownerKey, brandId, logoFiles, { unique = false } = {}) {
+  const logos = {};
+  let suggestedPalette = null;
+  try {
+    suggestedPalette = await suggestPalette(logoFiles);
+    for (const [variant, logoFile] of Object.entries(logoFiles)) {
+      logos[variant] = await uploadLogo(ownerKey, brandId, variant, logoFile, { unique });
+    }
+  } catch (uploadErr) {
+    throw storageError('Failed to upload logo', true, { reason: uploadErr?.message });
+  } finally {
+    discardLogoFiles(logoFiles);
+  }
+  return { logos, suggestedPalette };
+}
+
+// Create a brand from validated brandInfo and uploaded logo files (shared by addBrand and importBrand)
+// Returns: { brandId, logoUrl, logos, suggestedPalette }
+async function createBrand(scope, brandFields, logoFiles) {
+  const brandRef = scope.brandsCol.doc(); // auto-id
+
+  const { logos, suggestedPalette } = await uploadLogos(scope.ownerKey, brandRef.id, logoFiles);
+  const logoUrl = logos.primary ? logos.primary.url : null;
+
+  const nowFields = {
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+  const docData = {
+    ...brandFields,
+    logoUrl: logoUrl || null,
+    logos,
+    suggestedPalette: suggestedPalette || [],
+    version: 1,
+    ...nowFields,
+  };
+  if (scope.workspaceId) docData.workspaceId = scope.workspaceId;
+
+  await brandRef.set(docData);
+  return { brandId: brandRef.id, logoUrl, logos, suggestedPalette: suggestedPalette || [] };
+}
+
+function brandNotFound() {
+  return new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Brand not found', httpStatus: 404, retryable: false });
+}
+
+// Brand content kept in a version snapshot; everything else on the doc is bookkeeping
+const VERSIONED_FIELDS = [...BRAND_INFO_FIELDS, 'logoUrl', 'logos'];
+
+// Brands created before versioning are on version 1
+function brandVersion(brand) {
+  return Number.isInteger(brand && brand.version) && brand.version > 0 ? brand.version : 1;
+}
+
+/**
+ * Apply `updatePayload` to a brand without losing what it replaces: in one transaction the
+ * current content is copied to versions/{version} and the brand moves to version + 1.
+ * The live brand doc is always the latest version; versions/{n} is how the brand looked while
+ * it was on version n, which is what images generated with brandVersion n were made from.
+ * `change` ({ reason, restoredFrom? }) records how the new version came about.
+ * Returns: the new version number
+ */
+async function updateBrandVersioned(brandRef, updatePayload, uid, change) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(brandRef);
+    if (!snap.exists) throw brandNotFound();
+    const current = snap.data();
+    const version = brandVersion(current);
+    if (!Object.keys(updatePayload).length) return version;
+
+    const brand = {};
+    for (const key of VERSIONED_FIELDS) {
+      if (current[key] !== undefined) brand[key] = current[key];
+    }
+    tx.set(brandRef.collection('versions').doc(String(version)), {
+      version,
+      brand,
+      change: current.versionChange || { reason: 'create' },
+      createdAt: current.updatedAt || current.createdAt || null,
+      supersededAt: FieldValue.serverTimestamp(),
+    });
+    tx.update(brandRef, {
+      ...updatePayload,
+      version: version + 1,
+      versionChange: { restoredFrom: null, ...change, uid },
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return version + 1;
+  });
+}
+
+function serializeBrandVersion(version, brand, change, createdAt, current) {
+  return {
+    version,
+    current,
+    brand,
+    reason: change.reason || null,
+    restoredFrom: change.restoredFrom || null,
+    createdAt: createdAt && typeof createdAt.toDate === 'function' ? createdAt.toDate().toISOString() : null,
+  };
+}
+
+// Bytes of every stored logo of a brand: [{ variant, buffer, mimeType }]
+async function downloadBrandLogos(ownerKey, brandId, brand) {
+  const logos = [];
+  for (const [variant, logo] of Object.entries(brandLogos(brand))) {
+    let file = logo.storagePath ? bucket.file(logo.storagePath) : null;
+    if (!file && variant === 'primary') {
+      // Brands created before logo variants only stored the URL; the file sits at the folder root
+      const [files] = await bucket.getFiles({ prefix: logoFolder(ownerKey, brandId), delimiter: '/' });
+      file = files[0] || null;
+    }
+    if (!file) continue;
+    try {
+      const [[buffer], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+      logos.push({ variant, buffer, mimeType: logo.mimeType || metadata.contentType || 'image/png' });
+    } catch (e) {
+      console.warn(`Failed to read ${variant} logo for export:`, e?.message || e);
+    }
+  }
+  return logos;
+}
+
 exports.addBrand = onRequest(
   {
     region: 'europe-west1',
@@ -55,7 +262,8 @@ exports.addBrand = onRequest(
       }
 
       let brandInfo;
-      let logoFile = null;
+      let workspaceId = null;
+      const logoFiles = {};
 
       try {
         if (req.headers['content-type'] && req.headers['content-type'].includes('multipart/form-data')) {
@@ -72,9 +280,10 @@ exports.addBrand = onRequest(
 
             busboy.on('file', (fieldname, file, { filename, mimeType }) => {
               console.log(`Busboy file: ${fieldname}, filename: ${filename}, mimeType: ${mimeType}`);
-              if (fieldname === 'logo') {
+              const variant = logoVariantForField(fieldname);
+              if (variant) {
                 const filepath = path.join(os.tmpdir(), `logo_${randomUUID()}_${filename}`);
-                logoFile = { filepath, filename, mimeType };
+                logoFiles[variant] = { filepath, filename, mimeType };
                 const writeStream = fs.createWriteStream(filepath);
                 file.pipe(writeStream);
                 writes.push(new Promise((res, rej) => {
@@ -108,6 +317,7 @@ exports.addBrand = onRequest(
           });
 
           // user_id is now derived from token
+          workspaceId = readWorkspaceId(fields);
           try {
             brandInfo = fields.brandInfo ? JSON.parse(fields.brandInfo) : null;
           } catch (e) {
@@ -119,84 +329,23 @@ exports.addBrand = onRequest(
           console.log('Processing JSON request for addBrand');
           // user_id = req.body.user_id; // Removed
           brandInfo = req.body.brandInfo;
+          workspaceId = readWorkspaceId(req.body);
         }
 
-        if (!brandInfo || typeof brandInfo !== 'object') {
-          const err = validationError({ brandInfo: 'required' });
-          logError({ requestId, endpoint: 'addBrand', err });
-          return sendError(res, err, requestId);
-        }
-        const brandName = (brandInfo.brandName || '').toString().trim();
-        if (!brandName) {
-          const err = validationError({ 'brandInfo.brandName': 'required' });
+        let brandFields;
+        try {
+          brandFields = validateBrandInfo(brandInfo);
+        } catch (err) {
+          discardLogoFiles(logoFiles);
           logError({ requestId, endpoint: 'addBrand', err });
           return sendError(res, err, requestId);
         }
 
-        const brandsCol = db.collection('users').doc(user_id).collection('brands');
-        const brandRef = brandsCol.doc(); // auto-id
-
-        let logoUrl = null;
-        if (logoFile) {
-          console.log('Uploading logo file:', logoFile.filepath);
-          try {
-            const downloadToken = randomUUID();
-            const destination = `images/brand_logos/${user_id}/${brandRef.id}/${logoFile.filename}`;
-            const [file] = await bucket.upload(logoFile.filepath, {
-              destination,
-              metadata: {
-                contentType: logoFile.mimeType,
-                metadata: {
-                  firebaseStorageDownloadTokens: downloadToken
-                }
-              },
-            });
-
-            // Try to get signed URL (valid for 1 year)
-            try {
-              const [url] = await file.getSignedUrl({
-                action: 'read',
-                expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 365),
-              });
-              logoUrl = url;
-              console.log('Logo uploaded successfully, signed url:', logoUrl);
-            } catch (signErr) {
-              console.warn('getSignedUrl failed, falling back to token URL:', signErr.message);
-              // Fallback to token-based URL
-              // Ensure bucket name is correct. If bucket.name is missing, try to infer it or use a placeholder (though it should be there).
-              const bName = bucket.name || `${process.env.GCLOUD_PROJECT || 'brandize-101db'}.appspot.com`;
-              logoUrl = `https://firebasestorage.googleapis.com/v0/b/${bName}/o/${encodeURIComponent(destination)}?alt=media&token=${downloadToken}`;
-              console.log('Logo uploaded successfully, token url:', logoUrl);
-            }
-          } catch (uploadErr) {
-            const err = storageError('Failed to upload logo', true, { reason: uploadErr?.message });
-            throw err;
-          } finally {
-            fs.unlink(logoFile.filepath, () => {});
-          }
-        } else {
-          console.log('No logo file to upload');
-        }
-
-        const nowFields = {
-          createdAt: FieldValue.serverTimestamp(),
-          updatedAt: FieldValue.serverTimestamp(),
-        };
-        const docData = {
-          brandName,
-          website: brandInfo.website ?? null,
-          phone: brandInfo.phone ?? null,
-          address: brandInfo.address ?? null,
-          description: brandInfo.description ?? null,
-          colorPalette: Array.isArray(brandInfo.colorPalette) ? brandInfo.colorPalette : [],
-          logoUrl: logoUrl || null,
-          ...nowFields,
-        };
-
-        await brandRef.set(docData);
-        return res.status(200).json({ success: true, brandId: brandRef.id, logoUrl });
+        const scope = await brandScope(user_id, workspaceId);
+        const created = await createBrand(scope, brandFields, logoFiles);
+        return res.status(200).json({ success: true, ...created });
       } catch (err) {
-        if (logoFile) fs.unlink(logoFile.filepath, () => {});
+        discardLogoFiles(logoFiles);
         const appErr = normalizeUnknownError(err);
         logError({ requestId, uid: user_id, endpoint: 'addBrand', err: appErr });
         return sendError(res, appErr, requestId);
@@ -239,7 +388,8 @@ exports.updateBrand = onRequest(
 
       let brand_id;
       let brandInfo = {};
-      let logoFile = null;
+      let workspaceId = null;
+      const logoFiles = {};
 
       try {
         if (req.headers['content-type'] && req.headers['content-type'].includes('multipart/form-data')) {
@@ -253,9 +403,10 @@ exports.updateBrand = onRequest(
             });
 
             busboy.on('file', (fieldname, file, { filename, mimeType }) => {
-              if (fieldname === 'logo') {
+              const variant = logoVariantForField(fieldname);
+              if (variant) {
                 const filepath = path.join(os.tmpdir(), `logo_${randomUUID()}_${filename}`);
-                logoFile = { filepath, filename, mimeType };
+                logoFiles[variant] = { filepath, filename, mimeType };
                 const writeStream = fs.createWriteStream(filepath);
                 file.pipe(writeStream);
                 writes.push(new Promise((res, rej) => {
@@ -283,6 +434,7 @@ exports.updateBrand = onRequest(
 
           // user_id = fields.user_id; // Removed
           brand_id = fields.brand_id;
+          workspaceId = readWorkspaceId(fields);
           if (fields.brandInfo) {
             try {
               brandInfo = JSON.parse(fields.brandInfo);
@@ -295,6 +447,7 @@ exports.updateBrand = onRequest(
         } else {
           // user_id = req.body.user_id; // Removed
           brand_id = req.body.brand_id;
+          workspaceId = readWorkspaceId(req.body);
           brandInfo = req.body.brandInfo || {};
         }
 
@@ -304,83 +457,546 @@ exports.updateBrand = onRequest(
           return sendError(res, err, requestId);
         }
 
-        const brandRef = db.collection('users').doc(user_id).collection('brands').doc(brand_id);
+        let brandFields;
+        try {
+          brandFields = validateBrandInfo(brandInfo || {}, { partial: true });
+        } catch (err) {
+          discardLogoFiles(logoFiles);
+          logError({ requestId, endpoint: 'updateBrand', err });
+          return sendError(res, err, requestId);
+        }
+
+        const scope = await brandScope(user_id, workspaceId);
+        const brandRef = scope.brandsCol.doc(brand_id);
         const existing = await brandRef.get();
         if (!existing.exists) {
-          if (logoFile) fs.unlink(logoFile.filepath, () => {});
+          discardLogoFiles(logoFiles);
           const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Brand not found', httpStatus: 404, retryable: false });
           logError({ requestId, endpoint: 'updateBrand', err });
           return sendError(res, err, requestId);
         }
 
-        let logoUrl = undefined;
-        if (logoFile) {
-          // Delete old logo(s)
-          const prefix = `images/brand_logos/${user_id}/${brand_id}/`;
-          try {
-            const [files] = await bucket.getFiles({ prefix });
-            if (files.length > 0) {
-              await Promise.all(files.map((f) => f.delete()));
-            }
-          } catch (e) {
-            console.warn('Failed to cleanup old logos:', e);
+        const { logos, suggestedPalette } = await uploadLogos(scope.ownerKey, brand_id, logoFiles, { unique: true });
+        const logoUrl = logos.primary ? logos.primary.url : undefined;
+
+        // Variants listed in brandInfo.removeLogos are dropped unless replaced in the same request.
+        // Replaced and removed files stay in Storage for older versions until the brand is deleted.
+        const removeLogos = Array.isArray(brandInfo && brandInfo.removeLogos)
+          ? brandInfo.removeLogos.filter((v) => LOGO_VARIANTS.includes(v) && !logos[v])
+          : [];
+
+        // Only fields sent by the client are touched
+        const updatePayload = {
+          ...brandFields,
+        };
+
+        if (logoUrl) {
+          updatePayload.logoUrl = logoUrl;
+        }
+        for (const [variant, logo] of Object.entries(logos)) {
+          updatePayload[`logos.${variant}`] = logo;
+        }
+        if (suggestedPalette) {
+          updatePayload.suggestedPalette = suggestedPalette;
+        }
+        for (const variant of removeLogos) {
+          updatePayload[`logos.${variant}`] = FieldValue.delete();
+          if (variant === 'primary') updatePayload.logoUrl = null;
+        }
+
+        // update() replaces map fields such as socialHandles instead of deep-merging them
+        const version = await updateBrandVersioned(brandRef, updatePayload, user_id, { reason: 'update' });
+        return res.status(200).json({ success: true, version, logoUrl, logos, suggestedPalette: suggestedPalette || undefined });
+      } catch (err) {
+        discardLogoFiles(logoFiles);
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid: user_id, endpoint: 'updateBrand', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * Copy the palette suggested from the brand's logo into colorPalette.
+ * POST JSON { brand_id, colors?, workspace_id? } — colors picks a subset of suggestedPalette (in the caller's
+ * order); omitted, the whole suggestion is accepted. Replaces the existing colorPalette.
+ * Returns: { success, version, colorPalette }
+ */
+exports.acceptSuggestedPalette = onRequest(
+  {
+    region: 'europe-west1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type');
+      return res.status(204).send('');
+    }
+
+    return cors(req, res, async () => {
+      if (req.method !== 'POST') {
+        const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method not allowed. Use POST.', httpStatus: 405, retryable: false });
+        logError({ requestId, endpoint: 'acceptSuggestedPalette', err });
+        return sendError(res, err, requestId);
+      }
+
+      let user_id;
+      try {
+        user_id = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'acceptSuggestedPalette', err });
+        return sendError(res, err, requestId);
+      }
+
+      try {
+        const { brand_id, colors } = req.body || {};
+        if (!brand_id || typeof brand_id !== 'string') {
+          const err = validationError({ brand_id: 'required' });
+          logError({ requestId, uid: user_id, endpoint: 'acceptSuggestedPalette', err });
+          return sendError(res, err, requestId);
+        }
+        if (colors !== undefined && (!Array.isArray(colors) || colors.some((c) => typeof c !== 'string'))) {
+          const err = validationError({ colors: 'must be an array of strings' });
+          logError({ requestId, uid: user_id, endpoint: 'acceptSuggestedPalette', err });
+          return sendError(res, err, requestId);
+        }
+
+        const scope = await brandScope(user_id, readWorkspaceId(req.body));
+        const brandRef = scope.brandsCol.doc(brand_id);
+        const snap = await brandRef.get();
+        if (!snap.exists) {
+          const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Brand not found', httpStatus: 404, retryable: false });
+          logError({ requestId, uid: user_id, endpoint: 'acceptSuggestedPalette', err });
+          return sendError(res, err, requestId);
+        }
+
+        const suggested = Array.isArray(snap.data().suggestedPalette) ? snap.data().suggestedPalette : [];
+        if (!suggested.length) {
+          const err = invalidState('Brand has no suggested palette. Upload a logo first.', undefined, false);
+          logError({ requestId, uid: user_id, endpoint: 'acceptSuggestedPalette', err });
+          return sendError(res, err, requestId);
+        }
+
+        let colorPalette = suggested;
+        if (colors !== undefined) {
+          const wanted = colors.map((c) => c.trim().toUpperCase());
+          const unknown = wanted.filter((c) => !suggested.includes(c));
+          if (unknown.length || !wanted.length) {
+            const err = validationError({ colors: unknown.length ? `not in the suggested palette: ${unknown.join(', ')}` : 'must not be empty' });
+            logError({ requestId, uid: user_id, endpoint: 'acceptSuggestedPalette', err });
+            return sendError(res, err, requestId);
           }
+          colorPalette = [...new Set(wanted)];
+        }
 
-          // Upload new logo
-          try {
-            const downloadToken = randomUUID();
-            const destination = `${prefix}${logoFile.filename}`;
-            const [file] = await bucket.upload(logoFile.filepath, {
-              destination,
-              metadata: {
-                contentType: logoFile.mimeType,
-                metadata: {
-                  firebaseStorageDownloadTokens: downloadToken,
-                },
-              },
-            });
+        ({ colorPalette } = validateBrandInfo({ colorPalette }, { partial: true }));
+        const version = await updateBrandVersioned(brandRef, { colorPalette }, user_id, { reason: 'acceptSuggestedPalette' });
+        return res.status(200).json({ success: true, version, colorPalette });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid: user_id, endpoint: 'acceptSuggestedPalette', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
 
-            try {
-              const [url] = await file.getSignedUrl({
-                action: 'read',
-                expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 365),
+/**
+ * Version history of a brand, newest first. The first entry is the live brand.
+ * GET ?brand_id=...&workspace_id=...&limit=20 (max 100)
+ * Returns: { brandId, currentVersion, versions: [{ version, current, brand, reason, restoredFrom, createdAt }] }
+ */
+exports.listBrandVersions = onRequest(
+  {
+    region: 'europe-west1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type');
+      return res.status(204).send('');
+    }
+
+    return cors(req, res, async () => {
+      if (req.method !== 'GET') {
+        const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method not allowed. Use GET.', httpStatus: 405, retryable: false });
+        logError({ requestId, endpoint: 'listBrandVersions', err });
+        return sendError(res, err, requestId);
+      }
+
+      let user_id;
+      try {
+        user_id = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'listBrandVersions', err });
+        return sendError(res, err, requestId);
+      }
+
+      try {
+        const brand_id = req.query?.brand_id;
+        if (!brand_id || typeof brand_id !== 'string') {
+          const err = validationError({ brand_id: 'required' });
+          logError({ requestId, uid: user_id, endpoint: 'listBrandVersions', err });
+          return sendError(res, err, requestId);
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const scope = await brandScope(user_id, readWorkspaceId(req.query), WORKSPACE_ROLES.VIEWER);
+        const brandRef = scope.brandsCol.doc(brand_id);
+        const snap = await brandRef.get();
+        if (!snap.exists) {
+          const err = brandNotFound();
+          logError({ requestId, uid: user_id, endpoint: 'listBrandVersions', err });
+          return sendError(res, err, requestId);
+        }
+
+        const live = snap.data();
+        const currentVersion = brandVersion(live);
+        const liveBrand = {};
+        for (const key of VERSIONED_FIELDS) {
+          if (live[key] !== undefined) liveBrand[key] = live[key];
+        }
+        const versions = [
+          serializeBrandVersion(currentVersion, liveBrand, live.versionChange || { reason: 'create' }, live.updatedAt || live.createdAt, true),
+        ];
+
+        if (limit > 1) {
+          const older = await brandRef.collection('versions').orderBy('version', 'desc').limit(limit - 1).get();
+          older.forEach((doc) => {
+            const data = doc.data();
+            versions.push(serializeBrandVersion(data.version, data.brand || {}, data.change || {}, data.createdAt, false));
+          });
+        }
+
+        return res.status(200).json({ brandId: brand_id, currentVersion, versions });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid: user_id, endpoint: 'listBrandVersions', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * Roll a brand back to an earlier version. The restore is itself a new version, so it can be undone.
+ * POST JSON { brand_id, version, workspace_id? }
+ * Returns: { success, version, restoredFrom, brand }
+ */
+exports.restoreBrandVersion = onRequest(
+  {
+    region: 'europe-west1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type');
+      return res.status(204).send('');
+    }
+
+    return cors(req, res, async () => {
+      if (req.method !== 'POST') {
+        const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method not allowed. Use POST.', httpStatus: 405, retryable: false });
+        logError({ requestId, endpoint: 'restoreBrandVersion', err });
+        return sendError(res, err, requestId);
+      }
+
+      let user_id;
+      try {
+        user_id = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'restoreBrandVersion', err });
+        return sendError(res, err, requestId);
+      }
+
+      try {
+        const { brand_id } = req.body || {};
+        const version = Number(req.body?.version);
+        if (!brand_id || typeof brand_id !== 'string' || !Number.isInteger(version) || version < 1) {
+          const err = validationError({
+            brand_id: !brand_id || typeof brand_id !== 'string' ? 'required' : undefined,
+            version: !Number.isInteger(version) || version < 1 ? 'must be a positive integer' : undefined,
+          });
+          logError({ requestId, uid: user_id, endpoint: 'restoreBrandVersion', err });
+          return sendError(res, err, requestId);
+        }
+
+        const scope = await brandScope(user_id, readWorkspaceId(req.body));
+        const brandRef = scope.brandsCol.doc(brand_id);
+        const [brandSnap, versionSnap] = await Promise.all([
+          brandRef.get(),
+          brandRef.collection('versions').doc(String(version)).get(),
+        ]);
+        if (!brandSnap.exists) {
+          const err = brandNotFound();
+          logError({ requestId, uid: user_id, endpoint: 'restoreBrandVersion', err });
+          return sendError(res, err, requestId);
+        }
+        if (version === brandVersion(brandSnap.data())) {
+          const err = invalidState(`Brand is already on version ${version}`, { version }, false);
+          logError({ requestId, uid: user_id, endpoint: 'restoreBrandVersion', err });
+          return sendError(res, err, requestId);
+        }
+        if (!versionSnap.exists) {
+          const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Brand version not found', httpStatus: 404, retryable: false });
+          logError({ requestId, uid: user_id, endpoint: 'restoreBrandVersion', err });
+          return sendError(res, err, requestId);
+        }
+
+        // Fields missing from the snapshot did not exist back then and are cleared
+        const brand = versionSnap.data().brand || {};
+        const updatePayload = {};
+        for (const key of VERSIONED_FIELDS) {
+          updatePayload[key] = brand[key] !== undefined ? brand[key] : FieldValue.delete();
+        }
+
+        const newVersion = await updateBrandVersioned(brandRef, updatePayload, user_id, { reason: 'restore', restoredFrom: version });
+        return res.status(200).json({ success: true, version: newVersion, restoredFrom: version, brand });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid: user_id, endpoint: 'restoreBrandVersion', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * Draft a brand from the caller's website. Nothing is stored: the client reviews the draft,
+ * picks a logo candidate and creates the brand with addBrand.
+ * POST JSON { url }
+ * Returns: { success, sourceUrl, draft: brandInfo, logoCandidates: [{ url, source, size }], themeColor }
+ */
+exports.importBrandFromWebsite = onRequest(
+  {
+    region: 'europe-west1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type');
+      return res.status(204).send('');
+    }
+
+    return cors(req, res, async () => {
+      if (req.method !== 'POST') {
+        const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method not allowed. Use POST.', httpStatus: 405, retryable: false });
+        logError({ requestId, endpoint: 'importBrandFromWebsite', err });
+        return sendError(res, err, requestId);
+      }
+
+      let user_id;
+      try {
+        user_id = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'importBrandFromWebsite', err });
+        return sendError(res, err, requestId);
+      }
+
+      try {
+        const result = await importBrandFromUrl((req.body || {}).url);
+        return res.status(200).json({ success: true, ...result });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid: user_id, endpoint: 'importBrandFromWebsite', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * Download a brand as a portable brand kit: a zip of brand.json and logos/<variant>.<ext>.
+ * GET /exportBrand?brand_id=<id>[&workspace_id=<id>]
+ * Returns: application/zip attachment
+ */
+exports.exportBrand = onRequest(
+  {
+    region: 'europe-west1',
+    timeoutSeconds: 60,
+    memory: '512MiB',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type');
+      return res.status(204).send('');
+    }
+
+    return cors(req, res, async () => {
+      if (req.method !== 'GET') {
+        const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method not allowed. Use GET.', httpStatus: 405, retryable: false });
+        logError({ requestId, endpoint: 'exportBrand', err });
+        return sendError(res, err, requestId);
+      }
+
+      let user_id;
+      try {
+        user_id = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'exportBrand', err });
+        return sendError(res, err, requestId);
+      }
+
+      try {
+        const brand_id = (req.query.brand_id || '').toString().trim();
+        if (!brand_id) {
+          const err = validationError({ brand_id: 'required' });
+          logError({ requestId, uid: user_id, endpoint: 'exportBrand', err });
+          return sendError(res, err, requestId);
+        }
+
+        const scope = await brandScope(user_id, readWorkspaceId(req.query), WORKSPACE_ROLES.VIEWER);
+        const snap = await scope.brandsCol.doc(brand_id).get();
+        if (!snap.exists) {
+          const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Brand not found', httpStatus: 404, retryable: false });
+          logError({ requestId, uid: user_id, endpoint: 'exportBrand', err });
+          return sendError(res, err, requestId);
+        }
+
+        const brand = snap.data();
+        const logos = await downloadBrandLogos(scope.ownerKey, brand_id, brand);
+        const archive = await buildBrandArchive({ brand, logos });
+
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="${archiveFilename(brand.brandName)}"`);
+        return res.status(200).send(archive);
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid: user_id, endpoint: 'exportBrand', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * Create a brand from a brand kit made by exportBrand, e.g. one exported from another account.
+ * POST multipart/form-data with the zip as file field `archive` (and optional field workspace_id).
+ * brand.json is validated like addBrand's brandInfo; logos are re-uploaded under the new brand.
+ * Returns: { success, brandId, logoUrl, logos, suggestedPalette }
+ */
+exports.importBrand = onRequest(
+  {
+    region: 'europe-west1',
+    timeoutSeconds: 60,
+    memory: '512MiB',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type');
+      return res.status(204).send('');
+    }
+
+    return cors(req, res, async () => {
+      if (req.method !== 'POST') {
+        const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method not allowed. Use POST.', httpStatus: 405, retryable: false });
+        logError({ requestId, endpoint: 'importBrand', err });
+        return sendError(res, err, requestId);
+      }
+
+      let user_id;
+      try {
+        user_id = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'importBrand', err });
+        return sendError(res, err, requestId);
+      }
+
+      if (!req.headers['content-type'] || !req.headers['content-type'].includes('multipart/form-data')) {
+        const err = validationError({ 'content-type': 'must be multipart/form-data' });
+        logError({ requestId, uid: user_id, endpoint: 'importBrand', err });
+        return sendError(res, err, requestId);
+      }
+
+      const logoFiles = {};
+      try {
+        const busboy = createMultipartParser(req.headers);
+        const fields = {};
+        let archiveBuffer = null;
+        await new Promise((resolve, reject) => {
+          busboy.on('field', (fieldname, val) => {
+            fields[fieldname] = val;
+          });
+          busboy.on('file', (fieldname, file) => {
+            if (fieldname === 'archive') {
+              const chunks = [];
+              file.on('data', (data) => chunks.push(data));
+              file.on('end', () => {
+                archiveBuffer = Buffer.concat(chunks);
               });
-              logoUrl = url;
-            } catch (signErr) {
-              const bName = bucket.name || `${process.env.GCLOUD_PROJECT || 'brandize-101db'}.appspot.com`;
-              logoUrl = `https://firebasestorage.googleapis.com/v0/b/${bName}/o/${encodeURIComponent(destination)}?alt=media&token=${downloadToken}`;
+            } else {
+              file.resume();
             }
-          } catch (uploadErr) {
-            const err = storageError('Failed to upload logo', true, { reason: uploadErr?.message });
-            throw err;
-          } finally {
-            fs.unlink(logoFile.filepath, () => {});
+          });
+          busboy.on('finish', resolve);
+          busboy.on('error', reject);
+
+          if (req.rawBody) {
+            busboy.end(req.rawBody);
+          } else {
+            req.pipe(busboy);
           }
-        }
+        });
 
-        const updatePayload = {
-          updatedAt: FieldValue.serverTimestamp(),
-        };
+        // Fail on access before any files are staged
+        const scope = await brandScope(user_id, readWorkspaceId(fields));
 
-        if (brandInfo) {
-          if (typeof brandInfo.brandName !== 'undefined') updatePayload.brandName = brandInfo.brandName;
-          if (typeof brandInfo.website !== 'undefined') updatePayload.website = brandInfo.website;
-          if (typeof brandInfo.phone !== 'undefined') updatePayload.phone = brandInfo.phone;
-          if (typeof brandInfo.address !== 'undefined') updatePayload.address = brandInfo.address;
-          if (typeof brandInfo.description !== 'undefined') updatePayload.description = brandInfo.description;
-          if (typeof brandInfo.colorPalette !== 'undefined') updatePayload.colorPalette = brandInfo.colorPalette;
+        let kit;
+        try {
+          kit = await readBrandArchive(archiveBuffer);
+        } catch (err) {
+          logError({ requestId, uid: user_id, endpoint: 'importBrand', err });
+          return sendError(res, err, requestId);
         }
 
-        if (logoUrl) {
-          updatePayload.logoUrl = logoUrl;
+        // uploadLogos works from temp files, like multipart uploads in addBrand
+        for (const { variant, buffer, filename, mimeType } of kit.logos) {
+          const filepath = path.join(os.tmpdir(), `logo_${randomUUID()}_${filename}`);
+          await fs.promises.writeFile(filepath, buffer);
+          logoFiles[variant] = { filepath, filename, mimeType };
         }
 
-        await brandRef.set(updatePayload, { merge: true });
-        return res.status(200).json({ success: true, logoUrl });
+        const created = await createBrand(scope, kit.brandInfo, logoFiles);
+        return res.status(200).json({ success: true, ...created });
       } catch (err) {
-        if (logoFile) fs.unlink(logoFile.filepath, () => {});
+        discardLogoFiles(logoFiles);
         const appErr = normalizeUnknownError(err);
-        logError({ requestId, uid: user_id, endpoint: 'updateBrand', err: appErr });
+        logError({ requestId, uid: user_id, endpoint: 'importBrand', err: appErr });
         return sendError(res, appErr, requestId);
       }
     });
@@ -428,13 +1044,14 @@ exports.deleteBrand = onRequest(
           return sendError(res, err, requestId);
         }
 
-        const brandRef = db.collection('users').doc(user_id).collection('brands').doc(brand_id);
+        const scope = await brandScope(user_id, readWorkspaceId(req.body, req.query));
+        const brandRef = scope.brandsCol.doc(brand_id);
 
-        // Delete Firestore document
-        await brandRef.delete();
+        // Delete Firestore document along with its versions
+        await db.recursiveDelete(brandRef);
 
         // Delete all files in the brand's storage folder (logos)
-        const prefix = `images/brand_logos/${user_id}/${brand_id}/`;
+        const prefix = logoFolder(scope.ownerKey, brand_id);
         try {
           const [files] = await bucket.getFiles({ prefix });
           if (files.length > 0) {
@@ -478,8 +1095,8 @@ exports.getBrands = onRequest(
         return sendError(res, err, requestId);
       }
 
+      let user_id;
       try {
-        let user_id;
         try {
           user_id = await verifyAuth(req);
         } catch (e) {
@@ -488,12 +1105,8 @@ exports.getBrands = onRequest(
           return sendError(res, err, requestId);
         }
 
-        const brandsSnapshot = await db
-          .collection('users')
-          .doc(user_id)
-          .collection('brands')
-          .orderBy('createdAt', 'desc')
-          .get();
+        const scope = await brandScope(user_id, readWorkspaceId(req.query), WORKSPACE_ROLES.VIEWER);
+        const brandsSnapshot = await scope.brandsCol.orderBy('createdAt', 'desc').get();
 
         const brands = [];
         brandsSnapshot.forEach((doc) => {
@@ -512,3 +1125,5 @@ exports.getBrands = onRequest(
     });
   },
 );
+
+exports.brandScope = brandScope;
@@ -7,6 +7,7 @@ const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const { defineSecret, defineString } = require('firebase-functions/params');
 const crypto = require('crypto');
+const { LEDGER_REASONS, appendLedgerEntries } = require('./ledgerOperations');
 
 try {
   if (!admin.apps.length) {
@@ -373,6 +374,11 @@ const verifyAppleDeviceTrial = onCall({
         }
       }
 
+      appendLedgerEntries(tx, uid, [
+        { usageType: 'generate', bucket: 'free', delta: grant.generate, reason: LEDGER_REASONS.GRANT, source: 'verifyAppleDeviceTrial', requestId },
+        { usageType: 'download', bucket: 'free', delta: grant.download, reason: LEDGER_REASONS.GRANT, source: 'verifyAppleDeviceTrial', requestId },
+      ]);
+
       if (restoreRef) {
         tx.set(
           restoreRef,
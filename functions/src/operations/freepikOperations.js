@@ -8,7 +8,9 @@ const JSZip = require('jszip');
 const sharp = require('sharp');
 const { buildCommonImagePath, verifyAuth } = require('../common/utils');
 const { ensureUserExists, decrementUsage } = require('./userOperations');
-const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
+const { GOOGLE_API_KEY } = require('../common/genkit');
+const { imagePart, textPart, generateJson } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
 const {
   AppError,
   ErrorCodes,
@@ -285,7 +287,7 @@ exports.freepikDownload = onRequest(
         // Ensure user exists and decrement download usage
         await ensureUserExists(uid);
         try {
-          await decrementUsage(uid, 'download');
+          await decrementUsage(uid, 'download', { amount: computeCreditCost({ tool: 'freepikDownload' }), source: 'freepikDownload', requestId });
         } catch (error) {
           if (error?.message && (error.message.includes('No remaining') || error.message.includes('usage available'))) {
             const err = quotaExceeded({ usageType: 'download' });
@@ -555,7 +557,7 @@ exports.freepikDownloadTemplate = onRequest(
         // Ensure user exists and decrement download usage
         await ensureUserExists(uid);
         try {
-          await decrementUsage(uid, 'download');
+          await decrementUsage(uid, 'download', { amount: computeCreditCost({ tool: 'freepikDownload' }), source: 'freepikDownloadTemplate', requestId });
         } catch (error) {
           if (error?.message && (error.message.includes('No remaining') || error.message.includes('usage available'))) {
             const err = quotaExceeded({ usageType: 'download' });
@@ -816,7 +818,6 @@ exports.freepikDownloadTemplate = onRequest(
         console.log(`Gemini Payload Size: ${(geminiBuffer.length / 1024).toFixed(2)} KB`);
 
         // 3. Send to Gemini
-        const { ai, googleAI } = await initGenkit();
         const promptText = `can you identify how many social layouts in this images and tell me the normalized coordinates? Give me the normalized coordinates (0...1), so I can calculate to the image size on my end. Response only with json in this format:
 {
 "layouts": [
@@ -829,29 +830,20 @@ exports.freepikDownloadTemplate = onRequest(
 }`;
 
         // Use image/jpeg content type since we forced conversion
-        const generateResp = await ai.generate({
-            model: googleAI.model('gemini-3-flash-preview'),
-            prompt: [
-                { media: { url: `data:image/jpeg;base64,${geminiBuffer.toString('base64')}`, contentType: 'image/jpeg' } },
-                { text: promptText }
-            ],
-            config: {
-                temperature: 0.4,
-            },
-            output: { format: 'json' }
-        });
-
-        const responseText = generateResp.text;
-        console.log('freepikDownloadTemplate: Gemini response:', responseText);
-        const jsonStr = responseText.replace(/```json\n?|\n?```/g, '').trim();
         let layoutData;
         try {
-            layoutData = JSON.parse(jsonStr);
+            layoutData = await generateJson({
+                parts: [imagePart(geminiBuffer.toString('base64'), 'image/jpeg'), textPart(promptText)],
+                model: 'gemini-3-flash-preview',
+                temperature: 0.4,
+                // Offline runs treat the whole template as a single layout
+                fakeResponse: { layouts: [{ top_left: { x: 0, y: 0 }, bottom_right: { x: 1, y: 1 } }] },
+            });
         } catch (e) {
-          const err = new AppError({ code: ErrorCodes.PIPELINE_STEP_FAILED, message: 'INVALID_AI_RESPONSE', httpStatus: 500, retryable: false, details: { responseText } });
-          logError({ requestId, uid, endpoint: 'freepikDownloadTemplate', err });
-          return sendError(res, err, requestId);
+          logError({ requestId, uid, endpoint: 'freepikDownloadTemplate', err: e });
+          return sendError(res, e, requestId);
         }
+        console.log('freepikDownloadTemplate: Gemini layouts:', JSON.stringify(layoutData));
 
         if (!layoutData || !Array.isArray(layoutData.layouts)) {
            const err = new AppError({ code: ErrorCodes.PIPELINE_STEP_FAILED, message: 'INVALID_LAYOUT_FORMAT', httpStatus: 500, retryable: false, details: layoutData });
@@ -0,0 +1,425 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const cors = require('cors')({ origin: true });
+const admin = require('firebase-admin');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { randomUUID } = require('crypto');
+const { buildGeneratedImagePath, verifyAuth } = require('../common/utils');
+const { createAndUploadThumbnail, computeThumbPath } = require('./thumbnailOperations');
+const { WORKSPACE_ROLES, hasRole } = require('../common/workspaces');
+const {
+  AppError,
+  ErrorCodes,
+  unauthenticated,
+  validationError,
+  storageError,
+  sendError,
+  normalizeUnknownError,
+  logError,
+} = require('../common/errors');
+
+try {
+  if (!admin.apps.length) {
+    admin.initializeApp();
+  }
+} catch (e) {
+  // ignore re-init in emulator hot-reload
+}
+
+const db = getFirestore();
+
+const MAX_VARIANTS = 4;
+
+function getBucket() {
+  const appOptions = admin.app().options || {};
+  const configuredBucket = appOptions.storageBucket;
+  const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+  const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
+  return bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
+}
+
+function extensionFor(mimeType) {
+  if (mimeType === 'image/png') return 'png';
+  if (mimeType === 'image/jpeg' || mimeType === 'image/jpg') return 'jpg';
+  if (mimeType === 'image/webp') return 'webp';
+  return 'png';
+}
+
+/**
+ * Persist one generated image: Storage object, thumbnail, images/{id} and the
+ * users/{uid}/generated index entry. Storage and Firestore failures are logged
+ * and skipped so the caller still gets the id back (emulator without a bucket).
+ * `tool` and `fields` are stored on both docs.
+ *
+ * Lineage: `parentImageId` is the image this one was edited from and `rootImageId`
+ * the first image of that chain (the image itself when it has no parent), so a whole
+ * version tree can be read back with one query. `toolParams` are the request
+ * parameters needed to re-run the edit.
+ * `workspaceId` files the image in that workspace's library (workspaces/{id}/generated)
+ * so every member can see it; it is still listed under the creating user.
+ * Returns: { id, storagePath, downloadUrl, thumbUrl, thumbPath, mimeType, modelVersion }
+ */
+async function saveGeneratedImage({
+  uid,
+  buffer,
+  mimeType,
+  prompt = null,
+  aspectRatio = null,
+  modelVersion = null,
+  tool = null,
+  toolParams = null,
+  parentImageId = null,
+  rootImageId = null,
+  workspaceId = null,
+  fields = {},
+}) {
+  // Generate an id up front so Storage write doesn't depend on Firestore availability
+  const id = randomUUID();
+  const imagePath = buildGeneratedImagePath(uid, id, extensionFor(mimeType));
+  const bucket = getBucket();
+
+  let file = null;
+  let downloadToken = null;
+  try {
+    const [bucketExists] = await bucket.exists();
+    if (!bucketExists) {
+      console.warn(`Storage bucket not found. Skipping storage write. Attempted bucket: ${bucket.name || '(default)'}`);
+    } else {
+      file = bucket.file(imagePath);
+      downloadToken = randomUUID();
+      await file.save(buffer, {
+        resumable: false,
+        contentType: mimeType,
+        metadata: {
+          cacheControl: 'public, max-age=31536000',
+          metadata: { firebaseStorageDownloadTokens: downloadToken },
+        },
+      });
+    }
+  } catch (storageErr) {
+    console.warn('Storage write skipped due to error:', storageErr?.message || storageErr);
+    file = null;
+  }
+
+  // Signed URL first, fallback to token URL
+  let downloadUrl = null;
+  if (file) {
+    try {
+      const [url] = await file.getSignedUrl({
+        action: 'read',
+        expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 365),
+      });
+      downloadUrl = url;
+    } catch (e) {
+      try {
+        const [metadata] = await file.getMetadata().catch(() => [{}]);
+        let token = metadata?.metadata?.firebaseStorageDownloadTokens;
+        if (!token) {
+          token = downloadToken || randomUUID();
+          await file.setMetadata({ metadata: { firebaseStorageDownloadTokens: token } }).catch(() => {});
+        }
+        downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media&token=${token}`;
+      } catch (_) {
+        downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media`;
+      }
+    }
+  }
+
+  let thumbUrl = null;
+  let thumbPath = computeThumbPath(imagePath);
+  if (file) {
+    const { thumbPath: p, thumbUrl: u } = await createAndUploadThumbnail(bucket, buffer, imagePath);
+    thumbPath = p;
+    thumbUrl = u;
+  }
+
+  try {
+    await db.collection('images').doc(id).set({
+      storagePath: imagePath,
+      type: 'generated',
+      ownerId: uid || null,
+      workspaceId: workspaceId || null,
+      createdAt: FieldValue.serverTimestamp(),
+      prompt,
+      style: null,
+      aspectRatio: aspectRatio || null,
+      mockupImageUrl: null,
+      mimeType,
+      downloadUrl,
+      modelVersion: modelVersion || null,
+      tool,
+      toolParams: toolParams || null,
+      parentImageId: parentImageId || null,
+      rootImageId: rootImageId || parentImageId || id,
+      size: buffer.length,
+      thumbUrl: thumbUrl || null,
+      thumbPath,
+      thumbSize: 256,
+      ...fields,
+    });
+    const indexEntry = {
+      createdAt: FieldValue.serverTimestamp(),
+      imageId: id,
+      storagePath: imagePath,
+      type: 'generated',
+      tool,
+      workspaceId: workspaceId || null,
+      thumbUrl: thumbUrl || null,
+      thumbPath,
+      thumbSize: 256,
+      ...fields,
+    };
+    await db.collection('users').doc(uid).collection('generated').doc(id).set(indexEntry);
+    if (workspaceId) {
+      await db.collection('workspaces').doc(workspaceId).collection('generated').doc(id).set({ ...indexEntry, createdBy: uid });
+    }
+  } catch (metaErr) {
+    console.warn('Firestore metadata write skipped:', metaErr?.message || metaErr);
+  }
+
+  return { id, storagePath: imagePath, downloadUrl, thumbUrl, thumbPath, mimeType, modelVersion: modelVersion || null };
+}
+
+// Generated images belong to their owner and, when made in a workspace, to its members;
+// shared stock images to anyone who downloaded them
+async function canReadImage(uid, imageSnap) {
+  const data = imageSnap.data() || {};
+  if (data.ownerId === uid) return true;
+  if (data.workspaceId) {
+    const workspace = await db.collection('workspaces').doc(data.workspaceId).get();
+    return workspace.exists && hasRole(workspace.data(), uid, WORKSPACE_ROLES.VIEWER);
+  }
+  if (data.ownerId) return false;
+  const download = await db.collection('users').doc(uid).collection('downloads').doc(imageSnap.id).get();
+  return download.exists;
+}
+
+const sourceNotFound = () =>
+  new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Source image not found', httpStatus: 404, retryable: false });
+
+/**
+ * Resolve the image a tool edits, by `sourceImageId` (images/{id}) or raw `storagePath`.
+ * A storagePath that matches one of the caller's images still yields lineage.
+ * With download=false only the lineage is resolved (the client uploaded its own crop).
+ * Returns: { buffer, mimeType, storagePath, parentImageId, rootImageId } — buffer is null
+ * when nothing was given or download=false.
+ */
+async function loadSourceImage(uid, { sourceImageId = null, storagePath = null, download = true } = {}) {
+  let path = storagePath || null;
+  let parentImageId = null;
+  let rootImageId = null;
+
+  if (sourceImageId) {
+    const snap = await db.collection('images').doc(String(sourceImageId)).get();
+    if (!snap.exists || !(await canReadImage(uid, snap))) throw sourceNotFound();
+    const data = snap.data();
+    path = data.storagePath;
+    parentImageId = snap.id;
+    rootImageId = data.rootImageId || snap.id;
+  } else if (storagePath) {
+    const match = await db
+      .collection('images')
+      .where('ownerId', '==', uid)
+      .where('storagePath', '==', storagePath)
+      .limit(1)
+      .get()
+      .catch(() => null);
+    if (match && !match.empty) {
+      parentImageId = match.docs[0].id;
+      rootImageId = match.docs[0].data().rootImageId || parentImageId;
+    }
+  }
+
+  const lineage = { storagePath: path, parentImageId, rootImageId };
+  if (!download || !path) return { buffer: null, mimeType: null, ...lineage };
+
+  const file = getBucket().file(path);
+  let exists = false;
+  try {
+    [exists] = await file.exists();
+  } catch (e) {
+    throw storageError('Failed to download image from storage', true);
+  }
+  if (!exists) {
+    throw new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Image not found at storagePath', httpStatus: 404, retryable: false });
+  }
+  try {
+    const [metadata] = await file.getMetadata();
+    const [buffer] = await file.download();
+    return { buffer, mimeType: metadata.contentType || 'image/png', ...lineage };
+  } catch (e) {
+    throw storageError('Failed to download image from storage', true);
+  }
+}
+
+// Requested candidate count from a multipart field or JSON body; absent means 1
+function parseVariants(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_VARIANTS) {
+    throw validationError({ variants: `must be an integer between 1 and ${MAX_VARIANTS}` });
+  }
+  return n;
+}
+
+/**
+ * Run `produce(index, generationGroupId)` `count` times in parallel and keep the
+ * ones that succeed. Throws the first failure only when every variant failed.
+ * Returns: { generationGroupId, variants, failed }
+ */
+async function runVariants(count, produce) {
+  const generationGroupId = randomUUID();
+  const settled = await Promise.allSettled(
+    Array.from({ length: count }, (_, index) => produce(index, generationGroupId))
+  );
+  const variants = settled.filter((s) => s.status === 'fulfilled').map((s) => s.value);
+  const failures = settled.filter((s) => s.status === 'rejected').map((s) => s.reason);
+  if (!variants.length) throw failures[0];
+  failures.forEach((reason) =>
+    console.warn(`Variant failed in group ${generationGroupId}:`, reason?.message || reason)
+  );
+  return { generationGroupId, variants, failed: failures.length };
+}
+
+// Credits owed for a (multi-)variant result: one price per succeeded variant,
+// minus those already paid for upstream (e.g. by the blueprint/extraction step)
+function variantChargeAmount(result, creditsPerVariant, prepaidVariants = 0) {
+  const succeeded = Array.isArray(result?.variants) ? result.variants.length : 1;
+  return creditsPerVariant * Math.max(0, succeeded - prepaidVariants);
+}
+
+function toIso(ts) {
+  return ts && typeof ts.toDate === 'function' ? ts.toDate().toISOString() : null;
+}
+
+function serializeHistoryNode(id, data) {
+  return {
+    imageId: id,
+    parentImageId: data.parentImageId || null,
+    type: data.type || null,
+    tool: data.tool || null,
+    toolParams: data.toolParams || null,
+    generationGroupId: data.generationGroupId || null,
+    variantIndex: data.variantIndex ?? null,
+    storagePath: data.storagePath || null,
+    downloadUrl: data.downloadUrl || null,
+    thumbnailUrl: data.thumbUrl || null,
+    aspectRatio: data.aspectRatio || null,
+    createdAt: toIso(data.createdAt),
+    children: [],
+  };
+}
+
+/**
+ * Version tree an image belongs to, for undo, branching and re-running an edit.
+ * GET /getImageHistory?imageId=<id>
+ * Returns: { imageId, rootImageId, tree } where tree is the root node and every node is
+ * { imageId, parentImageId, tool, toolParams, generationGroupId, variantIndex, downloadUrl,
+ *   thumbnailUrl, createdAt, children: [...] }, children oldest first. Images whose parent
+ * no longer exists hang off the root. A root the caller may not see in this scope (e.g. a
+ * member's personal image a workspace edit started from) is a bare { imageId, children } node.
+ */
+const getImageHistory = onRequest(
+  {
+    region: 'europe-west1',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      return res.status(204).send('');
+    }
+
+    return cors(req, res, async () => {
+      if (req.method !== 'GET') {
+        const err = new AppError({
+          code: ErrorCodes.INVALID_STATE,
+          message: 'Method not allowed. Use GET.',
+          httpStatus: 405,
+          retryable: false,
+        });
+        logError({ requestId, endpoint: 'getImageHistory', err });
+        return sendError(res, err, requestId);
+      }
+
+      let uid;
+      try {
+        uid = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'getImageHistory', err });
+        return sendError(res, err, requestId);
+      }
+
+      const imageId = String(req.query.imageId || '').trim();
+      if (!imageId) {
+        const err = validationError({ imageId: 'required' });
+        logError({ requestId, uid, endpoint: 'getImageHistory', err });
+        return sendError(res, err, requestId);
+      }
+
+      try {
+        const imageSnap = await db.collection('images').doc(imageId).get();
+        if (!imageSnap.exists || !(await canReadImage(uid, imageSnap))) {
+          const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Image not found', httpStatus: 404, retryable: false });
+          logError({ requestId, uid, endpoint: 'getImageHistory', err });
+          return sendError(res, err, requestId);
+        }
+
+        const rootImageId = imageSnap.data().rootImageId || imageId;
+        // Workspace images show the whole team's edits; personal ones only the caller's
+        const { workspaceId } = imageSnap.data();
+        const scoped = workspaceId
+          ? db.collection('images').where('rootImageId', '==', rootImageId).where('workspaceId', '==', workspaceId)
+          : db.collection('images').where('rootImageId', '==', rootImageId).where('ownerId', '==', uid);
+        const [rootSnap, descendants] = await Promise.all([
+          db.collection('images').doc(rootImageId).get(),
+          scoped.limit(500).get(),
+        ]);
+
+        // The root is fetched by id, so it gets the same scope check as the query above
+        // (unless it is the requested image, which canReadImage already cleared)
+        const rootInScope =
+          rootSnap.exists &&
+          (rootImageId === imageId ||
+            (workspaceId ? rootSnap.data().workspaceId === workspaceId : rootSnap.data().ownerId === uid));
+        const nodes = new Map();
+        nodes.set(
+          rootImageId,
+          rootInScope
+            ? serializeHistoryNode(rootSnap.id, rootSnap.data())
+            : { ...serializeHistoryNode(rootImageId, {}), ...(rootSnap.exists ? {} : { deleted: true }) }
+        );
+        descendants.docs.forEach((doc) => {
+          if (!nodes.has(doc.id)) nodes.set(doc.id, serializeHistoryNode(doc.id, doc.data()));
+        });
+        if (!nodes.has(imageId)) nodes.set(imageId, serializeHistoryNode(imageId, imageSnap.data()));
+
+        const ordered = [...nodes.values()].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+        for (const node of ordered) {
+          if (node.imageId === rootImageId) continue;
+          const parent = nodes.get(node.parentImageId) || nodes.get(rootImageId);
+          parent.children.push(node);
+        }
+
+        return res.status(200).json({ imageId, rootImageId, tree: nodes.get(rootImageId) });
+      } catch (error) {
+        const appErr = normalizeUnknownError(error);
+        logError({ requestId, uid, endpoint: 'getImageHistory', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+module.exports = {
+  MAX_VARIANTS,
+  saveGeneratedImage,
+  loadSourceImage,
+  parseVariants,
+  runVariants,
+  variantChargeAmount,
+  getImageHistory,
+};
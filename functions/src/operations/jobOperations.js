@@ -0,0 +1,490 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const cors = require('cors')({ origin: true });
+const admin = require('firebase-admin');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { randomUUID } = require('crypto');
+const { verifyAuth } = require('../common/utils');
+const { GOOGLE_API_KEY } = require('../common/genkit');
+const { reserveCredits, commitReservation, releaseReservation } = require('./userOperations');
+const { variantChargeAmount } = require('./generatedImageOperations');
+const {
+  AppError,
+  ErrorCodes,
+  unauthenticated,
+  validationError,
+  invalidState,
+  storageError,
+  sendError,
+  toErrorResponse,
+  normalizeUnknownError,
+  logError,
+} = require('../common/errors');
+
+try {
+  if (!admin.apps.length) {
+    admin.initializeApp();
+  }
+} catch (e) {
+  // ignore re-init in emulator hot-reload
+}
+
+const db = getFirestore();
+
+const JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+});
+
+const PROCESS_JOB_TIMEOUT_SECONDS = 300;
+// A job still running this long after processJob's timeout was killed mid-flight
+const STALE_JOB_GRACE_SECONDS = 60;
+
+// Tool name -> loader for the Genkit flow the worker runs for that tool.
+// Required lazily: the tool modules themselves require this module to create jobs.
+const JOB_FLOWS = {
+  rebrand: async () => (await require('../tools/rebrand').getRebrandFlows()).generateRebrandFlow,
+  rebrandTemplate: async () => (await require('../tools/rebrand').getRebrandFlows()).rebrandTemplateFlow,
+  changeText: async () => (await require('../tools/changeText').getChangeTextFlows()).generateChangeText,
+  replaceImage: async () => (await require('../tools/replaceImage').getReplaceImageFlows()).generateReplaceImage,
+  addObject: async () => (await require('../tools/addObject').getAddObjectFlows()).generateAddObject,
+  virtualModel: async () => (await require('../tools/virtualModel').getVirtualModelFlows()).generateVirtualModel,
+  eraseObject: async () => (await require('../tools/eraseObject').getEraseObjectFlows()).generateEraseObject,
+  productScene: async () => (await require('../tools/productScene').getProductSceneFlows()).generateProductScene,
+  resizeSet: async () => (await require('../tools/resizeSet').getResizeSetFlows()).generateResizeSet,
+  upscale: async () => (await require('../tools/upscale').getUpscaleFlows()).generateUpscale,
+  removeBackground: async () => (await require('../tools/removeBackground').getRemoveBackgroundFlows()).generateRemoveBackground,
+};
+
+function getBucket() {
+  const appOptions = admin.app().options || {};
+  const configuredBucket = appOptions.storageBucket;
+  const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+  const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
+  return bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
+}
+
+// Multipart fields arrive as strings, JSON bodies may carry a real boolean.
+function isAsyncRequested(value) {
+  if (value === true) return true;
+  const s = String(value ?? '').trim().toLowerCase();
+  return s === 'true' || s === '1' || s === 'async';
+}
+
+// Firestore rejects undefined values; drop them (and anything non-serializable) before writing.
+function toFirestoreData(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function toIso(ts) {
+  return ts && typeof ts.toDate === 'function' ? ts.toDate().toISOString() : null;
+}
+
+function serializeJob(id, data) {
+  return {
+    jobId: id,
+    tool: data.tool,
+    status: data.status,
+    imageId: data.imageId || null,
+    batchId: data.batch ? data.batch.batchId : null,
+    result: data.result || null,
+    error: data.error || null,
+    createdAt: toIso(data.createdAt),
+    startedAt: toIso(data.startedAt),
+    finishedAt: toIso(data.finishedAt),
+  };
+}
+
+// Credits to settle for a finished job; undefined charges the full reservation
+function jobChargeAmount(billing, result) {
+  if (!billing) return undefined;
+  const methodAmount = billing.methodCredits && result?.method ? billing.methodCredits[result.method] : undefined;
+  if (methodAmount !== undefined) return methodAmount;
+  return billing.creditsPerVariant ? variantChargeAmount(result, billing.creditsPerVariant, billing.prepaidVariants) : undefined;
+}
+
+/**
+ * Queue a tool invocation for the background worker.
+ * Binary inputs are staged in Storage under jobs/{uid}/{jobId}/ because they
+ * do not fit in a Firestore document; the worker restores them as base64
+ * under the same flow input keys.
+ *
+ * When usageType is given, `amount` credits are reserved up front and settled
+ * by the worker once the job finishes, so queued jobs cannot overspend.
+ * With `creditsPerVariant` the worker only charges for variants that succeeded
+ * (less `prepaidVariants` already billed upstream); the rest of the hold is freed.
+ * `methodCredits` ({ [method]: credits }) settles a lower price when the result's
+ * `method` names a cheaper path the flow fell back to.
+ *
+ * files: { [flowInputKey]: { buffer: Buffer, mimeType: string } | { storagePath: string } }
+ * An entry with a storagePath points at an object that already exists (e.g. a saved
+ * image) and is read in place instead of being copied.
+ * `batch` ({ batchId, index }) ties the job to a batch so its outcome is reported there.
+ * `workspaceId` bills the workspace's credit pool instead of the user.
+ * Returns: { jobId, status, tool }
+ */
+async function createJob({
+  uid,
+  tool,
+  requestId = null,
+  input = {},
+  files = {},
+  usageType = null,
+  amount = 1,
+  creditsPerVariant = null,
+  prepaidVariants = 0,
+  methodCredits = null,
+  batch = null,
+  workspaceId = null,
+}) {
+  if (!JOB_FLOWS[tool]) {
+    throw invalidState(`Unknown job tool: ${tool}`, { tool }, false);
+  }
+
+  const jobRef = db.collection('jobs').doc();
+  const bucket = getBucket();
+  const inputFiles = {};
+
+  const reservationId = usageType
+    ? await reserveCredits(uid, usageType, { amount, endpoint: `job:${tool}`, requestId, workspaceId })
+    : null;
+
+  try {
+    try {
+      for (const [key, f] of Object.entries(files)) {
+        if (f && !f.buffer && f.storagePath) {
+          inputFiles[key] = { storagePath: f.storagePath, mimeType: f.mimeType || null };
+          continue;
+        }
+        if (!f || !f.buffer) continue;
+        const storagePath = `jobs/${uid}/${jobRef.id}/${key}`;
+        const mimeType = f.mimeType || 'application/octet-stream';
+        await bucket.file(storagePath).save(f.buffer, { resumable: false, contentType: mimeType });
+        inputFiles[key] = { storagePath, mimeType };
+      }
+    } catch (e) {
+      throw storageError('Failed to stage job input', true, { reason: e?.message });
+    }
+
+    await jobRef.set({
+      uid,
+      tool,
+      status: JOB_STATUS.QUEUED,
+      requestId: requestId || null,
+      reservationId,
+      workspaceId: workspaceId || null,
+      billing: creditsPerVariant || methodCredits ? { creditsPerVariant, prepaidVariants, methodCredits } : null,
+      batch: batch ? { batchId: batch.batchId, index: batch.index } : null,
+      input: toFirestoreData(input),
+      inputFiles,
+      imageId: null,
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+      startedAt: null,
+      finishedAt: null,
+    });
+  } catch (err) {
+    await releaseReservation(uid, reservationId, 'job_not_created', undefined, { workspaceId }).catch(() => {});
+    throw err;
+  }
+
+  return { jobId: jobRef.id, status: JOB_STATUS.QUEUED, tool };
+}
+
+// Batch progress is bookkeeping; it must never change the job's own outcome.
+// Required lazily: batchOperations creates its jobs through this module.
+async function reportToBatch(job, outcome) {
+  if (!job.batch) return;
+  try {
+    const { recordBatchItem } = require('./batchOperations');
+    await recordBatchItem(job.batch.batchId, job.batch.index, outcome);
+  } catch (e) {
+    console.error('Failed to record batch progress:', e?.message || e);
+  }
+}
+
+/**
+ * Background worker: runs queued jobs with the same flows the synchronous
+ * endpoints use, and records the outcome on jobs/{jobId}.
+ */
+const processJob = onDocumentCreated(
+  {
+    document: 'jobs/{jobId}',
+    region: 'europe-west1',
+    timeoutSeconds: PROCESS_JOB_TIMEOUT_SECONDS,
+    // As much as the hungriest endpoint that can queue a job (generateUpscale, 8192px outputs)
+    memory: '2GiB',
+    secrets: [GOOGLE_API_KEY],
+  },
+  async (event) => {
+    const jobRef = db.collection('jobs').doc(event.params.jobId);
+
+    // Claim the job first; events can be delivered more than once.
+    const job = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(jobRef);
+      if (!snap.exists || snap.data().status !== JOB_STATUS.QUEUED) return null;
+      tx.update(jobRef, {
+        status: JOB_STATUS.RUNNING,
+        attempts: FieldValue.increment(1),
+        startedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return snap.data();
+    });
+    if (!job) return;
+
+    const bucket = getBucket();
+    const endpoint = `processJob:${job.tool}`;
+    try {
+      const loadFlow = JOB_FLOWS[job.tool];
+      if (!loadFlow) {
+        throw invalidState(`Unknown job tool: ${job.tool}`, { tool: job.tool }, false);
+      }
+
+      const input = { ...(job.input || {}) };
+      for (const [key, f] of Object.entries(job.inputFiles || {})) {
+        const [buf] = await bucket.file(f.storagePath).download();
+        input[key] = buf.toString('base64');
+      }
+
+      const runFlow = await loadFlow();
+      const result = await runFlow(input);
+      // The image already exists at this point; a billing hiccup must not mark the job failed
+      const chargeAmount = jobChargeAmount(job.billing, result);
+      await commitReservation(job.uid, job.reservationId, { amount: chargeAmount, workspaceId: job.workspaceId || null }).catch((e) =>
+        console.error('Failed to commit job reservation:', e?.message || e)
+      );
+
+      await jobRef.update({
+        status: JOB_STATUS.SUCCEEDED,
+        imageId: result?.id || null,
+        result: toFirestoreData(result),
+        finishedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      await reportToBatch(job, { status: JOB_STATUS.SUCCEEDED, result });
+    } catch (err) {
+      const appErr =
+        err && (err.name === 'ZodError' || err.issues)
+          ? validationError(err.issues || String(err))
+          : normalizeUnknownError(err);
+      logError({ requestId: job.requestId, uid: job.uid, endpoint, err: appErr });
+      await releaseReservation(job.uid, job.reservationId, appErr.code, undefined, { workspaceId: job.workspaceId || null }).catch((e) =>
+        console.error('Failed to release job reservation:', e?.message || e)
+      );
+      const { body } = toErrorResponse(appErr, job.requestId);
+      await jobRef
+        .update({
+          status: JOB_STATUS.FAILED,
+          error: toFirestoreData(body.error),
+          finishedAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        })
+        .catch((e) => console.error('Failed to record job failure:', e?.message || e));
+      await reportToBatch(job, { status: JOB_STATUS.FAILED, error: body.error });
+    } finally {
+      try {
+        await bucket.deleteFiles({ prefix: `jobs/${job.uid}/${event.params.jobId}/` });
+      } catch (e) {
+        console.warn('Job input cleanup failed:', e?.message || e);
+      }
+    }
+  },
+);
+
+/**
+ * Scheduled sweeper: fails jobs left running past processJob's timeout (the worker was killed
+ * before it could record an outcome), releases their credit holds and reports them to their batch.
+ */
+const expireStaleJobs = onSchedule(
+  {
+    schedule: 'every 10 minutes',
+    region: 'europe-west1',
+    timeoutSeconds: 300,
+  },
+  async () => {
+    const cutoff = Timestamp.fromMillis(Date.now() - (PROCESS_JOB_TIMEOUT_SECONDS + STALE_JOB_GRACE_SECONDS) * 1000);
+    const snapshot = await db
+      .collection('jobs')
+      .where('status', '==', JOB_STATUS.RUNNING)
+      .where('startedAt', '<=', cutoff)
+      .limit(500)
+      .get();
+
+    let expired = 0;
+    for (const doc of snapshot.docs) {
+      try {
+        const appErr = new AppError({
+          code: ErrorCodes.PIPELINE_STEP_FAILED,
+          message: 'JOB_TIMED_OUT',
+          httpStatus: 504,
+          retryable: true,
+          details: { timeoutSeconds: PROCESS_JOB_TIMEOUT_SECONDS },
+        });
+        // Re-read in a transaction: the worker may have finished since the query
+        const job = await db.runTransaction(async (tx) => {
+          const snap = await tx.get(doc.ref);
+          if (!snap.exists || snap.data().status !== JOB_STATUS.RUNNING) return null;
+          const { body } = toErrorResponse(appErr, snap.data().requestId);
+          tx.update(doc.ref, {
+            status: JOB_STATUS.FAILED,
+            error: toFirestoreData(body.error),
+            finishedAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+          return { ...snap.data(), error: body.error };
+        });
+        if (!job) continue;
+
+        logError({ requestId: job.requestId, uid: job.uid, endpoint: `expireStaleJobs:${job.tool}`, err: appErr });
+        await releaseReservation(job.uid, job.reservationId, 'job_timeout', undefined, { workspaceId: job.workspaceId || null }).catch((e) =>
+          console.error('Failed to release job reservation:', e?.message || e)
+        );
+        await reportToBatch(job, { status: JOB_STATUS.FAILED, error: job.error });
+        await getBucket()
+          .deleteFiles({ prefix: `jobs/${job.uid}/${doc.id}/` })
+          .catch((e) => console.warn('Job input cleanup failed:', e?.message || e));
+        expired++;
+      } catch (e) {
+        console.error(`Failed to expire job ${doc.id}:`, e?.message || e);
+      }
+    }
+    console.log(`Expired ${expired}/${snapshot.size} stale running jobs`);
+  }
+);
+
+/**
+ * Get a single job owned by the caller.
+ * GET /getJob?jobId=<id>
+ * Returns: { jobId, tool, status: 'queued' | 'running' | 'succeeded' | 'failed', imageId, batchId, result, error, createdAt, startedAt, finishedAt }
+ */
+const getJob = onRequest(
+  {
+    region: 'europe-west1',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      return res.status(204).send('');
+    }
+
+    return cors(req, res, async () => {
+      if (req.method !== 'GET') {
+        const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method not allowed. Use GET.', httpStatus: 405, retryable: false });
+        logError({ requestId, endpoint: 'getJob', err });
+        return sendError(res, err, requestId);
+      }
+
+      let uid;
+      try {
+        uid = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'getJob', err });
+        return sendError(res, err, requestId);
+      }
+
+      const jobId = (req.query.jobId || '').toString().trim();
+      if (!jobId) {
+        const err = validationError({ jobId: 'required' });
+        logError({ requestId, uid, endpoint: 'getJob', err });
+        return sendError(res, err, requestId);
+      }
+
+      try {
+        const snap = await db.collection('jobs').doc(jobId).get();
+        // Report other users' jobs as missing rather than forbidden
+        if (!snap.exists || snap.data().uid !== uid) {
+          const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Job not found', httpStatus: 404, retryable: false });
+          logError({ requestId, uid, endpoint: 'getJob', err });
+          return sendError(res, err, requestId);
+        }
+        return res.status(200).json(serializeJob(snap.id, snap.data()));
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid, endpoint: 'getJob', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * List the caller's jobs, newest first.
+ * GET /listJobs?status=<optional>&limit=<n, default 20, max 100>
+ * Returns: { jobs: Array }
+ */
+const listJobs = onRequest(
+  {
+    region: 'europe-west1',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      return res.status(204).send('');
+    }
+
+    return cors(req, res, async () => {
+      if (req.method !== 'GET') {
+        const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method not allowed. Use GET.', httpStatus: 405, retryable: false });
+        logError({ requestId, endpoint: 'listJobs', err });
+        return sendError(res, err, requestId);
+      }
+
+      let uid;
+      try {
+        uid = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'listJobs', err });
+        return sendError(res, err, requestId);
+      }
+
+      const status = (req.query.status || '').toString().trim();
+      if (status && !Object.values(JOB_STATUS).includes(status)) {
+        const err = validationError({ status: `must be one of ${Object.values(JOB_STATUS).join('|')}` });
+        logError({ requestId, uid, endpoint: 'listJobs', err });
+        return sendError(res, err, requestId);
+      }
+      let limit = parseInt((req.query.limit || '20').toString(), 10) || 20;
+      if (limit < 1) limit = 1;
+      if (limit > 100) limit = 100;
+
+      try {
+        let q = db.collection('jobs').where('uid', '==', uid);
+        if (status) q = q.where('status', '==', status);
+        const snapshot = await q.orderBy('createdAt', 'desc').limit(limit).get();
+        const jobs = snapshot.docs.map((doc) => serializeJob(doc.id, doc.data()));
+        return res.status(200).json({ jobs });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid, endpoint: 'listJobs', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+module.exports = {
+  JOB_STATUS,
+  isAsyncRequested,
+  createJob,
+  processJob,
+  expireStaleJobs,
+  getJob,
+  listJobs,
+};
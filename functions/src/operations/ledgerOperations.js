@@ -0,0 +1,185 @@
+const admin = require('firebase-admin');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+try {
+  if (!admin.apps.length) {
+    admin.initializeApp();
+  }
+} catch (e) {
+  // ignore re-init in emulator hot-reload
+}
+
+const db = getFirestore();
+
+const LEDGER_REASONS = Object.freeze({
+  GRANT: 'grant',
+  CONSUME: 'consume',
+  RESET: 'reset',
+  TRANSFER_IN: 'transfer_in',
+  TRANSFER_OUT: 'transfer_out',
+  RESTORE_IN: 'restore_in',
+  RESTORE_OUT: 'restore_out',
+  OPENING_BALANCE: 'opening_balance',
+});
+
+const USAGE_TYPES = ['generate', 'download'];
+const BUCKETS = ['monthly', 'free'];
+
+/**
+ * Queue ledger entries on an open transaction or batch, so they commit together
+ * with the counter change they describe. Zero deltas are skipped.
+ * Firestore: users/{uid}/ledger/{entryId}
+ *
+ * entry: { usageType: 'generate' | 'download', bucket: 'monthly' | 'free', delta: number,
+ *          reason: LEDGER_REASONS, source: endpoint name, requestId, meta? }
+ */
+function appendLedgerEntries(writer, uid, entries) {
+  const ledgerRef = db.collection('users').doc(uid).collection('ledger');
+  for (const entry of entries) {
+    const delta = Number(entry.delta) || 0;
+    if (delta === 0) continue;
+    writer.set(ledgerRef.doc(), {
+      usageType: entry.usageType,
+      bucket: entry.bucket,
+      delta,
+      reason: entry.reason,
+      source: entry.source || null,
+      requestId: entry.requestId || null,
+      meta: entry.meta || null,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+/**
+ * Same as appendLedgerEntries for a workspace credit pool. Pool entries use bucket 'pool'
+ * and record the member (uid) who spent or contributed the credits.
+ * Firestore: workspaces/{workspaceId}/ledger/{entryId}
+ */
+function appendWorkspaceLedgerEntries(writer, workspaceId, entries) {
+  const ledgerRef = db.collection('workspaces').doc(workspaceId).collection('ledger');
+  for (const entry of entries) {
+    const delta = Number(entry.delta) || 0;
+    if (delta === 0) continue;
+    writer.set(ledgerRef.doc(), {
+      usageType: entry.usageType,
+      bucket: 'pool',
+      delta,
+      reason: entry.reason,
+      uid: entry.uid || null,
+      source: entry.source || null,
+      requestId: entry.requestId || null,
+      meta: entry.meta || null,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+function emptyBalance() {
+  return {
+    generate: { monthly: 0, free: 0 },
+    download: { monthly: 0, free: 0 },
+  };
+}
+
+// Balance as the counters on users/{uid} describe it, per usage type and bucket
+function balanceFromCounters(userData) {
+  // Lazy require: userOperations requires this module at load time
+  const { getRemainingCredits } = require('./userOperations');
+  const balance = emptyBalance();
+  for (const usageType of USAGE_TYPES) {
+    const { monthlyRemaining, freeRemaining } = getRemainingCredits(userData, usageType);
+    balance[usageType].monthly = monthlyRemaining;
+    balance[usageType].free = freeRemaining;
+  }
+  return balance;
+}
+
+/**
+ * Rebuild a user's balance by summing their ledger and compare it with the
+ * counters on users/{uid}. Any difference is reported as drift and, unless
+ * `flag` is false, stored on the user doc under `ledgerAudit` for support.
+ * Returns: { uid, ledger, counters, drift, hasDrift, entries }
+ */
+async function rebuildBalanceFromLedger(uid, { flag = true } = {}) {
+  const userRef = db.collection('users').doc(uid);
+  const [userSnap, ledgerSnap] = await Promise.all([
+    userRef.get(),
+    userRef.collection('ledger').get(),
+  ]);
+  if (!userSnap.exists) {
+    throw new Error(`User ${uid} does not exist`);
+  }
+
+  const ledger = emptyBalance();
+  ledgerSnap.docs.forEach((doc) => {
+    const { usageType, bucket, delta } = doc.data();
+    if (ledger[usageType] && ledger[usageType][bucket] !== undefined) {
+      ledger[usageType][bucket] += Number(delta) || 0;
+    }
+  });
+
+  const counters = balanceFromCounters(userSnap.data());
+  const drift = emptyBalance();
+  let hasDrift = false;
+  for (const usageType of USAGE_TYPES) {
+    for (const bucket of BUCKETS) {
+      drift[usageType][bucket] = counters[usageType][bucket] - ledger[usageType][bucket];
+      if (drift[usageType][bucket] !== 0) hasDrift = true;
+    }
+  }
+
+  if (flag) {
+    await userRef.set({
+      ledgerAudit: {
+        checkedAt: FieldValue.serverTimestamp(),
+        hasDrift,
+        drift,
+        entries: ledgerSnap.size,
+      },
+    }, { merge: true });
+  }
+
+  return { uid, ledger, counters, drift, hasDrift, entries: ledgerSnap.size };
+}
+
+/**
+ * Seed an empty ledger with the user's current counter balance so that accounts
+ * created before the ledger existed reconcile to zero drift. No-op when the user
+ * already has ledger entries.
+ * Returns: true if opening entries were written
+ */
+async function recordOpeningBalance(uid) {
+  const userRef = db.collection('users').doc(uid);
+  return db.runTransaction(async (tx) => {
+    const [userSnap, existing] = await Promise.all([
+      tx.get(userRef),
+      tx.get(userRef.collection('ledger').limit(1)),
+    ]);
+    if (!userSnap.exists || !existing.empty) return false;
+
+    const counters = balanceFromCounters(userSnap.data());
+    const entries = [];
+    for (const usageType of USAGE_TYPES) {
+      for (const bucket of BUCKETS) {
+        entries.push({
+          usageType,
+          bucket,
+          delta: counters[usageType][bucket],
+          reason: LEDGER_REASONS.OPENING_BALANCE,
+          source: 'reconcileLedger',
+        });
+      }
+    }
+    appendLedgerEntries(tx, uid, entries);
+    return true;
+  });
+}
+
+module.exports = {
+  LEDGER_REASONS,
+  appendLedgerEntries,
+  appendWorkspaceLedgerEntries,
+  rebuildBalanceFromLedger,
+  recordOpeningBalance,
+};
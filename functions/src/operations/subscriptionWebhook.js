@@ -5,6 +5,7 @@ const admin = require('firebase-admin');
 const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
 const { SUBSCRIPTION_TIERS, ENTITLEMENT_TO_TIER } = require('../common/subscriptionConfig');
 const { AppError, ErrorCodes, validationError, unauthenticated, logError, normalizeUnknownError } = require('../common/errors');
+const { LEDGER_REASONS, appendLedgerEntries } = require('./ledgerOperations');
 
 const db = getFirestore();
 
@@ -147,12 +148,19 @@ const revenueCatWebhook = onRequest(
 
                  if (totalDownloadsUsed > 0 || totalGenerationsUsed > 0) {
                      console.log(`Transferring usage: DL=${totalDownloadsUsed}, GEN=${totalGenerationsUsed}`);
-                     await userRef.set({
+                     const batch = db.batch();
+                     batch.set(userRef, {
                          monthlyAllowance: {
                              downloadsUsed: FieldValue.increment(totalDownloadsUsed),
                              generationsUsed: FieldValue.increment(totalGenerationsUsed)
                          }
                      }, { merge: true });
+                     // Usage carried over from the old accounts lowers the new account's monthly balance
+                     appendLedgerEntries(batch, userRef.id, [
+                         { usageType: 'generate', bucket: 'monthly', delta: -totalGenerationsUsed, reason: LEDGER_REASONS.TRANSFER_IN, source: 'revenueCatWebhook', requestId, meta: { fromUids: fromIds } },
+                         { usageType: 'download', bucket: 'monthly', delta: -totalDownloadsUsed, reason: LEDGER_REASONS.TRANSFER_IN, source: 'revenueCatWebhook', requestId, meta: { fromUids: fromIds } },
+                     ]);
+                     await batch.commit();
                  }
              }
 
@@ -173,20 +181,28 @@ const revenueCatWebhook = onRequest(
                      finalPeriodEnd = transferredPeriodEnd;
                  }
 
-                 await userRef.set({
-                     subscription: {
-                         status: finalTier,
-                         isActive: true,
-                         currentPeriodEnd: finalPeriodEnd,
-                         provider: 'revenuecat',
-                         lastUpdated: FieldValue.serverTimestamp(),
-                     },
-                     monthlyAllowance: {
-                         downloadLimit: newTierConfig.downloadLimit,
-                         generateLimit: newTierConfig.generateLimit
-                         // Do NOT reset usage here, we only incrementally added transferred usage above
-                     }
-                 }, { merge: true });
+                 await db.runTransaction(async (tx) => {
+                     const targetSnap = await tx.get(userRef);
+                     const prevAllowance = (targetSnap.exists && targetSnap.data().monthlyAllowance) || {};
+                     tx.set(userRef, {
+                         subscription: {
+                             status: finalTier,
+                             isActive: true,
+                             currentPeriodEnd: finalPeriodEnd,
+                             provider: 'revenuecat',
+                             lastUpdated: FieldValue.serverTimestamp(),
+                         },
+                         monthlyAllowance: {
+                             downloadLimit: newTierConfig.downloadLimit,
+                             generateLimit: newTierConfig.generateLimit
+                             // Do NOT reset usage here, we only incrementally added transferred usage above
+                         }
+                     }, { merge: true });
+                     appendLedgerEntries(tx, userRef.id, [
+                         { usageType: 'generate', bucket: 'monthly', delta: newTierConfig.generateLimit - (Number(prevAllowance.generateLimit) || 0), reason: LEDGER_REASONS.GRANT, source: 'revenueCatWebhook', requestId, meta: { eventType: type, tier: finalTier } },
+                         { usageType: 'download', bucket: 'monthly', delta: newTierConfig.downloadLimit - (Number(prevAllowance.downloadLimit) || 0), reason: LEDGER_REASONS.GRANT, source: 'revenueCatWebhook', requestId, meta: { eventType: type, tier: finalTier } },
+                     ]);
+                 });
              }
 
              return res.status(200).send('Transfer Processed');
@@ -219,21 +235,32 @@ const revenueCatWebhook = onRequest(
             console.log(`Activating subscription for ${app_user_id} at tier ${tier}`);
             
             // Reset monthly usage on renewal/purchase
-            await userRef.set({
-                subscription: {
-                    status: tier,
-                    isActive: true,
-                    currentPeriodEnd: expiration_at_ms ? Timestamp.fromMillis(expiration_at_ms) : null,
-                    provider: 'revenuecat',
-                    lastUpdated: FieldValue.serverTimestamp(),
-                },
-                monthlyAllowance: {
-                    downloadLimit: tierConfig.downloadLimit,
-                    generateLimit: tierConfig.generateLimit,
-                    downloadsUsed: 0, // RESET
-                    generationsUsed: 0, // RESET
-                }
-            }, { merge: true });
+            await db.runTransaction(async (tx) => {
+                const currentSnap = await tx.get(userRef);
+                const prev = (currentSnap.exists && currentSnap.data().monthlyAllowance) || {};
+                const prevRemaining = (limitKey, usedKey) => Math.max(0, (Number(prev[limitKey]) || 0) - (Number(prev[usedKey]) || 0));
+
+                tx.set(userRef, {
+                    subscription: {
+                        status: tier,
+                        isActive: true,
+                        currentPeriodEnd: expiration_at_ms ? Timestamp.fromMillis(expiration_at_ms) : null,
+                        provider: 'revenuecat',
+                        lastUpdated: FieldValue.serverTimestamp(),
+                    },
+                    monthlyAllowance: {
+                        downloadLimit: tierConfig.downloadLimit,
+                        generateLimit: tierConfig.generateLimit,
+                        downloadsUsed: 0, // RESET
+                        generationsUsed: 0, // RESET
+                    }
+                }, { merge: true });
+                // Ledger records the jump from the old remaining balance to the fresh allowance
+                appendLedgerEntries(tx, app_user_id, [
+                    { usageType: 'generate', bucket: 'monthly', delta: tierConfig.generateLimit - prevRemaining('generateLimit', 'generationsUsed'), reason: LEDGER_REASONS.RESET, source: 'revenueCatWebhook', requestId, meta: { eventType: type, tier } },
+                    { usageType: 'download', bucket: 'monthly', delta: tierConfig.downloadLimit - prevRemaining('downloadLimit', 'downloadsUsed'), reason: LEDGER_REASONS.RESET, source: 'revenueCatWebhook', requestId, meta: { eventType: type, tier } },
+                ]);
+            });
 
         } else if (['CANCELLATION', 'EXPIRATION'].includes(type)) {
              // Check if it's really expired or just user disabled auto-renew (CANCELLATION usually means auto-renew off)
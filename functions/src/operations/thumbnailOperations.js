@@ -15,6 +15,7 @@ function computeThumbPath(storagePath) {
  * Returns { thumbPath, thumbUrl }.
  * - Uses rotate() to respect EXIF
  * - fit: 'cover', quality: 80
+ * - transparent pixels (cutouts) are flattened onto white
  * - cacheControl: 'public, max-age=31536000'
  */
 async function createAndUploadThumbnail(bucket, originalBuffer, originalStoragePath, options = {}) {
@@ -25,6 +26,7 @@ async function createAndUploadThumbnail(bucket, originalBuffer, originalStorageP
     const thumbBuffer = await sharp(originalBuffer)
       .rotate()
       .resize(256, 256, { fit: 'cover' })
+      .flatten({ background: '#ffffff' })
       .jpeg({ quality: 80 })
       .toBuffer();
 
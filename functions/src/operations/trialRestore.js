@@ -3,6 +3,7 @@ const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const { onCall, HttpsError } = require('firebase-functions/v2/https');
 const logger = require('firebase-functions/logger');
 const crypto = require('crypto');
+const { LEDGER_REASONS, appendLedgerEntries } = require('./ledgerOperations');
 
 try {
   if (!admin.apps.length) {
@@ -235,6 +236,15 @@ const restoreTrialCredits = onCall(
         { merge: true },
       );
 
+        appendLedgerEntries(tx, fromUid, [
+          { usageType: 'generate', bucket: 'free', delta: -netGenRemaining, reason: LEDGER_REASONS.RESTORE_OUT, source: 'restoreTrialCredits', requestId, meta: { toUid: uid } },
+          { usageType: 'download', bucket: 'free', delta: -netDlRemaining, reason: LEDGER_REASONS.RESTORE_OUT, source: 'restoreTrialCredits', requestId, meta: { toUid: uid } },
+        ]);
+        appendLedgerEntries(tx, uid, [
+          { usageType: 'generate', bucket: 'free', delta: netGenRemaining, reason: LEDGER_REASONS.RESTORE_IN, source: 'restoreTrialCredits', requestId, meta: { fromUid } },
+          { usageType: 'download', bucket: 'free', delta: netDlRemaining, reason: LEDGER_REASONS.RESTORE_IN, source: 'restoreTrialCredits', requestId, meta: { fromUid } },
+        ]);
+
         // Update restore record
         tx.set(
           restoreRef,
@@ -1,12 +1,15 @@
 const admin = require('firebase-admin');
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
 const { onRequest } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
 const functions = require('firebase-functions');
 const cors = require('cors')({ origin: true });
 const { verifyAuth } = require('../common/utils');
-const { SUBSCRIPTION_TIERS } = require('../common/subscriptionConfig');
+const { SUBSCRIPTION_TIERS, getPriceList } = require('../common/subscriptionConfig');
+const { LEDGER_REASONS, appendLedgerEntries, appendWorkspaceLedgerEntries } = require('./ledgerOperations');
+const { WORKSPACE_ROLES, hasRole, readWorkspaceId } = require('../common/workspaces');
 const { randomUUID } = require('crypto');
-const { AppError, ErrorCodes, unauthenticated, validationError, sendError, normalizeUnknownError, logError } = require('../common/errors');
+const { AppError, ErrorCodes, creditsInsufficient, forbidden, unauthenticated, validationError, sendError, normalizeUnknownError, logError } = require('../common/errors');
 
 try {
   if (!admin.apps.length) {
@@ -60,13 +63,214 @@ async function ensureUserExists(uid) {
   }
 }
 
-async function decrementUsage(uid, usageType) {
+const RESERVATION_STATUS = Object.freeze({
+  HELD: 'held',
+  COMMITTED: 'committed',
+  RELEASED: 'released',
+  EXPIRED: 'expired',
+});
+
+// Long enough to outlive the slowest tool (300s worker timeout); the sweeper frees anything older.
+const DEFAULT_RESERVATION_TTL_SECONDS = 600;
+
+function assertUsageArgs(uid, usageType) {
   if (!uid || typeof uid !== 'string') {
     throw new Error('Invalid uid provided');
   }
   if (usageType !== 'download' && usageType !== 'generate') {
     throw new Error("Invalid usage type. Must be 'download' or 'generate'");
   }
+}
+
+const resolveUsedKey = (t) => t === 'generate' ? 'generationsUsed' : 'downloadsUsed';
+
+// Remaining credits for a usage type, split by bucket. `reserved` is what in-flight
+// generations currently hold; `available` is what a new request may still take.
+function getRemainingCredits(userData, usageType) {
+  const subscription = userData.subscription || {};
+  const monthlyAllowance = userData.monthlyAllowance || {
+    downloadLimit: 0, generateLimit: 0, downloadsUsed: 0, generationsUsed: 0
+  };
+  const freeCredits = userData.freeCredits || {};
+  const usedKey = resolveUsedKey(usageType);
+
+  let freeRemaining;
+  if (freeCredits[`${usageType}Limit`] !== undefined) {
+    const limit = Number(freeCredits[`${usageType}Limit`]) || 0;
+    const used = Number(freeCredits[usedKey]) || 0;
+    freeRemaining = Math.max(0, limit - used);
+  } else {
+    // Legacy
+    let val = Number(freeCredits[usageType]);
+    if (usageType === 'generate' && isNaN(val)) {
+      val = Number(userData.trialCreditsRemaining) || 0;
+    }
+    freeRemaining = Number.isFinite(val) ? val : 0;
+  }
+
+  const isSubActive = subscription.isActive === true;
+  const limit = Number(monthlyAllowance[`${usageType}Limit`]) || 0;
+  const used = Number(monthlyAllowance[usedKey]) || 0;
+  const monthlyRemaining = Math.max(0, limit - used);
+
+  const reserved = Math.max(0, Number((userData.reservedCredits || {})[usageType]) || 0);
+  const total = (isSubActive ? monthlyRemaining : 0) + freeRemaining;
+
+  return {
+    isSubActive,
+    monthlyRemaining,
+    freeRemaining,
+    total,
+    reserved,
+    available: Math.max(0, total - reserved),
+  };
+}
+
+// Applies `amount` credits of usage inside an open transaction: monthly allowance first,
+// the rest from free credits, with matching ledger entries. Returns the total remaining
+// afterwards, or null if the balance cannot cover the amount.
+function consumeCredit(transaction, userRef, userData, usageType, { amount = 1, source = null, requestId = null, reason = LEDGER_REASONS.CONSUME } = {}) {
+  const { isSubActive, monthlyRemaining, total } = getRemainingCredits(userData, usageType);
+  if (total < amount) {
+    return null;
+  }
+
+  const usedKey = resolveUsedKey(usageType);
+  const fromMonthly = isSubActive ? Math.min(amount, monthlyRemaining) : 0;
+  const fromFree = amount - fromMonthly;
+  const ledgerEntry = { usageType, reason, source, requestId };
+  const entries = [];
+  const update = {
+    lastUsedAt: FieldValue.serverTimestamp(),
+  };
+
+  if (fromMonthly > 0) {
+    update[`monthlyAllowance.${usedKey}`] = FieldValue.increment(fromMonthly);
+    entries.push({ ...ledgerEntry, bucket: 'monthly', delta: -fromMonthly });
+  }
+
+  if (fromFree > 0) {
+    const freeCredits = userData.freeCredits || {};
+    if (freeCredits[`${usageType}Limit`] !== undefined) {
+      update[`freeCredits.${usedKey}`] = FieldValue.increment(fromFree);
+    } else {
+      // Migrate legacy to new structure on write
+      // Assume legacy limit was 5 (since we just changed default to 3, but legacy users likely had 5)
+      const LEGACY_LIMIT = 5;
+
+      const oldGen = Number(freeCredits.generate);
+      const genRemaining = Number.isFinite(oldGen) ? oldGen : (Number(userData.trialCreditsRemaining) || 0);
+      const dlRemaining = Number(freeCredits.download) || 0;
+
+      // Calculate limit and used based on remaining
+      const genLimit = Math.max(LEGACY_LIMIT, genRemaining);
+      const genUsed = genLimit - genRemaining;
+
+      const dlLimit = Math.max(LEGACY_LIMIT, dlRemaining);
+      const dlUsed = dlLimit - dlRemaining;
+
+      const newCredits = {
+        generateLimit: genLimit,
+        generationsUsed: genUsed,
+        downloadLimit: dlLimit,
+        downloadsUsed: dlUsed,
+      };
+
+      // Mark current as used (increment used count)
+      newCredits[usedKey] = newCredits[usedKey] + fromFree;
+
+      update.freeCredits = newCredits;
+      // Clean legacy
+      if (userData.trialCreditsRemaining) {
+        update.trialCreditsRemaining = 0;
+      }
+    }
+    entries.push({ ...ledgerEntry, bucket: 'free', delta: -fromFree });
+  }
+
+  transaction.update(userRef, update);
+  appendLedgerEntries(transaction, userRef.id, entries);
+  return total - amount;
+}
+
+// Credits are held by a user or, for work done in a workspace, by the workspace's shared pool.
+// Reservations and the reservedCredits counter live on whichever document holds them.
+function creditAccountRef(uid, workspaceId = null) {
+  return workspaceId ? db.collection('workspaces').doc(workspaceId) : db.collection('users').doc(uid);
+}
+
+// Remaining credits of a workspace pool, in the shape getRemainingCredits returns
+function getPoolCredits(workspaceData, usageType) {
+  const total = Math.max(0, Number((workspaceData.creditPool || {})[usageType]) || 0);
+  const reserved = Math.max(0, Number((workspaceData.reservedCredits || {})[usageType]) || 0);
+  return {
+    isSubActive: false,
+    monthlyRemaining: 0,
+    freeRemaining: 0,
+    total,
+    reserved,
+    available: Math.max(0, total - reserved),
+  };
+}
+
+// Read the account that pays and its balance. Only editors and owners may spend a pool.
+async function readCreditAccount(reader, uid, usageType, amount, workspaceId) {
+  const ref = creditAccountRef(uid, workspaceId);
+  const snap = await reader.get(ref);
+  if (!snap.exists) {
+    if (workspaceId) {
+      throw new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Workspace not found', httpStatus: 404, retryable: false });
+    }
+    // ensureUserExists is expected to run first; an uninitialized profile has nothing to spend
+    throw creditsInsufficient(usageType, amount, 0);
+  }
+  const data = snap.data();
+  if (workspaceId && !hasRole(data, uid, WORKSPACE_ROLES.EDITOR)) {
+    throw forbidden('Only workspace editors and owners can spend workspace credits', { workspaceId });
+  }
+  const credits = workspaceId ? getPoolCredits(data, usageType) : getRemainingCredits(data, usageType);
+  return { ref, data, credits };
+}
+
+// consumeCredit for a workspace pool: one 'pool' bucket, ledger entries attributed to the member
+function consumePoolCredit(transaction, workspaceRef, workspaceData, usageType, { amount = 1, uid = null, source = null, requestId = null } = {}) {
+  const { total } = getPoolCredits(workspaceData, usageType);
+  if (total < amount) {
+    return null;
+  }
+  transaction.update(workspaceRef, {
+    [`creditPool.${usageType}`]: FieldValue.increment(-amount),
+    lastUsedAt: FieldValue.serverTimestamp(),
+  });
+  appendWorkspaceLedgerEntries(transaction, workspaceRef.id, [
+    { usageType, delta: -amount, reason: LEDGER_REASONS.CONSUME, uid, source, requestId },
+  ]);
+  return total - amount;
+}
+
+function insufficientCreditsError(usageType, { total, reserved, available }, amount = 1) {
+  // Enough credits exist but in-flight generations hold them: the caller can retry shortly
+  if (total >= amount && reserved > 0) {
+    return new AppError({
+      code: ErrorCodes.CREDITS_RESERVED,
+      message: `Your remaining ${usageType} credits are held by generations in progress. Try again when they finish.`,
+      httpStatus: 409,
+      retryable: true,
+      details: { credit_type: usageType, required: amount, reserved, total },
+    });
+  }
+  return creditsInsufficient(usageType, amount, available);
+}
+
+function assertAmount(amount) {
+  if (!Number.isInteger(amount) || amount < 1) {
+    throw new Error('Invalid credit amount. Must be a positive integer');
+  }
+}
+
+async function decrementUsage(uid, usageType, { amount = 1, source = null, requestId = null } = {}) {
+  assertUsageArgs(uid, usageType);
+  assertAmount(amount);
 
   const userRef = db.collection('users').doc(uid);
 
@@ -79,184 +283,247 @@ async function decrementUsage(uid, usageType) {
     }
 
     const userData = userDoc.data();
-    
-    // 1. Check Monthly Allowance first
-    const subscription = userData.subscription || {};
-    const monthlyAllowance = userData.monthlyAllowance || { 
-      downloadLimit: 0, generateLimit: 0, downloadsUsed: 0, generationsUsed: 0 
-    };
-
-    const freeCredits = userData.freeCredits || {};
+    const credits = getRemainingCredits(userData, usageType);
 
-    const resolveUsedKey = (t) => t === 'generate' ? 'generationsUsed' : 'downloadsUsed';
-
-    // Helper to get free remaining (handles legacy structure)
-    const getFreeRemaining = (type) => {
-       if (freeCredits[`${type}Limit`] !== undefined) {
-          const limit = Number(freeCredits[`${type}Limit`]) || 0;
-          const usedKey = resolveUsedKey(type);
-          const used = Number(freeCredits[usedKey]) || 0;
-          return Math.max(0, limit - used);
-       }
-       // Legacy
-       let val = Number(freeCredits[type]);
-       if (type === 'generate' && isNaN(val)) {
-          val = Number(userData.trialCreditsRemaining) || 0;
-       }
-       return Number.isFinite(val) ? val : 0;
-    };
-
-    const isSubActive = subscription.isActive === true;
-    const limitKey = `${usageType}Limit`;
-    const usedKey = resolveUsedKey(usageType);
-
-    const limit = Number(monthlyAllowance[limitKey]) || 0;
-    const used = Number(monthlyAllowance[usedKey]) || 0;
-    const monthlyRemaining = Math.max(0, limit - used);
-
-    if (isSubActive && monthlyRemaining > 0) {
-      // Consume from monthly allowance
-      transaction.update(userRef, {
-        [`monthlyAllowance.${usedKey}`]: FieldValue.increment(1),
-        lastUsedAt: FieldValue.serverTimestamp(),
-      });
-      // Return total remaining (monthly + free)
-      return (monthlyRemaining - 1) + getFreeRemaining(usageType); 
+    if (credits.total <= 0) {
+      throw new Error(`No remaining ${usageType} usage available`);
     }
-
-    // 2. Fallback to Free Credits
-    const actualFreeRemaining = getFreeRemaining(usageType);
-
-    if (actualFreeRemaining > 0) {
-       // Consume free credit
-       const update = {
-         lastUsedAt: FieldValue.serverTimestamp(),
-       };
-       
-       if (freeCredits[`${usageType}Limit`] !== undefined) {
-         update[`freeCredits.${usedKey}`] = FieldValue.increment(1);
-       } else {
-         // Migrate legacy to new structure on write
-         // Assume legacy limit was 5 (since we just changed default to 3, but legacy users likely had 5)
-         const LEGACY_LIMIT = 5;
-
-         const oldGen = Number(freeCredits.generate);
-         const genRemaining = Number.isFinite(oldGen) ? oldGen : (Number(userData.trialCreditsRemaining) || 0);
-         const dlRemaining = Number(freeCredits.download) || 0;
-         
-         // Calculate limit and used based on remaining
-         const genLimit = Math.max(LEGACY_LIMIT, genRemaining);
-         const genUsed = genLimit - genRemaining;
-
-         const dlLimit = Math.max(LEGACY_LIMIT, dlRemaining);
-         const dlUsed = dlLimit - dlRemaining;
-
-         const newCredits = {
-           generateLimit: genLimit,
-           generationsUsed: genUsed,
-           downloadLimit: dlLimit,
-           downloadsUsed: dlUsed,
-         };
-         
-         // Mark current as used (increment used count)
-         newCredits[usedKey] = newCredits[usedKey] + 1;
-
-         update.freeCredits = newCredits;
-         // Clean legacy
-         if (userData.trialCreditsRemaining) {
-           update.trialCreditsRemaining = 0;
-         }
-       }
-       
-       transaction.update(userRef, update);
-       return actualFreeRemaining - 1;
+    // Credits held by in-flight reservations are not spendable here
+    if (credits.available < amount) {
+      throw insufficientCreditsError(usageType, credits, amount);
     }
 
-    // 3. No credits left
-    throw new Error(`No remaining ${usageType} usage available`);
+    return consumeCredit(transaction, userRef, userData, usageType, { amount, source, requestId });
   });
 }
 
-async function checkHasCredits(uid, usageType) {
-  if (!uid || typeof uid !== 'string') {
-    throw new Error('Invalid uid provided');
-  }
-  if (usageType !== 'download' && usageType !== 'generate') {
-    throw new Error("Invalid usage type. Must be 'download' or 'generate'");
+// workspaceId checks the workspace pool instead of the user's own credits
+async function checkHasCredits(uid, usageType, amount = 1, { workspaceId = null } = {}) {
+  assertUsageArgs(uid, usageType);
+  assertAmount(amount);
+
+  const { credits } = await readCreditAccount(db, uid, usageType, amount, workspaceId);
+  if (credits.available >= amount) {
+    return true;
   }
 
-  const userRef = db.collection('users').doc(uid);
-  const userDoc = await userRef.get();
+  throw insufficientCreditsError(usageType, credits, amount);
+}
 
-  if (!userDoc.exists) {
-    // If user doesn't exist, they definitely don't have credits (or they are new/uninitialized)
-    // But typically ensureUserExists is called before. If not, we can fail.
-    // However, ensureUserExists initializes them with 0 credits anyway (except trial if any).
-    // Let's assume they have 0 if not found to suffice the check.
-    throw new AppError({
-      code: ErrorCodes.RESOURCE_EXHAUSTED,
-      message: 'User profile not initialized.',
-      httpStatus: 400,
-      retryable: false
-    });
-  }
+/**
+ * Hold `amount` credits for an in-flight generation.
+ * Firestore: users/{uid}/reservations/{reservationId}, counter users/{uid}.reservedCredits.{usageType}
+ * With workspaceId the hold is taken from the workspace pool instead:
+ * workspaces/{workspaceId}/reservations/{reservationId}, and uid must be an editor or owner.
+ * The hold is settled with commitReservation (success) or releaseReservation (failure);
+ * holds that are never settled are expired by expireStaleReservations.
+ * Returns: reservationId
+ */
+async function reserveCredits(uid, usageType, { amount = 1, endpoint = null, requestId = null, ttlSeconds = DEFAULT_RESERVATION_TTL_SECONDS, workspaceId = null } = {}) {
+  assertUsageArgs(uid, usageType);
+  assertAmount(amount);
 
-  const userData = userDoc.data();
-  
-  // 1. Check Monthly Allowance first
-  const subscription = userData.subscription || {};
-  const monthlyAllowance = userData.monthlyAllowance || { 
-    downloadLimit: 0, generateLimit: 0, downloadsUsed: 0, generationsUsed: 0 
-  };
+  const accountRef = creditAccountRef(uid, workspaceId);
+  const reservationRef = accountRef.collection('reservations').doc();
 
-  const freeCredits = userData.freeCredits || {};
+  await db.runTransaction(async (transaction) => {
+    const { credits } = await readCreditAccount(transaction, uid, usageType, amount, workspaceId);
+    if (credits.available < amount) {
+      throw insufficientCreditsError(usageType, credits, amount);
+    }
 
-  const resolveUsedKey = (t) => t === 'generate' ? 'generationsUsed' : 'downloadsUsed';
-
-  // Helper to get free remaining (handles legacy structure)
-  const getFreeRemaining = (type) => {
-     if (freeCredits[`${type}Limit`] !== undefined) {
-        const limit = Number(freeCredits[`${type}Limit`]) || 0;
-        const usedKey = resolveUsedKey(type);
-        const used = Number(freeCredits[usedKey]) || 0;
-        return Math.max(0, limit - used);
-     }
-     // Legacy
-     let val = Number(freeCredits[type]);
-     if (type === 'generate' && isNaN(val)) {
-        val = Number(userData.trialCreditsRemaining) || 0;
-     }
-     return Number.isFinite(val) ? val : 0;
-  };
+    transaction.set(reservationRef, {
+      uid,
+      usageType,
+      amount,
+      status: RESERVATION_STATUS.HELD,
+      endpoint,
+      requestId,
+      createdAt: FieldValue.serverTimestamp(),
+      expiresAt: Timestamp.fromMillis(Date.now() + ttlSeconds * 1000),
+      settledAt: null,
+    });
+    transaction.update(accountRef, {
+      [`reservedCredits.${usageType}`]: FieldValue.increment(amount),
+    });
+  });
 
-  const isSubActive = subscription.isActive === true;
-  const limitKey = `${usageType}Limit`;
-  const usedKey = resolveUsedKey(usageType);
+  return reservationRef.id;
+}
 
-  const limit = Number(monthlyAllowance[limitKey]) || 0;
-  const used = Number(monthlyAllowance[usedKey]) || 0;
-  const monthlyRemaining = Math.max(0, limit - used);
+/**
+ * Turn a held reservation into real usage. Idempotent: committing twice charges once.
+ * A reservation that already expired is still charged if credits remain, since the
+ * generation it covered did succeed. `amount` charges part of the hold (0 charges nothing);
+ * the rest is freed. Pass the workspaceId the hold was taken with.
+ */
+async function commitReservation(uid, reservationId, { amount: chargeAmount, workspaceId = null } = {}) {
+  if (!reservationId) return;
+  const accountRef = creditAccountRef(uid, workspaceId);
+  const reservationRef = accountRef.collection('reservations').doc(reservationId);
+
+  await db.runTransaction(async (transaction) => {
+    const [accountDoc, reservationDoc] = await Promise.all([
+      transaction.get(accountRef),
+      transaction.get(reservationRef),
+    ]);
+    if (!accountDoc.exists || !reservationDoc.exists) {
+      throw new Error(`Reservation ${reservationId} not found for user ${uid}`);
+    }
 
-  if (isSubActive && monthlyRemaining > 0) {
-    return true;
-  }
+    const reservation = reservationDoc.data();
+    if (reservation.status === RESERVATION_STATUS.COMMITTED) return;
+
+    const wasHeld = reservation.status === RESERVATION_STATUS.HELD;
+    const accountData = accountDoc.data();
+    const held = Number(reservation.amount) || 1;
+    const amount = chargeAmount === undefined ? held : Math.min(held, Math.max(0, Math.floor(Number(chargeAmount) || 0)));
+    const consume = workspaceId ? consumePoolCredit : consumeCredit;
+    const remaining = amount > 0
+      ? consume(transaction, accountRef, accountData, reservation.usageType, {
+        amount,
+        uid: reservation.uid || uid,
+        source: reservation.endpoint,
+        requestId: reservation.requestId,
+      })
+      : null;
+
+    if (wasHeld) {
+      transaction.update(accountRef, {
+        [`reservedCredits.${reservation.usageType}`]: FieldValue.increment(-held),
+      });
+    }
+    transaction.update(reservationRef, {
+      status: RESERVATION_STATUS.COMMITTED,
+      charged: remaining !== null,
+      chargedAmount: remaining !== null ? amount : 0,
+      settledAt: FieldValue.serverTimestamp(),
+    });
+  });
+}
 
-  // 2. Fallback to Free Credits
-  const actualFreeRemaining = getFreeRemaining(usageType);
+// Free a held reservation without charging. No-op once the reservation is settled.
+async function releaseReservation(uid, reservationId, reason = 'failed', status = RESERVATION_STATUS.RELEASED, { workspaceId = null } = {}) {
+  if (!reservationId) return;
+  const accountRef = creditAccountRef(uid, workspaceId);
+  const reservationRef = accountRef.collection('reservations').doc(reservationId);
+
+  await db.runTransaction(async (transaction) => {
+    const reservationDoc = await transaction.get(reservationRef);
+    if (!reservationDoc.exists || reservationDoc.data().status !== RESERVATION_STATUS.HELD) return;
+    const { usageType, amount } = reservationDoc.data();
+
+    transaction.update(reservationRef, {
+      status,
+      releaseReason: reason,
+      settledAt: FieldValue.serverTimestamp(),
+    });
+    transaction.update(accountRef, {
+      [`reservedCredits.${usageType}`]: FieldValue.increment(-(Number(amount) || 1)),
+    });
+  });
+}
 
-  if (actualFreeRemaining > 0) {
-     return true;
+/**
+ * Run `fn` while holding credits (options.amount, default 1): commit on success, release on any error
+ * (provider failures, timeouts, validation), then rethrow.
+ * options.chargeAmount(result) can charge less than was held (e.g. only the variants that succeeded).
+ * options.workspaceId bills the workspace pool instead of the user.
+ */
+async function withCreditReservation(uid, usageType, options, fn) {
+  const workspaceId = options?.workspaceId || null;
+  const reservationId = await reserveCredits(uid, usageType, options);
+  let result;
+  try {
+    result = await fn(reservationId);
+  } catch (err) {
+    await releaseReservation(uid, reservationId, err?.code || err?.message || 'failed', RESERVATION_STATUS.RELEASED, { workspaceId }).catch((e) =>
+      console.error(`Failed to release reservation ${reservationId}:`, e?.message || e)
+    );
+    throw err;
   }
+  const amount = typeof options?.chargeAmount === 'function' ? options.chargeAmount(result) : undefined;
+  await commitReservation(uid, reservationId, { amount, workspaceId });
+  return result;
+}
 
-  // 3. No credits left
-  throw new AppError({
-    code: ErrorCodes.RESOURCE_EXHAUSTED,
-    message: `You have no ${usageType} credits remaining. Please upgrade or wait for renewal.`,
-    httpStatus: 402,
-    retryable: false
+/**
+ * Move `amount` of the user's own credits into a workspace pool, in one transaction with
+ * ledger entries on both sides (transfer_out for the user, transfer_in for the pool).
+ * uid must be an editor or owner of the workspace.
+ * Returns: the pool's new total for usageType
+ */
+async function transferCreditsToWorkspace(uid, workspaceId, usageType, { amount, requestId = null } = {}) {
+  assertUsageArgs(uid, usageType);
+  assertAmount(amount);
+
+  const userRef = db.collection('users').doc(uid);
+  const workspaceRef = db.collection('workspaces').doc(workspaceId);
+
+  return db.runTransaction(async (transaction) => {
+    const [userDoc, workspace] = await Promise.all([
+      transaction.get(userRef),
+      readCreditAccount(transaction, uid, usageType, amount, workspaceId),
+    ]);
+    if (!userDoc.exists) {
+      throw creditsInsufficient(usageType, amount, 0);
+    }
+    const credits = getRemainingCredits(userDoc.data(), usageType);
+    if (credits.available < amount) {
+      throw insufficientCreditsError(usageType, credits, amount);
+    }
+
+    consumeCredit(transaction, userRef, userDoc.data(), usageType, {
+      amount,
+      source: 'fundWorkspace',
+      requestId,
+      reason: LEDGER_REASONS.TRANSFER_OUT,
+    });
+    transaction.update(workspaceRef, {
+      [`creditPool.${usageType}`]: FieldValue.increment(amount),
+    });
+    appendWorkspaceLedgerEntries(transaction, workspaceId, [
+      { usageType, delta: amount, reason: LEDGER_REASONS.TRANSFER_IN, uid, source: 'fundWorkspace', requestId },
+    ]);
+    return workspace.credits.total + amount;
   });
 }
 
+/**
+ * Scheduled sweeper: expires held reservations past their expiresAt so credits
+ * held by crashed or timed-out requests become spendable again.
+ */
+const expireStaleReservations = onSchedule(
+  {
+    schedule: 'every 10 minutes',
+    region: 'europe-west1',
+    timeoutSeconds: 300,
+  },
+  async () => {
+    const snapshot = await db
+      .collectionGroup('reservations')
+      .where('status', '==', RESERVATION_STATUS.HELD)
+      .where('expiresAt', '<=', Timestamp.now())
+      .limit(500)
+      .get();
+
+    let expired = 0;
+    for (const doc of snapshot.docs) {
+      // Holds live under users/{uid} or, for pool credits, workspaces/{workspaceId}
+      const account = doc.ref.parent.parent;
+      const inWorkspace = account.parent.id === 'workspaces';
+      const uid = inWorkspace ? doc.data().uid : account.id;
+      try {
+        await releaseReservation(uid, doc.id, 'ttl', RESERVATION_STATUS.EXPIRED, { workspaceId: inWorkspace ? account.id : null });
+        expired++;
+      } catch (e) {
+        console.error(`Failed to expire reservation ${doc.ref.path}:`, e?.message || e);
+      }
+    }
+    console.log(`Expired ${expired}/${snapshot.size} stale credit reservations`);
+  }
+);
+
 /**
  * Get user info and remaining usage.
  * GET /userInfo
@@ -268,7 +535,8 @@ async function checkHasCredits(uid, usageType) {
  *   remainingGenerate: number,
  *   monthlyAllowance: { ... },
  *   freeCredits: { ... },
- *   subStatus: 'free' | 'starter' | 'pro' | 'max'
+ *   subStatus: 'free' | 'starter' | 'pro' | 'max',
+ *   prices: { tools: { [tool]: { usageType, model, resolution, credits } }, table: { [tool]: { [model]: { [resolution]: credits } } } }
  * }
  */
 const userInfo = onRequest(
@@ -379,9 +647,16 @@ const userInfo = onRequest(
             remainingGenerate: monthlyGenerationsRemaining
           },
           freeCredits: freeCreditsResponse,
+          // Held by generations still in flight; released or charged when they finish
+          reservedCredits: {
+            generate: Math.max(0, Number((data.reservedCredits || {}).generate) || 0),
+            download: Math.max(0, Number((data.reservedCredits || {}).download) || 0),
+          },
           subscriptionStatus: subscription.status || 'free',
           // Back-compat
           subStatus: subscription.status || 'free',
+          // Credit cost per tool, so clients can show it before submitting
+          prices: getPriceList(),
           // Next reset for UI
           currentPeriodEnd: subscription.currentPeriodEnd 
             ? subscription.currentPeriodEnd.toDate().toISOString() 
@@ -470,6 +745,8 @@ const getDownloadedImages = onRequest(
             imageFileName: imageData.imageFileName,
             thumbnailUrl: (data.thumbUrl ?? imageData.thumbUrl ?? null),
             thumbnailPath: (data.thumbPath ?? imageData.thumbPath ?? null),
+            workspaceId: data.workspaceId || null,
+            createdBy: data.createdBy || uid,
           };
         });
 
@@ -486,7 +763,8 @@ const getDownloadedImages = onRequest(
 
 /**
  * Get user's generated (created) images.
- * GET /api/user/created
+ * GET /api/user/created[?workspace_id=<id>]
+ * With workspace_id, lists the workspace library instead (images every member made there).
  * Returns: { created: Array }
  */
 const getCreatedImages = onRequest(
@@ -526,9 +804,14 @@ const getCreatedImages = onRequest(
       }
 
       try {
-        const createdSnapshot = await db
-          .collection('users')
-          .doc(uid)
+        const workspaceId = readWorkspaceId(req.query);
+        let libraryRef = db.collection('users').doc(uid);
+        if (workspaceId) {
+          // Lazy require: workspaceOperations requires this module at load time
+          const { resolveWorkspace } = require('./workspaceOperations');
+          libraryRef = (await resolveWorkspace(uid, workspaceId, WORKSPACE_ROLES.VIEWER)).ref;
+        }
+        const createdSnapshot = await libraryRef
           .collection('generated')
           .orderBy('createdAt', 'desc')
           .get();
@@ -590,6 +873,29 @@ const cleanupOnAccountDeletion = functions
       console.error(`Error deleting Firestore user data for ${uid}:`, error);
     }
 
+    // Leave shared workspaces (handing ownership on) and delete the ones the user was alone in;
+    // required lazily because workspaceOperations builds on this module
+    try {
+      const { removeUserFromWorkspaces } = require('./workspaceOperations');
+      const { left, transferred, deleted } = await removeUserFromWorkspaces(uid, user.email || null);
+      console.log(`Workspaces for ${uid}: left ${left}, ownership transferred in ${transferred}, deleted ${deleted}`);
+    } catch (error) {
+      console.error(`Error removing ${uid} from workspaces:`, error);
+    }
+
+    // Top-level job and batch documents are keyed by their own ids, not nested under the user
+    for (const collection of ['jobs', 'batches']) {
+      try {
+        const snap = await db.collection(collection).where('uid', '==', uid).get();
+        const writer = db.bulkWriter();
+        snap.docs.forEach((doc) => writer.delete(doc.ref));
+        await writer.close();
+        console.log(`Deleted ${snap.size} ${collection} for ${uid}`);
+      } catch (error) {
+        console.error(`Error deleting ${collection} for ${uid}:`, error);
+      }
+    }
+
     // 2. Delete Storage Data (Generated Images & Brand Logos)
     // We do NOT touch 'images/common' or other shared paths.
     try {
@@ -602,6 +908,12 @@ const cleanupOnAccountDeletion = functions
       // Delete brand logos: images/brand_logos/{uid}/...
       await bucket.deleteFiles({ prefix: `images/brand_logos/${uid}/` });
       console.log(`Deleted brand logos for ${uid}`);
+
+      // Delete staged job inputs: jobs/{uid}/...
+      await bucket.deleteFiles({ prefix: `jobs/${uid}/` });
+
+      // Delete batch result zips: batches/{uid}/...
+      await bucket.deleteFiles({ prefix: `batches/${uid}/` });
       
     } catch (error) {
       console.error(`Error deleting Storage files for ${uid}:`, error);
@@ -610,8 +922,16 @@ const cleanupOnAccountDeletion = functions
 
 module.exports = { 
   ensureUserExists, 
+  getRemainingCredits,
   decrementUsage,
   checkHasCredits,
+  reserveCredits,
+  commitReservation,
+  releaseReservation,
+  withCreditReservation,
+  transferCreditsToWorkspace,
+  getPoolCredits,
+  expireStaleReservations,
   getDownloadedImages, 
   getCreatedImages, 
   userInfo, 
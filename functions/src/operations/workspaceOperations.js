@@ -0,0 +1,596 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const cors = require('cors')({ origin: true });
+const admin = require('firebase-admin');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { randomUUID } = require('crypto');
+const { verifyAuth } = require('../common/utils');
+const { WORKSPACE_ROLES, memberRole, hasRole, readWorkspaceId } = require('../common/workspaces');
+const { ensureUserExists, transferCreditsToWorkspace, getPoolCredits } = require('./userOperations');
+const {
+  AppError,
+  ErrorCodes,
+  forbidden,
+  invalidState,
+  unauthenticated,
+  validationError,
+  sendError,
+  normalizeUnknownError,
+  logError,
+} = require('../common/errors');
+
+try {
+  if (!admin.apps.length) {
+    admin.initializeApp();
+  }
+} catch (e) {
+  // ignore re-init in emulator hot-reload
+}
+
+const db = getFirestore();
+
+const INVITATION_STATUS = Object.freeze({
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  REVOKED: 'revoked',
+});
+
+const INVITATION_TTL_DAYS = 14;
+const MAX_WORKSPACE_MEMBERS = 50;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function workspaceNotFound() {
+  return new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Workspace not found', httpStatus: 404, retryable: false });
+}
+
+/**
+ * Load a workspace for a member with at least `minRole`.
+ * Non-members get the same 404 as a missing workspace; members below minRole get 403.
+ * Returns: { id, ref, data, role }
+ */
+async function resolveWorkspace(uid, workspaceId, minRole = WORKSPACE_ROLES.VIEWER) {
+  if (!workspaceId) throw validationError({ workspace_id: 'required' });
+  const ref = db.collection('workspaces').doc(workspaceId);
+  const snap = await ref.get();
+  const role = snap.exists ? memberRole(snap.data(), uid) : null;
+  if (!role) throw workspaceNotFound();
+  if (!hasRole(snap.data(), uid, minRole)) {
+    throw forbidden(`This action needs the ${minRole} role in the workspace`, { workspaceId, role });
+  }
+  return { id: snap.id, ref, data: snap.data(), role };
+}
+
+async function emailOf(uid) {
+  try {
+    const user = await admin.auth().getUser(uid);
+    return user.email ? user.email.toLowerCase() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function toIso(ts) {
+  return ts && typeof ts.toDate === 'function' ? ts.toDate().toISOString() : null;
+}
+
+function serializeWorkspace(id, data, uid) {
+  return {
+    workspaceId: id,
+    name: data.name,
+    ownerId: data.ownerId,
+    role: memberRole(data, uid),
+    members: Object.entries(data.members || {}).map(([memberUid, m]) => ({
+      uid: memberUid,
+      role: m.role,
+      email: m.email || null,
+      joinedAt: toIso(m.joinedAt),
+    })),
+    credits: {
+      generate: getPoolCredits(data, 'generate').available,
+      download: getPoolCredits(data, 'download').available,
+    },
+    createdAt: toIso(data.createdAt),
+  };
+}
+
+function serializeInvitation(id, data) {
+  return {
+    invitationId: id,
+    workspaceId: data.workspaceId,
+    workspaceName: data.workspaceName || null,
+    email: data.email,
+    role: data.role,
+    status: data.status,
+    invitedBy: data.invitedBy,
+    expiresAt: toIso(data.expiresAt),
+  };
+}
+
+// Shared request plumbing: CORS preflight, method check and auth.
+// Returns the caller's uid, or null once an error response has been sent.
+async function authorize(req, res, { method, endpoint, requestId }) {
+  if (req.method !== method) {
+    const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: `Method not allowed. Use ${method}.`, httpStatus: 405, retryable: false });
+    logError({ requestId, endpoint, err });
+    sendError(res, err, requestId);
+    return null;
+  }
+  try {
+    return await verifyAuth(req);
+  } catch (e) {
+    const err = unauthenticated(e?.message || 'Unauthorized');
+    logError({ requestId, endpoint, err });
+    sendError(res, err, requestId);
+    return null;
+  }
+}
+
+function handlePreflight(req, res, method) {
+  if (req.method !== 'OPTIONS') return false;
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', `${method}, OPTIONS`);
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.status(204).send('');
+  return true;
+}
+
+/**
+ * Create a workspace owned by the caller.
+ * POST JSON { name }
+ * Firestore: workspaces/{workspaceId} { name, ownerId, members: { [uid]: { role, email, joinedAt } }, memberIds, creditPool }
+ * Returns: { success, workspace }
+ */
+const createWorkspace = onRequest(
+  {
+    region: 'europe-west1',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (handlePreflight(req, res, 'POST')) return;
+
+    return cors(req, res, async () => {
+      const uid = await authorize(req, res, { method: 'POST', endpoint: 'createWorkspace', requestId });
+      if (!uid) return;
+
+      try {
+        const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+        if (!name || name.length > 100) {
+          const err = validationError({ name: name ? 'must be at most 100 characters' : 'required' });
+          logError({ requestId, uid, endpoint: 'createWorkspace', err });
+          return sendError(res, err, requestId);
+        }
+
+        await ensureUserExists(uid);
+        const ref = db.collection('workspaces').doc();
+        const data = {
+          name,
+          ownerId: uid,
+          members: { [uid]: { role: WORKSPACE_ROLES.OWNER, email: await emailOf(uid), joinedAt: Timestamp.now() } },
+          memberIds: [uid],
+          creditPool: { generate: 0, download: 0 },
+          reservedCredits: { generate: 0, download: 0 },
+          createdAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        };
+        await ref.set(data);
+        return res.status(200).json({ success: true, workspace: serializeWorkspace(ref.id, { ...data, createdAt: null }, uid) });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid, endpoint: 'createWorkspace', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * Workspaces the caller belongs to, plus pending invitations sent to their email.
+ * GET /getWorkspaces
+ * Returns: { workspaces: [{ workspaceId, name, ownerId, role, members, credits, createdAt }], invitations: [...] }
+ */
+const getWorkspaces = onRequest(
+  {
+    region: 'europe-west1',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (handlePreflight(req, res, 'GET')) return;
+
+    return cors(req, res, async () => {
+      const uid = await authorize(req, res, { method: 'GET', endpoint: 'getWorkspaces', requestId });
+      if (!uid) return;
+
+      try {
+        const email = await emailOf(uid);
+        const [workspacesSnap, invitationsSnap] = await Promise.all([
+          db.collection('workspaces').where('memberIds', 'array-contains', uid).get(),
+          email
+            ? db.collection('workspaceInvitations').where('email', '==', email).where('status', '==', INVITATION_STATUS.PENDING).get()
+            : Promise.resolve({ docs: [] }),
+        ]);
+
+        const now = Date.now();
+        return res.status(200).json({
+          workspaces: workspacesSnap.docs.map((doc) => serializeWorkspace(doc.id, doc.data(), uid)),
+          invitations: invitationsSnap.docs
+            .filter((doc) => !doc.data().expiresAt || doc.data().expiresAt.toMillis() > now)
+            .map((doc) => serializeInvitation(doc.id, doc.data())),
+        });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid, endpoint: 'getWorkspaces', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * Invite someone to a workspace by email (owners only). Re-inviting a pending email updates its role.
+ * The invitee sees the invitation in getWorkspaces once signed in with that email.
+ * POST JSON { workspace_id, email, role: 'editor' | 'viewer' }
+ * Firestore: workspaceInvitations/{invitationId}
+ * Returns: { success, invitation }
+ */
+const inviteToWorkspace = onRequest(
+  {
+    region: 'europe-west1',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (handlePreflight(req, res, 'POST')) return;
+
+    return cors(req, res, async () => {
+      const uid = await authorize(req, res, { method: 'POST', endpoint: 'inviteToWorkspace', requestId });
+      if (!uid) return;
+
+      try {
+        const body = req.body || {};
+        const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+        const role = body.role || WORKSPACE_ROLES.EDITOR;
+        const fieldErrors = {};
+        if (!EMAIL_RE.test(email)) fieldErrors.email = 'must be an email address';
+        if (![WORKSPACE_ROLES.EDITOR, WORKSPACE_ROLES.VIEWER].includes(role)) fieldErrors.role = 'must be editor or viewer';
+        if (Object.keys(fieldErrors).length) {
+          const err = validationError(fieldErrors);
+          logError({ requestId, uid, endpoint: 'inviteToWorkspace', err });
+          return sendError(res, err, requestId);
+        }
+
+        const workspace = await resolveWorkspace(uid, readWorkspaceId(body), WORKSPACE_ROLES.OWNER);
+        const members = Object.values(workspace.data.members || {});
+        if (members.some((m) => m.email === email)) {
+          throw invalidState('Already a member of this workspace', { email }, false);
+        }
+        if (members.length >= MAX_WORKSPACE_MEMBERS) {
+          throw invalidState(`Workspaces are limited to ${MAX_WORKSPACE_MEMBERS} members`, undefined, false);
+        }
+
+        const pending = await db
+          .collection('workspaceInvitations')
+          .where('workspaceId', '==', workspace.id)
+          .where('email', '==', email)
+          .where('status', '==', INVITATION_STATUS.PENDING)
+          .limit(1)
+          .get();
+        const ref = pending.empty ? db.collection('workspaceInvitations').doc() : pending.docs[0].ref;
+        const data = {
+          workspaceId: workspace.id,
+          workspaceName: workspace.data.name,
+          email,
+          role,
+          status: INVITATION_STATUS.PENDING,
+          invitedBy: uid,
+          expiresAt: Timestamp.fromMillis(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+          updatedAt: FieldValue.serverTimestamp(),
+        };
+        if (pending.empty) data.createdAt = FieldValue.serverTimestamp();
+        await ref.set(data, { merge: true });
+        return res.status(200).json({ success: true, invitation: serializeInvitation(ref.id, data) });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid, endpoint: 'inviteToWorkspace', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * Accept or decline an invitation addressed to the caller's email.
+ * POST JSON { invitation_id, accept: boolean }
+ * Returns: { success, workspace? }
+ */
+const respondToWorkspaceInvitation = onRequest(
+  {
+    region: 'europe-west1',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (handlePreflight(req, res, 'POST')) return;
+
+    return cors(req, res, async () => {
+      const uid = await authorize(req, res, { method: 'POST', endpoint: 'respondToWorkspaceInvitation', requestId });
+      if (!uid) return;
+
+      try {
+        const { invitation_id, accept } = req.body || {};
+        if (!invitation_id || typeof invitation_id !== 'string' || typeof accept !== 'boolean') {
+          const err = validationError({
+            invitation_id: !invitation_id ? 'required' : undefined,
+            accept: typeof accept !== 'boolean' ? 'must be a boolean' : undefined,
+          });
+          logError({ requestId, uid, endpoint: 'respondToWorkspaceInvitation', err });
+          return sendError(res, err, requestId);
+        }
+
+        const email = await emailOf(uid);
+        const invitationRef = db.collection('workspaceInvitations').doc(invitation_id);
+        if (accept) await ensureUserExists(uid);
+
+        const workspace = await db.runTransaction(async (tx) => {
+          const invitationSnap = await tx.get(invitationRef);
+          const invitation = invitationSnap.exists ? invitationSnap.data() : null;
+          // Someone else's invitation is reported as missing
+          if (!invitation || !email || invitation.email !== email) {
+            throw new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Invitation not found', httpStatus: 404, retryable: false });
+          }
+          if (invitation.status !== INVITATION_STATUS.PENDING) {
+            throw invalidState(`Invitation is already ${invitation.status}`, undefined, false);
+          }
+          if (invitation.expiresAt && invitation.expiresAt.toMillis() <= Date.now()) {
+            throw invalidState('Invitation has expired', undefined, false);
+          }
+
+          const workspaceRef = db.collection('workspaces').doc(invitation.workspaceId);
+          const workspaceSnap = await tx.get(workspaceRef);
+          if (!workspaceSnap.exists) throw workspaceNotFound();
+
+          tx.update(invitationRef, {
+            status: accept ? INVITATION_STATUS.ACCEPTED : INVITATION_STATUS.DECLINED,
+            respondedBy: uid,
+            respondedAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+          if (!accept) return null;
+
+          // Accepting never lowers the role of someone who is already a member
+          const current = memberRole(workspaceSnap.data(), uid);
+          const member = current && hasRole(workspaceSnap.data(), uid, invitation.role)
+            ? workspaceSnap.data().members[uid]
+            : { role: invitation.role, email, joinedAt: Timestamp.now() };
+          tx.update(workspaceRef, {
+            [`members.${uid}`]: member,
+            memberIds: FieldValue.arrayUnion(uid),
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+          const data = workspaceSnap.data();
+          return serializeWorkspace(workspaceSnap.id, { ...data, members: { ...data.members, [uid]: member } }, uid);
+        });
+
+        return res.status(200).json({ success: true, ...(workspace ? { workspace } : {}) });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid, endpoint: 'respondToWorkspaceInvitation', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * Change a member's role or remove them (owners only). Any member may remove themselves.
+ * A workspace always keeps at least one owner.
+ * POST JSON { workspace_id, member_uid, role?: 'owner' | 'editor' | 'viewer', remove?: true }
+ * Returns: { success, workspace }
+ */
+const updateWorkspaceMember = onRequest(
+  {
+    region: 'europe-west1',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (handlePreflight(req, res, 'POST')) return;
+
+    return cors(req, res, async () => {
+      const uid = await authorize(req, res, { method: 'POST', endpoint: 'updateWorkspaceMember', requestId });
+      if (!uid) return;
+
+      try {
+        const body = req.body || {};
+        const workspaceId = readWorkspaceId(body);
+        const memberUid = typeof body.member_uid === 'string' ? body.member_uid : '';
+        const remove = body.remove === true;
+        if (!workspaceId || !memberUid || (!remove && !Object.values(WORKSPACE_ROLES).includes(body.role))) {
+          const err = validationError({
+            workspace_id: !workspaceId ? 'required' : undefined,
+            member_uid: !memberUid ? 'required' : undefined,
+            role: !remove && !Object.values(WORKSPACE_ROLES).includes(body.role) ? `must be one of ${Object.values(WORKSPACE_ROLES).join('|')}` : undefined,
+          });
+          logError({ requestId, uid, endpoint: 'updateWorkspaceMember', err });
+          return sendError(res, err, requestId);
+        }
+
+        const workspaceRef = db.collection('workspaces').doc(workspaceId);
+        const workspace = await db.runTransaction(async (tx) => {
+          const snap = await tx.get(workspaceRef);
+          const data = snap.exists ? snap.data() : null;
+          if (!data || !memberRole(data, uid)) throw workspaceNotFound();
+          const leaving = remove && memberUid === uid;
+          if (!leaving && !hasRole(data, uid, WORKSPACE_ROLES.OWNER)) {
+            throw forbidden('Only workspace owners can manage members', { workspaceId });
+          }
+          if (!memberRole(data, memberUid)) {
+            throw new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Member not found', httpStatus: 404, retryable: false });
+          }
+
+          const members = { ...data.members };
+          if (remove) {
+            delete members[memberUid];
+          } else {
+            members[memberUid] = { ...members[memberUid], role: body.role };
+          }
+          if (!Object.values(members).some((m) => m.role === WORKSPACE_ROLES.OWNER)) {
+            throw invalidState('A workspace needs at least one owner', undefined, false);
+          }
+
+          tx.update(workspaceRef, {
+            [`members.${memberUid}`]: remove ? FieldValue.delete() : members[memberUid],
+            memberIds: remove ? FieldValue.arrayRemove(memberUid) : FieldValue.arrayUnion(memberUid),
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+          return serializeWorkspace(snap.id, { ...data, members }, uid);
+        });
+
+        return res.status(200).json({ success: true, workspace });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid, endpoint: 'updateWorkspaceMember', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+/**
+ * Move credits from the caller's own balance into the workspace pool (editors and owners).
+ * Work done with workspace_id is then billed to the pool.
+ * POST JSON { workspace_id, usageType: 'generate' | 'download', amount }
+ * Returns: { success, usageType, pool }
+ */
+const fundWorkspace = onRequest(
+  {
+    region: 'europe-west1',
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    if (handlePreflight(req, res, 'POST')) return;
+
+    return cors(req, res, async () => {
+      const uid = await authorize(req, res, { method: 'POST', endpoint: 'fundWorkspace', requestId });
+      if (!uid) return;
+
+      try {
+        const body = req.body || {};
+        const workspaceId = readWorkspaceId(body);
+        const usageType = body.usageType || 'generate';
+        const amount = Number(body.amount);
+        if (!workspaceId || !['generate', 'download'].includes(usageType) || !Number.isInteger(amount) || amount < 1) {
+          const err = validationError({
+            workspace_id: !workspaceId ? 'required' : undefined,
+            usageType: !['generate', 'download'].includes(usageType) ? 'must be generate or download' : undefined,
+            amount: !Number.isInteger(amount) || amount < 1 ? 'must be a positive integer' : undefined,
+          });
+          logError({ requestId, uid, endpoint: 'fundWorkspace', err });
+          return sendError(res, err, requestId);
+        }
+
+        await resolveWorkspace(uid, workspaceId, WORKSPACE_ROLES.EDITOR);
+        const pool = await transferCreditsToWorkspace(uid, workspaceId, usageType, { amount, requestId });
+        return res.status(200).json({ success: true, usageType, pool });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid, endpoint: 'fundWorkspace', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+// Successor when the last owner leaves: highest role first, then the longest-standing member
+function pickSuccessor(members) {
+  const rank = [WORKSPACE_ROLES.OWNER, WORKSPACE_ROLES.EDITOR, WORKSPACE_ROLES.VIEWER];
+  const joined = (m) => (m.joinedAt && typeof m.joinedAt.toMillis === 'function' ? m.joinedAt.toMillis() : 0);
+  const [successor] = Object.entries(members).sort(
+    ([, a], [, b]) => rank.indexOf(a.role) - rank.indexOf(b.role) || joined(a) - joined(b)
+  );
+  return successor ? successor[0] : null;
+}
+
+/**
+ * Take a deleted account out of every workspace (Auth onDelete cleanup).
+ * Shared workspaces keep running, pool included, under the remaining members; when the account
+ * was the last owner, pickSuccessor becomes owner. Workspaces it was alone in are deleted with
+ * their brands, ledger and reservations. Pending invitations it sent are revoked, and
+ * invitations addressed to its email are deleted.
+ * Returns: { left, transferred, deleted }
+ */
+async function removeUserFromWorkspaces(uid, email = null) {
+  const snap = await db.collection('workspaces').where('memberIds', 'array-contains', uid).get();
+  const result = { left: 0, transferred: 0, deleted: 0 };
+
+  for (const doc of snap.docs) {
+    const outcome = await db.runTransaction(async (tx) => {
+      const current = await tx.get(doc.ref);
+      if (!current.exists) return null;
+      const data = current.data();
+      const members = { ...data.members };
+      delete members[uid];
+      if (!Object.keys(members).length) return 'deleted';
+
+      const update = {
+        [`members.${uid}`]: FieldValue.delete(),
+        memberIds: FieldValue.arrayRemove(uid),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      let outcomeName = 'left';
+      if (!Object.values(members).some((m) => m.role === WORKSPACE_ROLES.OWNER)) {
+        const successor = pickSuccessor(members);
+        update[`members.${successor}.role`] = WORKSPACE_ROLES.OWNER;
+        outcomeName = 'transferred';
+      }
+      if (data.ownerId === uid) {
+        const owner = Object.keys(members).find((id) => members[id].role === WORKSPACE_ROLES.OWNER) || pickSuccessor(members);
+        update.ownerId = owner;
+      }
+      tx.update(doc.ref, update);
+      return outcomeName;
+    });
+    if (!outcome) continue;
+
+    if (outcome === 'deleted') {
+      await db.recursiveDelete(doc.ref);
+      const invitations = await db.collection('workspaceInvitations').where('workspaceId', '==', doc.id).get();
+      const writer = db.bulkWriter();
+      invitations.docs.forEach((inv) => writer.delete(inv.ref));
+      await writer.close();
+    }
+    result[outcome] += 1;
+  }
+
+  const sent = await db
+    .collection('workspaceInvitations')
+    .where('invitedBy', '==', uid)
+    .where('status', '==', INVITATION_STATUS.PENDING)
+    .get();
+  const received = email
+    ? await db.collection('workspaceInvitations').where('email', '==', email.toLowerCase()).get()
+    : { docs: [] };
+  const receivedIds = new Set(received.docs.map((inv) => inv.id));
+  const writer = db.bulkWriter();
+  sent.docs
+    .filter((inv) => !receivedIds.has(inv.id))
+    .forEach((inv) => writer.update(inv.ref, { status: INVITATION_STATUS.REVOKED, updatedAt: FieldValue.serverTimestamp() }));
+  received.docs.forEach((inv) => writer.delete(inv.ref));
+  await writer.close();
+
+  return result;
+}
+
+module.exports = {
+  INVITATION_STATUS,
+  removeUserFromWorkspaces,
+  resolveWorkspace,
+  createWorkspace,
+  getWorkspaces,
+  inviteToWorkspace,
+  respondToWorkspaceInvitation,
+  updateWorkspaceMember,
+  fundWorkspace,
+};
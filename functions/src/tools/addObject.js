@@ -1,19 +1,29 @@
 const { onRequest } = require('firebase-functions/v2/https');
 const cors = require('cors')({ origin: true });
 const admin = require('firebase-admin');
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const { randomUUID } = require('crypto');
-const { createMultipartParser, buildGeneratedImagePath, verifyAuth } = require('../common/utils');
-const { createAndUploadThumbnail, computeThumbPath } = require('../operations/thumbnailOperations');
-const { ensureUserExists, decrementUsage, checkHasCredits } = require('../operations/userOperations');
+const { createMultipartParser, verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { createJob, isAsyncRequested } = require('../operations/jobOperations');
+const { readWorkspaceId } = require('../common/workspaces');
+const {
+	MAX_VARIANTS,
+	saveGeneratedImage,
+	loadSourceImage,
+	parseVariants,
+	runVariants,
+	variantChargeAmount,
+} = require('../operations/generatedImageOperations');
 const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
+const { ALLOWED_ASPECT_RATIOS, closestAspectRatio, imagePart, textPart, generateImage } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
+const { parseRegionBox, prepareRegion, compositeRegion } = require('../common/regionEditing');
 const { buildAddObjectPrompt } = require('../common/prompts');
 const {
 	AppError,
 	ErrorCodes,
 	unauthenticated,
 	validationError,
-	storageError,
 	sendError,
 	normalizeUnknownError,
 	logError,
@@ -27,26 +37,19 @@ try {
 	// ignore re-init in emulator hot-reload
 }
 
-const db = getFirestore();
-
 let flows = null;
 
 async function getAddObjectFlows() {
 	if (flows) return flows;
-	const { ai, flow, z, googleAI } = await initGenkit();
-
-  const allowedRatios = [
-    '1:1',
-    '16:9',
-    '9:16',
-    '3:2',
-    '2:3',
-    '4:3',
-    '3:4',
-    '5:4',
-    '4:5',
-    '21:9',
-  ];
+	const { flow, z } = await initGenkit();
+
+	const addedImageSchema = z.object({
+		mimeType: z.string(),
+		id: z.string(),
+		storagePath: z.string(),
+		downloadUrl: z.string().optional().nullable(),
+		generated_img_url: z.string().optional().nullable(),
+	});
 
 	const generateAddObject = flow(
 		{
@@ -57,18 +60,24 @@ async function getAddObjectFlows() {
 				croppedImageMimeType: z.string().optional(),
 				objectImageBase64: z.string(),
 				objectImageMimeType: z.string().optional(),
-				objectLocation: z.string().min(1),
+				// Saved image the object was taken from (e.g. a generateRemoveBackground cutout)
+				objectImageId: z.string().optional(),
+				// Free-text placement; optional when a region or mask marks where the object goes
+				objectLocation: z.string().min(1).optional(),
 				objectBox: z
 					.object({ left: z.number().nonnegative(), top: z.number().nonnegative(), width: z.number().positive(), height: z.number().positive() })
 					.optional(),
 				aspectRatio: z.string().optional(),
+				variants: z.number().int().min(1).max(MAX_VARIANTS).optional(),
+				lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+				workspaceId: z.string().nullable().optional(),
+				// Edit only this part of the image: a pixel box or a PNG mask (white or opaque = edit)
+				region: z.object({ left: z.number().nonnegative(), top: z.number().nonnegative(), width: z.number().positive(), height: z.number().positive() }).optional(),
+				maskImageBase64: z.string().optional(),
 			}),
-			outputSchema: z.object({
-				mimeType: z.string(),
-				id: z.string(),
-				storagePath: z.string(),
-				downloadUrl: z.string().optional().nullable(),
-				generated_img_url: z.string().optional().nullable(),
+			outputSchema: addedImageSchema.extend({
+				generationGroupId: z.string().nullable(),
+				variants: z.array(addedImageSchema),
 			}),
 		},
 		async ({
@@ -77,9 +86,15 @@ async function getAddObjectFlows() {
 			croppedImageMimeType,
 			objectImageBase64,
 			objectImageMimeType,
+			objectImageId,
 			objectLocation,
 			objectBox,
 			aspectRatio: userAspectRatio,
+			variants,
+			lineage,
+			workspaceId,
+			region,
+			maskImageBase64,
 		}) => {
 			await ensureUserExists(uid);
 
@@ -110,335 +125,132 @@ async function getAddObjectFlows() {
 					.png()
 					.toBuffer();
 
-				const id = randomUUID();
-				const imagePath = buildGeneratedImagePath(uid, id, 'png');
-
-				const appOptions = admin.app().options || {};
-				const configuredBucket = appOptions.storageBucket;
-				const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-				const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-				const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-				let file = null;
-				let downloadToken = null;
-				try {
-					const [bucketExists] = await bucket.exists();
-					if (bucketExists) {
-						file = bucket.file(imagePath);
-						downloadToken = randomUUID();
-						await file.save(outBuffer, {
-							resumable: false,
-							contentType: 'image/png',
-							metadata: {
-								cacheControl: 'public, max-age=31536000',
-								metadata: { firebaseStorageDownloadTokens: downloadToken },
-							},
-						});
-					}
-				} catch (_) {
-					file = null;
-				}
-
-				let downloadUrl = null;
-				if (file) {
-					try {
-						const [url] = await file.getSignedUrl({
-							action: 'read',
-							expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 365),
-						});
-						downloadUrl = url;
-					} catch (e) {
-						try {
-							const [metadata] = await file.getMetadata().catch(() => [{}]);
-							let token = metadata?.metadata?.firebaseStorageDownloadTokens;
-							if (!token) {
-								token = downloadToken || randomUUID();
-								await file.setMetadata({ metadata: { firebaseStorageDownloadTokens: token } }).catch(() => {});
-							}
-							downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media&token=${token}`;
-						} catch (_) {
-							downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media`;
-						}
-					}
-				}
-
-				// Generate and upload thumbnail via helper for generated image
-				let thumbUrl = null;
-				let thumbPath = computeThumbPath(imagePath);
-				if (file) {
-					const { thumbPath: p, thumbUrl: u } = await createAndUploadThumbnail(bucket, outBuffer, imagePath);
-					thumbPath = p;
-					thumbUrl = u;
-				}
-
-				try {
-					await db.collection('images').doc(id).set({
-						storagePath: imagePath,
-						type: 'generated',
-						ownerId: uid || null,
-						createdAt: FieldValue.serverTimestamp(),
-						prompt: 'deterministic_add_object_sharp',
-						style: null,
-						aspectRatio: `${canvasW}:${canvasH}`,
-						mockupImageUrl: null,
-						mimeType,
-						downloadUrl,
-						modelVersion: null,
-						size: outBuffer.length,
-						thumbUrl: thumbUrl || null,
-						thumbPath,
-						thumbSize: 256,
-					});
-					await db.collection('users').doc(uid).collection('generated').doc(id).set({
-						createdAt: FieldValue.serverTimestamp(),
-						imageId: id,
-						storagePath: imagePath,
-						type: 'generated',
-						thumbUrl: thumbUrl || null,
-						thumbPath,
-						thumbSize: 256,
-					});
-				} catch (_) {}
-
-				// Decrement usage only after successful generation & persistence steps
-				await decrementUsage(uid, 'generate');
-				return {
+				// A deterministic composite has nothing to vary, so it always yields a single result
+				const saved = await saveGeneratedImage({
+					uid,
+					buffer: outBuffer,
 					mimeType: 'image/png',
-					id,
-					storagePath: imagePath,
-					downloadUrl,
-					generated_img_url: downloadUrl,
+					prompt: 'deterministic_add_object_sharp',
+					aspectRatio: `${canvasW}:${canvasH}`,
+					tool: 'addObject',
+					toolParams: { objectLocation: objectLocation || null, objectBox, objectImageId: objectImageId || null },
+					parentImageId: lineage?.parentImageId,
+					rootImageId: lineage?.rootImageId,
+					workspaceId,
+				});
+				const output = {
+					mimeType: 'image/png',
+					id: saved.id,
+					storagePath: saved.storagePath,
+					downloadUrl: saved.downloadUrl,
+					generated_img_url: saved.downloadUrl,
 				};
+				return { ...output, generationGroupId: null, variants: [output] };
 			}
 
 			// Path B: Gemini fallback with concise, high-signal prompt
-			
+			if (!objectLocation && !region && !maskImageBase64) {
+				throw validationError({ objectLocation: 'required', region: 'required', mask: 'required' });
+			}
+
+			// Region edits send only the padded region to the model and composite the result back
+			const regionEdit = region || maskImageBase64
+				? await prepareRegion({
+					imageBuffer: Buffer.from(croppedImageBase64, 'base64'),
+					box: region || null,
+					maskBuffer: maskImageBase64 ? Buffer.from(maskImageBase64, 'base64') : null,
+				})
+				: null;
+			const baseImageBase64 = regionEdit ? regionEdit.regionBuffer.toString('base64') : croppedImageBase64;
+
       // 1. Calculate Input Aspect Ratio
       let inputAspectRatio = null;
       try {
         const sharp = require('sharp');
-        const baseBuf = Buffer.from(croppedImageBase64, 'base64');
+        const baseBuf = Buffer.from(baseImageBase64, 'base64');
         const meta = await sharp(baseBuf).metadata();
         const w = meta.width || 0;
         const h = meta.height || 0;
         
-        if (w > 0 && h > 0) {
-          const ratio = w / h;
-           const candidates = allowedRatios.map(r => {
-            const [rw, rh] = r.split(':').map(Number);
-            return { label: r, value: rw / rh };
-          });
-
-          let best = candidates[0];
-          let bestDiff = Math.abs(ratio - best.value);
-          
-          for (const c of candidates) {
-            const diff = Math.abs(ratio - c.value);
-            if (diff < bestDiff) {
-              best = c;
-              bestDiff = diff;
-            }
-          }
-          inputAspectRatio = best.label;
+        inputAspectRatio = closestAspectRatio(w, h);
+        if (inputAspectRatio) {
           console.log(`Derived aspect ratio ${inputAspectRatio} from dimensions ${w}x${h}`);
         }
       } catch (e) {
         console.warn('Failed to derive aspect ratio:', e);
       }
 
-      // 2. Determine Target/Final Aspect Ratio
+      // 2. Determine Target/Final Aspect Ratio (a region is composited back, so it keeps its shape)
       let aspectRatio = null;
-      if (userAspectRatio && allowedRatios.includes(userAspectRatio)) {
+      if (!regionEdit && userAspectRatio && ALLOWED_ASPECT_RATIOS.includes(userAspectRatio)) {
         aspectRatio = userAspectRatio;
       } else {
         aspectRatio = inputAspectRatio;
       }
 
-			const fullPrompt = buildAddObjectPrompt({ objectLocation, originalAspectRatio: inputAspectRatio, targetAspectRatio: aspectRatio });
+			const fullPrompt = buildAddObjectPrompt({
+				objectLocation,
+				originalAspectRatio: inputAspectRatio,
+				targetAspectRatio: aspectRatio,
+				regionHint: regionEdit ? regionEdit.hint : null,
+			});
 
-			const baseMime = croppedImageMimeType || 'image/png';
+			const baseMime = regionEdit ? regionEdit.regionMimeType : croppedImageMimeType || 'image/png';
 			const objMime = objectImageMimeType || 'image/png';
 
-      const promptArray = [{
-          media: { url: `data:${baseMime};base64,${croppedImageBase64}`, contentType: baseMime }
-        }, {
-          media: { url: `data:${objMime};base64,${objectImageBase64}`, contentType: objMime }
-        }, {
-          text: fullPrompt
-      }];
-
-      // Use @google/genai SDK directly
-      const { GoogleGenAI } = require("@google/genai");
-      const genaiClient = new GoogleGenAI({ apiKey: GOOGLE_API_KEY.value() });
-      
-      const contentsParts = [];
-      for (const item of promptArray) {
-        if (item.text) {
-          contentsParts.push({ text: item.text });
-        }
-      }
-      for (const item of promptArray) {
-        if (item.media) {
-          const matches = item.media.url.match(/^data:([^;]+);base64,(.+)$/);
-          if (matches) {
-            contentsParts.push({
-              inlineData: {
-                mimeType: matches[1],
-                data: matches[2] 
-              }
-            });
-          }
-        }
-      }
-
-      const imageConfig = {
-        aspectRatio: aspectRatio || '1:1',
-        imageSize: '2K',
-      };
-
-      const response = await genaiClient.models.generateContent({
-				model: 'gemini-3-pro-image-preview',
-        contents: [{ parts: contentsParts }],
-        config: {
-          responseModalities: ['TEXT', 'IMAGE'],
-          imageConfig: imageConfig,
-        },
-      });
-
-      // Extract image data
-      let dataUrl = null;
-      const candidates = response.candidates || [];
-      const firstCandidate = candidates[0];
-      const modelVersion = 'gemini-3-pro-image-preview';
-      let rawResponse = response;
-
-      if (firstCandidate && firstCandidate.content && firstCandidate.content.parts) {
-        for (const part of firstCandidate.content.parts) {
-           if (part.inlineData) {
-             const mime = part.inlineData.mimeType || 'image/png';
-             const b64 = part.inlineData.data;
-             dataUrl = `data:${mime};base64,${b64}`;
-           }
-        }
-      }
-
-			if (!dataUrl) throw new Error('Model did not return image media.');
-
-			const commaIdx = dataUrl.indexOf(',');
-      const header = dataUrl.substring(0, commaIdx);
-			const imageBase64 = dataUrl.substring(commaIdx + 1);
-
-      const mimeTypeMatch = /data:(.*?);base64/.exec(header);
-      const mimeType = (mimeTypeMatch && mimeTypeMatch[1]) || 'image/png';
-
-			const buffer = Buffer.from(imageBase64, 'base64');
-      const ext = ((mime) => {
-        if (mime === 'image/png') return 'png';
-        if (mime === 'image/jpeg' || mime === 'image/jpg') return 'jpg';
-        if (mime === 'image/webp') return 'webp';
-        return 'png';
-      })(mimeType);
-
-      // Log dimensions for debugging only, no re-encoding
-			try {
-				const sharp = require('sharp');
-				const outMeta = await sharp(buffer).metadata();
-				console.log('Model output size:', outMeta.width, outMeta.height);
-			} catch (_) { }
-
-			const id = randomUUID();
-			const imagePath = buildGeneratedImagePath(uid, id, ext);
-
-			const appOptions = admin.app().options || {};
-			const configuredBucket = appOptions.storageBucket;
-			const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-			const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-			const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-			let file = null;
-			let downloadToken = null;
-			try {
-				const [bucketExists] = await bucket.exists();
-				if (bucketExists) {
-					file = bucket.file(imagePath);
-					downloadToken = randomUUID();
-					await file.save(buffer, {
-						resumable: false,
-						contentType: 'image/png',
-						metadata: {
-							cacheControl: 'public, max-age=31536000',
-							metadata: { firebaseStorageDownloadTokens: downloadToken },
-						},
-					});
-				}
-			} catch (_) {
-				file = null;
-			}
+			const { generationGroupId, variants: images } = await runVariants(variants || 1, async (variantIndex, groupId) => {
+				// Instruction first, then the base image and the object image
+				const { buffer, mimeType, modelVersion } = await generateImage({
+					parts: [
+						textPart(fullPrompt),
+						imagePart(baseImageBase64, baseMime),
+						imagePart(objectImageBase64, objMime),
+					],
+					aspectRatio: aspectRatio || '1:1',
+					size: '2K',
+					variant: variantIndex,
+				});
 
-			let downloadUrl = null;
-			if (file) {
+				// Log dimensions for debugging only, no re-encoding
 				try {
-					const [url] = await file.getSignedUrl({
-						action: 'read',
-						expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 365),
-					});
-					downloadUrl = url;
-				} catch (e) {
-					try {
-						const [metadata] = await file.getMetadata().catch(() => [{}]);
-						let token = metadata?.metadata?.firebaseStorageDownloadTokens;
-						if (!token) {
-							token = downloadToken || randomUUID();
-							await file.setMetadata({ metadata: { firebaseStorageDownloadTokens: token } }).catch(() => {});
-						}
-						downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media&token=${token}`;
-					} catch (_) {
-						downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media`;
-					}
-				}
-			}
-
-			// Thumbnail generation via helper
-			let thumbUrl = null;
-			let thumbPath = computeThumbPath(imagePath);
-			if (file) {
-				const { thumbPath: p, thumbUrl: u } = await createAndUploadThumbnail(bucket, buffer, imagePath);
-				thumbPath = p;
-				thumbUrl = u;
-			}
-
-			try {
-				await db.collection('images').doc(id).set({
-					storagePath: imagePath,
-					type: 'generated',
-					ownerId: uid || null,
-					createdAt: FieldValue.serverTimestamp(),
+					const sharp = require('sharp');
+					const outMeta = await sharp(buffer).metadata();
+					console.log('Model output size:', outMeta.width, outMeta.height);
+				} catch (_) { }
+
+				const output = regionEdit
+					? { buffer: await compositeRegion(regionEdit, buffer), mimeType: 'image/png' }
+					: { buffer, mimeType };
+				return saveGeneratedImage({
+					uid,
+					...output,
 					prompt: fullPrompt,
-					style: null,
-					aspectRatio: aspectRatio || null,
-					mockupImageUrl: null,
-					mimeType: 'image/png',
-					downloadUrl,
-					modelVersion: modelVersion || null,
-					size: buffer.length,
-				});
-				await db.collection('users').doc(uid).collection('generated').doc(id).set({
-					createdAt: FieldValue.serverTimestamp(),
-					imageId: id,
-					storagePath: imagePath,
-					type: 'generated',
+					aspectRatio: regionEdit ? closestAspectRatio(regionEdit.width, regionEdit.height) : aspectRatio,
+					modelVersion,
+					tool: 'addObject',
+					toolParams: {
+						objectLocation: objectLocation || null,
+						objectBox: null,
+						objectImageId: objectImageId || null,
+						aspectRatio,
+						region: regionEdit ? regionEdit.box : null,
+						masked: Boolean(maskImageBase64),
+					},
+					parentImageId: lineage?.parentImageId,
+					rootImageId: lineage?.rootImageId,
+					workspaceId,
+					fields: { generationGroupId: groupId, variantIndex },
 				});
-			} catch (_) {}
+			});
 
-			// Decrement usage only after successful generation & persistence steps
-			await decrementUsage(uid, 'generate');
-			return {
+			const outputs = images.map(({ mimeType, id, storagePath, downloadUrl }) => ({
 				mimeType,
 				id,
-				storagePath: imagePath,
+				storagePath,
 				downloadUrl,
 				generated_img_url: downloadUrl,
-			};
+			}));
+			return { ...outputs[0], generationGroupId, variants: outputs };
 		}
 	);
 
@@ -456,6 +268,15 @@ exports.generateAddObject = onRequest(
 	},
 	async (req, res) => {
 			const requestId = randomUUID();
+		const creditCost = computeCreditCost({ tool: 'addObject' });
+		// Hold the price of every requested variant, charge only for the ones that succeed
+		const variantBilling = (variants, workspaceId) => ({
+			amount: creditCost * variants,
+			endpoint: 'generateAddObject',
+			requestId,
+			workspaceId,
+			chargeAmount: (out) => variantChargeAmount(out, creditCost),
+		});
 		if (req.method === 'OPTIONS') {
 			res.set('Access-Control-Allow-Origin', '*');
 			res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -475,6 +296,7 @@ exports.generateAddObject = onRequest(
 					return sendError(res, err, requestId);
 				}
 
+			let uid;
 			try {
 				uid = await verifyAuth(req);
 			} catch (e) {
@@ -483,9 +305,12 @@ exports.generateAddObject = onRequest(
 					return sendError(res, err, requestId);
 			}
 
+			// Multipart fields arrive after the credit check, so the pool is picked from the query or a JSON body
+			const workspaceId = readWorkspaceId(req.query, req.body);
+
 			try {
 				await ensureUserExists(uid);
-				await checkHasCredits(uid, 'generate');
+				await checkHasCredits(uid, 'generate', creditCost, { workspaceId });
 			} catch (e) {
 				logError({ requestId, uid, endpoint: 'generateAddObject', err: e });
 				return sendError(res, e, requestId);
@@ -502,6 +327,7 @@ exports.generateAddObject = onRequest(
 					let croppedMime = null;
 					let objectBuffer = null;
 					let objectMime = null;
+					let maskBuffer = null;
 
 					await new Promise((resolve, reject) => {
 						busboy.on('field', (fieldname, val) => {
@@ -518,6 +344,8 @@ exports.generateAddObject = onRequest(
 								} else if (fieldname === 'object_img' || fieldname === 'objectImage') {
 									objectBuffer = buf;
 									objectMime = mimeType;
+								} else if (fieldname === 'mask' || fieldname === 'mask_img') {
+									maskBuffer = buf;
 								}
 							});
 						});
@@ -530,87 +358,147 @@ exports.generateAddObject = onRequest(
 						}
 					});
 
-					const objectLocation = String(fields.object_location || fields.objectLocation || '').trim();
+					// A saved image, typically a generateRemoveBackground cutout, can stand in for object_img
+					const objectImageId = String(fields.objectImageId || '').trim() || undefined;
+					if (!objectBuffer && objectImageId) {
+						const object = await loadSourceImage(uid, { sourceImageId: objectImageId });
+						objectBuffer = object.buffer;
+						objectMime = object.mimeType;
+					}
+					const objectLocation = String(fields.object_location || fields.objectLocation || '').trim() || undefined;
 					const aspectRatio = String(fields.aspectRatio || '').trim() || undefined;
+					const region = parseRegionBox(fields.region) || undefined;
+					const hasLocation = Boolean(objectLocation || region || maskBuffer);
 
-					if (!objectBuffer || !objectLocation) {
-						const err = validationError({ object_img: !objectBuffer ? 'required' : undefined, object_location: !objectLocation ? 'required' : undefined });
+					if (!objectBuffer || !hasLocation) {
+						const err = validationError({ object_img: !objectBuffer ? 'required' : undefined, object_location: !hasLocation ? 'required' : undefined });
 						logError({ requestId, uid, endpoint: 'generateAddObject', err });
 						return sendError(res, err, requestId);
 					}
 
+					let source;
+					try {
+						source = await loadSourceImage(uid, {
+							sourceImageId: fields.sourceImageId,
+							storagePath: fields.storagePath,
+							download: !croppedBuffer,
+						});
+					} catch (e) {
+						const err = normalizeUnknownError(e);
+						logError({ requestId, uid, endpoint: 'generateAddObject', err });
+						return sendError(res, err, requestId);
+					}
 					if (!croppedBuffer) {
-						const storagePath = fields.storagePath;
-						if (storagePath) {
-							try {
-								const appOptions = admin.app().options || {};
-								const configuredBucket = appOptions.storageBucket;
-								const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-								const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-								const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-								const file = bucket.file(storagePath);
-								const [exists] = await file.exists();
-								if (!exists) {
-									const err = new AppError({
-										code: ErrorCodes.VALIDATION_ERROR,
-										message: 'Image not found at storagePath',
-										httpStatus: 404,
-										retryable: false,
-									});
-									logError({ requestId, uid, endpoint: 'generateAddObject', err });
-									return sendError(res, err, requestId);
-								}
-
-								const [metadata] = await file.getMetadata();
-								croppedMime = metadata.contentType || 'image/png';
-
-								const [downloadedBuffer] = await file.download();
-								croppedBuffer = downloadedBuffer;
-							} catch (e) {
-								const err = storageError('Failed to download image from storage', true);
-								logError({ requestId, uid, endpoint: 'generateAddObject', err });
-								return sendError(res, err, requestId);
-							}
-						} else {
-							const err = validationError({ cropped_img: 'required', storagePath: 'required' });
+						if (!source.buffer) {
+							const err = validationError({ cropped_img: 'required', storagePath: 'required', sourceImageId: 'required' });
 							logError({ requestId, uid, endpoint: 'generateAddObject', err });
 							return sendError(res, err, requestId);
 						}
+						croppedBuffer = source.buffer;
+						croppedMime = source.mimeType;
+					}
+					const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
+
+					const variants = parseVariants(fields.variants);
+
+					if (isAsyncRequested(fields.async)) {
+						const job = await createJob({
+							uid,
+							tool: 'addObject',
+							requestId,
+							workspaceId,
+							usageType: 'generate',
+							amount: creditCost * variants,
+							creditsPerVariant: creditCost,
+							input: { uid, croppedImageMimeType: croppedMime, objectImageMimeType: objectMime, objectImageId, objectLocation, aspectRatio, variants, lineage, region, workspaceId },
+							files: {
+								croppedImageBase64: { buffer: croppedBuffer, mimeType: croppedMime },
+								objectImageBase64: { buffer: objectBuffer, mimeType: objectMime },
+								maskImageBase64: { buffer: maskBuffer, mimeType: 'image/png' },
+							},
+						});
+						return res.status(202).json(job);
 					}
 
-					const out = await generateAddObject({
-						uid,
-						croppedImageBase64: croppedBuffer.toString('base64'),
-						croppedImageMimeType: croppedMime,
-						objectImageBase64: objectBuffer.toString('base64'),
-						objectImageMimeType: objectMime,
-						objectLocation,
-						aspectRatio,
-					});
+					const out = await withCreditReservation(uid, 'generate', variantBilling(variants, workspaceId), () =>
+						generateAddObject({
+							uid,
+							croppedImageBase64: croppedBuffer.toString('base64'),
+							croppedImageMimeType: croppedMime,
+							objectImageBase64: objectBuffer.toString('base64'),
+							objectImageMimeType: objectMime,
+							objectLocation,
+							aspectRatio,
+							variants,
+							lineage,
+							workspaceId,
+							region,
+							maskImageBase64: maskBuffer ? maskBuffer.toString('base64') : undefined,
+						})
+					);
 					return res.status(200).json(out);
 				}
 
 				// JSON body fallback
 				const body = req.body || {};
-				const croppedBase64 = body.croppedImageBase64 || body.cropped_img;
-				const objectBase64 = body.objectImageBase64 || body.object_img;
-				const objectLocation = String(body.objectLocation || body.object_location || '').trim();
+				const uploadedBase64 = body.croppedImageBase64 || body.cropped_img;
+				const source = await loadSourceImage(uid, { sourceImageId: body.sourceImageId, download: !uploadedBase64 });
+				const croppedBase64 = uploadedBase64 || (source.buffer ? source.buffer.toString('base64') : null);
+				const croppedMime = uploadedBase64 ? body.croppedImageMimeType : source.mimeType;
+				const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
+				const objectImageId = String(body.objectImageId || '').trim() || undefined;
+				let objectBase64 = body.objectImageBase64 || body.object_img;
+				let objectMime = body.objectImageMimeType;
+				if (!objectBase64 && objectImageId) {
+					const object = await loadSourceImage(uid, { sourceImageId: objectImageId });
+					objectBase64 = object.buffer.toString('base64');
+					objectMime = object.mimeType;
+				}
+				const objectLocation = String(body.objectLocation || body.object_location || '').trim() || undefined;
 				const aspectRatio = body.aspectRatio;
-				if (!croppedBase64 || !objectBase64 || !objectLocation) {
-					const err = validationError({ croppedImageBase64: !croppedBase64 ? 'required' : undefined, objectImageBase64: !objectBase64 ? 'required' : undefined, object_location: !objectLocation ? 'required' : undefined });
+				const region = parseRegionBox(body.region) || undefined;
+				const maskImageBase64 = body.maskImageBase64 || body.mask || undefined;
+				const hasLocation = Boolean(objectLocation || region || maskImageBase64);
+				if (!croppedBase64 || !objectBase64 || !hasLocation) {
+					const err = validationError({ croppedImageBase64: !croppedBase64 ? 'required' : undefined, objectImageBase64: !objectBase64 ? 'required' : undefined, object_location: !hasLocation ? 'required' : undefined });
 					logError({ requestId, uid, endpoint: 'generateAddObject', err });
 					return sendError(res, err, requestId);
 				}
-				const out = await generateAddObject({
-					uid,
-					croppedImageBase64: croppedBase64,
-					croppedImageMimeType: body.croppedImageMimeType,
-					objectImageBase64: objectBase64,
-					objectImageMimeType: body.objectImageMimeType,
-					objectLocation,
-					aspectRatio,
-				});
+				const variants = parseVariants(body.variants);
+				if (isAsyncRequested(body.async)) {
+					const job = await createJob({
+						uid,
+						tool: 'addObject',
+						requestId,
+						workspaceId,
+						usageType: 'generate',
+						amount: creditCost * variants,
+						creditsPerVariant: creditCost,
+						input: { uid, croppedImageMimeType: croppedMime, objectImageMimeType: objectMime, objectImageId, objectLocation, aspectRatio, variants, lineage, region, workspaceId },
+						files: {
+							croppedImageBase64: { buffer: Buffer.from(croppedBase64, 'base64'), mimeType: croppedMime },
+							objectImageBase64: { buffer: Buffer.from(objectBase64, 'base64'), mimeType: objectMime },
+							maskImageBase64: { buffer: maskImageBase64 ? Buffer.from(maskImageBase64, 'base64') : null, mimeType: 'image/png' },
+						},
+					});
+					return res.status(202).json(job);
+				}
+				const out = await withCreditReservation(uid, 'generate', variantBilling(variants, workspaceId), () =>
+					generateAddObject({
+						uid,
+						croppedImageBase64: croppedBase64,
+						croppedImageMimeType: croppedMime,
+						objectImageBase64: objectBase64,
+						objectImageMimeType: objectMime,
+						objectLocation,
+						aspectRatio,
+						variants,
+						lineage,
+						workspaceId,
+						region,
+						maskImageBase64,
+					})
+				);
 				return res.status(200).json(out);
 			} catch (err) {
 				const appErr = normalizeUnknownError(err);
@@ -621,3 +509,4 @@ exports.generateAddObject = onRequest(
 	}
 );
 
+exports.getAddObjectFlows = getAddObjectFlows;
@@ -1,19 +1,38 @@
 const { onRequest } = require('firebase-functions/v2/https');
 const cors = require('cors')({ origin: true });
 const admin = require('firebase-admin');
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const { randomUUID } = require('crypto');
-const { createAndUploadThumbnail, computeThumbPath } = require('../operations/thumbnailOperations');
-const { createMultipartParser, buildGeneratedImagePath, verifyAuth } = require('../common/utils');
-const { ensureUserExists, decrementUsage, checkHasCredits } = require('../operations/userOperations');
+const sharp = require('sharp');
+const { createMultipartParser, verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { createJob, isAsyncRequested } = require('../operations/jobOperations');
+const { readWorkspaceId } = require('../common/workspaces');
+const {
+  MAX_VARIANTS,
+  saveGeneratedImage,
+  loadSourceImage,
+  parseVariants,
+  runVariants,
+  variantChargeAmount,
+} = require('../operations/generatedImageOperations');
 const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
-const { getExtractTextsPrompt, buildChangeTextPrompt } = require('../common/prompts');
+const { closestAspectRatio, imagePart, textPart, generateImage, generateJson } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
+const {
+  getExtractTextsPrompt,
+  buildChangeTextPrompt,
+  getTextLayoutPrompt,
+  buildRemoveTextsPrompt,
+} = require('../common/prompts');
+const { brandScope } = require('../operations/brandOperations');
+const { prepareRegion, compositeRegion, regionChangeShare } = require('../common/regionEditing');
+const { FONT_WEIGHTS, textEraseMask, renderTextOverlay } = require('../common/textOverlay');
+const { canonicalLanguage, parseTargetLanguages } = require('../common/languages');
 const {
   AppError,
   ErrorCodes,
   unauthenticated,
   validationError,
-  storageError,
   sendError,
   normalizeUnknownError,
   logError,
@@ -27,13 +46,130 @@ try {
   // ignore re-init in emulator hot-reload
 }
 
-const db = getFirestore();
-
 let flows = null;
 
+// ai: the image model retypes the texts. overlay: the model only erases the old texts and the
+// new ones are drawn server-side, so every letter comes out exactly as sent.
+const RENDER_MODES = ['ai', 'overlay'];
+// Overlay erases must change at least this share of the masked text boxes; less means the old
+// letters are still there and the new text would be drawn over them
+const MIN_TEXT_ERASE_CHANGE = 0.02;
+// Role guessed for each extracted text; overlay sets headlines in the brand's primary font
+const TEXT_ROLES = ['headline', 'body', 'cta', 'contact'];
+
+function readRenderMode(source) {
+  const value = String(source.renderMode ?? '').trim().toLowerCase();
+  if (!value) return 'ai';
+  if (!RENDER_MODES.includes(value)) throw validationError({ renderMode: `must be one of ${RENDER_MODES.join('|')}` });
+  return value;
+}
+
+// Fonts and palette of brand_id for overlay rendering; {} without a brand
+async function loadBrandStyle(uid, workspaceId, brandId) {
+  const id = String(brandId || '').trim();
+  if (!id) return {};
+  const { brandsCol } = await brandScope(uid, workspaceId);
+  const brandDoc = await brandsCol.doc(id).get();
+  if (!brandDoc.exists) {
+    throw new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Brand not found', httpStatus: 404, retryable: false });
+  }
+  const { primaryFont = null, secondaryFont = null, colorPalette = [] } = brandDoc.data();
+  return { primaryFont, secondaryFont, colorPalette };
+}
+
+// Pair every text that changes with its layout entry. Entries are matched by text, or by
+// position when the layout lists exactly the changed texts; an entry without a usable box
+// counts as not found. `text` is the replacement (null = remove).
+function matchTextLayout(textOps, layout) {
+  const normalize = (t) => String(t).replace(/\s+/g, ' ').trim().toLowerCase();
+  const changes = Object.entries(textOps).filter(([from, to]) => to !== from);
+  const items = [];
+  const missing = [];
+  changes.forEach(([from, to], i) => {
+    const entry = layout.find((e) => normalize(e.text) === normalize(from)) || (layout.length === changes.length ? layout[i] : null);
+    if (entry && entry.box) items.push({ ...entry, from, text: to ?? null });
+    else missing.push(from);
+  });
+  if (missing.length) {
+    throw new AppError({
+      code: ErrorCodes.PIPELINE_STEP_FAILED,
+      message: 'TEXT_NOT_FOUND',
+      httpStatus: 422,
+      retryable: false,
+      details: { missing },
+    });
+  }
+  return items;
+}
+
+// extractTexts response for the requested languages. One language adds translated_texts and a
+// ready-made blueprint for generateChangeText; several add one of each per language tag.
+// Blueprints carry the extracted layout as text_layout, so overlay rendering needs no second lookup.
+function withTranslations(out, { languages, multi }) {
+  const base = { original_texts: out.original_texts, suggested_texts: out.suggested_texts, texts: out.texts };
+  if (!languages.length) return base;
+  const blueprints = {};
+  for (const tag of languages) {
+    const updated = {};
+    out.original_texts.forEach((text, i) => {
+      updated[text] = out.translations[tag][i];
+    });
+    blueprints[tag] = { updated_texts: updated, language: tag, text_layout: out.texts };
+  }
+  if (multi) return { ...base, translations: out.translations, blueprints };
+  const [tag] = languages;
+  return { ...base, language: tag, translated_texts: out.translations[tag], blueprint: blueprints[tag] };
+}
+
+// The one language generateChangeText renders: targetLanguage, else the blueprint's own language
+function readChangeTextLanguage(source, blueprint) {
+  const { languages, multi } = parseTargetLanguages(source);
+  if (multi) throw validationError({ targetLanguages: 'generate one image per language, using targetLanguage' });
+  if (languages.length) return languages[0];
+  if (blueprint && blueprint.language != null) {
+    const tag = canonicalLanguage(blueprint.language);
+    if (!tag) throw validationError({ 'blueprint.language': 'must be a BCP-47 language tag' });
+    return tag;
+  }
+  return undefined;
+}
+
 async function getChangeTextFlows() {
   if (flows) return flows;
-  const { ai, flow, z, googleAI } = await initGenkit();
+  const { flow, z } = await initGenkit();
+
+  // One text of the design and how it is set; box is normalized (0..1) like freepik layouts.
+  // Layout fields are estimates: an off value (weight "semibold", font_size in pixels) becomes
+  // null instead of failing the whole extraction, so the text itself always comes back.
+  const pointSchema = z.object({ x: z.number().min(0).max(1), y: z.number().min(0).max(1) });
+  const textLayoutSchema = z.object({
+    text: z.string(),
+    box: z
+      .object({ top_left: pointSchema, bottom_right: pointSchema })
+      .refine((b) => b.bottom_right.x > b.top_left.x && b.bottom_right.y > b.top_left.y)
+      .nullish()
+      .catch(null),
+    font_size: z.number().positive().max(1).nullish().catch(null),
+    color: z.string().regex(/^#?[0-9a-f]{3}([0-9a-f]{3})?$/i).nullish().catch(null),
+    weight: z.enum(Object.keys(FONT_WEIGHTS)).nullish().catch(null),
+    align: z.enum(['left', 'center', 'right']).nullish().catch(null),
+    role: z.enum(TEXT_ROLES).nullish().catch(null),
+  });
+  // Offline runs stack the texts down the middle of the image
+  const sampleLayout = (texts) =>
+    texts.map((text, i) => ({
+      text,
+      box: { top_left: { x: 0.1, y: 0.1 + i * 0.12 }, bottom_right: { x: 0.9, y: 0.18 + i * 0.12 } },
+      font_size: i === 0 ? 0.06 : 0.04,
+      color: '#111111',
+      weight: i === 0 ? 'bold' : 'regular',
+      align: 'center',
+      role: i === 0 ? 'headline' : 'body',
+    }));
+  const extractedTextsSchema = z.object({
+    texts: z.array(textLayoutSchema),
+    translations: z.record(z.array(z.string())).optional(),
+  });
 
   const extractTexts = flow(
     {
@@ -41,46 +177,70 @@ async function getChangeTextFlows() {
       inputSchema: z.object({
         croppedImageBase64: z.string(),
         croppedImageMimeType: z.string().optional(),
+        targetLanguages: z.array(z.string()).optional(),
       }),
       outputSchema: z.object({
         original_texts: z.array(z.string()),
         suggested_texts: z.array(z.string()),
+        // Same order as original_texts, with where and how each text is set
+        texts: z.array(textLayoutSchema),
+        translations: z.record(z.array(z.string())).optional(),
       }),
     },
-    async ({ croppedImageBase64, croppedImageMimeType }) => {
-      const mime = croppedImageMimeType || 'image/png';
-      const prompt = [
-        {
-          media: {
-            url: `data:${mime};base64,${croppedImageBase64}`,
-            contentType: mime,
-          },
+    async ({ croppedImageBase64, croppedImageMimeType, targetLanguages = [] }) => {
+      const sample = ['Sample headline', 'Sample subtitle'];
+      const parsed = await generateJson({
+        parts: [
+          imagePart(croppedImageBase64, croppedImageMimeType || 'image/png'),
+          textPart(getExtractTextsPrompt({ targetLanguages })),
+        ],
+        schema: extractedTextsSchema,
+        temperature: 0.7,
+        fallback: { texts: [] },
+        fakeResponse: {
+          texts: sampleLayout(sample),
+          translations: Object.fromEntries(targetLanguages.map((tag) => [tag, sample.map((t) => `[${tag}] ${t}`)])),
         },
-        { text: getExtractTextsPrompt() },
-      ];
-
-      const { text } = await ai.generate({
-        model: googleAI.model('gemini-2.5-flash'),
-        prompt,
-        config: { responseModalities: ['TEXT'], temperature: 0.7 },
-        output: { format: 'text' },
       });
 
-      // Try to parse JSON; if model returned wrappers, attempt to extract first JSON block
-      let parsed;
-      try {
-        parsed = JSON.parse(text);
-      } catch (_) {
-        const match = text.match(/\{[\s\S]*\}/);
-        parsed = match ? JSON.parse(match[0]) : { original_texts: [] };
-      }
-
-      const original = Array.isArray(parsed.original_texts) ? parsed.original_texts : [];
+      const texts = parsed.texts;
+      const original = texts.map((t) => t.text);
       // Do not provide suggestions anymore; return empty array for compatibility
-      return { original_texts: original, suggested_texts: [] };
+      if (!targetLanguages.length) return { original_texts: original, suggested_texts: [], texts };
+
+      // One translation per original text; anything the model skipped keeps the original
+      const translations = {};
+      for (const tag of targetLanguages) {
+        const list = parsed.translations && Array.isArray(parsed.translations[tag]) ? parsed.translations[tag] : [];
+        translations[tag] = original.map((text, i) => (typeof list[i] === 'string' && list[i].trim() ? list[i] : text));
+      }
+      return { original_texts: original, suggested_texts: [], texts, translations };
     }
   );
 
+  // Layout of the texts to replace: the blueprint's text_layout when the client sent one, else detected
+  const resolveTextLayout = async ({ blueprint, texts, imageBase64, mimeType }) => {
+    if (blueprint.text_layout !== undefined) {
+      const parsed = z.array(textLayoutSchema).safeParse(blueprint.text_layout);
+      if (!parsed.success) throw validationError({ 'blueprint.text_layout': parsed.error.issues[0].message });
+      return parsed.data;
+    }
+    const { texts: layout } = await generateJson({
+      parts: [imagePart(imageBase64, mimeType), textPart(getTextLayoutPrompt({ texts }))],
+      schema: z.object({ texts: z.array(textLayoutSchema) }),
+      temperature: 0,
+      fakeResponse: { texts: sampleLayout(texts) },
+    });
+    return layout;
+  };
+
+  const changedImageSchema = z.object({
+    mimeType: z.string(),
+    id: z.string(),
+    storagePath: z.string(),
+    downloadUrl: z.string().optional().nullable(),
+  });
+
   const generateChangeText = flow(
     {
       name: 'generateChangeText',
@@ -89,179 +249,106 @@ async function getChangeTextFlows() {
         blueprint: z.record(z.any()),
         croppedImageBase64: z.string(),
         croppedImageMimeType: z.string().optional(),
+        variants: z.number().int().min(1).max(MAX_VARIANTS).optional(),
+        lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+        workspaceId: z.string().nullable().optional(),
+        targetLanguage: z.string().optional(),
+        renderMode: z.enum(RENDER_MODES).optional(),
+        // Fonts and palette for overlay rendering (loadBrandStyle)
+        brand: z.record(z.any()).optional(),
       }),
-      outputSchema: z.object({
-        mimeType: z.string(),
-        id: z.string(),
-        storagePath: z.string(),
-        downloadUrl: z.string().optional().nullable(),
+      outputSchema: changedImageSchema.extend({
+        generationGroupId: z.string(),
+        variants: z.array(changedImageSchema),
+        // Overlay mode: requested brand font and the font actually used, per new text
+        fonts: z.array(z.object({ text: z.string(), requested: z.string().nullable(), used: z.string() })).optional(),
       }),
     },
-    async ({ uid, blueprint, croppedImageBase64, croppedImageMimeType }) => {
+    async ({ uid, blueprint, croppedImageBase64, croppedImageMimeType, variants, lineage, workspaceId, targetLanguage, renderMode, brand }) => {
       await ensureUserExists(uid);
 
       const bp = blueprint || {};
       const textOps = bp.updated_texts || {};
-      const aspectRatio = bp.aspectRatio || null;
-      const fullPrompt = buildChangeTextPrompt({ textOps, aspectRatio });
-
-      const mime = croppedImageMimeType || 'image/png';
-      const promptArray = [
-        {
-          media: {
-            url: `data:${mime};base64,${croppedImageBase64}`,
-            contentType: mime,
-          },
-        },
-        { text: fullPrompt },
-      ];
-
-      let media, rawResponse;
-      try {
-        ({ media, rawResponse } = await ai.generate({
-          model: googleAI.model('gemini-3-pro-image-preview'),
-          prompt: promptArray,
-          config: {
-            responseModalities: ['IMAGE'],
-            ...(aspectRatio ? { imageConfig: { aspectRatio } } : {}),
-          },
-          output: { format: 'media' },
-        }));
-      } catch (primaryErr) {
-        ({ media, rawResponse } = await ai.generate({
-          model: googleAI.model('gemini-2.5-flash-image'),
-          prompt: promptArray,
-          config: {
-            responseModalities: ['IMAGE'],
-            ...(aspectRatio ? { imageConfig: { aspectRatio } } : {}),
-          },
-          output: { format: 'media' },
-        }));
-      }
-
-      const m = Array.isArray(media) ? media[0] : media;
-      if (!m?.url) throw new Error('Model did not return image media.');
-
-      const dataUrl = m.url;
-      const commaIdx = dataUrl.indexOf(',');
-      const header = dataUrl.substring(0, commaIdx);
-      const imageBase64 = dataUrl.substring(commaIdx + 1);
-      const mimeTypeMatch = /data:(.*?);base64/.exec(header);
-      const mimeType = (mimeTypeMatch && mimeTypeMatch[1]) || 'image/png';
-
-      const buffer = Buffer.from(imageBase64, 'base64');
-      const ext = ((mime) => {
-        if (mime === 'image/png') return 'png';
-        if (mime === 'image/jpeg' || mime === 'image/jpg') return 'jpg';
-        if (mime === 'image/webp') return 'webp';
-        return 'bin';
-      })(mimeType);
-
-      const id = randomUUID();
-      const imagePath = buildGeneratedImagePath(uid, id, ext);
-
-      const appOptions = admin.app().options || {};
-      const configuredBucket = appOptions.storageBucket;
-      const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-      const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-      const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-      let file = null;
-      let downloadToken = null;
-      try {
-        const [bucketExists] = await bucket.exists();
-        if (bucketExists) {
-          file = bucket.file(imagePath);
-          downloadToken = randomUUID();
-          await file.save(buffer, {
-            resumable: false,
-            contentType: mimeType,
-            metadata: {
-              cacheControl: 'public, max-age=31536000',
-              metadata: { firebaseStorageDownloadTokens: downloadToken },
-            },
-          });
-        }
-      } catch (e) {
-        file = null;
-      }
+      const mode = renderMode || 'ai';
+      const save = (image, variantIndex, groupId, extraParams = {}) =>
+        saveGeneratedImage({
+          uid,
+          ...image,
+          tool: 'changeText',
+          toolParams: { blueprint: bp, targetLanguage: targetLanguage || null, renderMode: mode, ...extraParams },
+          parentImageId: lineage?.parentImageId,
+          rootImageId: lineage?.rootImageId,
+          workspaceId,
+          fields: { generationGroupId: groupId, variantIndex },
+        });
 
-      let downloadUrl = null;
-      if (file) {
-        try {
-          const [url] = await file.getSignedUrl({
-            action: 'read',
-            expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 365),
+      let produce;
+      // Overlay only: the font each new text was actually set in (renderTextOverlay)
+      let renderedFonts = null;
+      if (mode === 'overlay') {
+        // The canvas is kept, so blueprint.aspectRatio does not apply here
+        const base = await sharp(Buffer.from(croppedImageBase64, 'base64')).rotate().png().toBuffer();
+        const { width, height } = await sharp(base).metadata();
+        const changed = Object.keys(textOps).filter((from) => textOps[from] !== from);
+        if (!changed.length) throw validationError({ 'blueprint.updated_texts': 'no text changes' });
+        const layout = await resolveTextLayout({ blueprint: bp, texts: changed, imageBase64: base.toString('base64'), mimeType: 'image/png' });
+        const items = matchTextLayout(textOps, layout);
+
+        const region = await prepareRegion({ imageBuffer: base, maskBuffer: await textEraseMask(items, width, height) });
+        const fullPrompt = buildRemoveTextsPrompt({ texts: items.map((item) => item.from), regionHint: region.hint });
+        const replacements = items.filter((item) => item.text);
+        produce = async (variantIndex, groupId) => {
+          const { buffer, modelVersion } = await generateImage({
+            parts: [imagePart(region.regionBuffer.toString('base64'), region.regionMimeType), textPart(fullPrompt)],
+            aspectRatio: closestAspectRatio(region.crop.width, region.crop.height),
+            model: 'gemini-3-pro-image-preview',
+            fallbackModel: 'gemini-2.5-flash-image',
+            variant: variantIndex,
           });
-          downloadUrl = url;
-        } catch (e) {
-          try {
-            const [metadata] = await file.getMetadata().catch(() => [{}]);
-            let token = metadata?.metadata?.firebaseStorageDownloadTokens;
-            if (!token) {
-              token = downloadToken || randomUUID();
-              await file.setMetadata({ metadata: { firebaseStorageDownloadTokens: token } }).catch(
-                () => {}
-              );
-            }
-            downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(
-              imagePath
-            )}?alt=media&token=${token}`;
-          } catch (_) {
-            downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(
-              imagePath
-            )}?alt=media`;
+          const erased = await compositeRegion(region, buffer);
+          const changeShare = await regionChangeShare(region, erased);
+          if (changeShare < MIN_TEXT_ERASE_CHANGE) {
+            throw new AppError({
+              code: ErrorCodes.PIPELINE_STEP_FAILED,
+              message: 'TEXT_ERASE_NO_CHANGE',
+              httpStatus: 502,
+              retryable: true,
+              details: { changeShare },
+            });
           }
-        }
-      }
-
-      // Generate and upload thumbnail via helper
-      let thumbUrl = null;
-      let thumbPath = computeThumbPath(imagePath);
-      if (file) {
-        const { thumbPath: p, thumbUrl: u } = await createAndUploadThumbnail(bucket, buffer, imagePath);
-        thumbPath = p;
-        thumbUrl = u;
-      }
-
-      try {
-        await db
-          .collection('images')
-          .doc(id)
-          .set({
-            storagePath: imagePath,
-            type: 'generated',
-            ownerId: uid || null,
-            createdAt: FieldValue.serverTimestamp(),
+          const rendered = await renderTextOverlay(erased, replacements, { brand: brand || {}, useBrandColors: Boolean(bp.use_brand_colors) });
+          renderedFonts = rendered.fonts;
+          const image = {
+            buffer: rendered.buffer,
+            mimeType: rendered.mimeType,
             prompt: fullPrompt,
-            style: null,
-            aspectRatio: aspectRatio || null,
-            mockupImageUrl: null,
-            mimeType,
-            downloadUrl,
-            modelVersion: rawResponse?.modelVersion || null,
-            size: buffer.length,
-            thumbUrl: thumbUrl || null,
-            thumbPath,
-            thumbSize: 256,
-          });
-        await db
-          .collection('users')
-          .doc(uid)
-          .collection('generated')
-          .doc(id)
-          .set({
-            createdAt: FieldValue.serverTimestamp(),
-            imageId: id,
-            storagePath: imagePath,
-            type: 'generated',
-            thumbUrl: thumbUrl || null,
-            thumbPath,
-            thumbSize: 256,
+            aspectRatio: closestAspectRatio(width, height),
+            modelVersion,
+          };
+          return save(image, variantIndex, groupId, { fonts: rendered.fonts });
+        };
+      } else {
+        const aspectRatio = bp.aspectRatio || null;
+        const fullPrompt = buildChangeTextPrompt({ textOps, aspectRatio, targetLanguage });
+        produce = async (variantIndex, groupId) => {
+          const { buffer, mimeType, modelVersion } = await generateImage({
+            parts: [
+              imagePart(croppedImageBase64, croppedImageMimeType || 'image/png'),
+              textPart(fullPrompt),
+            ],
+            aspectRatio,
+            model: 'gemini-3-pro-image-preview',
+            fallbackModel: 'gemini-2.5-flash-image',
+            variant: variantIndex,
           });
-      } catch (_) {}
+          return save({ buffer, mimeType, prompt: fullPrompt, aspectRatio, modelVersion }, variantIndex, groupId);
+        };
+      }
 
-      return { mimeType, id, storagePath: imagePath, downloadUrl };
+      const { generationGroupId, variants: images } = await runVariants(variants || 1, produce);
+
+      const outputs = images.map(({ mimeType, id, storagePath, downloadUrl }) => ({ mimeType, id, storagePath, downloadUrl }));
+      return { ...outputs[0], generationGroupId, variants: outputs, ...(renderedFonts ? { fonts: renderedFonts } : {}) };
     }
   );
 
@@ -269,6 +356,8 @@ async function getChangeTextFlows() {
   return flows;
 }
 
+// Returns { original_texts, suggested_texts, texts: [{ text, box, font_size, color, weight, align, role }] },
+// plus translations and generateChangeText blueprints when target languages are sent
 exports.extractTexts = onRequest(
   {
     region: 'europe-west1',
@@ -279,6 +368,10 @@ exports.extractTexts = onRequest(
   },
   async (req, res) => {
     const requestId = randomUUID();
+    // generateChangeText is not billed separately, so extraction charges for the whole pipeline
+    const creditCost = computeCreditCost({ tool: 'extractTexts' }) + computeCreditCost({ tool: 'changeText' });
+    // Each extra language prepays one more generateChangeText image
+    const costFor = (languages) => creditCost + computeCreditCost({ tool: 'changeText' }) * Math.max(languages.length - 1, 0);
     if (req.method === 'OPTIONS') {
       res.set('Access-Control-Allow-Origin', '*');
       res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -301,10 +394,12 @@ exports.extractTexts = onRequest(
         logError({ requestId, endpoint: 'extractTexts', err });
         return sendError(res, err, requestId);
       }
+      // Multipart bodies are parsed later, so the pool is picked from the query or a JSON body
+      const workspaceId = readWorkspaceId(req.query, req.body);
       
       try {
         await ensureUserExists(uid);
-        await checkHasCredits(uid, 'generate');
+        await checkHasCredits(uid, 'generate', creditCost, { workspaceId });
       } catch (e) {
         logError({ requestId, uid, endpoint: 'extractTexts', err: e });
         return sendError(res, e, requestId);
@@ -346,66 +441,59 @@ exports.extractTexts = onRequest(
           });
 
           if (!imageBuffer) {
-            const storagePath = fields.storagePath;
-            if (storagePath) {
-              try {
-                const appOptions = admin.app().options || {};
-                const configuredBucket = appOptions.storageBucket;
-                const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-                const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-                const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-                const file = bucket.file(storagePath);
-                const [exists] = await file.exists();
-                if (!exists) {
-                  const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Image not found at storagePath', httpStatus: 404, retryable: false });
-                  logError({ requestId, uid, endpoint: 'extractTexts', err });
-                  return sendError(res, err, requestId);
-                }
-
-                const [metadata] = await file.getMetadata();
-                imageMimeType = metadata.contentType || 'image/png';
-
-                const [downloadedBuffer] = await file.download();
-                imageBuffer = downloadedBuffer;
-              } catch (e) {
-                const err = storageError('Failed to download image from storage', true);
-                logError({ requestId, uid, endpoint: 'extractTexts', err });
-                return sendError(res, err, requestId);
-              }
-            } else {
-              const err = validationError({ croppedImage: 'required', storagePath: 'required' });
+            let source;
+            try {
+              source = await loadSourceImage(uid, { sourceImageId: fields.sourceImageId, storagePath: fields.storagePath });
+            } catch (e) {
+              const err = normalizeUnknownError(e);
+              logError({ requestId, uid, endpoint: 'extractTexts', err });
+              return sendError(res, err, requestId);
+            }
+            if (!source.buffer) {
+              const err = validationError({ croppedImage: 'required', storagePath: 'required', sourceImageId: 'required' });
               logError({ requestId, uid, endpoint: 'extractTexts', err });
               return sendError(res, err, requestId);
             }
+            imageBuffer = source.buffer;
+            imageMimeType = source.mimeType;
           }
 
-          const out = await extractTexts({
-            croppedImageBase64: imageBuffer.toString('base64'),
-            croppedImageMimeType: imageMimeType,
-          });
-          
-          await decrementUsage(uid, 'generate');
+          const target = parseTargetLanguages(fields);
+          const out = await withCreditReservation(uid, 'generate', { amount: costFor(target.languages), endpoint: 'extractTexts', requestId, workspaceId }, () =>
+            extractTexts({
+              croppedImageBase64: imageBuffer.toString('base64'),
+              croppedImageMimeType: imageMimeType,
+              targetLanguages: target.languages,
+            })
+          );
 
-          return res.status(200).json(out);
+          return res.status(200).json(withTranslations(out, target));
         }
 
         // Fallback: JSON body with base64
         const body = req.body || {};
-        const base64 = body.croppedImageBase64 || body.croppedimage;
+        let base64 = body.croppedImageBase64 || body.croppedimage;
+        let mimeType = body.croppedImageMimeType;
+        if (!base64 && body.sourceImageId) {
+          const source = await loadSourceImage(uid, { sourceImageId: body.sourceImageId });
+          base64 = source.buffer.toString('base64');
+          mimeType = source.mimeType;
+        }
         if (!base64) {
-          const err = validationError({ croppedImageBase64: 'required' });
+          const err = validationError({ croppedImageBase64: 'required', sourceImageId: 'required' });
           logError({ requestId, uid, endpoint: 'extractTexts', err });
           return sendError(res, err, requestId);
         }
-        const out = await extractTexts({
-          croppedImageBase64: base64,
-          croppedImageMimeType: body.croppedImageMimeType,
-        });
-
-        await decrementUsage(uid, 'generate');
-
-        res.status(200).json(out);
+        const target = parseTargetLanguages(body);
+        const out = await withCreditReservation(uid, 'generate', { amount: costFor(target.languages), endpoint: 'extractTexts', requestId, workspaceId }, () =>
+          extractTexts({
+            croppedImageBase64: base64,
+            croppedImageMimeType: mimeType,
+            targetLanguages: target.languages,
+          })
+        );
+
+        res.status(200).json(withTranslations(out, target));
       } catch (err) {
         const appErr = normalizeUnknownError(err);
         logError({ requestId, uid, endpoint: 'extractTexts', err: appErr });
@@ -415,6 +503,9 @@ exports.extractTexts = onRequest(
   }
 );
 
+// renderMode 'overlay' (with optional brand_id for fonts and palette) keeps the model away from
+// the new texts: it only erases the old ones and the replacements are drawn as SVG. Brand fonts
+// not installed on the server fall back to sans-serif; the response's `fonts` lists what was used.
 exports.generateChangeText = onRequest(
   {
     region: 'europe-west1',
@@ -425,6 +516,7 @@ exports.generateChangeText = onRequest(
   },
   async (req, res) => {
     const requestId = randomUUID();
+    const creditCost = computeCreditCost({ tool: 'changeText' });
     if (req.method === 'OPTIONS') {
       res.set('Access-Control-Allow-Origin', '*');
       res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -448,6 +540,29 @@ exports.generateChangeText = onRequest(
         return sendError(res, err, requestId);
       }
 
+      // extractTexts already paid for one image; only extra variants are billed here
+      const extraBilling = (variants) =>
+        variants > 1
+          ? { usageType: 'generate', amount: creditCost * (variants - 1), creditsPerVariant: creditCost, prepaidVariants: 1 }
+          : null;
+      const runChangeText = (flowFn, input) => {
+        const billing = extraBilling(input.variants);
+        if (!billing) return flowFn(input);
+        const { workspaceId } = input;
+        return withCreditReservation(
+          uid,
+          'generate',
+          {
+            amount: billing.amount,
+            endpoint: 'generateChangeText',
+            requestId,
+            workspaceId,
+            chargeAmount: (out) => variantChargeAmount(out, creditCost, 1),
+          },
+          () => flowFn(input)
+        );
+      };
+
       try {
         const { generateChangeText } = await getChangeTextFlows();
 
@@ -491,40 +606,28 @@ exports.generateChangeText = onRequest(
             return sendError(res, err, requestId);
           }
 
+          let source;
+          try {
+            source = await loadSourceImage(uid, {
+              sourceImageId: fields.sourceImageId,
+              storagePath: fields.storagePath,
+              download: !imageBuffer,
+            });
+          } catch (e) {
+            const err = normalizeUnknownError(e);
+            logError({ requestId, uid, endpoint: 'generateChangeText', err });
+            return sendError(res, err, requestId);
+          }
           if (!imageBuffer) {
-            const storagePath = fields.storagePath;
-            if (storagePath) {
-              try {
-                const appOptions = admin.app().options || {};
-                const configuredBucket = appOptions.storageBucket;
-                const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-                const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-                const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-                const file = bucket.file(storagePath);
-                const [exists] = await file.exists();
-                if (!exists) {
-                  const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Image not found at storagePath', httpStatus: 404, retryable: false });
-                  logError({ requestId, uid, endpoint: 'generateChangeText', err });
-                  return sendError(res, err, requestId);
-                }
-
-                const [metadata] = await file.getMetadata();
-                imageMimeType = metadata.contentType || 'image/png';
-
-                const [downloadedBuffer] = await file.download();
-                imageBuffer = downloadedBuffer;
-              } catch (e) {
-                const err = storageError('Failed to download image from storage', true);
-                logError({ requestId, uid, endpoint: 'generateChangeText', err });
-                return sendError(res, err, requestId);
-              }
-            } else {
-              const err = validationError({ croppedImage: 'required', storagePath: 'required' });
+            if (!source.buffer) {
+              const err = validationError({ croppedImage: 'required', storagePath: 'required', sourceImageId: 'required' });
               logError({ requestId, uid, endpoint: 'generateChangeText', err });
               return sendError(res, err, requestId);
             }
+            imageBuffer = source.buffer;
+            imageMimeType = source.mimeType;
           }
+          const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
           let blueprint;
           try {
             blueprint = JSON.parse(bpText);
@@ -534,11 +637,36 @@ exports.generateChangeText = onRequest(
             return sendError(res, err, requestId);
           }
 
-          const out = await generateChangeText({
+          const variants = parseVariants(fields.variants);
+          const workspaceId = readWorkspaceId(fields);
+          const targetLanguage = readChangeTextLanguage(fields, blueprint);
+          const renderMode = readRenderMode(fields);
+          const brand = renderMode === 'overlay' ? await loadBrandStyle(uid, workspaceId, fields.brand_id) : undefined;
+
+          if (isAsyncRequested(fields.async)) {
+            const job = await createJob({
+              uid,
+              tool: 'changeText',
+              requestId,
+              workspaceId,
+              input: { uid, blueprint, croppedImageMimeType: imageMimeType, variants, lineage, workspaceId, targetLanguage, renderMode, brand },
+              files: { croppedImageBase64: { buffer: imageBuffer, mimeType: imageMimeType } },
+              ...extraBilling(variants),
+            });
+            return res.status(202).json(job);
+          }
+
+          const out = await runChangeText(generateChangeText, {
             uid,
             blueprint,
             croppedImageBase64: imageBuffer.toString('base64'),
             croppedImageMimeType: imageMimeType,
+            variants,
+            lineage,
+            workspaceId,
+            targetLanguage,
+            renderMode,
+            brand,
           });
           
           return res.status(200).json(out);
@@ -547,17 +675,45 @@ exports.generateChangeText = onRequest(
         // Fallback: JSON body with base64
         const body = req.body || {};
         // const uid = String(body.uid || '').trim(); // Removed
-        if (!body.blueprint || !(body.croppedImageBase64 || body.croppedImage)) {
-          const err = validationError({ blueprint: !body.blueprint ? 'required' : undefined, croppedImageBase64: !(body.croppedImageBase64 || body.croppedImage) ? 'required' : undefined });
+        const uploadedBase64 = body.croppedImageBase64 || body.croppedImage;
+        const source = await loadSourceImage(uid, { sourceImageId: body.sourceImageId, download: !uploadedBase64 });
+        const imageBase64 = uploadedBase64 || (source.buffer ? source.buffer.toString('base64') : null);
+        const imageMimeType = uploadedBase64 ? body.croppedImageMimeType : source.mimeType;
+        const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
+        if (!body.blueprint || !imageBase64) {
+          const err = validationError({ blueprint: !body.blueprint ? 'required' : undefined, croppedImageBase64: !imageBase64 ? 'required' : undefined });
           logError({ requestId, uid, endpoint: 'generateChangeText', err });
           return sendError(res, err, requestId);
         }
         const blueprint = typeof body.blueprint === 'string' ? JSON.parse(body.blueprint) : body.blueprint;
-        const out = await generateChangeText({
+        const variants = parseVariants(body.variants);
+        const workspaceId = readWorkspaceId(body);
+        const targetLanguage = readChangeTextLanguage(body, blueprint);
+        const renderMode = readRenderMode(body);
+        const brand = renderMode === 'overlay' ? await loadBrandStyle(uid, workspaceId, body.brand_id) : undefined;
+        if (isAsyncRequested(body.async)) {
+          const job = await createJob({
+            uid,
+            tool: 'changeText',
+            requestId,
+            workspaceId,
+            input: { uid, blueprint, croppedImageMimeType: imageMimeType, variants, lineage, workspaceId, targetLanguage, renderMode, brand },
+            files: { croppedImageBase64: { buffer: Buffer.from(imageBase64, 'base64'), mimeType: imageMimeType } },
+            ...extraBilling(variants),
+          });
+          return res.status(202).json(job);
+        }
+        const out = await runChangeText(generateChangeText, {
           uid,
           blueprint,
-          croppedImageBase64: body.croppedImageBase64 || body.croppedImage,
-          croppedImageMimeType: body.croppedImageMimeType,
+          croppedImageBase64: imageBase64,
+          croppedImageMimeType: imageMimeType,
+          variants,
+          lineage,
+          workspaceId,
+          targetLanguage,
+          renderMode,
+          brand,
         });
 
         res.status(200).json(out);
@@ -569,3 +725,5 @@ exports.generateChangeText = onRequest(
     });
   }
 );
+
+exports.getChangeTextFlows = getChangeTextFlows;
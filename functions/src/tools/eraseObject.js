@@ -0,0 +1,385 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const cors = require('cors')({ origin: true });
+const admin = require('firebase-admin');
+const { randomUUID } = require('crypto');
+const { createMultipartParser, verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { createJob, isAsyncRequested } = require('../operations/jobOperations');
+const { readWorkspaceId } = require('../common/workspaces');
+const {
+	MAX_VARIANTS,
+	saveGeneratedImage,
+	loadSourceImage,
+	parseVariants,
+	runVariants,
+	variantChargeAmount,
+} = require('../operations/generatedImageOperations');
+const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
+const { closestAspectRatio, imagePart, textPart, generateImage } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
+const { parseRegionBox, prepareRegion, compositeRegion, regionChangeShare } = require('../common/regionEditing');
+const { buildEraseObjectPrompt } = require('../common/prompts');
+const {
+	AppError,
+	ErrorCodes,
+	unauthenticated,
+	validationError,
+	sendError,
+	normalizeUnknownError,
+	logError,
+} = require('../common/errors');
+
+try {
+	if (!admin.apps.length) {
+		admin.initializeApp();
+	}
+} catch (e) {
+	// ignore re-init in emulator hot-reload
+}
+
+let flows = null;
+
+// Below this share of changed pixels in the region the model handed the object back; the
+// variant fails instead of saving (and billing) an image that still shows it
+const MIN_ERASE_CHANGE = 0.02;
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+async function getEraseObjectFlows() {
+	if (flows) return flows;
+	const { flow, z } = await initGenkit();
+
+	const erasedImageSchema = z.object({
+		mimeType: z.string(),
+		id: z.string(),
+		storagePath: z.string(),
+		downloadUrl: z.string().optional().nullable(),
+		generated_img_url: z.string().optional().nullable(),
+	});
+
+	const generateEraseObject = flow(
+		{
+			name: 'generateEraseObject',
+			inputSchema: z.object({
+				uid: z.string().min(1),
+				croppedImageBase64: z.string(),
+				croppedImageMimeType: z.string().optional(),
+				// What is being removed ("the sticker in the corner"); helps when the area holds several things
+				description: z.string().max(MAX_DESCRIPTION_LENGTH).optional(),
+				variants: z.number().int().min(1).max(MAX_VARIANTS).optional(),
+				lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+				workspaceId: z.string().nullable().optional(),
+				// Area to erase: a pixel box or a PNG mask (white or opaque = erase); one is required
+				region: z.object({ left: z.number().nonnegative(), top: z.number().nonnegative(), width: z.number().positive(), height: z.number().positive() }).optional(),
+				maskImageBase64: z.string().optional(),
+			}),
+			outputSchema: erasedImageSchema.extend({
+				generationGroupId: z.string(),
+				variants: z.array(erasedImageSchema),
+			}),
+		},
+		async ({ uid, croppedImageBase64, description, variants, lineage, workspaceId, region, maskImageBase64 }) => {
+			await ensureUserExists(uid);
+
+			if (!region && !maskImageBase64) {
+				throw validationError({ region: 'required', mask: 'required' });
+			}
+
+			// Only the padded area goes to the model; everything outside the mask stays byte-identical
+			const regionEdit = await prepareRegion({
+				imageBuffer: Buffer.from(croppedImageBase64, 'base64'),
+				box: region || null,
+				maskBuffer: maskImageBase64 ? Buffer.from(maskImageBase64, 'base64') : null,
+			});
+			const regionAspectRatio = closestAspectRatio(regionEdit.crop.width, regionEdit.crop.height);
+
+			const fullPrompt = buildEraseObjectPrompt({ description: description || null, regionHint: regionEdit.hint });
+
+			const { generationGroupId, variants: images } = await runVariants(variants || 1, async (variantIndex, groupId) => {
+				const { buffer, modelVersion } = await generateImage({
+					parts: [textPart(fullPrompt), imagePart(regionEdit.regionBuffer.toString('base64'), regionEdit.regionMimeType)],
+					aspectRatio: regionAspectRatio || '1:1',
+					size: '2K',
+					variant: variantIndex,
+				});
+				const erased = await compositeRegion(regionEdit, buffer);
+				const changeShare = await regionChangeShare(regionEdit, erased);
+				if (changeShare < MIN_ERASE_CHANGE) {
+					throw new AppError({
+						code: ErrorCodes.PIPELINE_STEP_FAILED,
+						message: 'ERASE_NO_CHANGE',
+						httpStatus: 502,
+						retryable: true,
+						details: { changeShare },
+					});
+				}
+				return saveGeneratedImage({
+					uid,
+					buffer: erased,
+					mimeType: 'image/png',
+					prompt: fullPrompt,
+					aspectRatio: closestAspectRatio(regionEdit.width, regionEdit.height),
+					modelVersion,
+					tool: 'eraseObject',
+					toolParams: {
+						description: description || null,
+						region: regionEdit.box,
+						masked: Boolean(maskImageBase64),
+					},
+					parentImageId: lineage?.parentImageId,
+					rootImageId: lineage?.rootImageId,
+					workspaceId,
+					fields: { generationGroupId: groupId, variantIndex },
+				});
+			});
+
+			const outputs = images.map(({ mimeType, id, storagePath, downloadUrl }) => ({
+				mimeType,
+				id,
+				storagePath,
+				downloadUrl,
+				generated_img_url: downloadUrl,
+			}));
+			return { ...outputs[0], generationGroupId, variants: outputs };
+		}
+	);
+
+	flows = { generateEraseObject };
+	return flows;
+}
+
+/**
+ * Remove an element from an image and fill the area from its surroundings.
+ * POST multipart { cropped_img | croppedImage (file) | sourceImageId | storagePath, mask (file) | region, description?, variants?, async? }
+ *   or JSON { croppedImageBase64 | sourceImageId, maskImageBase64 | region, description?, variants?, async? }
+ * region is { left, top, width, height } in source pixels; the mask is white or opaque where to erase.
+ * workspace_id (query or JSON body) bills the workspace pool.
+ * Returns: { id, storagePath, downloadUrl, generated_img_url, mimeType, generationGroupId, variants } (202 job when async)
+ */
+exports.generateEraseObject = onRequest(
+	{
+		region: 'europe-west1',
+		timeoutSeconds: 120,
+		memory: '1GiB',
+		cors: true,
+		secrets: [GOOGLE_API_KEY],
+	},
+	async (req, res) => {
+		const requestId = randomUUID();
+		const creditCost = computeCreditCost({ tool: 'eraseObject' });
+		// Hold the price of every requested variant, charge only for the ones that succeed
+		const variantBilling = (variants, workspaceId) => ({
+			amount: creditCost * variants,
+			endpoint: 'generateEraseObject',
+			requestId,
+			workspaceId,
+			chargeAmount: (out) => variantChargeAmount(out, creditCost),
+		});
+		if (req.method === 'OPTIONS') {
+			res.set('Access-Control-Allow-Origin', '*');
+			res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+			res.set('Access-Control-Allow-Headers', 'Content-Type');
+			return res.status(204).send('');
+		}
+
+		return cors(req, res, async () => {
+			if (req.method !== 'POST') {
+				const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method Not Allowed', httpStatus: 405, retryable: false });
+				logError({ requestId, endpoint: 'generateEraseObject', err });
+				return sendError(res, err, requestId);
+			}
+
+			let uid;
+			try {
+				uid = await verifyAuth(req);
+			} catch (e) {
+				const err = unauthenticated(e?.message || 'Unauthorized');
+				logError({ requestId, endpoint: 'generateEraseObject', err });
+				return sendError(res, err, requestId);
+			}
+
+			const workspaceId = readWorkspaceId(req.query, req.body);
+
+			try {
+				await ensureUserExists(uid);
+				await checkHasCredits(uid, 'generate', creditCost, { workspaceId });
+			} catch (e) {
+				logError({ requestId, uid, endpoint: 'generateEraseObject', err: e });
+				return sendError(res, e, requestId);
+			}
+
+			try {
+				const { generateEraseObject } = await getEraseObjectFlows();
+
+				// multipart/form-data path
+				if (req.headers['content-type'] && req.headers['content-type'].includes('multipart/form-data')) {
+					const busboy = createMultipartParser(req.headers);
+					const fields = {};
+					let croppedBuffer = null;
+					let croppedMime = null;
+					let maskBuffer = null;
+
+					await new Promise((resolve, reject) => {
+						busboy.on('field', (fieldname, val) => {
+							fields[fieldname] = val;
+						});
+						busboy.on('file', (fieldname, file, { mimeType }) => {
+							const chunks = [];
+							file.on('data', (d) => chunks.push(d));
+							file.on('end', () => {
+								const buf = Buffer.concat(chunks);
+								if (fieldname === 'cropped_img' || fieldname === 'croppedImage') {
+									croppedBuffer = buf;
+									croppedMime = mimeType;
+								} else if (fieldname === 'mask' || fieldname === 'mask_img') {
+									maskBuffer = buf;
+								}
+							});
+						});
+						busboy.on('finish', resolve);
+						busboy.on('error', reject);
+						if (req.rawBody) {
+							busboy.end(req.rawBody);
+						} else {
+							req.pipe(busboy);
+						}
+					});
+
+					const description = String(fields.description || '').trim() || undefined;
+					const region = parseRegionBox(fields.region) || undefined;
+					if (!region && !maskBuffer) {
+						const err = validationError({ region: 'required', mask: 'required' });
+						logError({ requestId, uid, endpoint: 'generateEraseObject', err });
+						return sendError(res, err, requestId);
+					}
+					if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+						const err = validationError({ description: `must be at most ${MAX_DESCRIPTION_LENGTH} characters` });
+						logError({ requestId, uid, endpoint: 'generateEraseObject', err });
+						return sendError(res, err, requestId);
+					}
+
+					let source;
+					try {
+						source = await loadSourceImage(uid, {
+							sourceImageId: fields.sourceImageId,
+							storagePath: fields.storagePath,
+							download: !croppedBuffer,
+						});
+					} catch (e) {
+						const err = normalizeUnknownError(e);
+						logError({ requestId, uid, endpoint: 'generateEraseObject', err });
+						return sendError(res, err, requestId);
+					}
+					if (!croppedBuffer) {
+						if (!source.buffer) {
+							const err = validationError({ cropped_img: 'required', storagePath: 'required', sourceImageId: 'required' });
+							logError({ requestId, uid, endpoint: 'generateEraseObject', err });
+							return sendError(res, err, requestId);
+						}
+						croppedBuffer = source.buffer;
+						croppedMime = source.mimeType;
+					}
+					const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
+					const variants = parseVariants(fields.variants);
+
+					if (isAsyncRequested(fields.async)) {
+						const job = await createJob({
+							uid,
+							tool: 'eraseObject',
+							requestId,
+							workspaceId,
+							usageType: 'generate',
+							amount: creditCost * variants,
+							creditsPerVariant: creditCost,
+							input: { uid, croppedImageMimeType: croppedMime, description, variants, lineage, region, workspaceId },
+							files: {
+								croppedImageBase64: { buffer: croppedBuffer, mimeType: croppedMime },
+								maskImageBase64: { buffer: maskBuffer, mimeType: 'image/png' },
+							},
+						});
+						return res.status(202).json(job);
+					}
+
+					const out = await withCreditReservation(uid, 'generate', variantBilling(variants, workspaceId), () =>
+						generateEraseObject({
+							uid,
+							croppedImageBase64: croppedBuffer.toString('base64'),
+							croppedImageMimeType: croppedMime,
+							description,
+							variants,
+							lineage,
+							workspaceId,
+							region,
+							maskImageBase64: maskBuffer ? maskBuffer.toString('base64') : undefined,
+						})
+					);
+					return res.status(200).json(out);
+				}
+
+				// JSON body fallback
+				const body = req.body || {};
+				const description = String(body.description || '').trim() || undefined;
+				const region = parseRegionBox(body.region) || undefined;
+				const maskImageBase64 = body.maskImageBase64 || body.mask || undefined;
+				if (!region && !maskImageBase64) {
+					const err = validationError({ region: 'required', maskImageBase64: 'required' });
+					logError({ requestId, uid, endpoint: 'generateEraseObject', err });
+					return sendError(res, err, requestId);
+				}
+				if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+					const err = validationError({ description: `must be at most ${MAX_DESCRIPTION_LENGTH} characters` });
+					logError({ requestId, uid, endpoint: 'generateEraseObject', err });
+					return sendError(res, err, requestId);
+				}
+				const uploadedBase64 = body.croppedImageBase64 || body.cropped_img;
+				const source = await loadSourceImage(uid, { sourceImageId: body.sourceImageId, download: !uploadedBase64 });
+				const croppedBase64 = uploadedBase64 || (source.buffer ? source.buffer.toString('base64') : null);
+				const croppedMime = uploadedBase64 ? body.croppedImageMimeType : source.mimeType;
+				const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
+				if (!croppedBase64) {
+					const err = validationError({ croppedImageBase64: 'required', sourceImageId: 'required' });
+					logError({ requestId, uid, endpoint: 'generateEraseObject', err });
+					return sendError(res, err, requestId);
+				}
+				const variants = parseVariants(body.variants);
+				if (isAsyncRequested(body.async)) {
+					const job = await createJob({
+						uid,
+						tool: 'eraseObject',
+						requestId,
+						workspaceId,
+						usageType: 'generate',
+						amount: creditCost * variants,
+						creditsPerVariant: creditCost,
+						input: { uid, croppedImageMimeType: croppedMime, description, variants, lineage, region, workspaceId },
+						files: {
+							croppedImageBase64: { buffer: Buffer.from(croppedBase64, 'base64'), mimeType: croppedMime },
+							maskImageBase64: { buffer: maskImageBase64 ? Buffer.from(maskImageBase64, 'base64') : null, mimeType: 'image/png' },
+						},
+					});
+					return res.status(202).json(job);
+				}
+				const out = await withCreditReservation(uid, 'generate', variantBilling(variants, workspaceId), () =>
+					generateEraseObject({
+						uid,
+						croppedImageBase64: croppedBase64,
+						croppedImageMimeType: croppedMime,
+						description,
+						variants,
+						lineage,
+						workspaceId,
+						region,
+						maskImageBase64,
+					})
+				);
+				return res.status(200).json(out);
+			} catch (err) {
+				const appErr = normalizeUnknownError(err);
+				logError({ requestId, uid, endpoint: 'generateEraseObject', err: appErr });
+				return sendError(res, appErr, requestId);
+			}
+		});
+	}
+);
+
+exports.getEraseObjectFlows = getEraseObjectFlows;
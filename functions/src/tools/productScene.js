@@ -0,0 +1,372 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const cors = require('cors')({ origin: true });
+const admin = require('firebase-admin');
+const { randomUUID } = require('crypto');
+const sharp = require('sharp');
+const { createMultipartParser, verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { createJob, isAsyncRequested } = require('../operations/jobOperations');
+const { readWorkspaceId } = require('../common/workspaces');
+const {
+	MAX_VARIANTS,
+	saveGeneratedImage,
+	loadSourceImage,
+	parseVariants,
+	runVariants,
+	variantChargeAmount,
+} = require('../operations/generatedImageOperations');
+const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
+const { ALLOWED_ASPECT_RATIOS, closestAspectRatio, imagePart, textPart, generateImage } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
+const { buildProductScenePrompt } = require('../common/prompts');
+const {
+	AppError,
+	ErrorCodes,
+	unauthenticated,
+	validationError,
+	sendError,
+	normalizeUnknownError,
+	logError,
+} = require('../common/errors');
+
+try {
+	if (!admin.apps.length) {
+		admin.initializeApp();
+	}
+} catch (e) {
+	// ignore re-init in emulator hot-reload
+}
+
+let flows = null;
+
+const MAX_SCENE_LENGTH = 1000;
+
+async function aspectRatioOf(base64) {
+	try {
+		const { width, height } = await sharp(Buffer.from(base64, 'base64')).rotate().metadata();
+		return closestAspectRatio(width, height);
+	} catch (e) {
+		console.warn('Failed to derive aspect ratio:', e);
+		return null;
+	}
+}
+
+/**
+ * Resolve the product and scene images of a request. Saved images (productImageId, sceneImageId)
+ * are downloaded for the flow and kept by storagePath for jobs. The result is a child of the
+ * saved product when there is one, else of the scene template.
+ * Returns: { product: { buffer, mimeType, storagePath }, sceneImage (same shape) | null, lineage }
+ */
+async function resolveSceneInputs(uid, { productBuffer, productMime, productImageId, sceneImageId }) {
+	let product = productBuffer ? { buffer: productBuffer, mimeType: productMime, storagePath: null } : null;
+	let productSource = null;
+	if (!product && productImageId) {
+		productSource = await loadSourceImage(uid, { sourceImageId: productImageId });
+		product = { buffer: productSource.buffer, mimeType: productSource.mimeType, storagePath: productSource.storagePath };
+	}
+
+	let sceneImage = null;
+	let sceneSource = null;
+	if (sceneImageId) {
+		sceneSource = await loadSourceImage(uid, { sourceImageId: sceneImageId });
+		sceneImage = { buffer: sceneSource.buffer, mimeType: sceneSource.mimeType, storagePath: sceneSource.storagePath };
+	}
+
+	const parent = productSource || sceneSource;
+	const lineage = parent ? { parentImageId: parent.parentImageId, rootImageId: parent.rootImageId } : undefined;
+	return { product, sceneImage, lineage };
+}
+
+async function getProductSceneFlows() {
+	if (flows) return flows;
+	const { flow, z } = await initGenkit();
+
+	const sceneImageSchema = z.object({
+		mimeType: z.string(),
+		id: z.string(),
+		storagePath: z.string(),
+		downloadUrl: z.string().optional().nullable(),
+		generated_img_url: z.string().optional().nullable(),
+	});
+
+	const generateProductScene = flow(
+		{
+			name: 'generateProductScene',
+			inputSchema: z.object({
+				uid: z.string().min(1),
+				productImageBase64: z.string(),
+				productImageMimeType: z.string().optional(),
+				// Saved image the product came from (e.g. a generateRemoveBackground cutout)
+				productImageId: z.string().optional(),
+				// Scene as text, as a saved template image, or both (the text then adjusts the template)
+				scene: z.string().max(MAX_SCENE_LENGTH).optional(),
+				sceneImageBase64: z.string().optional(),
+				sceneImageMimeType: z.string().optional(),
+				sceneImageId: z.string().optional(),
+				aspectRatio: z.string().optional(),
+				variants: z.number().int().min(1).max(MAX_VARIANTS).optional(),
+				lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+				workspaceId: z.string().nullable().optional(),
+			}),
+			outputSchema: sceneImageSchema.extend({
+				generationGroupId: z.string(),
+				variants: z.array(sceneImageSchema),
+			}),
+		},
+		async ({
+			uid,
+			productImageBase64,
+			productImageMimeType,
+			productImageId,
+			scene,
+			sceneImageBase64,
+			sceneImageMimeType,
+			sceneImageId,
+			aspectRatio: userAspectRatio,
+			variants,
+			lineage,
+			workspaceId,
+		}) => {
+			await ensureUserExists(uid);
+
+			if (!scene && !sceneImageBase64) {
+				throw validationError({ scene: 'required', sceneImageId: 'required' });
+			}
+
+			// The scene template sets the frame when there is one, else the product shot does
+			const inputAspectRatio = await aspectRatioOf(sceneImageBase64 || productImageBase64);
+			const aspectRatio = userAspectRatio && ALLOWED_ASPECT_RATIOS.includes(userAspectRatio) ? userAspectRatio : inputAspectRatio;
+
+			const fullPrompt = buildProductScenePrompt({
+				scene: scene || null,
+				hasSceneImage: Boolean(sceneImageBase64),
+				originalAspectRatio: inputAspectRatio,
+				targetAspectRatio: aspectRatio,
+			});
+
+			const { generationGroupId, variants: images } = await runVariants(variants || 1, async (variantIndex, groupId) => {
+				// Instruction first, then the product and the scene template
+				const parts = [textPart(fullPrompt), imagePart(productImageBase64, productImageMimeType || 'image/png')];
+				if (sceneImageBase64) parts.push(imagePart(sceneImageBase64, sceneImageMimeType || 'image/png'));
+				const { buffer, mimeType, modelVersion } = await generateImage({
+					parts,
+					aspectRatio: aspectRatio || '1:1',
+					size: '2K',
+					variant: variantIndex,
+				});
+				return saveGeneratedImage({
+					uid,
+					buffer,
+					mimeType,
+					prompt: fullPrompt,
+					aspectRatio,
+					modelVersion,
+					tool: 'productScene',
+					toolParams: {
+						scene: scene || null,
+						sceneImageId: sceneImageId || null,
+						productImageId: productImageId || null,
+						aspectRatio: aspectRatio || null,
+					},
+					parentImageId: lineage?.parentImageId,
+					rootImageId: lineage?.rootImageId,
+					workspaceId,
+					fields: { generationGroupId: groupId, variantIndex },
+				});
+			});
+
+			const outputs = images.map(({ mimeType, id, storagePath, downloadUrl }) => ({
+				mimeType,
+				id,
+				storagePath,
+				downloadUrl,
+				generated_img_url: downloadUrl,
+			}));
+			return { ...outputs[0], generationGroupId, variants: outputs };
+		}
+	);
+
+	flows = { generateProductScene };
+	return flows;
+}
+
+/**
+ * Put a product into a lifestyle scene described in text and/or given as a saved template image.
+ * POST multipart { product_img | productImage (file) | productImageId, scene?, sceneImageId?, aspectRatio?, variants?, async? }
+ *   or JSON { productImageBase64 (+ productImageMimeType) | productImageId, scene?, sceneImageId?, ... }
+ * At least one of scene and sceneImageId is required. productImageId may be a generateRemoveBackground cutout.
+ * workspace_id (query or JSON body) bills the workspace pool.
+ * Returns: { id, storagePath, downloadUrl, generated_img_url, mimeType, generationGroupId, variants } (202 job when async)
+ */
+exports.generateProductScene = onRequest(
+	{
+		region: 'europe-west1',
+		timeoutSeconds: 120,
+		memory: '1GiB',
+		cors: true,
+		secrets: [GOOGLE_API_KEY],
+	},
+	async (req, res) => {
+		const requestId = randomUUID();
+		const creditCost = computeCreditCost({ tool: 'productScene' });
+		// Hold the price of every requested variant, charge only for the ones that succeed
+		const variantBilling = (variants, workspaceId) => ({
+			amount: creditCost * variants,
+			endpoint: 'generateProductScene',
+			requestId,
+			workspaceId,
+			chargeAmount: (out) => variantChargeAmount(out, creditCost),
+		});
+		if (req.method === 'OPTIONS') {
+			res.set('Access-Control-Allow-Origin', '*');
+			res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+			res.set('Access-Control-Allow-Headers', 'Content-Type');
+			return res.status(204).send('');
+		}
+
+		return cors(req, res, async () => {
+			if (req.method !== 'POST') {
+				const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method Not Allowed', httpStatus: 405, retryable: false });
+				logError({ requestId, endpoint: 'generateProductScene', err });
+				return sendError(res, err, requestId);
+			}
+
+			let uid;
+			try {
+				uid = await verifyAuth(req);
+			} catch (e) {
+				const err = unauthenticated(e?.message || 'Unauthorized');
+				logError({ requestId, endpoint: 'generateProductScene', err });
+				return sendError(res, err, requestId);
+			}
+
+			const workspaceId = readWorkspaceId(req.query, req.body);
+
+			try {
+				await ensureUserExists(uid);
+				await checkHasCredits(uid, 'generate', creditCost, { workspaceId });
+			} catch (e) {
+				logError({ requestId, uid, endpoint: 'generateProductScene', err: e });
+				return sendError(res, e, requestId);
+			}
+
+			try {
+				const { generateProductScene } = await getProductSceneFlows();
+
+				let fields = {};
+				let productBuffer = null;
+				let productMime = null;
+				if (req.headers['content-type'] && req.headers['content-type'].includes('multipart/form-data')) {
+					const busboy = createMultipartParser(req.headers);
+					await new Promise((resolve, reject) => {
+						busboy.on('field', (fieldname, val) => {
+							fields[fieldname] = val;
+						});
+						busboy.on('file', (fieldname, file, { mimeType }) => {
+							if (fieldname === 'product_img' || fieldname === 'productImage') {
+								const chunks = [];
+								file.on('data', (d) => chunks.push(d));
+								file.on('end', () => {
+									productBuffer = Buffer.concat(chunks);
+									productMime = mimeType;
+								});
+							} else {
+								file.resume();
+							}
+						});
+						busboy.on('finish', resolve);
+						busboy.on('error', reject);
+						if (req.rawBody) {
+							busboy.end(req.rawBody);
+						} else {
+							req.pipe(busboy);
+						}
+					});
+				} else {
+					// JSON body fallback
+					fields = req.body || {};
+					const productBase64 = fields.productImageBase64 || fields.product_img;
+					if (productBase64) {
+						productBuffer = Buffer.from(String(productBase64), 'base64');
+						productMime = fields.productImageMimeType || null;
+					}
+				}
+
+				const productImageId = String(fields.productImageId || '').trim() || undefined;
+				const sceneImageId = String(fields.sceneImageId || '').trim() || undefined;
+				const scene = String(fields.scene || '').trim() || undefined;
+				const aspectRatio = String(fields.aspectRatio || '').trim() || undefined;
+				if ((!productBuffer && !productImageId) || (!scene && !sceneImageId)) {
+					const err = validationError({
+						product_img: !productBuffer && !productImageId ? 'required' : undefined,
+						scene: !scene && !sceneImageId ? 'required' : undefined,
+					});
+					logError({ requestId, uid, endpoint: 'generateProductScene', err });
+					return sendError(res, err, requestId);
+				}
+				if (scene && scene.length > MAX_SCENE_LENGTH) {
+					const err = validationError({ scene: `must be at most ${MAX_SCENE_LENGTH} characters` });
+					logError({ requestId, uid, endpoint: 'generateProductScene', err });
+					return sendError(res, err, requestId);
+				}
+				const variants = parseVariants(fields.variants);
+
+				const { product, sceneImage, lineage } = await resolveSceneInputs(uid, { productBuffer, productMime, productImageId, sceneImageId });
+
+				if (isAsyncRequested(fields.async)) {
+					const job = await createJob({
+						uid,
+						tool: 'productScene',
+						requestId,
+						workspaceId,
+						usageType: 'generate',
+						amount: creditCost * variants,
+						creditsPerVariant: creditCost,
+						input: {
+							uid,
+							productImageMimeType: product.mimeType || undefined,
+							productImageId,
+							scene,
+							sceneImageMimeType: sceneImage ? sceneImage.mimeType : undefined,
+							sceneImageId,
+							aspectRatio,
+							variants,
+							lineage,
+							workspaceId,
+						},
+						// Saved images are read in place by the worker
+						files: {
+							productImageBase64: product.storagePath ? { storagePath: product.storagePath, mimeType: product.mimeType } : { buffer: product.buffer, mimeType: product.mimeType },
+							sceneImageBase64: sceneImage ? { storagePath: sceneImage.storagePath, mimeType: sceneImage.mimeType } : null,
+						},
+					});
+					return res.status(202).json(job);
+				}
+
+				const out = await withCreditReservation(uid, 'generate', variantBilling(variants, workspaceId), () =>
+					generateProductScene({
+						uid,
+						productImageBase64: product.buffer.toString('base64'),
+						productImageMimeType: product.mimeType || undefined,
+						productImageId,
+						scene,
+						sceneImageBase64: sceneImage ? sceneImage.buffer.toString('base64') : undefined,
+						sceneImageMimeType: sceneImage ? sceneImage.mimeType : undefined,
+						sceneImageId,
+						aspectRatio,
+						variants,
+						lineage,
+						workspaceId,
+					})
+				);
+				return res.status(200).json(out);
+			} catch (err) {
+				const appErr = normalizeUnknownError(err);
+				logError({ requestId, uid, endpoint: 'generateProductScene', err: appErr });
+				return sendError(res, appErr, requestId);
+			}
+		});
+	}
+);
+
+exports.getProductSceneFlows = getProductSceneFlows;
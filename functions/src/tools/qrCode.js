@@ -0,0 +1,142 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const cors = require('cors')({ origin: true });
+const admin = require('firebase-admin');
+const { randomUUID } = require('crypto');
+const { verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { readWorkspaceId } = require('../common/workspaces');
+const { saveGeneratedImage, loadSourceImage } = require('../operations/generatedImageOperations');
+const { brandScope } = require('../operations/brandOperations');
+const { closestAspectRatio } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
+const { parseQrOptions, qrColors, placeQrCode } = require('../common/qrCodes');
+const {
+	AppError,
+	ErrorCodes,
+	unauthenticated,
+	validationError,
+	sendError,
+	normalizeUnknownError,
+	logError,
+} = require('../common/errors');
+
+try {
+	if (!admin.apps.length) {
+		admin.initializeApp();
+	}
+} catch (e) {
+	// ignore re-init in emulator hot-reload
+}
+
+/**
+ * Add a scannable QR code to a saved or uploaded image. The code is rendered server-side, placed
+ * with a quiet zone at `location` and decoded from the result before it is saved; no model is involved.
+ * POST JSON { sourceImageId | imageBase64, url?, brand_id?, location?, size?, workspace_id? }
+ * url defaults to the brand's website; brand_id also styles the code with the brand palette.
+ * location is a blueprint location (default bottom-right); size is the code width as a share of
+ * the shorter image side (0.1–0.4, default 0.2).
+ * Returns: { id, storagePath, downloadUrl, thumbUrl, thumbPath, mimeType, url, location, box }
+ */
+exports.generateQrCode = onRequest(
+	{
+		region: 'europe-west1',
+		timeoutSeconds: 60,
+		memory: '1GiB',
+		cors: true,
+	},
+	async (req, res) => {
+		const requestId = randomUUID();
+		const creditCost = computeCreditCost({ tool: 'qrCode' });
+		if (req.method === 'OPTIONS') {
+			res.set('Access-Control-Allow-Origin', '*');
+			res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+			res.set('Access-Control-Allow-Headers', 'Content-Type');
+			return res.status(204).send('');
+		}
+
+		return cors(req, res, async () => {
+			if (req.method !== 'POST') {
+				const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method Not Allowed', httpStatus: 405, retryable: false });
+				logError({ requestId, endpoint: 'generateQrCode', err });
+				return sendError(res, err, requestId);
+			}
+
+			let uid;
+			try {
+				uid = await verifyAuth(req);
+			} catch (e) {
+				const err = unauthenticated(e?.message || 'Unauthorized');
+				logError({ requestId, endpoint: 'generateQrCode', err });
+				return sendError(res, err, requestId);
+			}
+
+			const body = req.body || {};
+			const workspaceId = readWorkspaceId(body, req.query);
+
+			try {
+				await ensureUserExists(uid);
+				await checkHasCredits(uid, 'generate', creditCost, { workspaceId });
+			} catch (e) {
+				logError({ requestId, uid, endpoint: 'generateQrCode', err: e });
+				return sendError(res, e, requestId);
+			}
+
+			try {
+				let brand = {};
+				const brandId = String(body.brand_id || '').trim();
+				if (brandId) {
+					const { brandsCol } = await brandScope(uid, workspaceId);
+					const brandDoc = await brandsCol.doc(brandId).get();
+					if (!brandDoc.exists) {
+						const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Brand not found', httpStatus: 404, retryable: false });
+						logError({ requestId, uid, endpoint: 'generateQrCode', err });
+						return sendError(res, err, requestId);
+					}
+					brand = brandDoc.data();
+				}
+				const qrCode = parseQrOptions({ url: body.url, location: body.location, size: body.size }, { fallbackUrl: brand.website });
+
+				const uploadedBase64 = body.imageBase64 || null;
+				const source = await loadSourceImage(uid, { sourceImageId: body.sourceImageId, download: !uploadedBase64 });
+				const imageBuffer = uploadedBase64 ? Buffer.from(String(uploadedBase64), 'base64') : source.buffer;
+				if (!imageBuffer) {
+					const err = validationError({ sourceImageId: 'required', imageBase64: 'required' });
+					logError({ requestId, uid, endpoint: 'generateQrCode', err });
+					return sendError(res, err, requestId);
+				}
+
+				const out = await withCreditReservation(uid, 'generate', { amount: creditCost, endpoint: 'generateQrCode', requestId, workspaceId }, async () => {
+					const placed = await placeQrCode(imageBuffer, { ...qrCode, ...qrColors(brand) });
+					const saved = await saveGeneratedImage({
+						uid,
+						buffer: placed.buffer,
+						mimeType: placed.mimeType,
+						aspectRatio: closestAspectRatio(placed.width, placed.height),
+						modelVersion: 'qrcode',
+						tool: 'qrCode',
+						toolParams: { ...qrCode, brandId: brandId || null, box: placed.box },
+						parentImageId: source.parentImageId,
+						rootImageId: source.rootImageId,
+						workspaceId,
+					});
+					return {
+						id: saved.id,
+						storagePath: saved.storagePath,
+						downloadUrl: saved.downloadUrl,
+						thumbUrl: saved.thumbUrl,
+						thumbPath: saved.thumbPath,
+						mimeType: saved.mimeType,
+						url: qrCode.url,
+						location: qrCode.location,
+						box: placed.box,
+					};
+				});
+				return res.status(200).json(out);
+			} catch (err) {
+				const appErr = normalizeUnknownError(err);
+				logError({ requestId, uid, endpoint: 'generateQrCode', err: appErr });
+				return sendError(res, appErr, requestId);
+			}
+		});
+	}
+);
@@ -1,13 +1,43 @@
 const { onRequest } = require('firebase-functions/v2/https');
 const cors = require('cors')({ origin: true });
 const admin = require('firebase-admin');
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getFirestore } = require('firebase-admin/firestore');
 const { randomUUID } = require('crypto');
-const { createAndUploadThumbnail, computeThumbPath } = require('../operations/thumbnailOperations');
-const { createMultipartParser, buildGeneratedImagePath, verifyAuth } = require('../common/utils');
-const { ensureUserExists, decrementUsage, checkHasCredits } = require('../operations/userOperations');
+const { createMultipartParser, verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { createJob, isAsyncRequested } = require('../operations/jobOperations');
+const { brandScope } = require('../operations/brandOperations');
+const {
+  MAX_BATCH_ITEMS,
+  BATCH_STATUS,
+  ITEM_STATUS,
+  createBatch,
+  attachBatchJob,
+  recordBatchItem,
+} = require('../operations/batchOperations');
+const {
+  MAX_VARIANTS,
+  saveGeneratedImage,
+  loadSourceImage,
+  parseVariants,
+  runVariants,
+  variantChargeAmount,
+} = require('../operations/generatedImageOperations');
 const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
+const {
+  ALLOWED_ASPECT_RATIOS,
+  closestAspectRatio,
+  imagePart,
+  textPart,
+  generateImage,
+  generateJson,
+} = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
+const { LOGO_VARIANTS, ADDITION_LOCATIONS, brandLogos, pickBrandLogo } = require('../common/brandLogos');
 const { buildRebrandPrompt, buildSmartBlueprintPrompt } = require('../common/prompts');
+const { readWorkspaceId } = require('../common/workspaces');
+const { canonicalLanguage, parseTargetLanguages } = require('../common/languages');
+const { parseQrOptions, qrColors, placeQrCode } = require('../common/qrCodes');
 const {
   AppError,
   ErrorCodes,
@@ -17,6 +47,7 @@ const {
   providerUnavailable,
   providerRejected,
   sendError,
+  toErrorResponse,
   normalizeUnknownError,
   logError,
 } = require('../common/errors');
@@ -70,43 +101,63 @@ function buildRebrandBlueprint({
 
 let rebrandFlows = null;
 
+// Convert a smart blueprint (parallel text arrays, additions list) into the blueprint shape
+// generateRebrand takes from clients, accepting every suggestion as-is
+function toRebrandBlueprint(smartBlueprint, brand = {}) {
+  const originals = smartBlueprint.original_texts || [];
+  const updated = smartBlueprint.updated_texts || [];
+  const textUpdates = {};
+  originals.forEach((text, i) => {
+    const next = i < updated.length ? updated[i] : text;
+    if (next !== text) textUpdates[text] = next;
+  });
+  const additions = {};
+  for (const { type, location } of smartBlueprint.additions || []) {
+    additions[type] = location;
+  }
+  return {
+    text_updates: textUpdates,
+    additions,
+    replace_logo: Boolean(smartBlueprint.replacable_logo && Object.keys(brandLogos(brand)).length),
+    use_brand_colors: Array.isArray(brand.colorPalette) && brand.colorPalette.length > 0,
+  };
+}
+
 async function getRebrandFlows() {
   if (rebrandFlows) return rebrandFlows;
 
-  const { ai, flow, z, googleAI } = await initGenkit();
-
-  const allowedRatios = [
-    '1:1',
-    '16:9',
-    '9:16',
-    '3:2',
-    '2:3',
-    '4:3',
-    '3:4',
-    '5:4',
-    '4:5',
-    '21:9',
-  ];
+  const { flow, z } = await initGenkit();
+
+  const rebrandImageSchema = z.object({
+    mimeType: z.string(),
+    modelVersion: z.string().optional().nullable(),
+    id: z.string(),
+    storagePath: z.string(),
+    downloadUrl: z.string().optional().nullable(),
+  });
 
   const generateRebrandFlow = flow(
     {
       name: 'generateRebrand',
       inputSchema: z.object({
         uid: z.string().min(1),
+        brandId: z.string().optional(),
         brand: z.record(z.any()).optional(),
         blueprint: z.record(z.any()),
         croppedImageBase64: z.string(),
         croppedImageMimeType: z.string().optional(),
+        variants: z.number().int().min(1).max(MAX_VARIANTS).optional(),
+        lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+        workspaceId: z.string().nullable().optional(),
+        // Real QR code composited onto every variant after generation (see parseQrOptions)
+        qrCode: z.object({ url: z.string(), location: z.enum(ADDITION_LOCATIONS), size: z.number() }).optional(),
       }),
-      outputSchema: z.object({
-        mimeType: z.string(),
-        modelVersion: z.string().optional(),
-        id: z.string(),
-        storagePath: z.string(),
-        downloadUrl: z.string().optional().nullable(),
+      outputSchema: rebrandImageSchema.extend({
+        generationGroupId: z.string(),
+        variants: z.array(rebrandImageSchema),
       }),
     },
-    async ({ uid, brand, blueprint, croppedImageBase64, croppedImageMimeType }) => {
+    async ({ uid, brandId, brand, blueprint, croppedImageBase64, croppedImageMimeType, variants, lineage, workspaceId, qrCode }) => {
       // Ensure user exists; decrement only after successful generation
       await ensureUserExists(uid);
 
@@ -122,8 +173,16 @@ async function getRebrandFlows() {
           const lower = k.toLowerCase();
           return lower === 'brand_logo' || lower === 'logo';
          }));
-      if (needsLogo && brand?.logoUrl) {
-        logoUrlToFetch = brand.logoUrl;
+      // Pick the logo variant: named in the blueprint (logo_variant), else best contrast with where it goes
+      let logo = null;
+      if (needsLogo && brand) {
+        logo = await pickBrandLogo({
+          brand,
+          blueprint: bp,
+          imageBuffer: Buffer.from(croppedImageBase64, 'base64'),
+          location: additions.brand_logo || additions.logo || null,
+        });
+        logoUrlToFetch = logo ? logo.url : null;
       }
 
       // 1. Calculate Input Aspect Ratio
@@ -135,25 +194,8 @@ async function getRebrandFlows() {
         const w = meta.width || 0;
         const h = meta.height || 0;
         
-        if (w > 0 && h > 0) {
-          const ratio = w / h;
-          // Map allowed ratios to numerical values for comparison
-           const candidates = allowedRatios.map(r => {
-            const [rw, rh] = r.split(':').map(Number);
-            return { label: r, value: rw / rh };
-          });
-
-          let best = candidates[0];
-          let bestDiff = Math.abs(ratio - best.value);
-          
-          for (const c of candidates) {
-            const diff = Math.abs(ratio - c.value);
-            if (diff < bestDiff) {
-              best = c;
-              bestDiff = diff;
-            }
-          }
-          inputAspectRatio = best.label;
+        inputAspectRatio = closestAspectRatio(w, h);
+        if (inputAspectRatio) {
           console.log(`Derived aspect ratio ${inputAspectRatio} from dimensions ${w}x${h}`);
         }
       } catch (e) {
@@ -162,7 +204,7 @@ async function getRebrandFlows() {
 
       // 2. Determine Target/Final Aspect Ratio
       let aspectRatio = null; // This will be the FINAL target used for generation
-      if (bp.aspectRatio && allowedRatios.includes(bp.aspectRatio)) {
+      if (bp.aspectRatio && ALLOWED_ASPECT_RATIOS.includes(bp.aspectRatio)) {
         aspectRatio = bp.aspectRatio;
       } else {
         aspectRatio = inputAspectRatio;
@@ -172,281 +214,105 @@ async function getRebrandFlows() {
         brand, 
         blueprint: bp,
         originalAspectRatio: inputAspectRatio,
-        targetAspectRatio: aspectRatio
+        targetAspectRatio: aspectRatio,
+        qrLocation: qrCode ? qrCode.location : null,
       });
 
-      // Prepare Media
-      const promptArray = [];
-      
-      // 1. Cropped Image
-      const mime = croppedImageMimeType || 'image/png';
-      promptArray.push({
-         media: {
-            url: `data:${mime};base64,${croppedImageBase64}`,
-            contentType: mime
-         }
-      });
+      // Prepare parts: instruction first, then the cropped image and the logo
+      const parts = [
+        textPart(fullPrompt),
+        imagePart(croppedImageBase64, croppedImageMimeType || 'image/png'),
+      ];
 
-      // 2. Logo (if needed)
       if (logoUrlToFetch) {
          try {
             const logoResp = await fetch(logoUrlToFetch);
             if (logoResp.ok) {
                const logoBuf = await logoResp.arrayBuffer();
-               const logoBase64 = Buffer.from(logoBuf).toString('base64');
                const logoMime = logoResp.headers.get('content-type') || 'image/png';
-               promptArray.push({
-                  media: {
-                     url: `data:${logoMime};base64,${logoBase64}`,
-                     contentType: logoMime
-                  }
-               });
+               parts.push(imagePart(Buffer.from(logoBuf).toString('base64'), logoMime));
             }
          } catch (e) {
             console.warn('Failed to fetch brand logo:', e);
          }
       }
 
-      promptArray.push({ text: fullPrompt });
-
       console.log('--- GEMINI PROMPT START ---');
       console.log(fullPrompt);
       console.log('--- GEMINI PROMPT END ---');
 
-      // Use @google/genai SDK directly to avoid protocol mismatch errors with Genkit
-      // for the gemini-3-pro-image-preview model.
-      const { GoogleGenAI } = require("@google/genai");
-      const genaiClient = new GoogleGenAI({ apiKey: GOOGLE_API_KEY.value() });
-      
-      const contentsParts = [];
-
-      // Add text parts first as recommended by some Gemini documentation patterns
-      // (though interleaved is supported, consistent ordering helps)
-      for (const item of promptArray) {
-        if (item.text) {
-          contentsParts.push({ text: item.text });
-        }
-      }
-
-      // Add media parts
-      for (const item of promptArray) {
-        if (item.media) {
-          // item.media.url is "data:<mime>;base64,<data>"
-          const matches = item.media.url.match(/^data:([^;]+);base64,(.+)$/);
-          if (matches) {
-            contentsParts.push({
-              inlineData: {
-                mimeType: matches[1],
-                data: matches[2] 
-              }
-            });
-          }
-        }
-      }
-
-      const imageConfig = {
-        aspectRatio: aspectRatio || '1:1',
-      };
-      
-      // Explicitly set 2K resolution if not provided, or map logic if needed.
-      // The user example had '2K'. We'll stick to aspectRatio for now unless we want to force resolution.
-      // Based on user snippet, let's include imageSize logic via aspectRatio mapping or default.
-      // The user prompt specifically showed "imageSize": "2K" in the successful example.
-      imageConfig.imageSize = '2K'; 
-
-      const response = await genaiClient.models.generateContent({
-        model: 'gemini-3-pro-image-preview',
-        contents: [{ parts: contentsParts }],
-        config: {
-          responseModalities: ['TEXT', 'IMAGE'],
-          imageConfig: imageConfig,
-        },
-      });
-
-      // Extract image data from GoogleGenAI response
-      let dataUrl = null;
-      const candidates = response.candidates || [];
-      const firstCandidate = candidates[0];
-      
-      // We will use the model version we requested since the SDK response structure varies
-      const modelVersion = 'gemini-3-pro-image-preview';
-      
-      if (firstCandidate && firstCandidate.content && firstCandidate.content.parts) {
-        for (const part of firstCandidate.content.parts) {
-           // We might get text parts (thoughts) and inlineData parts (image)
-           if (part.inlineData) {
-             const mime = part.inlineData.mimeType || 'image/png';
-             const b64 = part.inlineData.data;
-             dataUrl = `data:${mime};base64,${b64}`;
-           }
-           if (part.text) {
-             console.log('Gemini Thought:', part.text);
-           }
-        }
-      }
-
-      if (!dataUrl) {
-        console.error('generate: missing image in GoogleGenAI response', JSON.stringify(response, null, 2));
-        throw new Error('Model did not return image media.');
-      }
-
-      const commaIdx = dataUrl.indexOf(',');
-      const header = dataUrl.substring(0, commaIdx);
-      const imageBase64 = dataUrl.substring(commaIdx + 1);
-      const mimeTypeMatch = /data:(.*?);base64/.exec(header);
-      const mimeType = (mimeTypeMatch && mimeTypeMatch[1]) || 'image/png';
-
-      // --- LOG RESOLUTION ---
-      try {
-        const sharp = require('sharp');
-        const buf = Buffer.from(imageBase64, 'base64');
-        const meta = await sharp(buf).metadata();
-        console.log(`GEMINI GENERATED RESOLUTION: ${meta.width}x${meta.height}`);
-      } catch (e) {
-        console.log('Failed to read dimensions:', e);
-      }
-      // ---------------------
-
-      // Persist to Cloud Storage and Firestore
-      const buffer = Buffer.from(imageBase64, 'base64');
-
-      const ext = ((mime) => {
-        if (mime === 'image/png') return 'png';
-        if (mime === 'image/jpeg' || mime === 'image/jpg') return 'jpg';
-        if (mime === 'image/webp') return 'webp';
-        return 'bin';
-      })(mimeType);
-
-      // Generate an id up front so Storage write doesn't depend on Firestore availability
-      const id = randomUUID();
-      const imagePath = buildGeneratedImagePath(uid, id, ext);
-
-      // Attempt to persist to Cloud Storage. If the bucket isn't available (e.g., emulator not initialized)
-      // do not fail the entire request — log and continue returning the imageBase64.
-      const appOptions = admin.app().options || {};
-      const configuredBucket = appOptions.storageBucket;
-      const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-      const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-      const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-      let file = null;
-      let downloadToken = null;
-      try {
-        const [bucketExists] = await bucket.exists();
-        if (!bucketExists) {
-          console.warn(
-            `Storage bucket not found. Skipping storage write. Attempted bucket: ${bucketName || '(default)'} `,
-          );
-        } else {
-          file = bucket.file(imagePath);
-          downloadToken = randomUUID();
-          await file.save(buffer, {
-            resumable: false,
-            contentType: mimeType,
-            metadata: {
-              cacheControl: 'public, max-age=31536000',
-              metadata: { firebaseStorageDownloadTokens: downloadToken },
-            },
-          });
+      const { generationGroupId, variants: images } = await runVariants(variants || 1, async (variantIndex, groupId) => {
+        const { buffer, mimeType, modelVersion, text: thoughts } = await generateImage({
+          parts,
+          aspectRatio: aspectRatio || '1:1',
+          size: '2K',
+          variant: variantIndex,
+        });
+        if (thoughts) {
+          console.log('Gemini Thought:', thoughts);
         }
-      } catch (storageErr) {
-        console.warn('Storage write skipped due to error:', storageErr?.message || storageErr);
-        file = null;
-      }
 
-      // Create a usable download URL when Storage write succeeds
-      let downloadUrl = null;
-      if (file) {
+        // --- LOG RESOLUTION ---
         try {
-          const [url] = await file.getSignedUrl({
-            action: 'read',
-            expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 365),
-          });
-          downloadUrl = url;
+          const sharp = require('sharp');
+          const meta = await sharp(buffer).metadata();
+          console.log(`GEMINI GENERATED RESOLUTION: ${meta.width}x${meta.height}`);
         } catch (e) {
-          console.warn('getSignedUrl failed:', e?.message || e);
-          // Try to read or set legacy download token, then build token URL
-          try {
-            const [metadata] = await file.getMetadata().catch(() => [{}]);
-            let token = metadata?.metadata?.firebaseStorageDownloadTokens;
-            if (!token) {
-              token = downloadToken || randomUUID();
-              await file
-                .setMetadata({ metadata: { firebaseStorageDownloadTokens: token } })
-                .catch(() => {});
-            }
-            downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media&token=${token}`;
-          } catch (tokErr) {
-            console.warn(
-              'Token URL fallback failed, using public media URL:',
-              tokErr?.message || tokErr,
-            );
-            downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media`;
-          }
+          console.log('Failed to read dimensions:', e);
         }
-      } else {
-        console.warn('Skipping URL generation because file was not written to Storage');
-        downloadUrl = null;
-      }
-
-      // Generate and upload thumbnail via helper
-      let thumbUrl = null;
-      let thumbPath = computeThumbPath(imagePath);
-      if (file) {
-        const { thumbPath: p, thumbUrl: u } = await createAndUploadThumbnail(bucket, buffer, imagePath);
-        thumbPath = p;
-        thumbUrl = u;
-      }
-
-      // Attempt to write Firestore metadata, but don't fail the entire request if Firestore isn't set up
-      const ownerId = uid.trim();
-      try {
-        await db
-          .collection('images')
-          .doc(id)
-          .set({
-            storagePath: imagePath,
-            type: 'generated',
-            ownerId: ownerId || null,
-            createdAt: FieldValue.serverTimestamp(),
-            prompt: fullPrompt,
-            style: null,
-            aspectRatio: aspectRatio || null,
-            mockupImageUrl: null,
-            mimeType,
-            downloadUrl,
-            modelVersion: modelVersion || null,
-            size: buffer.length,
-            thumbUrl: thumbUrl || null,
-            thumbPath,
-            thumbSize: 256,
-          });
-        if (ownerId) {
-          await db.collection('users').doc(ownerId).collection('generated').doc(id).set({
-            createdAt: FieldValue.serverTimestamp(),
-            imageId: id,
-            storagePath: imagePath,
-            type: 'generated',
-            thumbUrl: thumbUrl || null,
-            thumbPath,
-            thumbSize: 256,
-          });
-        }
-      } catch (metaErr) {
-        console.warn('Firestore metadata write skipped:', metaErr?.message || metaErr);
-      }
+        // ---------------------
+
+        const qr = qrCode ? await placeQrCode(buffer, { ...qrCode, ...qrColors(brand || {}) }) : null;
+
+        return saveGeneratedImage({
+          uid: uid.trim(),
+          buffer: qr ? qr.buffer : buffer,
+          mimeType: qr ? qr.mimeType : mimeType,
+          prompt: fullPrompt,
+          aspectRatio,
+          modelVersion,
+          tool: 'rebrand',
+          toolParams: {
+            brandId: brandId || null,
+            // The brand content used is versions/{brandVersion} once the brand is edited again
+            brandVersion: brandId && brand ? brand.version || 1 : null,
+            blueprint: bp,
+            aspectRatio,
+            logoVariant: logo ? logo.variant : null,
+            qrCode: qr ? { ...qrCode, box: qr.box } : null,
+          },
+          parentImageId: lineage?.parentImageId,
+          rootImageId: lineage?.rootImageId,
+          workspaceId,
+          fields: { generationGroupId: groupId, variantIndex },
+        });
+      });
 
       // No decrement here; credits are consumed at blueprint extraction step
-      return {
+      const outputs = images.map(({ mimeType, modelVersion, id, storagePath, downloadUrl }) => ({
         mimeType,
-        modelVersion: modelVersion,
+        modelVersion,
         id,
-        storagePath: imagePath,
+        storagePath,
         downloadUrl,
-      };
+      }));
+      // Top-level fields mirror the first variant for clients that predate variants
+      return { ...outputs[0], generationGroupId, variants: outputs };
     },
   );
 
+  const smartBlueprintSchema = z.object({
+    original_texts: z.array(z.string()),
+    updated_texts: z.array(z.string().nullable()),
+    additions: z.array(
+      z.object({
+        type: z.enum(['phone', 'website', 'brand_name', 'brand_address', 'brand_logo', 'tagline']),
+        location: z.enum(ADDITION_LOCATIONS),
+      }),
+    ),
+    replacable_logo: z.boolean(),
+  });
+
   const generateSmartBlueprintFlow = flow(
     {
       name: 'generateSmartBlueprint',
@@ -455,27 +321,11 @@ async function getRebrandFlows() {
           brand: z.record(z.any()),
           imageBase64: z.string(),
           updateFields: z.record(z.boolean()),
+          targetLanguage: z.string().optional(),
         }),
-      outputSchema: z.object({
-        original_texts: z.array(z.string()),
-        updated_texts: z.array(z.string().nullable()),
-        additions: z.array(
-          z.object({
-            type: z.enum(['phone', 'website', 'brand_name', 'brand_address', 'brand_logo']),
-            location: z.enum([
-              'bottom-left',
-              'bottom-mid',
-              'bottom-right',
-              'top-left',
-              'top-mid',
-              'top-right',
-            ]),
-          }),
-        ),
-        replacable_logo: z.boolean(),
-      }),
+      outputSchema: smartBlueprintSchema,
     },
-    async ({ brand, imageBase64, updateFields }) => {
+    async ({ brand, imageBase64, updateFields, targetLanguage }) => {
       console.log('[generateSmartBlueprint] Using Gemini for extraction');
 
       // Construct the field values table for the prompt
@@ -489,82 +339,66 @@ async function getRebrandFlows() {
       }
 
       const fieldValuesJson = JSON.stringify(fieldValues, null, 2);
-      const promptText = buildSmartBlueprintPrompt({ brand, updateFields });
+      const promptText = buildSmartBlueprintPrompt({ brand, updateFields, targetLanguage });
       
       // console.log('[generateSmartBlueprint] Prompt table:', fieldValuesJson);
       console.log('[generateSmartBlueprint] Full Prompt Text:', promptText);
 
-      // Prepare image media in Genkit prompt format
-      const mediaParts = [];
+      const parts = [];
       if (imageBase64) {
-        mediaParts.push({
-          media: { contentType: 'image/jpeg', url: `data:image/jpeg;base64,${imageBase64}` },
-        });
+        parts.push(imagePart(imageBase64, 'image/jpeg'));
       }
-
-      // Build Genkit prompt for Gemini (media + instruction)
-      const promptArray = [...mediaParts, { text: promptText }];
+      parts.push(textPart(promptText));
 
       console.log('[generateSmartBlueprint] Calling Gemini with', {
-        images: mediaParts.length,
+        images: parts.length - 1,
       });
 
-      const { text } = await ai.generate({
-        model: googleAI.model('gemini-2.5-flash'),
-        prompt: promptArray,
-        output: { format: 'text' },
-        config: { temperature: 0 },
+      return generateJson({
+        parts,
+        schema: smartBlueprintSchema,
+        temperature: 0,
       });
+    },
+  );
 
-      // Log raw text for debugging
-      console.log('[generateSmartBlueprint] Gemini raw text:', text);
-
-      let json;
-      try {
-        let toParse = (text || '').trim();
-        if (toParse.startsWith('```')) {
-          toParse = toParse.replace(/^```(?:json)?\n?/, '');
-        }
-        if (toParse.endsWith('```')) {
-          toParse = toParse.replace(/\n?```$/, '');
-        }
-        const firstBrace = toParse.indexOf('{');
-        const lastBrace = toParse.lastIndexOf('}');
-        if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-          toParse = toParse.substring(firstBrace, lastBrace + 1);
-        }
-        json = JSON.parse(toParse);
-      } catch (e) {
-        console.error('[generateSmartBlueprint] JSON parse failed:', e?.message || e);
-        console.error('[generateSmartBlueprint] Raw text:', text);
-        console.error('[generateSmartBlueprint] Cleaned text:', (text || '').trim());
-        throw new Error('Gemini returned non-JSON output');
-      }
-      const parsed = z
-        .object({
-          original_texts: z.array(z.string()),
-          updated_texts: z.array(z.string().nullable()),
-          additions: z.array(
-            z.object({
-              type: z.enum(['phone', 'website', 'brand_name', 'brand_address', 'brand_logo']),
-              location: z.enum([
-                'bottom-left',
-                'bottom-mid',
-                'bottom-right',
-                'top-left',
-                'top-mid',
-                'top-right',
-              ]),
-            }),
-          ),
-          replacable_logo: z.boolean(),
-        })
-        .parse(json);
-      return parsed;
+  // Blueprint extraction and generation in one step, for templates rebranded without review (batches)
+  const rebrandTemplateFlow = flow(
+    {
+      name: 'rebrandTemplate',
+      inputSchema: z.object({
+        uid: z.string().min(1),
+        brandId: z.string().optional(),
+        brand: z.record(z.any()),
+        updateFields: z.record(z.boolean()),
+        croppedImageBase64: z.string(),
+        croppedImageMimeType: z.string().optional(),
+        lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+        workspaceId: z.string().nullable().optional(),
+      }),
+      outputSchema: rebrandImageSchema.extend({
+        generationGroupId: z.string(),
+        variants: z.array(rebrandImageSchema),
+        blueprint: smartBlueprintSchema,
+      }),
+    },
+    async ({ uid, brandId, brand, updateFields, croppedImageBase64, croppedImageMimeType, lineage, workspaceId }) => {
+      const blueprint = await generateSmartBlueprintFlow({ brand, imageBase64: croppedImageBase64, updateFields });
+      const image = await generateRebrandFlow({
+        uid,
+        brandId,
+        brand,
+        blueprint: toRebrandBlueprint(blueprint, brand),
+        croppedImageBase64,
+        croppedImageMimeType,
+        lineage,
+        workspaceId,
+      });
+      return { ...image, blueprint };
     },
   );
 
-  rebrandFlows = { generateRebrandFlow, generateSmartBlueprintFlow };
+  rebrandFlows = { generateRebrandFlow, generateSmartBlueprintFlow, rebrandTemplateFlow };
   return rebrandFlows;
 }
 
@@ -578,6 +412,7 @@ exports.generateRebrand = onRequest(
   },
   async (req, res) => {
     const requestId = randomUUID();
+    const creditCost = computeCreditCost({ tool: 'rebrand' });
     // Handle CORS preflight explicitly for some clients
     if (req.method === 'OPTIONS') {
       res.set('Access-Control-Allow-Origin', '*');
@@ -656,47 +491,29 @@ exports.generateRebrand = onRequest(
           return sendError(res, err, requestId);
         }
 
+        let source;
+        try {
+          source = await loadSourceImage(uid, { sourceImageId: fields.sourceImageId, storagePath, download: !imageBuffer });
+        } catch (e) {
+          const err = normalizeUnknownError(e);
+          logError({ requestId, uid, endpoint: 'generateRebrand', err });
+          return sendError(res, err, requestId);
+        }
         if (!imageBuffer) {
-          if (storagePath) {
-            try {
-              const appOptions = admin.app().options || {};
-              const configuredBucket = appOptions.storageBucket;
-              const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-              const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-              const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-              const file = bucket.file(storagePath);
-              const [exists] = await file.exists();
-              if (!exists) {
-                const err = new AppError({
-                  code: ErrorCodes.VALIDATION_ERROR,
-                  message: 'Image not found at storagePath',
-                  httpStatus: 404,
-                  retryable: false,
-                });
-                logError({ requestId, uid, endpoint: 'generateRebrand', err });
-                return sendError(res, err, requestId);
-              }
-
-              const [metadata] = await file.getMetadata();
-              imageMimeType = metadata.contentType || 'image/png';
-
-              const [downloadedBuffer] = await file.download();
-              imageBuffer = downloadedBuffer;
-            } catch (e) {
-              const err = storageError('Failed to download image from storage', true);
-              logError({ requestId, uid, endpoint: 'generateRebrand', err });
-              return sendError(res, err, requestId);
-            }
-          } else {
-            const err = validationError({ croppedImage: 'required', storagePath: 'required' });
+          if (!source.buffer) {
+            const err = validationError({ croppedImage: 'required', storagePath: 'required', sourceImageId: 'required' });
             logError({ requestId, uid, endpoint: 'generateRebrand', err });
             return sendError(res, err, requestId);
           }
+          imageBuffer = source.buffer;
+          imageMimeType = source.mimeType;
         }
+        const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
 
-        // Fetch brand from Firestore
-        const brandDoc = await db.collection('users').doc(uid).collection('brands').doc(brand_id).get();
+        // Fetch brand from Firestore; workspace brands need editor access since the result lands in the workspace
+        const workspaceId = readWorkspaceId(fields);
+        const { brandsCol } = await brandScope(uid, workspaceId);
+        const brandDoc = await brandsCol.doc(brand_id).get();
         if (!brandDoc.exists) {
           const err = new AppError({
             code: ErrorCodes.VALIDATION_ERROR,
@@ -718,17 +535,72 @@ exports.generateRebrand = onRequest(
           logError({ requestId, uid, endpoint: 'generateRebrand', err });
           return sendError(res, err, requestId);
         }
+        if (parsedBlueprint && parsedBlueprint.logo_variant != null && !LOGO_VARIANTS.includes(parsedBlueprint.logo_variant)) {
+          const err = validationError({ 'blueprint.logo_variant': `must be one of ${LOGO_VARIANTS.join('|')}` });
+          logError({ requestId, uid, endpoint: 'generateRebrand', err });
+          return sendError(res, err, requestId);
+        }
+        if (parsedBlueprint && parsedBlueprint.language != null) {
+          const language = canonicalLanguage(parsedBlueprint.language);
+          if (!language) {
+            const err = validationError({ 'blueprint.language': 'must be a BCP-47 language tag' });
+            logError({ requestId, uid, endpoint: 'generateRebrand', err });
+            return sendError(res, err, requestId);
+          }
+          parsedBlueprint.language = language;
+        }
+        // qrCode { url?, location?, size? } adds a scannable code after generation; url defaults to the brand website
+        const qrCode = parseQrOptions(fields.qrCode, { fallbackUrl: brandData.website }) || undefined;
+
+        const variants = parseVariants(fields.variants);
+        // The blueprint step already paid for one image; only extra variants are billed here
+        const extraCost = creditCost * (variants - 1);
+
+        if (isAsyncRequested(fields.async)) {
+          const job = await createJob({
+            uid,
+            tool: 'rebrand',
+            requestId,
+            workspaceId,
+            input: { uid, brandId: brand_id, brand: brandData, blueprint: parsedBlueprint, croppedImageMimeType: imageMimeType, variants, lineage, workspaceId, qrCode },
+            files: { croppedImageBase64: { buffer: imageBuffer, mimeType: imageMimeType } },
+            ...(extraCost > 0
+              ? { usageType: 'generate', amount: extraCost, creditsPerVariant: creditCost, prepaidVariants: 1 }
+              : {}),
+          });
+          return res.status(202).json(job);
+        }
 
         const croppedImageBase64 = imageBuffer.toString('base64');
 
         const { generateRebrandFlow } = await getRebrandFlows();
-        const result = await generateRebrandFlow({
-          uid,
-          brand: brandData,
-          blueprint: parsedBlueprint,
-          croppedImageBase64,
-          croppedImageMimeType: imageMimeType,
-        });
+        const runRebrand = () =>
+          generateRebrandFlow({
+            uid,
+            brandId: brand_id,
+            brand: brandData,
+            blueprint: parsedBlueprint,
+            croppedImageBase64,
+            croppedImageMimeType: imageMimeType,
+            variants,
+            lineage,
+            workspaceId,
+            qrCode,
+          });
+        const result = extraCost > 0
+          ? await withCreditReservation(
+            uid,
+            'generate',
+            {
+              amount: extraCost,
+              endpoint: 'generateRebrand',
+              requestId,
+              workspaceId,
+              chargeAmount: (out) => variantChargeAmount(out, creditCost, 1),
+            },
+            runRebrand
+          )
+          : await runRebrand();
 
         return res.status(200).json(result);
       } catch (err) {
@@ -745,6 +617,13 @@ exports.generateRebrand = onRequest(
   },
 );
 
+/**
+ * Extract a template's texts and rewrite them for a brand.
+ * POST multipart { brand_id, updateFields, croppedImage | storagePath | sourceImageId, workspace_id?,
+ *   targetLanguage? | targetLanguages? }
+ * targetLanguage (BCP-47) writes the texts in that language and sets `language` on the blueprint.
+ * targetLanguages returns { blueprints: { [tag]: blueprint } }, one per language, each billed as one rebrand.
+ */
 exports.generateSmartBlueprint = onRequest(
   {
     region: 'europe-west1',
@@ -755,6 +634,8 @@ exports.generateSmartBlueprint = onRequest(
   },
   async (req, res) => {
     const requestId = randomUUID();
+    // generateRebrand is not billed separately, so the blueprint charges for the whole pipeline
+    const creditCost = computeCreditCost({ tool: 'smartBlueprint' }) + computeCreditCost({ tool: 'rebrand' });
     if (req.method === 'OPTIONS') {
       res.set('Access-Control-Allow-Origin', '*');
       res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -781,10 +662,12 @@ exports.generateSmartBlueprint = onRequest(
         logError({ requestId, endpoint: 'generateSmartBlueprint', err });
         return sendError(res, err, requestId);
       }
+      // Multipart fields arrive after the credit check, so the pool is picked from the query
+      const workspaceId = readWorkspaceId(req.query);
 
       try {
         await ensureUserExists(user_id);
-        await checkHasCredits(user_id, 'generate');
+        await checkHasCredits(user_id, 'generate', creditCost, { workspaceId });
       } catch (e) {
         logError({ requestId, uid: user_id, endpoint: 'generateSmartBlueprint', err: e });
         return sendError(res, e, requestId);
@@ -838,42 +721,25 @@ exports.generateSmartBlueprint = onRequest(
         }
 
         if (!imageBuffer) {
-          if (storagePath) {
-            try {
-              const appOptions = admin.app().options || {};
-              const configuredBucket = appOptions.storageBucket;
-              const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-              const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-              const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-              const file = bucket.file(storagePath);
-              const [exists] = await file.exists();
-              if (!exists) {
-                const err = new AppError({
-                  code: ErrorCodes.VALIDATION_ERROR,
-                  message: 'Image not found at storagePath',
-                  httpStatus: 404,
-                  retryable: false,
-                });
-                logError({ requestId, uid: user_id, endpoint: 'generateSmartBlueprint', err });
-                return sendError(res, err, requestId);
-              }
-              const [downloadedBuffer] = await file.download();
-              imageBuffer = downloadedBuffer;
-            } catch (e) {
-              const err = storageError('Failed to download image from storage', true);
-              logError({ requestId, uid: user_id, endpoint: 'generateSmartBlueprint', err });
-              return sendError(res, err, requestId);
-            }
-          } else {
-            const err = validationError({ croppedImage: 'required', storagePath: 'required' });
+          let source;
+          try {
+            source = await loadSourceImage(user_id, { sourceImageId: fields.sourceImageId, storagePath });
+          } catch (e) {
+            const err = normalizeUnknownError(e);
+            logError({ requestId, uid: user_id, endpoint: 'generateSmartBlueprint', err });
+            return sendError(res, err, requestId);
+          }
+          if (!source.buffer) {
+            const err = validationError({ croppedImage: 'required', storagePath: 'required', sourceImageId: 'required' });
             logError({ requestId, uid: user_id, endpoint: 'generateSmartBlueprint', err });
             return sendError(res, err, requestId);
           }
+          imageBuffer = source.buffer;
         }
 
         // Fetch brand from Firestore
-        const brandDoc = await db.collection('users').doc(user_id).collection('brands').doc(brand_id).get();
+        const { brandsCol } = await brandScope(user_id, workspaceId);
+        const brandDoc = await brandsCol.doc(brand_id).get();
         if (!brandDoc.exists) {
           const err = new AppError({
             code: ErrorCodes.VALIDATION_ERROR,
@@ -898,12 +764,26 @@ exports.generateSmartBlueprint = onRequest(
         }
 
         const imageBase64 = imageBuffer.toString('base64');
+        const { languages, multi } = parseTargetLanguages(fields);
 
         const { generateSmartBlueprintFlow } = await getRebrandFlows();
-        const llmResult = await generateSmartBlueprintFlow({ brand: brandData, imageBase64, updateFields: parsedUpdateFields });
-
-        // Decrement usage only after successful extraction (bill as a generation credit)
-        await decrementUsage(user_id, 'generate');
+        const runBlueprint = async (targetLanguage) => {
+          const blueprint = await generateSmartBlueprintFlow({ brand: brandData, imageBase64, updateFields: parsedUpdateFields, targetLanguage });
+          // generateRebrand reads the language back from the blueprint to render the texts
+          return targetLanguage ? { ...blueprint, language: targetLanguage } : blueprint;
+        };
+
+        // Charged only if extraction succeeds; every language is a separate blueprint and prepaid rebrand
+        const llmResult = await withCreditReservation(
+          user_id,
+          'generate',
+          { amount: creditCost * Math.max(languages.length, 1), endpoint: 'generateSmartBlueprint', requestId, workspaceId },
+          async () => {
+            if (!multi) return runBlueprint(languages[0]);
+            const blueprints = await Promise.all(languages.map((tag) => runBlueprint(tag)));
+            return { blueprints: Object.fromEntries(languages.map((tag, i) => [tag, blueprints[i]])) };
+          }
+        );
 
         return res.status(200).json(llmResult);
       } catch (err) {
@@ -919,3 +799,178 @@ exports.generateSmartBlueprint = onRequest(
     });
   },
 );
+
+/**
+ * Rebrand many templates with one brand as background jobs.
+ * POST JSON { brand_id, updateFields, templateImageIds?: string[], resourceId?: string, workspace_id?: string }
+ * templateImageIds are saved images; resourceId expands to every crop freepikDownloadTemplate
+ * stored for that resource. Each template is billed like generateSmartBlueprint when its job runs.
+ * Returns 202: { batchId, status, total, items: [{ index, sourceImageId, jobId }] } — poll getBatch.
+ */
+exports.generateRebrandBatch = onRequest(
+  {
+    region: 'europe-west1',
+    timeoutSeconds: 120,
+    cors: true,
+  },
+  async (req, res) => {
+    const requestId = randomUUID();
+    const creditCost = computeCreditCost({ tool: 'smartBlueprint' }) + computeCreditCost({ tool: 'rebrand' });
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type');
+      return res.status(204).send('');
+    }
+    return cors(req, res, async () => {
+      if (req.method !== 'POST') {
+        const err = new AppError({
+          code: ErrorCodes.INVALID_STATE,
+          message: 'Method not allowed. Use POST.',
+          httpStatus: 405,
+          retryable: false,
+        });
+        logError({ requestId, endpoint: 'generateRebrandBatch', err });
+        return sendError(res, err, requestId);
+      }
+
+      let uid;
+      try {
+        uid = await verifyAuth(req);
+      } catch (e) {
+        const err = unauthenticated(e?.message || 'Unauthorized');
+        logError({ requestId, endpoint: 'generateRebrandBatch', err });
+        return sendError(res, err, requestId);
+      }
+
+      try {
+        const body = req.body || {};
+        const brandId = String(body.brand_id || body.brandId || '').trim();
+        let updateFields = body.updateFields;
+        if (typeof updateFields === 'string') {
+          try {
+            updateFields = JSON.parse(updateFields);
+          } catch (e) {
+            updateFields = null;
+          }
+        }
+        const templateImageIds = Array.isArray(body.templateImageIds)
+          ? [...new Set(body.templateImageIds.map((id) => String(id || '').trim()).filter(Boolean))]
+          : [];
+        const resourceId = String(body.resourceId || '').trim();
+
+        if (!brandId || !updateFields || typeof updateFields !== 'object' || (!templateImageIds.length && !resourceId)) {
+          const err = validationError({
+            brand_id: !brandId ? 'required' : undefined,
+            updateFields: !updateFields || typeof updateFields !== 'object' ? 'required' : undefined,
+            templateImageIds: !templateImageIds.length && !resourceId ? 'required' : undefined,
+          });
+          logError({ requestId, uid, endpoint: 'generateRebrandBatch', err });
+          return sendError(res, err, requestId);
+        }
+
+        const workspaceId = readWorkspaceId(body);
+        const { brandsCol } = await brandScope(uid, workspaceId);
+        const brandDoc = await brandsCol.doc(brandId).get();
+        if (!brandDoc.exists) {
+          const err = new AppError({
+            code: ErrorCodes.VALIDATION_ERROR,
+            message: 'Brand not found',
+            httpStatus: 404,
+            retryable: false,
+          });
+          logError({ requestId, uid, endpoint: 'generateRebrandBatch', err });
+          return sendError(res, err, requestId);
+        }
+
+        // Crops of the Freepik resource; only their paths are read here, no image is downloaded
+        let resourcePaths = [];
+        if (resourceId) {
+          const [downloadDoc, resourceDoc] = await Promise.all([
+            db.collection('users').doc(uid).collection('downloads').doc(resourceId).get(),
+            db.collection('images').doc(resourceId).get(),
+          ]);
+          const files = resourceDoc.exists && Array.isArray(resourceDoc.data().files) ? resourceDoc.data().files : [];
+          if (!downloadDoc.exists || !files.length) {
+            const err = new AppError({
+              code: ErrorCodes.VALIDATION_ERROR,
+              message: 'Template resource not found',
+              httpStatus: 404,
+              retryable: false,
+            });
+            logError({ requestId, uid, endpoint: 'generateRebrandBatch', err });
+            return sendError(res, err, requestId);
+          }
+          resourcePaths = files.map((f) => (f && typeof f.path === 'string' ? f.path : null)).filter(Boolean);
+        }
+
+        // Size the batch before any template is resolved
+        if (templateImageIds.length + resourcePaths.length > MAX_BATCH_ITEMS) {
+          const err = validationError({ templateImageIds: `at most ${MAX_BATCH_ITEMS} templates per batch` });
+          logError({ requestId, uid, endpoint: 'generateRebrandBatch', err });
+          return sendError(res, err, requestId);
+        }
+
+        // Resolve every template up front so a bad id fails the request before anything is queued
+        const items = [];
+        for (const id of templateImageIds) {
+          const source = await loadSourceImage(uid, { sourceImageId: id, download: false });
+          items.push({
+            sourceImageId: id,
+            storagePath: source.storagePath,
+            lineage: { parentImageId: source.parentImageId, rootImageId: source.rootImageId },
+          });
+        }
+        // Crops are not generatedImages, so their results start a new history instead of pointing at the resource
+        resourcePaths.forEach((path) =>
+          items.push({ sourceImageId: null, storagePath: path, lineage: { parentImageId: null, rootImageId: null } })
+        );
+
+        await ensureUserExists(uid);
+        await checkHasCredits(uid, 'generate', creditCost * items.length, { workspaceId });
+
+        const brandData = brandDoc.data();
+        const batchId = await createBatch({
+          uid,
+          tool: 'rebrand',
+          requestId,
+          items,
+          params: { brandId, updateFields, resourceId: resourceId || null, workspaceId },
+        });
+
+        const queued = [];
+        for (const [index, item] of items.entries()) {
+          try {
+            const job = await createJob({
+              uid,
+              tool: 'rebrandTemplate',
+              requestId,
+              usageType: 'generate',
+              amount: creditCost,
+              workspaceId,
+              input: { uid, brandId, brand: brandData, updateFields, lineage: item.lineage, workspaceId },
+              files: { croppedImageBase64: { storagePath: item.storagePath } },
+              batch: { batchId, index },
+            });
+            await attachBatchJob(batchId, index, job.jobId);
+            queued.push({ index, sourceImageId: item.sourceImageId, jobId: job.jobId });
+          } catch (e) {
+            // Typically credits running out part-way; the item is reported failed and the rest still run
+            const appErr = normalizeUnknownError(e);
+            logError({ requestId, uid, endpoint: 'generateRebrandBatch', err: appErr });
+            await recordBatchItem(batchId, index, { status: ITEM_STATUS.FAILED, error: toErrorResponse(appErr, requestId).body.error });
+            queued.push({ index, sourceImageId: item.sourceImageId, jobId: null });
+          }
+        }
+
+        return res.status(202).json({ batchId, status: BATCH_STATUS.RUNNING, total: items.length, items: queued });
+      } catch (err) {
+        const appErr = normalizeUnknownError(err);
+        logError({ requestId, uid, endpoint: 'generateRebrandBatch', err: appErr });
+        return sendError(res, appErr, requestId);
+      }
+    });
+  },
+);
+
+exports.getRebrandFlows = getRebrandFlows;
@@ -0,0 +1,324 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const cors = require('cors')({ origin: true });
+const admin = require('firebase-admin');
+const { randomUUID } = require('crypto');
+const sharp = require('sharp');
+const { createMultipartParser, verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { createJob, isAsyncRequested } = require('../operations/jobOperations');
+const { readWorkspaceId } = require('../common/workspaces');
+const { saveGeneratedImage, loadSourceImage } = require('../operations/generatedImageOperations');
+const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
+const { imagePart, textPart, generateImage } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
+const { buildRemoveBackgroundPrompt } = require('../common/prompts');
+const {
+	AppError,
+	ErrorCodes,
+	unauthenticated,
+	validationError,
+	sendError,
+	normalizeUnknownError,
+	logError,
+} = require('../common/errors');
+
+try {
+	if (!admin.apps.length) {
+		admin.initializeApp();
+	}
+} catch (e) {
+	// ignore re-init in emulator hot-reload
+}
+
+let flows = null;
+
+// Matte values below this count as background when looking for the subject
+const MIN_SUBJECT_ALPHA = 128;
+
+// Multipart fields arrive as strings, JSON bodies may carry a real boolean
+function isTruthyField(value) {
+	if (value === true) return true;
+	const s = String(value ?? '').trim().toLowerCase();
+	return s === 'true' || s === '1' || s === 'yes';
+}
+
+// Bounding box of the pixels at or above `min` in a one-byte-per-pixel buffer, or null
+function alphaBounds(alpha, width, height, min) {
+	let left = width;
+	let top = height;
+	let right = -1;
+	let bottom = -1;
+	for (let y = 0; y < height; y += 1) {
+		for (let x = 0; x < width; x += 1) {
+			if (alpha[y * width + x] < min) continue;
+			if (x < left) left = x;
+			if (x > right) right = x;
+			if (y < top) top = y;
+			if (y > bottom) bottom = y;
+		}
+	}
+	return right < 0 ? null : { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Cut the subject out of `imageBuffer` using a model-drawn matte (white = subject) as alpha.
+ * The original pixels are kept; only transparency is added. `crop` trims the result to the subject.
+ * Returns: { buffer (PNG), width, height }
+ */
+async function applyMatte(imageBuffer, matteBuffer, { crop = false } = {}) {
+	const base = await sharp(imageBuffer).rotate().removeAlpha().toBuffer({ resolveWithObject: true });
+	const { width, height } = base.info;
+	const { data: alpha } = await sharp(matteBuffer)
+		.resize(width, height, { fit: 'fill' })
+		.greyscale()
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+
+	const bounds = alphaBounds(alpha, width, height, MIN_SUBJECT_ALPHA);
+	if (!bounds) {
+		throw new AppError({
+			code: ErrorCodes.PIPELINE_STEP_FAILED,
+			message: 'No foreground subject found in the image',
+			httpStatus: 422,
+			retryable: true,
+		});
+	}
+
+	let cutout = sharp(base.data).joinChannel(alpha, { raw: { width, height, channels: 1 } });
+	if (crop) cutout = sharp(await cutout.png().toBuffer()).extract(bounds);
+	const { data, info } = await cutout.png().toBuffer({ resolveWithObject: true });
+	return { buffer: data, width: info.width, height: info.height };
+}
+
+async function getRemoveBackgroundFlows() {
+	if (flows) return flows;
+	const { flow, z } = await initGenkit();
+
+	const generateRemoveBackground = flow(
+		{
+			name: 'generateRemoveBackground',
+			inputSchema: z.object({
+				uid: z.string().min(1),
+				imageBase64: z.string(),
+				imageMimeType: z.string().optional(),
+				subject: z.string().max(200).optional(),
+				crop: z.boolean().optional(),
+				lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+				workspaceId: z.string().nullable().optional(),
+			}),
+			outputSchema: z.object({
+				mimeType: z.string(),
+				id: z.string(),
+				storagePath: z.string(),
+				downloadUrl: z.string().optional().nullable(),
+				thumbUrl: z.string().optional().nullable(),
+				thumbPath: z.string().optional().nullable(),
+				width: z.number().int(),
+				height: z.number().int(),
+			}),
+		},
+		async ({ uid, imageBase64, imageMimeType, subject, crop, lineage, workspaceId }) => {
+			await ensureUserExists(uid);
+
+			const fullPrompt = buildRemoveBackgroundPrompt({ subject });
+			const imageBuffer = Buffer.from(imageBase64, 'base64');
+			const { width, height } = await sharp(imageBuffer).rotate().metadata().catch(() => ({}));
+			if (!width || !height) throw validationError({ image: 'not a readable image' });
+
+			const matte = await generateImage({
+				parts: [imagePart(imageBase64, imageMimeType || 'image/png'), textPart(fullPrompt)],
+				model: 'gemini-3-pro-image-preview',
+				fallbackModel: 'gemini-2.5-flash-image',
+			});
+			const cutout = await applyMatte(imageBuffer, matte.buffer, { crop: Boolean(crop) });
+
+			const saved = await saveGeneratedImage({
+				uid,
+				buffer: cutout.buffer,
+				mimeType: 'image/png',
+				prompt: fullPrompt,
+				aspectRatio: `${cutout.width}:${cutout.height}`,
+				modelVersion: matte.modelVersion,
+				tool: 'removeBackground',
+				toolParams: { subject: subject || null, crop: Boolean(crop) },
+				parentImageId: lineage?.parentImageId,
+				rootImageId: lineage?.rootImageId,
+				workspaceId,
+				fields: { transparent: true },
+			});
+			return {
+				mimeType: saved.mimeType,
+				id: saved.id,
+				storagePath: saved.storagePath,
+				downloadUrl: saved.downloadUrl,
+				thumbUrl: saved.thumbUrl,
+				thumbPath: saved.thumbPath,
+				width: cutout.width,
+				height: cutout.height,
+			};
+		}
+	);
+
+	flows = { generateRemoveBackground };
+	return flows;
+}
+
+/**
+ * Cut out the main subject of an image as a transparent PNG, saved like any generated image.
+ * The result's id can be passed to generateAddObject as objectImageId.
+ * POST multipart { image | croppedImage (file) | sourceImageId | storagePath, subject?, crop?, async?, workspace_id? }
+ *   or JSON { imageBase64, imageMimeType } | { sourceImageId } with the same options.
+ * subject describes what to keep when the image has several candidates ("the red sneaker");
+ * crop=true trims the result to the subject instead of keeping the original canvas.
+ * Returns: { id, storagePath, downloadUrl, thumbUrl, thumbPath, mimeType, width, height } (202 job when async)
+ */
+exports.generateRemoveBackground = onRequest(
+	{
+		region: 'europe-west1',
+		timeoutSeconds: 120,
+		memory: '1GiB',
+		cors: true,
+		secrets: [GOOGLE_API_KEY],
+	},
+	async (req, res) => {
+		const requestId = randomUUID();
+		const creditCost = computeCreditCost({ tool: 'removeBackground' });
+		if (req.method === 'OPTIONS') {
+			res.set('Access-Control-Allow-Origin', '*');
+			res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+			res.set('Access-Control-Allow-Headers', 'Content-Type');
+			return res.status(204).send('');
+		}
+
+		return cors(req, res, async () => {
+			if (req.method !== 'POST') {
+				const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method Not Allowed', httpStatus: 405, retryable: false });
+				logError({ requestId, endpoint: 'generateRemoveBackground', err });
+				return sendError(res, err, requestId);
+			}
+
+			let uid;
+			try {
+				uid = await verifyAuth(req);
+			} catch (e) {
+				const err = unauthenticated(e?.message || 'Unauthorized');
+				logError({ requestId, endpoint: 'generateRemoveBackground', err });
+				return sendError(res, err, requestId);
+			}
+
+			try {
+				await ensureUserExists(uid);
+			} catch (e) {
+				logError({ requestId, uid, endpoint: 'generateRemoveBackground', err: e });
+				return sendError(res, e, requestId);
+			}
+
+			try {
+				const { generateRemoveBackground } = await getRemoveBackgroundFlows();
+
+				let fields = {};
+				let imageBuffer = null;
+				let imageMimeType = null;
+				if (req.headers['content-type'] && req.headers['content-type'].includes('multipart/form-data')) {
+					const busboy = createMultipartParser(req.headers);
+					await new Promise((resolve, reject) => {
+						busboy.on('field', (fieldname, val) => {
+							fields[fieldname] = val;
+						});
+						busboy.on('file', (fieldname, file, { mimeType }) => {
+							if (fieldname === 'image' || fieldname === 'croppedImage' || fieldname === 'cropped_img') {
+								const chunks = [];
+								file.on('data', (d) => chunks.push(d));
+								file.on('end', () => {
+									imageBuffer = Buffer.concat(chunks);
+									imageMimeType = mimeType;
+								});
+							} else {
+								file.resume();
+							}
+						});
+						busboy.on('finish', resolve);
+						busboy.on('error', reject);
+						if (req.rawBody) {
+							busboy.end(req.rawBody);
+						} else {
+							req.pipe(busboy);
+						}
+					});
+				} else {
+					fields = req.body || {};
+					if (fields.imageBase64) {
+						imageBuffer = Buffer.from(String(fields.imageBase64), 'base64');
+						imageMimeType = fields.imageMimeType || null;
+					}
+				}
+
+				let source;
+				try {
+					source = await loadSourceImage(uid, {
+						sourceImageId: fields.sourceImageId,
+						storagePath: fields.storagePath,
+						download: !imageBuffer,
+					});
+				} catch (e) {
+					const err = normalizeUnknownError(e);
+					logError({ requestId, uid, endpoint: 'generateRemoveBackground', err });
+					return sendError(res, err, requestId);
+				}
+				if (!imageBuffer) {
+					if (!source.buffer) {
+						const err = validationError({ image: 'required', storagePath: 'required', sourceImageId: 'required' });
+						logError({ requestId, uid, endpoint: 'generateRemoveBackground', err });
+						return sendError(res, err, requestId);
+					}
+					imageBuffer = source.buffer;
+					imageMimeType = source.mimeType;
+				}
+				const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
+				const subject = String(fields.subject || '').trim() || undefined;
+				if (subject && subject.length > 200) {
+					const err = validationError({ subject: 'must be at most 200 characters' });
+					logError({ requestId, uid, endpoint: 'generateRemoveBackground', err });
+					return sendError(res, err, requestId);
+				}
+				const crop = isTruthyField(fields.crop);
+				const workspaceId = readWorkspaceId(fields, req.query);
+
+				await checkHasCredits(uid, 'generate', creditCost, { workspaceId });
+
+				if (isAsyncRequested(fields.async)) {
+					const job = await createJob({
+						uid,
+						tool: 'removeBackground',
+						requestId,
+						workspaceId,
+						usageType: 'generate',
+						amount: creditCost,
+						input: { uid, imageMimeType: imageMimeType || undefined, subject, crop, lineage, workspaceId },
+						files: { imageBase64: { buffer: imageBuffer, mimeType: imageMimeType } },
+					});
+					return res.status(202).json(job);
+				}
+
+				const out = await withCreditReservation(uid, 'generate', { amount: creditCost, endpoint: 'generateRemoveBackground', requestId, workspaceId }, () =>
+					generateRemoveBackground({
+						uid,
+						imageBase64: imageBuffer.toString('base64'),
+						imageMimeType: imageMimeType || undefined,
+						subject,
+						crop,
+						lineage,
+						workspaceId,
+					})
+				);
+				return res.status(200).json(out);
+			} catch (err) {
+				const appErr = normalizeUnknownError(err);
+				logError({ requestId, uid, endpoint: 'generateRemoveBackground', err: appErr });
+				return sendError(res, appErr, requestId);
+			}
+		});
+	}
+);
+
+exports.getRemoveBackgroundFlows = getRemoveBackgroundFlows;
@@ -1,17 +1,28 @@
 const { onRequest } = require('firebase-functions/v2/https');
 const cors = require('cors')({ origin: true });
 const admin = require('firebase-admin');
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const { randomUUID } = require('crypto');
-const { createMultipartParser, buildGeneratedImagePath, verifyAuth } = require('../common/utils');
-const { ensureUserExists, decrementUsage, checkHasCredits } = require('../operations/userOperations');
+const { createMultipartParser, verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { createJob, isAsyncRequested } = require('../operations/jobOperations');
+const { readWorkspaceId } = require('../common/workspaces');
+const {
+	MAX_VARIANTS,
+	saveGeneratedImage,
+	loadSourceImage,
+	parseVariants,
+	runVariants,
+	variantChargeAmount,
+} = require('../operations/generatedImageOperations');
 const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
+const { ALLOWED_ASPECT_RATIOS, closestAspectRatio, imagePart, textPart, generateImage } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
+const { parseRegionBox, prepareRegion, compositeRegion } = require('../common/regionEditing');
 const {
 	AppError,
 	ErrorCodes,
 	unauthenticated,
 	validationError,
-	storageError,
 	sendError,
 	normalizeUnknownError,
 	logError,
@@ -25,29 +36,21 @@ try {
 	// ignore re-init in emulator hot-reload
 }
 
-const db = getFirestore();
-
 let flows = null;
 
-const { createAndUploadThumbnail, computeThumbPath } = require('../operations/thumbnailOperations');
 const { REPLACE_IMAGE_PROMPT_VERSION, buildReplaceImagePrompt } = require('../common/prompts');
 
 async function getReplaceImageFlows() {
 	if (flows) return flows;
-	const { ai, flow, z, googleAI } = await initGenkit();
+	const { flow, z } = await initGenkit();
 
-  const allowedRatios = [
-    '1:1',
-    '16:9',
-    '9:16',
-    '3:2',
-    '2:3',
-    '4:3',
-    '3:4',
-    '5:4',
-    '4:5',
-    '21:9',
-  ];
+	const replacedImageSchema = z.object({
+		mimeType: z.string(),
+		id: z.string(),
+		storagePath: z.string(),
+		downloadUrl: z.string().optional().nullable(),
+		generated_img_url: z.string().optional().nullable(),
+	});
 
 	const generateReplaceImage = flow(
 		{
@@ -60,13 +63,16 @@ async function getReplaceImageFlows() {
 				newImageMimeType: z.string().optional(),
 				description: z.string().min(1),
 				aspectRatio: z.string().optional(),
+				variants: z.number().int().min(1).max(MAX_VARIANTS).optional(),
+				lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+				workspaceId: z.string().nullable().optional(),
+				// Edit only this part of the image: a pixel box or a PNG mask (white or opaque = edit)
+				region: z.object({ left: z.number().nonnegative(), top: z.number().nonnegative(), width: z.number().positive(), height: z.number().positive() }).optional(),
+				maskImageBase64: z.string().optional(),
 			}),
-			outputSchema: z.object({
-				mimeType: z.string(),
-				id: z.string(),
-				storagePath: z.string(),
-				downloadUrl: z.string().optional().nullable(),
-				generated_img_url: z.string().optional().nullable(),
+			outputSchema: replacedImageSchema.extend({
+				generationGroupId: z.string(),
+				variants: z.array(replacedImageSchema),
 			}),
 		},
 		async ({
@@ -77,249 +83,102 @@ async function getReplaceImageFlows() {
 			newImageMimeType,
 			description,
 			aspectRatio: userAspectRatio,
+			variants,
+			lineage,
+			workspaceId,
+			region,
+			maskImageBase64,
 		}) => {
 			await ensureUserExists(uid);
 
+			// Region edits send only the padded region to the model and composite the result back
+			const regionEdit = region || maskImageBase64
+				? await prepareRegion({
+					imageBuffer: Buffer.from(croppedImageBase64, 'base64'),
+					box: region || null,
+					maskBuffer: maskImageBase64 ? Buffer.from(maskImageBase64, 'base64') : null,
+				})
+				: null;
+			const baseImageBase64 = regionEdit ? regionEdit.regionBuffer.toString('base64') : croppedImageBase64;
+
       // 1. Calculate Input Aspect Ratio
       let inputAspectRatio = null;
       try {
         const sharp = require('sharp');
-        const baseBuf = Buffer.from(croppedImageBase64, 'base64');
+        const baseBuf = Buffer.from(baseImageBase64, 'base64');
         const meta = await sharp(baseBuf).metadata();
         const w = meta.width || 0;
         const h = meta.height || 0;
         
-        if (w > 0 && h > 0) {
-          const ratio = w / h;
-           const candidates = allowedRatios.map(r => {
-            const [rw, rh] = r.split(':').map(Number);
-            return { label: r, value: rw / rh };
-          });
-
-          let best = candidates[0];
-          let bestDiff = Math.abs(ratio - best.value);
-          
-          for (const c of candidates) {
-            const diff = Math.abs(ratio - c.value);
-            if (diff < bestDiff) {
-              best = c;
-              bestDiff = diff;
-            }
-          }
-          inputAspectRatio = best.label;
+        inputAspectRatio = closestAspectRatio(w, h);
+        if (inputAspectRatio) {
           console.log(`Derived aspect ratio ${inputAspectRatio} from dimensions ${w}x${h}`);
         }
       } catch (e) {
         console.warn('Failed to derive aspect ratio:', e);
       }
 
-      // 2. Determine Target/Final Aspect Ratio
+      // 2. Determine Target/Final Aspect Ratio (a region is composited back, so it keeps its shape)
       let aspectRatio = null;
-      if (userAspectRatio && allowedRatios.includes(userAspectRatio)) {
+      if (!regionEdit && userAspectRatio && ALLOWED_ASPECT_RATIOS.includes(userAspectRatio)) {
         aspectRatio = userAspectRatio;
       } else {
         aspectRatio = inputAspectRatio;
       }
 
-			const fullPrompt = buildReplaceImagePrompt({ description, originalAspectRatio: inputAspectRatio, targetAspectRatio: aspectRatio });
+			const fullPrompt = buildReplaceImagePrompt({
+				description,
+				originalAspectRatio: inputAspectRatio,
+				targetAspectRatio: aspectRatio,
+				regionHint: regionEdit ? regionEdit.hint : null,
+			});
 
-			const baseMime = croppedImageMimeType || 'image/png';
+			const baseMime = regionEdit ? regionEdit.regionMimeType : croppedImageMimeType || 'image/png';
 			const newMime = newImageMimeType || 'image/png';
 
-      const promptArray = [];
-      promptArray.push({
-         media: {
-            url: `data:${baseMime};base64,${croppedImageBase64}`,
-            contentType: baseMime
-         }
-      });
-      promptArray.push({
-         media: {
-            url: `data:${newMime};base64,${newImageBase64}`,
-            contentType: newMime
-         }
-      });
-      promptArray.push({ text: fullPrompt });
-
-      // Use @google/genai SDK directly
-      const { GoogleGenAI } = require("@google/genai");
-      const genaiClient = new GoogleGenAI({ apiKey: GOOGLE_API_KEY.value() });
-      
-      const contentsParts = [];
-      for (const item of promptArray) {
-        if (item.text) {
-          contentsParts.push({ text: item.text });
-        }
-      }
-      for (const item of promptArray) {
-        if (item.media) {
-          const matches = item.media.url.match(/^data:([^;]+);base64,(.+)$/);
-          if (matches) {
-            contentsParts.push({
-              inlineData: {
-                mimeType: matches[1],
-                data: matches[2] 
-              }
-            });
-          }
-        }
-      }
-
-      const imageConfig = {
-        aspectRatio: aspectRatio || '1:1',
-        imageSize: '2K',
-      };
-
-      const response = await genaiClient.models.generateContent({
-        model: 'gemini-3-pro-image-preview',
-        contents: [{ parts: contentsParts }],
-        config: {
-          responseModalities: ['TEXT', 'IMAGE'],
-          imageConfig: imageConfig,
-        },
-      });
-
-      // Extract image data
-      let dataUrl = null;
-      const candidates = response.candidates || [];
-      const firstCandidate = candidates[0];
-      const modelVersion = 'gemini-3-pro-image-preview';
-
-      if (firstCandidate && firstCandidate.content && firstCandidate.content.parts) {
-        for (const part of firstCandidate.content.parts) {
-           if (part.inlineData) {
-             const mime = part.inlineData.mimeType || 'image/png';
-             const b64 = part.inlineData.data;
-             dataUrl = `data:${mime};base64,${b64}`;
-           }
-        }
-      }
-
-      if (!dataUrl) {
-        console.error('generate: missing image in GoogleGenAI response', JSON.stringify(response, null, 2));
-        throw new Error('Model did not return image media.');
-      }
-
-			const commaIdx = dataUrl.indexOf(',');
-      const header = dataUrl.substring(0, commaIdx);
-			const imageBase64 = dataUrl.substring(commaIdx + 1);
-
-      const mimeTypeMatch = /data:(.*?);base64/.exec(header);
-      const mimeType = (mimeTypeMatch && mimeTypeMatch[1]) || 'image/png';
-
-			const buffer = Buffer.from(imageBase64, 'base64');
-      const ext = ((mime) => {
-        if (mime === 'image/png') return 'png';
-        if (mime === 'image/jpeg' || mime === 'image/jpg') return 'jpg';
-        if (mime === 'image/webp') return 'webp';
-        return 'png';
-      })(mimeType);
-
-			const id = randomUUID();
-			const imagePath = buildGeneratedImagePath(uid, id, ext);
-
-			const appOptions = admin.app().options || {};
-			const configuredBucket = appOptions.storageBucket;
-			const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-			const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-			const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-			let file = null;
-			let downloadToken = null;
-			try {
-				const [bucketExists] = await bucket.exists();
-				if (bucketExists) {
-					file = bucket.file(imagePath);
-					downloadToken = randomUUID();
-					await file.save(buffer, {
-						resumable: false,
-						contentType: mimeType,
-						metadata: {
-							cacheControl: 'public, max-age=31536000',
-							metadata: { firebaseStorageDownloadTokens: downloadToken },
-						},
-					});
-				}
-			} catch (_) {
-				file = null;
-			}
-
-			let downloadUrl = null;
-			if (file) {
-				try {
-					const [url] = await file.getSignedUrl({
-						action: 'read',
-						expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 365),
-					});
-					downloadUrl = url;
-				} catch (e) {
-					try {
-						const [metadata] = await file.getMetadata().catch(() => [{}]);
-						let token = metadata?.metadata?.firebaseStorageDownloadTokens;
-						if (!token) {
-							token = downloadToken || randomUUID();
-							await file.setMetadata({ metadata: { firebaseStorageDownloadTokens: token } }).catch(
-								() => {}
-							);
-						}
-						downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media&token=${token}`;
-					} catch (_) {
-						downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media`;
-					}
-				}
-			}
-
-			// Generate and upload thumbnail via helper
-			let thumbUrl = null;
-			let thumbPath = computeThumbPath(imagePath);
-			if (file) {
-				const { thumbPath: p, thumbUrl: u } = await createAndUploadThumbnail(bucket, buffer, imagePath);
-				thumbPath = p;
-				thumbUrl = u;
-			}
-
-			try {
-				await db.collection('images').doc(id).set({
-					storagePath: imagePath,
-					type: 'generated',
-					ownerId: uid || null,
-					createdAt: FieldValue.serverTimestamp(),
-					prompt: fullPrompt,
-					promptVersion: REPLACE_IMAGE_PROMPT_VERSION,
-					style: null,
-					aspectRatio: aspectRatio || null,
-					mockupImageUrl: null,
-					mimeType: mimeType,
-					downloadUrl,
-					modelVersion: modelVersion || null,
-					tool: 'replaceImage',
-					size: buffer.length,
-					thumbUrl: thumbUrl || null,
-					thumbPath,
-					thumbSize: 256,
+			const { generationGroupId, variants: images } = await runVariants(variants || 1, async (variantIndex, groupId) => {
+				// Instruction first, then the base image and the replacement image
+				const { buffer, mimeType, modelVersion } = await generateImage({
+					parts: [
+						textPart(fullPrompt),
+						imagePart(baseImageBase64, baseMime),
+						imagePart(newImageBase64, newMime),
+					],
+					aspectRatio: aspectRatio || '1:1',
+					size: '2K',
+					variant: variantIndex,
 				});
-				await db.collection('users').doc(uid).collection('generated').doc(id).set({
-					createdAt: FieldValue.serverTimestamp(),
-					imageId: id,
-					storagePath: imagePath,
-					type: 'generated',
+				const output = regionEdit
+					? { buffer: await compositeRegion(regionEdit, buffer), mimeType: 'image/png' }
+					: { buffer, mimeType };
+				return saveGeneratedImage({
+					uid,
+					...output,
+					prompt: fullPrompt,
+					aspectRatio: regionEdit ? closestAspectRatio(regionEdit.width, regionEdit.height) : aspectRatio,
+					modelVersion,
 					tool: 'replaceImage',
-					promptVersion: REPLACE_IMAGE_PROMPT_VERSION,
-					thumbUrl: thumbUrl || null,
-					thumbPath,
-					thumbSize: 256,
+					toolParams: {
+						description,
+						aspectRatio: aspectRatio || null,
+						region: regionEdit ? regionEdit.box : null,
+						masked: Boolean(maskImageBase64),
+					},
+					parentImageId: lineage?.parentImageId,
+					rootImageId: lineage?.rootImageId,
+					workspaceId,
+					fields: { promptVersion: REPLACE_IMAGE_PROMPT_VERSION, generationGroupId: groupId, variantIndex },
 				});
-			} catch (_) {}
+			});
 
-			// Decrement usage only after successful generation & persistence steps
-			await decrementUsage(uid, 'generate');
-			return {
+			const outputs = images.map(({ mimeType, id, storagePath, downloadUrl }) => ({
 				mimeType,
 				id,
-				storagePath: imagePath,
+				storagePath,
 				downloadUrl,
 				generated_img_url: downloadUrl,
-			};
+			}));
+			return { ...outputs[0], generationGroupId, variants: outputs };
 		}
 	);
 
@@ -337,6 +196,15 @@ exports.generateReplaceImage = onRequest(
 	},
 	async (req, res) => {
 		const requestId = randomUUID();
+		const creditCost = computeCreditCost({ tool: 'replaceImage' });
+		// Hold the price of every requested variant, charge only for the ones that succeed
+		const variantBilling = (variants, workspaceId) => ({
+			amount: creditCost * variants,
+			endpoint: 'generateReplaceImage',
+			requestId,
+			workspaceId,
+			chargeAmount: (out) => variantChargeAmount(out, creditCost),
+		});
 		if (req.method === 'OPTIONS') {
 			res.set('Access-Control-Allow-Origin', '*');
 			res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -360,9 +228,11 @@ exports.generateReplaceImage = onRequest(
 				return sendError(res, err, requestId);
 			}
 
+			const workspaceId = readWorkspaceId(req.query, req.body);
+
 			try {
 				await ensureUserExists(uid);
-				await checkHasCredits(uid, 'generate');
+				await checkHasCredits(uid, 'generate', creditCost, { workspaceId });
 			} catch (e) {
 				logError({ requestId, uid, endpoint: 'generateReplaceImage', err: e });
 				return sendError(res, e, requestId);
@@ -379,6 +249,7 @@ exports.generateReplaceImage = onRequest(
 					let croppedMime = null;
 					let newBuffer = null;
 					let newMime = null;
+					let maskBuffer = null;
 
 					await new Promise((resolve, reject) => {
 						busboy.on('field', (fieldname, val) => {
@@ -395,6 +266,8 @@ exports.generateReplaceImage = onRequest(
 								} else if (fieldname === 'new_img' || fieldname === 'newImage') {
 									newBuffer = buf;
 									newMime = mimeType;
+								} else if (fieldname === 'mask' || fieldname === 'mask_img') {
+									maskBuffer = buf;
 								}
 							});
 						});
@@ -416,56 +289,77 @@ exports.generateReplaceImage = onRequest(
 						return sendError(res, err, requestId);
 					}
 
+					let source;
+					try {
+						source = await loadSourceImage(uid, {
+							sourceImageId: fields.sourceImageId,
+							storagePath: fields.storagePath,
+							download: !croppedBuffer,
+						});
+					} catch (e) {
+						const err = normalizeUnknownError(e);
+						logError({ requestId, uid, endpoint: 'generateReplaceImage', err });
+						return sendError(res, err, requestId);
+					}
 					if (!croppedBuffer) {
-						const storagePath = fields.storagePath;
-						if (storagePath) {
-							try {
-								const appOptions = admin.app().options || {};
-								const configuredBucket = appOptions.storageBucket;
-								const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-								const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-								const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-								const file = bucket.file(storagePath);
-								const [exists] = await file.exists();
-								if (!exists) {
-									const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Image not found at storagePath', httpStatus: 404, retryable: false });
-									logError({ requestId, uid, endpoint: 'generateReplaceImage', err });
-									return sendError(res, err, requestId);
-								}
-
-								const [metadata] = await file.getMetadata();
-								croppedMime = metadata.contentType || 'image/png';
-
-								const [downloadedBuffer] = await file.download();
-								croppedBuffer = downloadedBuffer;
-							} catch (e) {
-								const err = storageError('Failed to download image from storage', true);
-								logError({ requestId, uid, endpoint: 'generateReplaceImage', err });
-								return sendError(res, err, requestId);
-							}
-						} else {
-							const err = validationError({ cropped_img: 'required', storagePath: 'required' });
+						if (!source.buffer) {
+							const err = validationError({ cropped_img: 'required', storagePath: 'required', sourceImageId: 'required' });
 							logError({ requestId, uid, endpoint: 'generateReplaceImage', err });
 							return sendError(res, err, requestId);
 						}
+						croppedBuffer = source.buffer;
+						croppedMime = source.mimeType;
+					}
+					const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
+
+					const variants = parseVariants(fields.variants);
+					const region = parseRegionBox(fields.region) || undefined;
+
+					if (isAsyncRequested(fields.async)) {
+						const job = await createJob({
+							uid,
+							tool: 'replaceImage',
+							requestId,
+							workspaceId,
+							usageType: 'generate',
+							amount: creditCost * variants,
+							creditsPerVariant: creditCost,
+							input: { uid, croppedImageMimeType: croppedMime, newImageMimeType: newMime, description, aspectRatio, variants, lineage, region, workspaceId },
+							files: {
+								croppedImageBase64: { buffer: croppedBuffer, mimeType: croppedMime },
+								newImageBase64: { buffer: newBuffer, mimeType: newMime },
+								maskImageBase64: { buffer: maskBuffer, mimeType: 'image/png' },
+							},
+						});
+						return res.status(202).json(job);
 					}
 
-					const out = await generateReplaceImage({
-						uid,
-						croppedImageBase64: croppedBuffer.toString('base64'),
-						croppedImageMimeType: croppedMime,
-						newImageBase64: newBuffer.toString('base64'),
-						newImageMimeType: newMime,
-						description,
-						aspectRatio,
-					});
+					const out = await withCreditReservation(uid, 'generate', variantBilling(variants, workspaceId), () =>
+						generateReplaceImage({
+							uid,
+							croppedImageBase64: croppedBuffer.toString('base64'),
+							croppedImageMimeType: croppedMime,
+							newImageBase64: newBuffer.toString('base64'),
+							newImageMimeType: newMime,
+							description,
+							aspectRatio,
+							variants,
+							lineage,
+							workspaceId,
+							region,
+							maskImageBase64: maskBuffer ? maskBuffer.toString('base64') : undefined,
+						})
+					);
 					return res.status(200).json(out);
 				}
 
 				// JSON body fallback
 				const body = req.body || {};
-				const croppedBase64 = body.croppedImageBase64 || body.cropped_img;
+				const uploadedBase64 = body.croppedImageBase64 || body.cropped_img;
+				const source = await loadSourceImage(uid, { sourceImageId: body.sourceImageId, download: !uploadedBase64 });
+				const croppedBase64 = uploadedBase64 || (source.buffer ? source.buffer.toString('base64') : null);
+				const croppedMime = uploadedBase64 ? body.croppedImageMimeType : source.mimeType;
+				const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
 				const newBase64 = body.newImageBase64 || body.new_img;
 				const description = String(body.replacable_img_description || body.description || '').trim();
 				const aspectRatio = body.aspectRatio;
@@ -478,15 +372,43 @@ exports.generateReplaceImage = onRequest(
 					logError({ requestId, uid, endpoint: 'generateReplaceImage', err });
 					return sendError(res, err, requestId);
 				}
-				const out = await generateReplaceImage({
-					uid,
-					croppedImageBase64: croppedBase64,
-					croppedImageMimeType: body.croppedImageMimeType,
-					newImageBase64: newBase64,
-					newImageMimeType: body.newImageMimeType,
-					description,
-					aspectRatio,
-				});
+				const variants = parseVariants(body.variants);
+				const region = parseRegionBox(body.region) || undefined;
+				const maskImageBase64 = body.maskImageBase64 || body.mask || undefined;
+				if (isAsyncRequested(body.async)) {
+					const job = await createJob({
+						uid,
+						tool: 'replaceImage',
+						requestId,
+						workspaceId,
+						usageType: 'generate',
+						amount: creditCost * variants,
+						creditsPerVariant: creditCost,
+						input: { uid, croppedImageMimeType: croppedMime, newImageMimeType: body.newImageMimeType, description, aspectRatio, variants, lineage, region, workspaceId },
+						files: {
+							croppedImageBase64: { buffer: Buffer.from(croppedBase64, 'base64'), mimeType: croppedMime },
+							newImageBase64: { buffer: Buffer.from(newBase64, 'base64'), mimeType: body.newImageMimeType },
+							maskImageBase64: { buffer: maskImageBase64 ? Buffer.from(maskImageBase64, 'base64') : null, mimeType: 'image/png' },
+						},
+					});
+					return res.status(202).json(job);
+				}
+				const out = await withCreditReservation(uid, 'generate', variantBilling(variants, workspaceId), () =>
+					generateReplaceImage({
+						uid,
+						croppedImageBase64: croppedBase64,
+						croppedImageMimeType: croppedMime,
+						newImageBase64: newBase64,
+						newImageMimeType: body.newImageMimeType,
+						description,
+						aspectRatio,
+						variants,
+						lineage,
+						workspaceId,
+						region,
+						maskImageBase64,
+					})
+				);
 				return res.status(200).json(out);
 			} catch (err) {
 				const appErr = normalizeUnknownError(err);
@@ -496,3 +418,5 @@ exports.generateReplaceImage = onRequest(
 		});
 	}
 );
+
+exports.getReplaceImageFlows = getReplaceImageFlows;
@@ -0,0 +1,301 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const cors = require('cors')({ origin: true });
+const admin = require('firebase-admin');
+const { randomUUID } = require('crypto');
+const sharp = require('sharp');
+const { verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { createJob, isAsyncRequested } = require('../operations/jobOperations');
+const { readWorkspaceId } = require('../common/workspaces');
+const {
+	saveGeneratedImage,
+	loadSourceImage,
+	runVariants,
+	variantChargeAmount,
+} = require('../operations/generatedImageOperations');
+const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
+const { ALLOWED_ASPECT_RATIOS, closestAspectRatio, imagePart, textPart, generateImage } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
+const { buildResizePrompt } = require('../common/prompts');
+const {
+	AppError,
+	ErrorCodes,
+	unauthenticated,
+	validationError,
+	sendError,
+	normalizeUnknownError,
+	logError,
+} = require('../common/errors');
+
+try {
+	if (!admin.apps.length) {
+		admin.initializeApp();
+	}
+} catch (e) {
+	// ignore re-init in emulator hot-reload
+}
+
+let flows = null;
+
+// Named placements and the model aspect ratio each maps to. `note` carries the placement's own
+// layout constraint (UI overlays, badges) into the prompt.
+const PLACEMENTS = {
+	instagram_story: { label: 'Instagram story', aspectRatio: '9:16', note: 'Keep text and logo out of the top and bottom 14%, where the app shows its own controls.' },
+	instagram_post: { label: 'Instagram post', aspectRatio: '4:5' },
+	instagram_square: { label: 'Instagram square post', aspectRatio: '1:1' },
+	tiktok: { label: 'TikTok video cover', aspectRatio: '9:16', note: 'Keep text and logo out of the bottom 20% and the right edge, where the app shows captions and buttons.' },
+	facebook_post: { label: 'Facebook post', aspectRatio: '4:5' },
+	pinterest_pin: { label: 'Pinterest pin', aspectRatio: '2:3' },
+	youtube_thumbnail: { label: 'YouTube thumbnail', aspectRatio: '16:9', note: 'Keep the bottom-right corner clear, where the video length is shown.' },
+	x_post: { label: 'X (Twitter) post', aspectRatio: '16:9' },
+	linkedin_post: { label: 'LinkedIn post', aspectRatio: '1:1' },
+	presentation: { label: 'presentation slide', aspectRatio: '16:9' },
+	banner: { label: 'web banner', aspectRatio: '21:9' },
+};
+// Distinct aspect ratios (model calls) one request may produce
+const MAX_RESIZE_RATIOS = 6;
+
+/**
+ * Read `placements` (array or comma separated) into generation groups, one per distinct aspect
+ * ratio. Each entry is a placement name from PLACEMENTS or a bare ratio from ALLOWED_ASPECT_RATIOS.
+ * Returns: [{ aspectRatio, placements: string[], labels: string[], notes: string[] }] in request order
+ */
+function parseResizePlacements(value) {
+	const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+	const groups = new Map();
+	for (const raw of list) {
+		const name = String(raw ?? '').trim();
+		if (!name) continue;
+		const preset = PLACEMENTS[name.toLowerCase()];
+		const aspectRatio = preset ? preset.aspectRatio : name;
+		if (!preset && !ALLOWED_ASPECT_RATIOS.includes(aspectRatio)) {
+			throw validationError({
+				placements: `"${name}" is not a placement (${Object.keys(PLACEMENTS).join('|')}) or an aspect ratio (${ALLOWED_ASPECT_RATIOS.join('|')})`,
+			});
+		}
+		const key = preset ? name.toLowerCase() : aspectRatio;
+		const group = groups.get(aspectRatio) || { aspectRatio, placements: [], labels: [], notes: [] };
+		if (group.placements.includes(key)) continue;
+		group.placements.push(key);
+		if (preset) group.labels.push(preset.label);
+		if (preset && preset.note) group.notes.push(preset.note);
+		groups.set(aspectRatio, group);
+	}
+	if (!groups.size) throw validationError({ placements: 'required' });
+	if (groups.size > MAX_RESIZE_RATIOS) {
+		throw validationError({ placements: `at most ${MAX_RESIZE_RATIOS} different aspect ratios per request` });
+	}
+	return [...groups.values()];
+}
+
+async function getResizeSetFlows() {
+	if (flows) return flows;
+	const { flow, z } = await initGenkit();
+
+	const resizedImageSchema = z.object({
+		mimeType: z.string(),
+		id: z.string(),
+		storagePath: z.string(),
+		downloadUrl: z.string().optional().nullable(),
+		generated_img_url: z.string().optional().nullable(),
+		aspectRatio: z.string(),
+		placements: z.array(z.string()),
+	});
+
+	const generateResizeSet = flow(
+		{
+			name: 'generateResizeSet',
+			inputSchema: z.object({
+				uid: z.string().min(1),
+				imageBase64: z.string(),
+				imageMimeType: z.string().optional(),
+				// From parseResizePlacements
+				groups: z.array(
+					z.object({
+						aspectRatio: z.string(),
+						placements: z.array(z.string()),
+						labels: z.array(z.string()),
+						notes: z.array(z.string()),
+					})
+				).min(1).max(MAX_RESIZE_RATIOS),
+				lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+				workspaceId: z.string().nullable().optional(),
+			}),
+			outputSchema: resizedImageSchema.extend({
+				generationGroupId: z.string(),
+				// One image per aspect ratio, listing every placement it serves
+				groups: z.array(resizedImageSchema),
+				// Groups whose generation failed; they are not charged
+				failed: z.array(z.object({ aspectRatio: z.string(), placements: z.array(z.string()) })),
+				variants: z.array(resizedImageSchema),
+			}),
+		},
+		async ({ uid, imageBase64, imageMimeType, groups, lineage, workspaceId }) => {
+			await ensureUserExists(uid);
+
+			const meta = await sharp(Buffer.from(imageBase64, 'base64')).metadata().catch(() => null);
+			if (!meta || !meta.width || !meta.height) throw validationError({ image: 'not a readable image' });
+			const originalAspectRatio = closestAspectRatio(meta.width, meta.height);
+
+			const { generationGroupId, variants: images } = await runVariants(groups.length, async (index, groupId) => {
+				const group = groups[index];
+				const fullPrompt = buildResizePrompt({
+					originalAspectRatio,
+					targetAspectRatio: group.aspectRatio,
+					placements: group.labels,
+					notes: group.notes,
+				});
+				const { buffer, mimeType, modelVersion } = await generateImage({
+					parts: [textPart(fullPrompt), imagePart(imageBase64, imageMimeType || 'image/png')],
+					aspectRatio: group.aspectRatio,
+					size: '2K',
+				});
+				const saved = await saveGeneratedImage({
+					uid,
+					buffer,
+					mimeType,
+					prompt: fullPrompt,
+					aspectRatio: group.aspectRatio,
+					modelVersion,
+					tool: 'resizeSet',
+					toolParams: { aspectRatio: group.aspectRatio, placements: group.placements },
+					parentImageId: lineage?.parentImageId,
+					rootImageId: lineage?.rootImageId,
+					workspaceId,
+					fields: { generationGroupId: groupId, variantIndex: index, placements: group.placements },
+				});
+				return { saved, group };
+			});
+
+			const outputs = images.map(({ saved, group }) => ({
+				mimeType: saved.mimeType,
+				id: saved.id,
+				storagePath: saved.storagePath,
+				downloadUrl: saved.downloadUrl,
+				generated_img_url: saved.downloadUrl,
+				aspectRatio: group.aspectRatio,
+				placements: group.placements,
+			}));
+			const failed = groups
+				.filter((group) => !images.some((image) => image.group === group))
+				.map(({ aspectRatio, placements }) => ({ aspectRatio, placements }));
+			return { ...outputs[0], generationGroupId, groups: outputs, failed, variants: outputs };
+		}
+	);
+
+	flows = { generateResizeSet };
+	return flows;
+}
+
+/**
+ * Adapt one finished design to several formats at once, e.g. story, post and thumbnail sizes.
+ * POST JSON { sourceImageId | imageBase64 (+ imageMimeType), placements, async?, workspace_id? }
+ * placements: names such as instagram_story, instagram_post, youtube_thumbnail, banner, or bare
+ * ratios ("3:2"). Placements sharing an aspect ratio share one image and one charge.
+ * Returns: { generationGroupId, groups: [{ aspectRatio, placements, id, storagePath, downloadUrl, mimeType }],
+ *   failed: [{ aspectRatio, placements }], variants } (202 job when async)
+ */
+exports.generateResizeSet = onRequest(
+	{
+		region: 'europe-west1',
+		timeoutSeconds: 300,
+		memory: '1GiB',
+		cors: true,
+		secrets: [GOOGLE_API_KEY],
+	},
+	async (req, res) => {
+		const requestId = randomUUID();
+		const creditCost = computeCreditCost({ tool: 'resizeSet' });
+		if (req.method === 'OPTIONS') {
+			res.set('Access-Control-Allow-Origin', '*');
+			res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+			res.set('Access-Control-Allow-Headers', 'Content-Type');
+			return res.status(204).send('');
+		}
+
+		return cors(req, res, async () => {
+			if (req.method !== 'POST') {
+				const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method Not Allowed', httpStatus: 405, retryable: false });
+				logError({ requestId, endpoint: 'generateResizeSet', err });
+				return sendError(res, err, requestId);
+			}
+
+			let uid;
+			try {
+				uid = await verifyAuth(req);
+			} catch (e) {
+				const err = unauthenticated(e?.message || 'Unauthorized');
+				logError({ requestId, endpoint: 'generateResizeSet', err });
+				return sendError(res, err, requestId);
+			}
+
+			try {
+				await ensureUserExists(uid);
+			} catch (e) {
+				logError({ requestId, uid, endpoint: 'generateResizeSet', err: e });
+				return sendError(res, e, requestId);
+			}
+
+			try {
+				const body = req.body || {};
+				const groups = parseResizePlacements(body.placements);
+				const amount = creditCost * groups.length;
+				const workspaceId = readWorkspaceId(body, req.query);
+
+				const uploadedBase64 = body.imageBase64 || null;
+				const source = await loadSourceImage(uid, { sourceImageId: body.sourceImageId, download: !uploadedBase64 });
+				const imageBase64 = uploadedBase64 || (source.buffer ? source.buffer.toString('base64') : null);
+				const imageMimeType = (uploadedBase64 ? body.imageMimeType : source.mimeType) || undefined;
+				if (!imageBase64) {
+					const err = validationError({ sourceImageId: 'required', imageBase64: 'required' });
+					logError({ requestId, uid, endpoint: 'generateResizeSet', err });
+					return sendError(res, err, requestId);
+				}
+				const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
+
+				await checkHasCredits(uid, 'generate', amount, { workspaceId });
+
+				if (isAsyncRequested(body.async)) {
+					const job = await createJob({
+						uid,
+						tool: 'resizeSet',
+						requestId,
+						workspaceId,
+						usageType: 'generate',
+						amount,
+						creditsPerVariant: creditCost,
+						input: { uid, imageMimeType, groups, lineage, workspaceId },
+						files: {
+							imageBase64: uploadedBase64
+								? { buffer: Buffer.from(uploadedBase64, 'base64'), mimeType: imageMimeType }
+								: { storagePath: source.storagePath, mimeType: imageMimeType },
+						},
+					});
+					return res.status(202).json(job);
+				}
+
+				const { generateResizeSet } = await getResizeSetFlows();
+				const out = await withCreditReservation(
+					uid,
+					'generate',
+					{
+						amount,
+						endpoint: 'generateResizeSet',
+						requestId,
+						workspaceId,
+						// Only the aspect ratios that came back are charged
+						chargeAmount: (result) => variantChargeAmount(result, creditCost),
+					},
+					() => generateResizeSet({ uid, imageBase64, imageMimeType, groups, lineage, workspaceId })
+				);
+				return res.status(200).json(out);
+			} catch (err) {
+				const appErr = normalizeUnknownError(err);
+				logError({ requestId, uid, endpoint: 'generateResizeSet', err: appErr });
+				return sendError(res, appErr, requestId);
+			}
+		});
+	}
+);
+
+exports.getResizeSetFlows = getResizeSetFlows;
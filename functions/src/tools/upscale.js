@@ -0,0 +1,354 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const cors = require('cors')({ origin: true });
+const admin = require('firebase-admin');
+const { randomUUID } = require('crypto');
+const sharp = require('sharp');
+const { verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { createJob, isAsyncRequested } = require('../operations/jobOperations');
+const { readWorkspaceId } = require('../common/workspaces');
+const { saveGeneratedImage, loadSourceImage } = require('../operations/generatedImageOperations');
+const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
+const { imagePart, textPart, generateImage, closestAspectRatio } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
+const { buildUpscalePrompt } = require('../common/prompts');
+const {
+	AppError,
+	ErrorCodes,
+	unauthenticated,
+	validationError,
+	sendError,
+	normalizeUnknownError,
+	logError,
+} = require('../common/errors');
+
+try {
+	if (!admin.apps.length) {
+		admin.initializeApp();
+	}
+} catch (e) {
+	// ignore re-init in emulator hot-reload
+}
+
+let flows = null;
+
+// Paper sizes in millimetres, portrait (short side first)
+const PAPER_SIZES_MM = {
+	A5: [148, 210],
+	A4: [210, 297],
+	A3: [297, 420],
+	A2: [420, 594],
+	letter: [215.9, 279.4],
+	legal: [215.9, 355.6],
+	tabloid: [279.4, 431.8],
+};
+const DEFAULT_DPI = 300;
+const MIN_DPI = 72;
+const MAX_DPI = 600;
+const MAX_FACTOR = 4;
+// Longest side we will produce; beyond this the output no longer fits comfortably in memory
+const MAX_OUTPUT_SIDE = 8192;
+// The image model returns at most a 4K long side; larger targets are finished by resampling
+const AI_SIZE_PIXELS = { '2K': 2048, '4K': 4096 };
+// Errors that mean the model could not run at all, as opposed to refusing the input
+const FALLBACK_CODES = [ErrorCodes.PROVIDER_UNAVAILABLE, ErrorCodes.PROVIDER_TIMEOUT, ErrorCodes.RATE_LIMITED];
+// The model only draws the allowed aspect ratios; a source further off than this would be stretched
+const MAX_ASPECT_DRIFT = 0.02;
+
+function aspectDrift(width, height) {
+	const [rw, rh] = closestAspectRatio(width, height).split(':').map(Number);
+	return Math.abs(width / height / (rw / rh) - 1);
+}
+
+function paperKey(value) {
+	const wanted = String(value || '').trim().toLowerCase();
+	return Object.keys(PAPER_SIZES_MM).find((key) => key.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Work out the output size of an upscale from the source dimensions and the request options.
+ * Either `factor` (1 < factor <= 4) or `paper` (+ optional `dpi`) is required. For paper sizes the
+ * sheet is turned to match the image and the image is fitted inside it at `dpi`.
+ * Returns: { width, height, factor, paper, dpi } (paper and dpi are null for a plain factor)
+ */
+function resolveUpscaleTarget({ width, height }, { factor, paper, dpi } = {}) {
+	const hasFactor = factor !== undefined && factor !== null && factor !== '';
+	const hasPaper = paper !== undefined && paper !== null && paper !== '';
+	if (hasFactor === hasPaper) {
+		throw validationError({ factor: 'send either factor or paper', paper: 'send either factor or paper' });
+	}
+
+	let scale;
+	let paperName = null;
+	let targetDpi = null;
+	if (hasFactor) {
+		scale = Number(factor);
+		if (!Number.isFinite(scale) || scale <= 1 || scale > MAX_FACTOR) {
+			throw validationError({ factor: `must be a number above 1 and at most ${MAX_FACTOR}` });
+		}
+	} else {
+		paperName = paperKey(paper);
+		if (!paperName) throw validationError({ paper: `must be one of ${Object.keys(PAPER_SIZES_MM).join('|')}` });
+		targetDpi = dpi === undefined || dpi === null || dpi === '' ? DEFAULT_DPI : Number(dpi);
+		if (!Number.isInteger(targetDpi) || targetDpi < MIN_DPI || targetDpi > MAX_DPI) {
+			throw validationError({ dpi: `must be a whole number between ${MIN_DPI} and ${MAX_DPI}` });
+		}
+		const [shortMm, longMm] = PAPER_SIZES_MM[paperName];
+		const shortPx = (shortMm / 25.4) * targetDpi;
+		const longPx = (longMm / 25.4) * targetDpi;
+		const [sheetWidth, sheetHeight] = width >= height ? [longPx, shortPx] : [shortPx, longPx];
+		scale = Math.min(sheetWidth / width, sheetHeight / height);
+		if (scale <= 1) {
+			throw validationError({ dpi: `image already prints at ${targetDpi} DPI or better on ${paperName}` });
+		}
+	}
+
+	const out = { width: Math.round(width * scale), height: Math.round(height * scale) };
+	if (Math.max(out.width, out.height) > MAX_OUTPUT_SIDE) {
+		const field = hasFactor ? 'factor' : 'dpi';
+		throw validationError({ [field]: `result would be ${out.width}x${out.height}; the longest side is limited to ${MAX_OUTPUT_SIDE}px` });
+	}
+	return { ...out, factor: Math.round(scale * 100) / 100, paper: paperName, dpi: targetDpi };
+}
+
+// Resize to the exact target and encode for print: PNG when the source has transparency, JPEG otherwise
+async function finishUpscale(buffer, { width, height, dpi, sharpen = false, hasAlpha = false }) {
+	let pipeline = sharp(buffer).rotate().resize(width, height, { fit: 'fill', kernel: 'lanczos3' });
+	if (sharpen) pipeline = pipeline.sharpen({ sigma: 1 });
+	if (dpi) pipeline = pipeline.withMetadata({ density: dpi });
+	if (hasAlpha) return { buffer: await pipeline.png().toBuffer(), mimeType: 'image/png' };
+	return { buffer: await pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: 95, chromaSubsampling: '4:4:4' }).toBuffer(), mimeType: 'image/jpeg' };
+}
+
+async function getUpscaleFlows() {
+	if (flows) return flows;
+	const { flow, z } = await initGenkit();
+
+	const generateUpscale = flow(
+		{
+			name: 'generateUpscale',
+			inputSchema: z.object({
+				uid: z.string().min(1),
+				imageBase64: z.string(),
+				imageMimeType: z.string().optional(),
+				// Output size from resolveUpscaleTarget
+				width: z.number().int().positive(),
+				height: z.number().int().positive(),
+				factor: z.number().positive(),
+				paper: z.string().nullable().optional(),
+				dpi: z.number().int().nullable().optional(),
+				lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+				workspaceId: z.string().nullable().optional(),
+			}),
+			outputSchema: z.object({
+				mimeType: z.string(),
+				id: z.string(),
+				storagePath: z.string(),
+				downloadUrl: z.string().optional().nullable(),
+				thumbUrl: z.string().optional().nullable(),
+				thumbPath: z.string().optional().nullable(),
+				width: z.number().int(),
+				height: z.number().int(),
+				factor: z.number(),
+				paper: z.string().nullable(),
+				dpi: z.number().int().nullable(),
+				// 'ai' when the image model produced the detail, 'resample' for the lanczos fallback
+				method: z.enum(['ai', 'resample']),
+			}),
+		},
+		async ({ uid, imageBase64, imageMimeType, width, height, factor, paper, dpi, lineage, workspaceId }) => {
+			await ensureUserExists(uid);
+
+			const imageBuffer = Buffer.from(imageBase64, 'base64');
+			const meta = await sharp(imageBuffer).metadata().catch(() => null);
+			if (!meta || !meta.width || !meta.height) throw validationError({ image: 'not a readable image' });
+			const hasAlpha = Boolean(meta.hasAlpha);
+			const size = Math.max(width, height) <= AI_SIZE_PIXELS['2K'] ? '2K' : '4K';
+			const prompt = buildUpscalePrompt();
+
+			let method = 'resample';
+			let modelVersion = 'sharp:lanczos3';
+			let upscaled = imageBuffer;
+			if (aspectDrift(width, height) <= MAX_ASPECT_DRIFT) {
+				try {
+					const result = await generateImage({
+						parts: [imagePart(imageBase64, imageMimeType || 'image/png'), textPart(prompt)],
+						aspectRatio: closestAspectRatio(width, height),
+						size,
+						model: 'gemini-3-pro-image-preview',
+					});
+					method = 'ai';
+					modelVersion = result.modelVersion;
+					upscaled = result.buffer;
+				} catch (err) {
+					const appErr = normalizeUnknownError(err);
+					const unavailable = FALLBACK_CODES.includes(appErr.code) || (appErr.code === ErrorCodes.PIPELINE_STEP_FAILED && appErr.retryable);
+					if (!unavailable) throw appErr;
+					console.warn(`generateUpscale: image model unavailable (${appErr.code}), resampling instead`);
+				}
+			}
+
+			// The model only delivers its own size steps, so both paths land on the exact target here
+			const output = await finishUpscale(upscaled, { width, height, dpi, sharpen: method === 'resample', hasAlpha });
+
+			const saved = await saveGeneratedImage({
+				uid,
+				buffer: output.buffer,
+				mimeType: output.mimeType,
+				prompt: method === 'ai' ? prompt : null,
+				aspectRatio: closestAspectRatio(width, height),
+				modelVersion,
+				tool: 'upscale',
+				toolParams: { factor, paper: paper || null, dpi: dpi || null, width, height, method },
+				parentImageId: lineage?.parentImageId,
+				rootImageId: lineage?.rootImageId,
+				workspaceId,
+				fields: { width, height, ...(dpi ? { dpi } : {}) },
+			});
+			return {
+				mimeType: saved.mimeType,
+				id: saved.id,
+				storagePath: saved.storagePath,
+				downloadUrl: saved.downloadUrl,
+				thumbUrl: saved.thumbUrl,
+				thumbPath: saved.thumbPath,
+				width,
+				height,
+				factor,
+				paper: paper || null,
+				dpi: dpi || null,
+				method,
+			};
+		}
+	);
+
+	flows = { generateUpscale };
+	return flows;
+}
+
+/**
+ * Upscale a saved image for print; the result is saved as a child version of it.
+ * POST JSON { sourceImageId, factor } | { sourceImageId, paper: A5|A4|A3|A2|letter|legal|tabloid, dpi? (300) }
+ *   plus async?, workspace_id?
+ * With a paper size the image is fitted to the sheet (turned to match the image) at `dpi`, and the
+ * DPI is written into the file. When the image model is unavailable the image is resampled
+ * (lanczos + sharpen) instead, at the lower resample price; `method` says which path ran.
+ * Returns: { id, storagePath, downloadUrl, thumbUrl, thumbPath, mimeType, width, height, factor, paper, dpi, method }
+ *   (202 job when async)
+ */
+exports.generateUpscale = onRequest(
+	{
+		region: 'europe-west1',
+		timeoutSeconds: 300,
+		memory: '2GiB',
+		cors: true,
+		secrets: [GOOGLE_API_KEY],
+	},
+	async (req, res) => {
+		const requestId = randomUUID();
+		if (req.method === 'OPTIONS') {
+			res.set('Access-Control-Allow-Origin', '*');
+			res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+			res.set('Access-Control-Allow-Headers', 'Content-Type');
+			return res.status(204).send('');
+		}
+
+		return cors(req, res, async () => {
+			if (req.method !== 'POST') {
+				const err = new AppError({ code: ErrorCodes.INVALID_STATE, message: 'Method Not Allowed', httpStatus: 405, retryable: false });
+				logError({ requestId, endpoint: 'generateUpscale', err });
+				return sendError(res, err, requestId);
+			}
+
+			let uid;
+			try {
+				uid = await verifyAuth(req);
+			} catch (e) {
+				const err = unauthenticated(e?.message || 'Unauthorized');
+				logError({ requestId, endpoint: 'generateUpscale', err });
+				return sendError(res, err, requestId);
+			}
+
+			try {
+				await ensureUserExists(uid);
+			} catch (e) {
+				logError({ requestId, uid, endpoint: 'generateUpscale', err: e });
+				return sendError(res, e, requestId);
+			}
+
+			try {
+				const body = req.body || {};
+				const sourceImageId = String(body.sourceImageId || '').trim();
+				if (!sourceImageId) {
+					const err = validationError({ sourceImageId: 'required' });
+					logError({ requestId, uid, endpoint: 'generateUpscale', err });
+					return sendError(res, err, requestId);
+				}
+
+				const source = await loadSourceImage(uid, { sourceImageId });
+				const meta = await sharp(source.buffer).metadata().catch(() => null);
+				// metadata() reports the stored orientation; swap for EXIF rotations of 90/270 degrees
+				const rotated = meta && meta.orientation >= 5;
+				const dims = meta && { width: rotated ? meta.height : meta.width, height: rotated ? meta.width : meta.height };
+				if (!dims || !dims.width || !dims.height) {
+					const err = validationError({ sourceImageId: 'not a readable image' });
+					logError({ requestId, uid, endpoint: 'generateUpscale', err });
+					return sendError(res, err, requestId);
+				}
+				const target = resolveUpscaleTarget(dims, { factor: body.factor, paper: body.paper, dpi: body.dpi });
+
+				const size = Math.max(target.width, target.height) <= AI_SIZE_PIXELS['2K'] ? '2K' : '4K';
+				const creditCost = computeCreditCost({ tool: 'upscale', resolution: size });
+				const resampleCost = computeCreditCost({ tool: 'upscale', model: 'resample', resolution: 'original' });
+				const workspaceId = readWorkspaceId(body, req.query);
+				const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
+				const input = {
+					uid,
+					imageMimeType: source.mimeType || undefined,
+					...target,
+					lineage,
+					workspaceId,
+				};
+
+				await checkHasCredits(uid, 'generate', creditCost, { workspaceId });
+
+				if (isAsyncRequested(body.async)) {
+					const job = await createJob({
+						uid,
+						tool: 'upscale',
+						requestId,
+						workspaceId,
+						usageType: 'generate',
+						amount: creditCost,
+						methodCredits: { resample: resampleCost },
+						input,
+						// The saved image is read in place by the worker
+						files: { imageBase64: { storagePath: source.storagePath, mimeType: source.mimeType } },
+					});
+					return res.status(202).json(job);
+				}
+
+				const { generateUpscale } = await getUpscaleFlows();
+				const out = await withCreditReservation(
+					uid,
+					'generate',
+					{
+						amount: creditCost,
+						endpoint: 'generateUpscale',
+						requestId,
+						workspaceId,
+						chargeAmount: (result) => (result.method === 'resample' ? resampleCost : undefined),
+					},
+					() => generateUpscale({ ...input, imageBase64: source.buffer.toString('base64') })
+				);
+				return res.status(200).json(out);
+			} catch (err) {
+				const appErr = normalizeUnknownError(err);
+				logError({ requestId, uid, endpoint: 'generateUpscale', err: appErr });
+				return sendError(res, appErr, requestId);
+			}
+		});
+	}
+);
+
+exports.getUpscaleFlows = getUpscaleFlows;
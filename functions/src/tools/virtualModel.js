@@ -1,19 +1,28 @@
 const { onRequest } = require('firebase-functions/v2/https');
 const cors = require('cors')({ origin: true });
 const admin = require('firebase-admin');
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const { randomUUID } = require('crypto');
-const { createMultipartParser, buildGeneratedImagePath, verifyAuth } = require('../common/utils');
-const { createAndUploadThumbnail, computeThumbPath } = require('../operations/thumbnailOperations');
-const { ensureUserExists, decrementUsage } = require('../operations/userOperations');
+const { createMultipartParser, verifyAuth } = require('../common/utils');
+const { ensureUserExists, checkHasCredits, withCreditReservation } = require('../operations/userOperations');
+const { createJob, isAsyncRequested } = require('../operations/jobOperations');
+const { readWorkspaceId } = require('../common/workspaces');
+const {
+	MAX_VARIANTS,
+	saveGeneratedImage,
+	loadSourceImage,
+	parseVariants,
+	runVariants,
+	variantChargeAmount,
+} = require('../operations/generatedImageOperations');
 const { initGenkit, GOOGLE_API_KEY } = require('../common/genkit');
+const { imagePart, textPart, generateImage } = require('../common/imageProvider');
+const { computeCreditCost } = require('../common/subscriptionConfig');
 const { buildVirtualModelPrompt } = require('../common/prompts');
 const {
 	AppError,
 	ErrorCodes,
 	unauthenticated,
 	validationError,
-	storageError,
 	sendError,
 	normalizeUnknownError,
 	logError,
@@ -27,8 +36,6 @@ try {
 	// ignore re-init in emulator hot-reload
 }
 
-const db = getFirestore();
-
 let flows = null;
 
 // Normalize and validate supported aspect ratios
@@ -55,7 +62,17 @@ function normalizeAspectRatio(input) {
 
 async function getVirtualModelFlows() {
 	if (flows) return flows;
-	const { ai, flow, z, googleAI } = await initGenkit();
+	const { flow, z } = await initGenkit();
+
+	const modelImageSchema = z.object({
+		mimeType: z.string(),
+		id: z.string(),
+		storagePath: z.string(),
+		downloadUrl: z.string().optional().nullable(),
+		generated_img_url: z.string().optional().nullable(),
+		thumbUrl: z.string().optional().nullable(),
+		thumbPath: z.string().optional().nullable(),
+	});
 
 	const generateVirtualModel = flow(
 		{
@@ -69,15 +86,13 @@ async function getVirtualModelFlows() {
 				mode: z.enum(['hold', 'wear']),
 				targetHand: z.enum(['left', 'right']).optional(),
 				aspectRatio: z.string().optional(),
+				variants: z.number().int().min(1).max(MAX_VARIANTS).optional(),
+				lineage: z.object({ parentImageId: z.string().nullable(), rootImageId: z.string().nullable() }).partial().optional(),
+				workspaceId: z.string().nullable().optional(),
 			}),
-			outputSchema: z.object({
-				mimeType: z.string(),
-				id: z.string(),
-				storagePath: z.string(),
-				downloadUrl: z.string().optional().nullable(),
-				generated_img_url: z.string().optional().nullable(),
-				thumbUrl: z.string().optional().nullable(),
-				thumbPath: z.string().optional().nullable(),
+			outputSchema: modelImageSchema.extend({
+				generationGroupId: z.string(),
+				variants: z.array(modelImageSchema),
 			}),
 		},
 		async ({
@@ -89,6 +104,9 @@ async function getVirtualModelFlows() {
 			mode,
 			targetHand,
 			aspectRatio,
+			variants,
+			lineage,
+			workspaceId,
 		}) => {
 			await ensureUserExists(uid);
 
@@ -97,10 +115,10 @@ async function getVirtualModelFlows() {
 			const baseMime = modelImageMimeType || 'image/png';
 			const prodMime = productImageMimeType || 'image/png';
 
-			const promptArray = [
-				{ media: { url: `data:${baseMime};base64,${modelImageBase64}`, contentType: baseMime } },
-				{ media: { url: `data:${prodMime};base64,${productImageBase64}`, contentType: prodMime } },
-				{ text: fullPrompt },
+			const parts = [
+				imagePart(modelImageBase64, baseMime),
+				imagePart(productImageBase64, prodMime),
+				textPart(fullPrompt),
 			];
 
 			// Read original model dimensions for deterministic canvas lock
@@ -114,162 +132,55 @@ async function getVirtualModelFlows() {
 				modelHeight = meta.height || null;
 			} catch (_) {}
 
-			let media, rawResponse;
 			const safeAspect = normalizeAspectRatio(aspectRatio);
-			try {
-				({ media, rawResponse } = await ai.generate({
-					model: googleAI.model('gemini-3-pro-image-preview'),
-					prompt: promptArray,
-					config: {
-						responseModalities: ['IMAGE'],
-						...(safeAspect ? { imageConfig: { aspectRatio: safeAspect } } : {}),
-					},
-					output: { format: 'media' },
-				}));
-			} catch (_) {
-				({ media, rawResponse } = await ai.generate({
-					model: googleAI.model('gemini-2.5-flash-image'),
-					prompt: promptArray,
-					config: {
-						responseModalities: ['IMAGE'],
-						...(safeAspect ? { imageConfig: { aspectRatio: safeAspect } } : {}),
-					},
-					output: { format: 'media' },
-				}));
-			}
-
-			const m = Array.isArray(media) ? media[0] : media;
-			if (!m?.url) throw new Error('Model did not return image media.');
-
-			// Convert to PNG and enforce canvas lock to the model image size
-			const dataUrl = m.url;
-			const commaIdx = dataUrl.indexOf(',');
-      const header = dataUrl.substring(0, commaIdx);
-			const imageBase64 = dataUrl.substring(commaIdx + 1);
-
-      const mimeTypeMatch = /data:(.*?);base64/.exec(header);
-      let mimeType = (mimeTypeMatch && mimeTypeMatch[1]) || 'image/png';
-
-			let buffer = Buffer.from(imageBase64, 'base64');
-			try {
-        // Enforce canvas lock only if we have original dimensions
-				if (modelWidth && modelHeight) {
-          const sharp = require('sharp');
-					buffer = await sharp(buffer, { unlimited: true })
-						.resize(modelWidth, modelHeight, { fit: 'cover', position: 'centre' })
-						.png()
-						.toBuffer();
-          mimeType = 'image/png';
-				}
-			} catch (_) {}
-      
-      const ext = ((mime) => {
-        if (mime === 'image/png') return 'png';
-        if (mime === 'image/jpeg' || mime === 'image/jpg') return 'jpg';
-        if (mime === 'image/webp') return 'webp';
-        return 'png';
-      })(mimeType);
-
-			const id = randomUUID();
-			const imagePath = buildGeneratedImagePath(uid, id, ext);
-
-			const appOptions = admin.app().options || {};
-			const configuredBucket = appOptions.storageBucket;
-			const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-			const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-			const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-			let file = null;
-			let downloadToken = null;
-			try {
-				const [bucketExists] = await bucket.exists();
-				if (bucketExists) {
-					file = bucket.file(imagePath);
-					downloadToken = randomUUID();
-					await file.save(buffer, {
-						resumable: false,
-						contentType: 'image/png',
-						metadata: {
-							cacheControl: 'public, max-age=31536000',
-							metadata: { firebaseStorageDownloadTokens: downloadToken },
-						},
-					});
-				}
-			} catch (_) {
-				file = null;
-			}
+			const { generationGroupId, variants: images } = await runVariants(variants || 1, async (variantIndex, groupId) => {
+				const generated = await generateImage({
+					parts,
+					aspectRatio: safeAspect,
+					model: 'gemini-3-pro-image-preview',
+					fallbackModel: 'gemini-2.5-flash-image',
+					variant: variantIndex,
+				});
 
-			let downloadUrl = null;
-			if (file) {
+				// Convert to PNG and enforce canvas lock to the model image size
+				let { buffer, mimeType } = generated;
 				try {
-					const [url] = await file.getSignedUrl({
-						action: 'read',
-						expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 365),
-					});
-					downloadUrl = url;
-				} catch (e) {
-					try {
-						const [metadata] = await file.getMetadata().catch(() => [{}]);
-						let token = metadata?.metadata?.firebaseStorageDownloadTokens;
-						if (!token) {
-							token = downloadToken || randomUUID();
-							await file.setMetadata({ metadata: { firebaseStorageDownloadTokens: token } }).catch(() => {});
-						}
-						downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media&token=${token}`;
-					} catch (_) {
-						downloadUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(imagePath)}?alt=media`;
+					// Enforce canvas lock only if we have original dimensions
+					if (modelWidth && modelHeight) {
+						const sharp = require('sharp');
+						buffer = await sharp(buffer, { unlimited: true })
+							.resize(modelWidth, modelHeight, { fit: 'cover', position: 'centre' })
+							.png()
+							.toBuffer();
+						mimeType = 'image/png';
 					}
-				}
-			}
-
-			// Thumbnail generation for generated image
-			let thumbUrl = null;
-			let thumbPath = computeThumbPath(imagePath);
-			if (file) {
-				const { thumbPath: p, thumbUrl: u } = await createAndUploadThumbnail(bucket, buffer, imagePath);
-				thumbPath = p;
-				thumbUrl = u;
-			}
+				} catch (_) {}
 
-			try {
-				await db.collection('images').doc(id).set({
-					storagePath: imagePath,
-					type: 'generated',
-					ownerId: uid || null,
-					createdAt: FieldValue.serverTimestamp(),
+				return saveGeneratedImage({
+					uid,
+					buffer,
+					mimeType,
 					prompt: fullPrompt,
-					style: null,
-					aspectRatio: safeAspect || null,
-					mockupImageUrl: null,
-					mimeType: mimeType,
-					downloadUrl,
-					modelVersion: rawResponse?.modelVersion || null,
-					size: buffer.length,
-					thumbUrl: thumbUrl || null,
-					thumbPath,
-					thumbSize: 256,
-				});
-				await db.collection('users').doc(uid).collection('generated').doc(id).set({
-					createdAt: FieldValue.serverTimestamp(),
-					imageId: id,
-					storagePath: imagePath,
-					type: 'generated',
-					thumbUrl: thumbUrl || null,
-					thumbPath,
-					thumbSize: 256,
+					aspectRatio: safeAspect,
+					modelVersion: generated.modelVersion,
+					tool: 'virtualModel',
+					toolParams: { mode, targetHand: targetHand || null, aspectRatio: aspectRatio || null },
+					parentImageId: lineage?.parentImageId,
+					rootImageId: lineage?.rootImageId,
+					workspaceId,
+					fields: { generationGroupId: groupId, variantIndex },
 				});
-			} catch (_) {}
+			});
 
-			// Decrement usage only after successful generation & persistence steps
-			await decrementUsage(uid, 'generate');
-			return {
+			const outputs = images.map(({ mimeType, id, storagePath, downloadUrl, thumbUrl, thumbPath }) => ({
 				mimeType,
 				id,
-				storagePath: imagePath,
+				storagePath,
 				generated_img_url: downloadUrl,
 				thumbUrl,
 				thumbPath,
-			};
+			}));
+			return { ...outputs[0], generationGroupId, variants: outputs };
 		}
 	);
 
@@ -295,6 +206,15 @@ exports.generateVirtualModel = onRequest(
 	},
 	async (req, res) => {
 		const requestId = randomUUID();
+		const creditCost = computeCreditCost({ tool: 'virtualModel' });
+		// Hold the price of every requested variant, charge only for the ones that succeed
+		const variantBilling = (variants, workspaceId) => ({
+			amount: creditCost * variants,
+			endpoint: 'generateVirtualModel',
+			requestId,
+			workspaceId,
+			chargeAmount: (out) => variantChargeAmount(out, creditCost),
+		});
 		if (req.method === 'OPTIONS') {
 			res.set('Access-Control-Allow-Origin', '*');
 			res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -318,6 +238,16 @@ exports.generateVirtualModel = onRequest(
 				return sendError(res, err, requestId);
 			}
 
+			const workspaceId = readWorkspaceId(req.query, req.body);
+
+			try {
+				await ensureUserExists(uid);
+				await checkHasCredits(uid, 'generate', creditCost, { workspaceId });
+			} catch (e) {
+				logError({ requestId, uid, endpoint: 'generateVirtualModel', err: e });
+				return sendError(res, e, requestId);
+			}
+
 			try {
 				const { generateVirtualModel } = await getVirtualModelFlows();
 
@@ -367,41 +297,29 @@ exports.generateVirtualModel = onRequest(
 						return sendError(res, err, requestId);
 					}
 
-					// If modelBuffer missing, load from storagePath (required alternative to file)
+					// The model photo is the image being edited: load it by id or storagePath when not uploaded
+					let source;
+					try {
+						source = await loadSourceImage(uid, {
+							sourceImageId: fields.modelImageId || fields.sourceImageId,
+							storagePath: fields.modelStoragePath || fields.storagePath,
+							download: !modelBuffer,
+						});
+					} catch (e) {
+						const err = normalizeUnknownError(e);
+						logError({ requestId, uid, endpoint: 'generateVirtualModel', err });
+						return sendError(res, err, requestId);
+					}
 					if (!modelBuffer) {
-						const storagePath = fields.modelStoragePath || fields.storagePath;
-						if (storagePath) {
-							try {
-								const appOptions = admin.app().options || {};
-								const configuredBucket = appOptions.storageBucket;
-								const projId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
-								const bucketName = configuredBucket || (projId ? `${projId}.appspot.com` : undefined);
-								const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
-
-								const file = bucket.file(storagePath);
-								const [exists] = await file.exists();
-								if (!exists) {
-									const err = new AppError({ code: ErrorCodes.VALIDATION_ERROR, message: 'Model image not found at storagePath', httpStatus: 404, retryable: false });
-									logError({ requestId, uid, endpoint: 'generateVirtualModel', err });
-									return sendError(res, err, requestId);
-								}
-
-								const [metadata] = await file.getMetadata();
-								modelMime = metadata.contentType || 'image/png';
-
-								const [downloadedBuffer] = await file.download();
-								modelBuffer = downloadedBuffer;
-							} catch (e) {
-								const err = storageError('Failed to download model image from storage', true);
-								logError({ requestId, uid, endpoint: 'generateVirtualModel', err });
-								return sendError(res, err, requestId);
-							}
-						} else {
-							const err = validationError({ cropped_img: 'required', modelStoragePath: 'required' });
+						if (!source.buffer) {
+							const err = validationError({ cropped_img: 'required', modelStoragePath: 'required', sourceImageId: 'required' });
 							logError({ requestId, uid, endpoint: 'generateVirtualModel', err });
 							return sendError(res, err, requestId);
 						}
+						modelBuffer = source.buffer;
+						modelMime = source.mimeType;
 					}
+					const lineage = { parentImageId: source.parentImageId, rootImageId: source.rootImageId };
 
 					// product image must be provided as file in multipart
 					if (!productBuffer) {
@@ -410,23 +328,58 @@ exports.generateVirtualModel = onRequest(
 						return sendError(res, err, requestId);
 					}
 
-					const out = await generateVirtualModel({
-						uid,
-						modelImageBase64: modelBuffer.toString('base64'),
-						modelImageMimeType: modelMime,
-						productImageBase64: productBuffer.toString('base64'),
-						productImageMimeType: productMime,
-						mode,
-						targetHand: targetHand === 'left' || targetHand === 'right' ? targetHand : undefined,
-						aspectRatio,
-					});
+					const variants = parseVariants(fields.variants);
+
+					if (isAsyncRequested(fields.async)) {
+						const job = await createJob({
+							uid,
+							tool: 'virtualModel',
+							requestId,
+							workspaceId,
+							usageType: 'generate',
+							amount: creditCost * variants,
+							creditsPerVariant: creditCost,
+							input: {
+								uid,
+								modelImageMimeType: modelMime,
+								productImageMimeType: productMime,
+								mode,
+								targetHand: targetHand === 'left' || targetHand === 'right' ? targetHand : undefined,
+								aspectRatio,
+								variants,
+								lineage,
+								workspaceId,
+							},
+							files: {
+								modelImageBase64: { buffer: modelBuffer, mimeType: modelMime },
+								productImageBase64: { buffer: productBuffer, mimeType: productMime },
+							},
+						});
+						return res.status(202).json(job);
+					}
+
+					const out = await withCreditReservation(uid, 'generate', variantBilling(variants, workspaceId), () =>
+						generateVirtualModel({
+							uid,
+							modelImageBase64: modelBuffer.toString('base64'),
+							modelImageMimeType: modelMime,
+							productImageBase64: productBuffer.toString('base64'),
+							productImageMimeType: productMime,
+							mode,
+							targetHand: targetHand === 'left' || targetHand === 'right' ? targetHand : undefined,
+							aspectRatio,
+							variants,
+							lineage,
+							workspaceId,
+						})
+					);
 					return res.status(200).json(out);
 				}
 
 				// JSON body is not supported for product file upload; instruct clients to use multipart/form-data
 				const err = validationError({
 					product_img: 'use multipart/form-data (file)',
-					cropped_img: 'multipart file or modelStoragePath',
+					cropped_img: 'multipart file, modelStoragePath or sourceImageId',
 					modelStoragePath: 'multipart alternative to cropped_img',
 				});
 				logError({ requestId, uid, endpoint: 'generateVirtualModel', err });
@@ -440,3 +393,4 @@ exports.generateVirtualModel = onRequest(
 	}
 );
 
+exports.getVirtualModelFlows = getVirtualModelFlows;